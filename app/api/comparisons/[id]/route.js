@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import {
+  deleteComparison,
+  getComparison,
+  updateComparison,
+} from '@/lib/comparison-store';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    return NextResponse.json(await getComparison(userId, params.id));
+  } catch (error) {
+    return errorResponse(error, 'Failed to load comparison');
+  }
+}
+
+/**
+ * Replaces the board's text, voices and favorites
+ */
+export async function PUT(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const { title, text, lang, format, combinations } = await request.json();
+    return NextResponse.json(
+      await updateComparison(userId, params.id, { title, text, lang, format, combinations })
+    );
+  } catch (error) {
+    return errorResponse(error, 'Failed to update comparison');
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    await deleteComparison(userId, params.id);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to delete comparison');
+  }
+}
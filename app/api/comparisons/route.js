@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { createComparison, listComparisons } from '@/lib/comparison-store';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    return NextResponse.json({ comparisons: await listComparisons(userId) });
+  } catch (error) {
+    console.error('Error:', error);
+    return NextResponse.json({ error: 'Failed to load comparisons' }, { status: 500 });
+  }
+}
+
+/**
+ * Saves a comparison board: `text`, `lang`, `format`, optional `title`, and
+ * the `combinations` with their `starred` flags. The returned `shareToken`
+ * is what the share link carries.
+ */
+export async function POST(request) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const { title, text, lang, format, combinations } = await request.json();
+    const comparison = await createComparison(userId, { title, text, lang, format, combinations });
+    return NextResponse.json(comparison, { status: 201 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to save comparison');
+  }
+}
@@ -0,0 +1,18 @@
+import { NextResponse } from 'next/server';
+import { getSharedComparison } from '@/lib/comparison-store';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Shared boards open without signing in; the share token is the link
+ */
+export async function GET(request, { params }) {
+  try {
+    const userId = await getCurrentUserId(request);
+    return NextResponse.json(await getSharedComparison(params.token, userId));
+  } catch (error) {
+    return errorResponse(error, 'Failed to load comparison');
+  }
+}
@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { deleteLexiconEntry, updateLexiconEntry } from '@/lib/lexicon-store';
+
+export async function PUT(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const { grapheme, alphabet, phoneme, alias } = await request.json();
+    const entry = await updateLexiconEntry(userId, params.id, params.entryId, {
+      grapheme,
+      alphabet,
+      phoneme,
+      alias,
+    });
+    return NextResponse.json(entry);
+  } catch (error) {
+    return errorResponse(error, 'Failed to update entry');
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    await deleteLexiconEntry(userId, params.id, params.entryId);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to delete entry');
+  }
+}
@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { addLexiconEntry } from '@/lib/lexicon-store';
+
+export async function POST(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const { grapheme, alphabet, phoneme, alias } = await request.json();
+    const entry = await addLexiconEntry(userId, params.id, { grapheme, alphabet, phoneme, alias });
+    return NextResponse.json(entry, { status: 201 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to add entry');
+  }
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { buildPls } from '@/lib/lexicon';
+import { getLexicon } from '@/lib/lexicon-store';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Exports a lexicon as a PLS (Pronunciation Lexicon Specification) file
+ */
+export async function GET(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const lexicon = await getLexicon(userId, params.id);
+    const fileName = `${lexicon.name.replace(/[^a-zA-Z0-9_-]+/g, '-') || 'lexicon'}.pls`;
+    return new NextResponse(buildPls(lexicon.locale, lexicon.entries), {
+      headers: {
+        'Content-Type': 'application/pls+xml; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`,
+      },
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to export lexicon');
+  }
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { deleteLexicon, getLexicon, updateLexicon } from '@/lib/lexicon-store';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    return NextResponse.json(await getLexicon(userId, params.id));
+  } catch (error) {
+    return errorResponse(error, 'Failed to load lexicon');
+  }
+}
+
+export async function PUT(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const { name, locale } = await request.json();
+    return NextResponse.json(await updateLexicon(userId, params.id, { name, locale }));
+  } catch (error) {
+    return errorResponse(error, 'Failed to update lexicon');
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    await deleteLexicon(userId, params.id);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to delete lexicon');
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { createLexicon, listLexicons } from '@/lib/lexicon-store';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    return NextResponse.json({ lexicons: await listLexicons(userId) });
+  } catch (error) {
+    console.error('Error:', error);
+    return NextResponse.json({ error: 'Failed to load lexicons' }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const { name, locale, entries } = await request.json();
+    const lexicon = await createLexicon(userId, { name, locale, entries });
+    return NextResponse.json(lexicon, { status: 201 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to create lexicon');
+  }
+}
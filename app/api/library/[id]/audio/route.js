@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { buildAudioFileName } from '@/lib/audio-formats';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { readRecordAudio } from '@/lib/library-store';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Serves a recording's audio inline for the player, or as an attachment
+ * named after its title with `?download=1`
+ */
+export async function GET(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const { record, audio, format } = await readRecordAudio(userId, params.id);
+    const download = new URL(request.url).searchParams.get('download') === '1';
+    const fileName = buildAudioFileName(record.title, record.format);
+
+    return new NextResponse(audio, {
+      headers: {
+        'Content-Type': format ? format.contentType : 'application/octet-stream',
+        'Content-Length': audio.byteLength.toString(),
+        'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename="${fileName}"`,
+        'Cache-Control': 'private, max-age=3600',
+      },
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to load audio');
+  }
+}
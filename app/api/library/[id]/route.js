@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { deleteRecord, getRecord, updateRecord } from '@/lib/library-store';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    return NextResponse.json(await getRecord(userId, params.id));
+  } catch (error) {
+    return errorResponse(error, 'Failed to load recording');
+  }
+}
+
+/**
+ * Renames and/or re-tags a recording
+ */
+export async function PATCH(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const { title, tags } = await request.json();
+    return NextResponse.json(await updateRecord(userId, params.id, { title, tags }));
+  } catch (error) {
+    return errorResponse(error, 'Failed to update recording');
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    await deleteRecord(userId, params.id);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to delete recording');
+  }
+}
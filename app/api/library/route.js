@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { createRecord, listRecords } from '@/lib/library-store';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const records = await listRecords(userId, {
+      query: searchParams.get('q') || undefined,
+      tag: searchParams.get('tag') || undefined,
+    });
+    return NextResponse.json({ records });
+  } catch (error) {
+    console.error('Error:', error);
+    return NextResponse.json({ error: 'Failed to load library' }, { status: 500 });
+  }
+}
+
+/**
+ * Saves a generated file to the library: multipart `audio` plus the `text`,
+ * `voice`, `style`, `format`, and optional `title` and JSON `tags` it was made with
+ */
+export async function POST(request) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const form = await request.formData();
+    const audio = form.get('audio');
+    if (!audio || typeof audio === 'string') {
+      return NextResponse.json({ error: 'An audio file is required' }, { status: 400 });
+    }
+
+    let tags;
+    try {
+      tags = form.get('tags') ? JSON.parse(form.get('tags')) : undefined;
+    } catch {
+      return NextResponse.json({ error: 'Tags must be a JSON list' }, { status: 400 });
+    }
+
+    const record = await createRecord(
+      userId,
+      {
+        title: form.get('title') || undefined,
+        text: form.get('text') || '',
+        voice: form.get('voice') || '',
+        style: form.get('style') || undefined,
+        format: form.get('format') || '',
+        tags,
+      },
+      Buffer.from(await audio.arrayBuffer())
+    );
+    return NextResponse.json(record, { status: 201 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to save to library');
+  }
+}
@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { deleteAttempt } from '@/lib/pronunciation-store';
+
+export const dynamic = 'force-dynamic';
+
+export async function DELETE(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    await deleteAttempt(userId, params.id);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to delete attempt');
+  }
+}
@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { createAttempt, listAttempts } from '@/lib/pronunciation-store';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    return NextResponse.json({ attempts: await listAttempts(userId) });
+  } catch (error) {
+    console.error('Error:', error);
+    return NextResponse.json({ error: 'Failed to load attempts' }, { status: 500 });
+  }
+}
+
+/**
+ * Saves an assessed attempt: the `referenceText` and `lang`, the accuracy,
+ * fluency, completeness, prosody (may be null) and pronunciation scores, and
+ * the assessed `words` with their phonemes.
+ */
+export async function POST(request) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const body = await request.json();
+    const attempt = await createAttempt(userId, {
+      referenceText: body.referenceText,
+      lang: body.lang,
+      accuracy: body.accuracy,
+      fluency: body.fluency,
+      completeness: body.completeness,
+      prosody: body.prosody,
+      pronunciation: body.pronunciation,
+      words: body.words,
+    });
+    return NextResponse.json(attempt, { status: 201 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to save attempt');
+  }
+}
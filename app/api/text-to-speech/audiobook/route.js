@@ -0,0 +1,112 @@
+import { NextResponse } from 'next/server';
+import { buildAudioFileName } from '@/lib/audio-formats';
+import { countSpokenChars, loadDocument, planAudiobook, renderAudiobook } from '@/lib/audiobook';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { parseAudiobookRequest } from '@/lib/synthesis-request';
+import { getSpeechCredentials, SynthesisError } from '@/lib/synthesis';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Turns an uploaded document into an audiobook. The multipart body carries
+ * the `file` and an `options` JSON field with voice settings, `format` and
+ * the audiobook options. With `preview=1` the detected chapter outline is
+ * returned as JSON; otherwise the response streams newline-delimited JSON
+ * like long-form mode: `progress` events, then a `done` event carrying the
+ * audio (a ZIP with an M3U playlist, or one file with chapter markers) as
+ * base64 together with the chapter list, or an `error` event.
+ */
+export async function POST(request) {
+  let document;
+  let parsed;
+  let plan;
+
+  // Reject bad input before the stream starts so callers get a real status
+  try {
+    const form = await request.formData();
+    const file = form.get('file');
+    if (!file || typeof file === 'string') {
+      return NextResponse.json({ error: 'A document file is required' }, { status: 400 });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(form.get('options') || '{}');
+    } catch {
+      return NextResponse.json({ error: 'Options must be valid JSON' }, { status: 400 });
+    }
+
+    parsed = await parseAudiobookRequest(body, { userId: await getCurrentUserId(request) });
+    document = loadDocument(file.name, Buffer.from(await file.arrayBuffer()));
+
+    if (form.get('preview') === '1') {
+      const chapters = document.chapters.map((chapter) => ({
+        title: chapter.title,
+        characters: countSpokenChars(chapter.blocks, parsed.options),
+        headings: chapter.blocks.filter((block) => block.type === 'heading').length,
+      }));
+      return NextResponse.json({
+        kind: document.kind,
+        title: document.title,
+        chapters,
+        characters: chapters.reduce((total, chapter) => total + chapter.characters, 0),
+      });
+    }
+
+    plan = planAudiobook(document, parsed.format.id, parsed.options);
+  } catch (error) {
+    return errorResponse(error, 'Could not read the document', 400);
+  }
+
+  if (!getSpeechCredentials()) {
+    return NextResponse.json(
+      { error: 'Azure Speech Service credentials not configured' },
+      { status: 500 }
+    );
+  }
+
+  const { format: audioFormat, options } = parsed;
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event) => controller.enqueue(encoder.encode(JSON.stringify(event) + '\n'));
+
+      try {
+        const { audio, contentType, chapters } = await renderAudiobook({
+          document,
+          ...parsed,
+          onProgress: (completed, total) =>
+            send({ type: 'progress', completed, total, chapters: plan.chapters.length }),
+        });
+
+        const fileName = buildAudioFileName(document.title, audioFormat.id);
+        send({
+          type: 'done',
+          output: options.output,
+          format: audioFormat.id,
+          contentType,
+          fileName: options.output === 'playlist' ? fileName.replace(/\.[^.]+$/, '.zip') : fileName,
+          chapters,
+          audio: audio.toString('base64'),
+        });
+      } catch (error) {
+        console.error('Error:', error);
+        send({
+          type: 'error',
+          error: error instanceof SynthesisError ? error.message : 'Failed to convert text to speech',
+        });
+      } finally {
+        controller.close();
+      }
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'application/x-ndjson',
+      'Cache-Control': 'no-cache',
+    },
+  });
+}
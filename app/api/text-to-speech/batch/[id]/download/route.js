@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { buildBatchArchive } from '@/lib/batch-jobs';
+import { errorResponse } from '@/lib/error-response';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const { fileName, archive } = await buildBatchArchive(userId, params.id);
+    return new NextResponse(archive, {
+      headers: {
+        'Content-Type': 'application/zip',
+        'Content-Length': archive.byteLength.toString(),
+        'Content-Disposition': `attachment; filename="${fileName}"`,
+      },
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to build archive');
+  }
+}
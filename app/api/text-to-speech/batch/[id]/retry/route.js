@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { retryBatchItems } from '@/lib/batch-jobs';
+import { kickBatchWorker } from '@/lib/batch-worker';
+import { errorResponse } from '@/lib/error-response';
+
+/**
+ * Re-queues failed rows: all of them, or those listed in `itemIds`
+ */
+export async function POST(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const itemIds = Array.isArray(body.itemIds) ? body.itemIds.map(String) : undefined;
+    const retried = await retryBatchItems(userId, params.id, itemIds);
+    if (retried > 0) kickBatchWorker();
+    return NextResponse.json({ retried });
+  } catch (error) {
+    return errorResponse(error, 'Failed to retry rows');
+  }
+}
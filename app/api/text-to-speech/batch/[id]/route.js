@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { deleteBatchJob, getBatchJob } from '@/lib/batch-jobs';
+import { kickBatchWorker } from '@/lib/batch-worker';
+import { errorResponse } from '@/lib/error-response';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const job = await getBatchJob(userId, params.id);
+    // Polling an unfinished job resumes the worker after a server restart
+    if (!job.finishedAt) kickBatchWorker();
+    return NextResponse.json(job);
+  } catch (error) {
+    return errorResponse(error, 'Failed to load job');
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    await deleteBatchJob(userId, params.id);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to delete job');
+  }
+}
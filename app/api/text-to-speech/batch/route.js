@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { detectBatchFileKind, parseBatchFile } from '@/lib/batch-input';
+import { createBatchJob, listBatchJobs } from '@/lib/batch-jobs';
+import { kickBatchWorker } from '@/lib/batch-worker';
+import { DEFAULT_VOICE } from '@/lib/ssml';
+import { validateAgainstCatalog } from '@/lib/voice-catalog';
+
+export const dynamic = 'force-dynamic';
+
+// Uploads are text; 2 MB comfortably fits the row limit
+const MAX_UPLOAD_BYTES = 2 * 1024 * 1024;
+
+export async function GET(request) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    return NextResponse.json({ jobs: await listBatchJobs(userId) });
+  } catch (error) {
+    console.error('Error:', error);
+    return NextResponse.json({ error: 'Failed to load jobs' }, { status: 500 });
+  }
+}
+
+/**
+ * Accepts a multipart upload with a CSV or JSONL `file` and optional `name`,
+ * `voice`, `style` and `format` defaults, and queues one row per line
+ */
+export async function POST(request) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const form = await request.formData();
+    const file = form.get('file');
+    if (!file || typeof file === 'string') {
+      return NextResponse.json({ error: 'A CSV or JSONL file is required' }, { status: 400 });
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+      return NextResponse.json({ error: 'File is larger than 2 MB' }, { status: 413 });
+    }
+
+    const content = await file.text();
+    const { rows, errors } = parseBatchFile(content, detectBatchFileKind(file.name, content), {
+      voice: form.get('voice') || DEFAULT_VOICE,
+      style: form.get('style') || undefined,
+      format: form.get('format') || undefined,
+    });
+
+    // Check each voice and style combination once against the catalog
+    const checked = new Map();
+    for (const row of rows) {
+      const key = `${row.voice}|${row.style}`;
+      if (!checked.has(key)) {
+        checked.set(key, await validateAgainstCatalog(row.voice, { style: row.style }));
+      }
+      for (const message of checked.get(key)) {
+        errors.push({ line: row.line, message });
+      }
+    }
+
+    if (errors.length > 0) {
+      errors.sort((a, b) => a.line - b.line);
+      return NextResponse.json(
+        { error: 'The file has invalid rows', details: errors },
+        { status: 400 }
+      );
+    }
+
+    const name = String(form.get('name') || file.name.replace(/\.[^.]+$/, '') || 'Batch');
+    const job = await createBatchJob(userId, name.slice(0, 100), rows);
+    kickBatchWorker();
+
+    return NextResponse.json(job, { status: 201 });
+  } catch (error) {
+    console.error('Error:', error);
+    return NextResponse.json({ error: 'Failed to create job' }, { status: 500 });
+  }
+}
@@ -0,0 +1,49 @@
+import { timingSafeEqual } from 'crypto';
+import { NextResponse } from 'next/server';
+import { getCacheStats, purgeSynthesisCache } from '@/lib/synthesis-cache';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Admin requests must send `Authorization: Bearer <TTS_CACHE_ADMIN_TOKEN>`.
+ * Without a configured token the endpoint is disabled.
+ */
+function authorize(request) {
+  const expected = process.env.TTS_CACHE_ADMIN_TOKEN;
+  if (!expected) {
+    return NextResponse.json({ error: 'Cache administration is disabled' }, { status: 403 });
+  }
+
+  const header = request.headers.get('authorization') || '';
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const wanted = Buffer.from(expected);
+  if (provided.length !== wanted.length || !timingSafeEqual(provided, wanted)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+  return null;
+}
+
+export async function GET(request) {
+  const denied = authorize(request);
+  if (denied) return denied;
+
+  try {
+    return NextResponse.json(await getCacheStats());
+  } catch (error) {
+    console.error('Error:', error);
+    return NextResponse.json({ error: 'Failed to read cache stats' }, { status: 500 });
+  }
+}
+
+export async function DELETE(request) {
+  const denied = authorize(request);
+  if (denied) return denied;
+
+  try {
+    const purged = await purgeSynthesisCache();
+    return NextResponse.json({ purged });
+  } catch (error) {
+    console.error('Error:', error);
+    return NextResponse.json({ error: 'Failed to purge cache' }, { status: 500 });
+  }
+}
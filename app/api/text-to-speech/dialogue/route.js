@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { buildAudioFileName } from '@/lib/audio-formats';
+import { synthesizeWithBoundaries } from '@/lib/boundary-synthesis';
+import { buildDialogueManifest } from '@/lib/dialogue';
+import { errorResponse } from '@/lib/error-response';
+import { parseDialogueRequest } from '@/lib/synthesis-request';
+import { getSpeechCredentials } from '@/lib/synthesis';
+
+/**
+ * Renders a screenplay-style script with one voice per speaker into a single
+ * audio file (base64) and returns a manifest with each turn's start and end.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { turns, cast, pauseMs, format: audioFormat, text, ssml } = await parseDialogueRequest(body);
+
+    if (!getSpeechCredentials()) {
+      return NextResponse.json(
+        { error: 'Azure Speech Service credentials not configured' },
+        { status: 500 }
+      );
+    }
+
+    const { audio, words, bookmarks } = await synthesizeWithBoundaries(ssml, audioFormat.id, text);
+
+    // Each turn opens with a "turn-<index>" bookmark
+    const turnStarts = turns.map(
+      (_turn, index) => bookmarks.find((b) => b.name === `turn-${index}`)?.offsetMs
+    );
+    const wordEnds = words.map((w) => w.offsetMs + w.durationMs);
+    const manifest = buildDialogueManifest(turns, cast, turnStarts, wordEnds, pauseMs);
+
+    return NextResponse.json({
+      format: audioFormat.id,
+      contentType: audioFormat.contentType,
+      fileName: buildAudioFileName('dialogue', audioFormat.id),
+      audio: audio.toString('base64'),
+      manifest,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to render dialogue');
+  }
+}
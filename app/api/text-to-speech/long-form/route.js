@@ -0,0 +1,89 @@
+import { NextResponse } from 'next/server';
+import { buildAudioFileName } from '@/lib/audio-formats';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { planLongForm, synthesizeLongForm } from '@/lib/long-form';
+import { parseTextRequest } from '@/lib/synthesis-request';
+import { getSpeechCredentials, SynthesisError } from '@/lib/synthesis';
+import { MAX_LONG_FORM_CHARS } from '@/lib/text-chunking';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Synthesizes long text in chunks and streams newline-delimited JSON:
+ * `progress` events as chunks finish, then a `done` event carrying the
+ * stitched audio as base64 (or an `error` event).
+ */
+export async function POST(request) {
+  let parsed;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Invalid request body' }, { status: 400 });
+  }
+
+  // Reject bad input before the stream starts so callers get a real status
+  try {
+    parsed = await parseTextRequest(body, {
+      maxChars: MAX_LONG_FORM_CHARS,
+      userId: await getCurrentUserId(request),
+    });
+    planLongForm(parsed.text, parsed.format.id);
+  } catch (error) {
+    return errorResponse(error, 'Failed to convert text to speech');
+  }
+
+  if (!getSpeechCredentials()) {
+    return NextResponse.json(
+      { error: 'Azure Speech Service credentials not configured' },
+      { status: 500 }
+    );
+  }
+
+  const { text, lang, voice, settings, lexicon, normalization, format: audioFormat } = parsed;
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event) => controller.enqueue(encoder.encode(JSON.stringify(event) + '\n'));
+
+      try {
+        const audio = await synthesizeLongForm({
+          text,
+          lang,
+          voice,
+          ...settings,
+          lexicon,
+          normalization,
+          format: audioFormat.id,
+          onProgress: (completed, total) => send({ type: 'progress', completed, total }),
+        });
+
+        send({
+          type: 'done',
+          format: audioFormat.id,
+          contentType: audioFormat.contentType,
+          fileName: buildAudioFileName(voice, audioFormat.id),
+          audio: audio.toString('base64'),
+        });
+      } catch (error) {
+        console.error('Error:', error);
+        send({
+          type: 'error',
+          error: error instanceof SynthesisError ? error.message : 'Failed to convert text to speech',
+        });
+      } finally {
+        controller.close();
+      }
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'application/x-ndjson',
+      'Cache-Control': 'no-cache',
+    },
+  });
+}
@@ -0,0 +1,101 @@
+import { NextResponse } from 'next/server';
+import { AudioDecodingError, decodeBackground } from '@/lib/audio-decoding';
+import { encodeSamples } from '@/lib/audio-encoding';
+import { buildAudioFileName, getAudioFormat } from '@/lib/audio-formats';
+import { decodePcm16, POST_PROCESSING_LIMITS, processSpeech } from '@/lib/audio-processing';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { parsePostProcessingOptions, parseTextRequest } from '@/lib/synthesis-request';
+import { getSpeechCredentials, SynthesisError } from '@/lib/synthesis';
+import { synthesizeCached } from '@/lib/synthesis-cache';
+
+/**
+ * Synthesizes text and post-processes it before returning the audio. The
+ * multipart body carries the usual plain-text `request` JSON, whose
+ * `postProcessing` field holds the options, and an optional `background`
+ * file (WAV, or MP3, M4A, Ogg or WebM through ffmpeg) that is mixed under the
+ * speech. Speech is synthesized as WAV at the output sample rate, processed,
+ * and encoded to the requested format, through ffmpeg for compressed ones.
+ * Without ffmpeg, compressed requests fall back to WAV at the same rate;
+ * `X-Audio-Format` names the format returned and `X-Post-Processing`
+ * reports what was done.
+ */
+export async function POST(request) {
+  try {
+    const form = await request.formData();
+
+    let body;
+    try {
+      body = JSON.parse(form.get('request') || '{}');
+    } catch {
+      return NextResponse.json({ error: 'Request must be valid JSON' }, { status: 400 });
+    }
+
+    const { ssml, voice, format: audioFormat } = await parseTextRequest(body, {
+      userId: await getCurrentUserId(request),
+    });
+    const options = parsePostProcessingOptions(body.postProcessing);
+
+    let background = null;
+    const file = form.get('background');
+    if (file && typeof file !== 'string') {
+      if (file.size > POST_PROCESSING_LIMITS.backgroundBytes) {
+        return NextResponse.json({ error: 'Background track is larger than 20 MB' }, { status: 413 });
+      }
+      try {
+        background = await decodeBackground(
+          Buffer.from(await file.arrayBuffer()),
+          file.name || '',
+          audioFormat.sampleRate
+        );
+      } catch (error) {
+        if (!(error instanceof AudioDecodingError)) throw error;
+        return NextResponse.json(
+          { error: `Background track: ${error.message}`, details: error.details },
+          { status: error.status }
+        );
+      }
+    }
+
+    if (!getSpeechCredentials()) {
+      return NextResponse.json(
+        { error: 'Azure Speech Service credentials not configured' },
+        { status: 500 }
+      );
+    }
+
+    // Every output is synthesized as WAV at its sample rate, so all formats decode alike
+    const sourceFormat = getAudioFormat(`riff-${audioFormat.sampleRate / 1000}khz-16bit-mono-pcm`);
+    const { audio, cache } = await synthesizeCached(ssml, sourceFormat.id);
+    const { samples, report } = processSpeech(
+      decodePcm16(audio, sourceFormat),
+      audioFormat.sampleRate,
+      options,
+      background
+    );
+    let outputFormat = audioFormat;
+    let output;
+    try {
+      output = await encodeSamples(samples, audioFormat);
+    } catch (error) {
+      // 501 means there is no ffmpeg to encode compressed output; WAV needs none
+      if (!(error instanceof SynthesisError && error.status === 501)) throw error;
+      outputFormat = sourceFormat;
+      output = await encodeSamples(samples, sourceFormat);
+    }
+    const fileName = buildAudioFileName(voice, outputFormat.id);
+
+    return new NextResponse(output, {
+      headers: {
+        'Content-Type': outputFormat.contentType,
+        'Content-Disposition': `inline; filename="${fileName}"`,
+        'Content-Length': String(output.length),
+        'X-Audio-Format': outputFormat.id,
+        'X-Cache': cache,
+        'X-Post-Processing': JSON.stringify(report),
+      },
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to convert text to speech');
+  }
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { parseTextRequest } from '@/lib/synthesis-request';
+import { MAX_LONG_FORM_CHARS } from '@/lib/text-chunking';
+import { normalizeText } from '@/lib/text-normalization';
+
+/**
+ * Returns the SSML a plain-text body would be synthesized from, without
+ * synthesizing it, plus the matches each normalization rule rewrote
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Invalid request body' }, { status: 400 });
+  }
+
+  try {
+    const { text, lang, normalization, ssml } = await parseTextRequest(body, {
+      maxChars: MAX_LONG_FORM_CHARS,
+      userId: await getCurrentUserId(request),
+    });
+
+    const changes = normalization
+      ? normalizeText(text, normalization, lang)
+          .filter((segment) => segment.rule)
+          .map(({ rule, text: original, ssml: replacement }) => ({ rule, original, replacement }))
+      : [];
+
+    return NextResponse.json({ ssml, changes });
+  } catch (error) {
+    return errorResponse(error, 'Failed to build the SSML preview');
+  }
+}
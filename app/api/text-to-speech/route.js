@@ -1,86 +1,68 @@
 import { NextResponse } from 'next/server';
-import fetch from 'node-fetch';
-import { v4 as uuidv4 } from 'uuid';
-import xmlbuilder from 'xmlbuilder';
+import { buildAudioFileName } from '@/lib/audio-formats';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { parseAudioFormat, parseTextRequest } from '@/lib/synthesis-request';
+import { validateSsmlAgainstCatalog } from '@/lib/voice-catalog';
+import { getSpeechCredentials } from '@/lib/synthesis';
+import { streamCached } from '@/lib/synthesis-cache';
 
+/**
+ * Synthesizes text or SSML and streams the audio back as Azure produces it,
+ * so playback can start before the whole file has arrived
+ */
 export async function POST(request) {
   try {
-    const { text, lang = 'en-US', voice = 'en-US-JennyNeural', style = 'neutral' } = await request.json();
+    const body = await request.json();
 
-    // Get Azure Speech Service credentials from environment variables
-    const subscriptionKey = process.env.SPEECH_SERVICE_SUBSCRIPTION_KEY;
-    const region = process.env.SPEECH_SERVICE_SUBSCRIPTION_REGION;
+    let ssml;
+    let audioFormat;
+    let fileVoice;
 
-    if (!subscriptionKey || !region) {
-      return NextResponse.json(
-        { error: 'Azure Speech Service credentials not configured' },
-        { status: 500 }
-      );
-    }
+    if (body.mode === 'ssml') {
+      audioFormat = parseAudioFormat(body.format);
 
-    // Get access token
-    const tokenResponse = await fetch(
-      `https://${region}.api.cognitive.microsoft.com/sts/v1.0/issueToken`,
-      {
-        method: 'POST',
-        headers: {
-          'Ocp-Apim-Subscription-Key': subscriptionKey,
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
+      // Hand-written SSML is parsed, checked against the allowlist and re-serialized
+      const result = await validateSsmlAgainstCatalog(body.ssml);
+      if (!result.valid) {
+        return NextResponse.json(
+          { error: 'Invalid SSML', details: result.errors },
+          { status: 400 }
+        );
       }
-    );
-
-    if (!tokenResponse.ok) {
-      throw new Error('Failed to get access token');
+      ssml = result.ssml;
+      fileVoice = result.voices[0];
+    } else {
+      // Create SSML with style and prosody from plain text
+      const parsed = await parseTextRequest(body, {
+        userId: await getCurrentUserId(request),
+      });
+      ssml = parsed.ssml;
+      audioFormat = parsed.format;
+      fileVoice = parsed.voice;
     }
 
-    const accessToken = await tokenResponse.text();
-
-    // Create SSML with style
-    const ssml = xmlbuilder.create('speak')
-      .att('version', '1.0')
-      .att('xmlns', 'http://www.w3.org/2001/10/synthesis')
-      .att('xmlns:mstts', 'https://www.w3.org/2001/mstts')
-      .att('xml:lang', lang)
-      .ele('voice')
-      .att('name', voice)
-      .ele('mstts:express-as')
-      .att('style', style)
-      .txt(text)
-      .end();
-
-    // Convert text to speech
-    const ttsResponse = await fetch(
-      `https://${region}.tts.speech.microsoft.com/cognitiveservices/v1`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/ssml+xml',
-          'X-Microsoft-OutputFormat': 'audio-24khz-48kbitrate-mono-mp3',
-          'User-Agent': 'AzureSpeechServiceSuite',
-        },
-        body: ssml,
-      }
-    );
-
-    if (!ttsResponse.ok) {
-      throw new Error('Failed to convert text to speech');
+    if (!getSpeechCredentials()) {
+      return NextResponse.json(
+        { error: 'Azure Speech Service credentials not configured' },
+        { status: 500 }
+      );
     }
 
-    const audioBuffer = await ttsResponse.arrayBuffer();
+    // Upstream errors surface here, before any audio has been sent
+    const { stream, cache } = await streamCached(ssml, audioFormat.id);
+    const fileName = buildAudioFileName(fileVoice, audioFormat.id);
 
-    return new NextResponse(audioBuffer, {
+    // No Content-Length: the body is sent with chunked transfer encoding
+    return new NextResponse(stream, {
       headers: {
-        'Content-Type': 'audio/mpeg',
-        'Content-Length': audioBuffer.byteLength.toString(),
+        'Content-Type': audioFormat.contentType,
+        'Content-Disposition': `inline; filename="${fileName}"`,
+        'X-Audio-Format': audioFormat.id,
+        'X-Cache': cache,
       },
     });
   } catch (error) {
-    console.error('Error:', error);
-    return NextResponse.json(
-      { error: 'Failed to convert text to speech' },
-      { status: 500 }
-    );
+    return errorResponse(error, 'Failed to convert text to speech');
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import {
+  assertTempAudioId,
+  deleteTempAudio,
+  readTempAudio,
+  verifyAudioSignature,
+} from '@/lib/temp-audio';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Serves a temporary file to anyone holding a valid, unexpired signed URL
+ */
+export async function GET(request, { params }) {
+  const { searchParams } = new URL(request.url);
+
+  try {
+    assertTempAudioId(params.id, 'read');
+    if (!verifyAudioSignature(params.id, searchParams.get('expires'), searchParams.get('sig'))) {
+      return NextResponse.json({ error: 'Invalid or expired link' }, { status: 403 });
+    }
+
+    const { meta, audio } = await readTempAudio(params.id);
+    return new NextResponse(audio, {
+      headers: {
+        'Content-Type': meta.contentType,
+        'Content-Length': audio.byteLength.toString(),
+        'Content-Disposition': `inline; filename="${meta.fileName}"`,
+        'Cache-Control': 'private, no-store',
+      },
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to load audio');
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    await deleteTempAudio(userId, params.id);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to delete audio');
+  }
+}
@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { buildAudioFileName } from '@/lib/audio-formats';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { getSpeechCredentials } from '@/lib/synthesis';
+import { synthesizeCached } from '@/lib/synthesis-cache';
+import { parseTextRequest } from '@/lib/synthesis-request';
+import { saveTempAudio } from '@/lib/temp-audio';
+
+/**
+ * Synthesizes text into a temporary file and replies with a signed URL to
+ * it, for players that need a URL rather than a response body
+ */
+export async function POST(request) {
+  const userId = await getCurrentUserId(request);
+  if (!userId) {
+    return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const body = await request.json();
+    const parsed = await parseTextRequest(body, { userId });
+
+    if (!getSpeechCredentials()) {
+      return NextResponse.json(
+        { error: 'Azure Speech Service credentials not configured' },
+        { status: 500 }
+      );
+    }
+
+    const { audio } = await synthesizeCached(parsed.ssml, parsed.format.id);
+    const saved = await saveTempAudio(userId, audio, {
+      contentType: parsed.format.contentType,
+      fileName: buildAudioFileName(parsed.voice, parsed.format.id),
+    });
+    return NextResponse.json({ ...saved, format: parsed.format.id }, { status: 201 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to convert text to speech');
+  }
+}
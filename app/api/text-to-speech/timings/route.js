@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { buildAudioFileName } from '@/lib/audio-formats';
+import { getCurrentUserId } from '@/lib/current-user';
+import { synthesizeWithBoundaries } from '@/lib/boundary-synthesis';
+import { buildCaptionCues, formatSrt, formatWebVtt } from '@/lib/captions';
+import { errorResponse } from '@/lib/error-response';
+import { parseCaptionOptions, parseTextRequest } from '@/lib/synthesis-request';
+import { getSpeechCredentials } from '@/lib/synthesis';
+
+/**
+ * Synthesizes text through the Speech SDK and returns the audio (base64)
+ * together with word and sentence boundary timings. When `captions` is set
+ * (true or `{ maxLineChars, maxDurationMs }`), SRT and WebVTT files built
+ * from the boundaries are included as well.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { text, voice, format: audioFormat, ssml } = await parseTextRequest(body, {
+      userId: await getCurrentUserId(request),
+    });
+    const captionOptions = parseCaptionOptions(body.captions);
+
+    if (!getSpeechCredentials()) {
+      return NextResponse.json(
+        { error: 'Azure Speech Service credentials not configured' },
+        { status: 500 }
+      );
+    }
+
+    const { audio, words, sentences } = await synthesizeWithBoundaries(ssml, audioFormat.id, text);
+
+    let captions;
+    if (captionOptions) {
+      const cues = buildCaptionCues(text, words, sentences, captionOptions);
+      captions = { ...captionOptions, srt: formatSrt(cues), vtt: formatWebVtt(cues) };
+    }
+
+    return NextResponse.json({
+      format: audioFormat.id,
+      contentType: audioFormat.contentType,
+      fileName: buildAudioFileName(voice, audioFormat.id),
+      audio: audio.toString('base64'),
+      words,
+      sentences,
+      captions,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to convert text to speech');
+  }
+}
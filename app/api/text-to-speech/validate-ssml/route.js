@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { validateSsmlAgainstCatalog } from '@/lib/voice-catalog';
+
+export async function POST(request) {
+  try {
+    const { ssml } = await request.json();
+    const result = await validateSsmlAgainstCatalog(ssml);
+
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error('Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to validate SSML' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { getTranscriptionJob } from '@/lib/transcription';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Status of a background transcription: progress while it runs, then the
+ * transcript (same shape as a synchronous response) or the error
+ */
+export async function GET(request, { params }) {
+  try {
+    const owner = await getCurrentUserId(request);
+    if (!owner) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+    const job = getTranscriptionJob(owner, params.id);
+    return NextResponse.json({
+      id: job.id,
+      status: job.status,
+      language: job.language,
+      durationMs: job.durationMs,
+      processedMs: job.processedMs,
+      result: job.result,
+      error: job.error,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to load transcription job');
+  }
+}
@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import { decodeForRecognition } from '@/lib/audio-decoding';
+import { getCurrentUserId } from '@/lib/current-user';
+import { errorResponse } from '@/lib/error-response';
+import { getSpeechCredentials } from '@/lib/synthesis';
+import {
+  parseTranscriptionOptions,
+  startTranscriptionJob,
+  syncThresholdMs,
+  transcribePcm,
+  TRANSCRIPTION_LIMITS,
+} from '@/lib/transcription';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Transcribes an uploaded recording. The multipart body carries the `file`
+ * (WAV, MP3, M4A, Ogg or WebM), an optional `language` (default en-US), an
+ * optional ";"-separated `phrases` list of words to favour and `diarize`
+ * ("true" labels each segment with a speaker id). With `language` "auto",
+ * the language is detected among up to four ","-separated `candidates`,
+ * once or per phrase as `languageDetection` ("AtStart" or "Continuous") says.
+ * `details` ("true") adds word timings and N-best alternatives to segments.
+ * Short recordings are answered with the transcript; longer ones, or any
+ * when `async` is "true", need a signed-in caller and get 202 with a job to
+ * poll at `statusUrl` (429 while too many jobs are running).
+ */
+export async function POST(request) {
+  try {
+    const form = await request.formData();
+    const file = form.get('file');
+    if (!file || typeof file === 'string') {
+      return NextResponse.json({ error: 'An audio file is required' }, { status: 400 });
+    }
+    if (file.size > TRANSCRIPTION_LIMITS.uploadBytes) {
+      return NextResponse.json({ error: 'Audio file is larger than 100 MB' }, { status: 413 });
+    }
+    const options = parseTranscriptionOptions({
+      language: form.get('language') || 'en-US',
+      phrases: form.get('phrases'),
+      diarize: form.get('diarize'),
+      details: form.get('details'),
+      candidates: form.get('candidates'),
+      languageDetection: form.get('languageDetection') || undefined,
+    });
+
+    if (!getSpeechCredentials()) {
+      return NextResponse.json(
+        { error: 'Azure Speech Service credentials not configured' },
+        { status: 500 }
+      );
+    }
+
+    const { pcm, durationMs } = await decodeForRecognition(
+      Buffer.from(await file.arrayBuffer()),
+      file.name
+    );
+
+    if (form.get('async') === 'true' || durationMs > syncThresholdMs()) {
+      // Background jobs hold the decoded audio in memory, so they are not open to everyone
+      const owner = await getCurrentUserId(request);
+      if (!owner) {
+        return NextResponse.json(
+          { error: `Sign in to transcribe recordings longer than ${Math.round(syncThresholdMs() / 1000)} seconds` },
+          { status: 401 }
+        );
+      }
+      const job = startTranscriptionJob(owner, pcm, options);
+      return NextResponse.json(
+        {
+          id: job.id,
+          status: job.status,
+          durationMs: job.durationMs,
+          statusUrl: `/api/transcribe/${job.id}`,
+        },
+        { status: 202 }
+      );
+    }
+
+    return NextResponse.json(await transcribePcm(pcm, options));
+  } catch (error) {
+    return errorResponse(error, 'Failed to transcribe audio');
+  }
+}
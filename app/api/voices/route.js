@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { getVoiceCatalog } from '@/lib/voice-catalog';
+import { filterVoices } from '@/lib/voices';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const catalog = await getVoiceCatalog({
+      forceRefresh: searchParams.get('refresh') === '1',
+    });
+
+    const voices = filterVoices(catalog.voices, {
+      locale: searchParams.get('locale') || undefined,
+      gender: searchParams.get('gender') || undefined,
+      style: searchParams.get('style') || undefined,
+      type: searchParams.get('type') || undefined,
+    });
+
+    return NextResponse.json(
+      {
+        source: catalog.source,
+        region: catalog.region,
+        fetchedAt: catalog.fetchedAt,
+        count: voices.length,
+        voices,
+      },
+      {
+        headers: {
+          'Cache-Control': 'private, max-age=300',
+        },
+      }
+    );
+  } catch (error) {
+    console.error('Error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load voice catalog' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,140 @@
+"use client";
+
+import React, { useEffect, useMemo } from "react";
+import { DEFAULT_STYLE, filterVoices } from "@/lib/voices";
+import { DIALOGUE_PAUSE_LIMITS, parseDialogueScript } from "@/lib/dialogue";
+
+export const SAMPLE_SCRIPT = [
+  "ALICE: Good morning! Did you get a chance to review the onboarding checklist?",
+  "BOB: I did. I have a couple of questions about the security training.",
+  "ALICE: Sure, go ahead.",
+].join("\n");
+
+/**
+ * Script editor for dialogue mode: detects speakers in the script and lets
+ * each one be cast with a voice and speaking style
+ */
+export default function DialogueEditor({
+  script,
+  onScriptChange,
+  cast,
+  onCastChange,
+  pauseMs,
+  onPauseChange,
+  voices,
+  lang,
+}) {
+  const { speakers, errors } = useMemo(
+    () => parseDialogueScript(script, Object.keys(cast)),
+    [script, cast]
+  );
+  const localeVoices = useMemo(
+    () => filterVoices(voices, { locale: lang }),
+    [voices, lang]
+  );
+
+  // Give newly detected speakers distinct voices so the first render is useful
+  useEffect(() => {
+    const missing = speakers.filter((s) => !cast[s]);
+    if (!missing.length || !localeVoices.length) return;
+
+    const used = new Set(Object.values(cast).map((m) => m.voice));
+    const next = { ...cast };
+    for (const speaker of missing) {
+      const voice = localeVoices.find((v) => !used.has(v.name)) || localeVoices[0];
+      used.add(voice.name);
+      next[speaker] = { voice: voice.name, style: DEFAULT_STYLE };
+    }
+    onCastChange(next);
+  }, [speakers, cast, localeVoices, onCastChange]);
+
+  const updateMember = (speaker, changes) => {
+    onCastChange({ ...cast, [speaker]: { ...cast[speaker], ...changes } });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor="dialogueScript" className="block mb-2 font-medium">
+          Script
+        </label>
+        <textarea
+          id="dialogueScript"
+          className="w-full border rounded px-3 py-2 min-h-[200px] font-mono text-sm"
+          placeholder={SAMPLE_SCRIPT}
+          value={script}
+          onChange={(e) => onScriptChange(e.target.value)}
+        />
+        <p className="mt-1 text-sm text-gray-500">
+          One turn per line as <code>SPEAKER: text</code>. Lines without a
+          speaker continue the previous turn; lines starting with # are
+          ignored.
+        </p>
+        {script.trim() && errors.length > 0 && (
+          <ul className="mt-2 text-sm text-red-600 space-y-1">
+            {errors.map((message) => (
+              <li key={message}>{message}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {speakers.length > 0 && (
+        <div>
+          <div className="font-medium mb-2">Cast</div>
+          <div className="space-y-2">
+            {speakers.map((speaker) => {
+              const member = cast[speaker] || {};
+              const voice = voices.find((v) => v.name === member.voice);
+              return (
+                <div key={speaker} className="grid grid-cols-3 gap-2 items-center">
+                  <span className="font-mono text-sm">{speaker}</span>
+                  <select
+                    aria-label={`Voice for ${speaker}`}
+                    className="border rounded px-2 py-1"
+                    value={member.voice || ""}
+                    onChange={(e) =>
+                      updateMember(speaker, { voice: e.target.value, style: DEFAULT_STYLE })
+                    }
+                  >
+                    {localeVoices.map((v) => (
+                      <option key={v.name} value={v.name}>
+                        {v.displayName} ({v.gender})
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    aria-label={`Style for ${speaker}`}
+                    className="border rounded px-2 py-1"
+                    value={member.style || DEFAULT_STYLE}
+                    onChange={(e) => updateMember(speaker, { style: e.target.value })}
+                  >
+                    {(voice ? voice.styles : [DEFAULT_STYLE]).map((s) => (
+                      <option key={s} value={s}>
+                        {s}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+      <div>
+        <label htmlFor="dialoguePause" className="block mb-2 font-medium">
+          Pause between turns: {pauseMs} ms
+        </label>
+        <input
+          id="dialoguePause"
+          type="range"
+          className="w-full"
+          min={DIALOGUE_PAUSE_LIMITS.min}
+          max={DIALOGUE_PAUSE_LIMITS.max}
+          step={50}
+          value={pauseMs}
+          onChange={(e) => onPauseChange(Number(e.target.value))}
+        />
+      </div>
+    </div>
+  );
+}
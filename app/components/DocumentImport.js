@@ -0,0 +1,151 @@
+"use client";
+
+import React from "react";
+import {
+  AUDIOBOOK_LIMITS,
+  CODE_BLOCK_HANDLING,
+  HEADING_EMPHASIS_LEVELS,
+} from "@/lib/document-import";
+import { MAX_LONG_FORM_CHARS } from "@/lib/text-chunking";
+
+const outputOptions = [
+  { value: "playlist", label: "One file per chapter (ZIP with M3U playlist)" },
+  { value: "single", label: "Single file with chapter markers" },
+];
+
+/**
+ * Document picker and audiobook options for document mode. Shows the
+ * chapter outline the server detected so it can be checked before
+ * synthesizing.
+ */
+export default function DocumentImport({
+  file,
+  onFileChange,
+  options,
+  onOptionsChange,
+  outline,
+  previewing,
+}) {
+  const update = (changes) => onOptionsChange({ ...options, ...changes });
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor="documentFile" className="block mb-2 font-medium">
+          Document
+        </label>
+        <input
+          id="documentFile"
+          type="file"
+          accept=".txt,.md,.markdown,.html,.htm,.xhtml,.epub"
+          className="block w-full text-sm"
+          onChange={(e) => onFileChange(e.target.files[0] || null)}
+        />
+        <p className="mt-1 text-sm text-gray-500">
+          Plain text, Markdown, HTML or EPUB, up to{" "}
+          {AUDIOBOOK_LIMITS.fileBytes / 1024 / 1024} MB. Markup is stripped and
+          headings split the text into chapters.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="audiobookOutput" className="block mb-2 font-medium">
+            Output
+          </label>
+          <select
+            id="audiobookOutput"
+            className="w-full border rounded px-3 py-2"
+            value={options.output}
+            onChange={(e) => update({ output: e.target.value })}
+          >
+            {outputOptions.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="codeBlocks" className="block mb-2 font-medium">
+            Code blocks
+          </label>
+          <select
+            id="codeBlocks"
+            className="w-full border rounded px-3 py-2"
+            value={options.codeBlocks}
+            onChange={(e) => update({ codeBlocks: e.target.value })}
+          >
+            {CODE_BLOCK_HANDLING.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="headingPause" className="block mb-2 font-medium">
+            Pause around headings: {options.headingPauseMs} ms
+          </label>
+          <input
+            id="headingPause"
+            type="range"
+            className="w-full"
+            min={AUDIOBOOK_LIMITS.headingPauseMs.min}
+            max={AUDIOBOOK_LIMITS.headingPauseMs.max}
+            step={100}
+            value={options.headingPauseMs}
+            onChange={(e) => update({ headingPauseMs: Number(e.target.value) })}
+          />
+        </div>
+        <div>
+          <label htmlFor="headingEmphasis" className="block mb-2 font-medium">
+            Heading emphasis
+          </label>
+          <select
+            id="headingEmphasis"
+            className="w-full border rounded px-3 py-2"
+            value={options.headingEmphasis}
+            onChange={(e) => update({ headingEmphasis: e.target.value })}
+          >
+            {HEADING_EMPHASIS_LEVELS.map((level) => (
+              <option key={level} value={level}>
+                {level}
+              </option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500">
+            Only some voices support emphasis; others read headings normally.
+          </p>
+        </div>
+      </div>
+
+      {previewing && <p className="text-sm text-gray-500">Reading document...</p>}
+      {file && outline && !previewing && (
+        <div>
+          <p className="font-medium">
+            {outline.title} &middot; {outline.chapters.length}{" "}
+            {outline.chapters.length === 1 ? "chapter" : "chapters"} &middot;{" "}
+            {outline.characters.toLocaleString()} characters
+          </p>
+          {outline.characters > MAX_LONG_FORM_CHARS && (
+            <p className="text-sm text-red-600">
+              The document is longer than {MAX_LONG_FORM_CHARS.toLocaleString()}{" "}
+              characters and cannot be synthesized in one go.
+            </p>
+          )}
+          <ol className="mt-2 text-sm list-decimal pl-6 max-h-60 overflow-y-auto">
+            {outline.chapters.map((chapter, index) => (
+              <li key={index} className={chapter.characters ? "" : "text-gray-400"}>
+                {chapter.title}{" "}
+                <span className="text-gray-500">
+                  ({chapter.characters ? `${chapter.characters.toLocaleString()} chars` : "nothing to read"})
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
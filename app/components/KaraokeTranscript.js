@@ -0,0 +1,117 @@
+"use client";
+
+import React, { useEffect, useMemo, useState } from "react";
+
+/**
+ * Splits the text into plain runs and timed word spans using each
+ * boundary's character offset. Words that could not be located are skipped.
+ */
+function buildSegments(text, words) {
+  const segments = [];
+  let cursor = 0;
+  words.forEach((word, index) => {
+    if (word.textOffset < cursor) return;
+    if (word.textOffset > cursor) {
+      segments.push({ text: text.slice(cursor, word.textOffset) });
+    }
+    segments.push({ text: word.text, wordIndex: index });
+    cursor = word.textOffset + word.text.length;
+  });
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+  return segments;
+}
+
+/**
+ * Index of the last word starting at or before `timeMs`, or -1
+ */
+function findActiveWord(words, timeMs) {
+  let low = 0;
+  let high = words.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (words[mid].offsetMs <= timeMs) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  if (found === -1) return -1;
+  const word = words[found];
+  // Stay on a word through the gap that follows it, but not past the end
+  const next = words[found + 1];
+  const end = next ? next.offsetMs : word.offsetMs + word.durationMs;
+  return timeMs <= end ? found : -1;
+}
+
+export default function KaraokeTranscript({ text, words, audioRef }) {
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const segments = useMemo(() => buildSegments(text, words), [text, words]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    // timeupdate fires only a few times per second, so follow playback per frame
+    let frame = 0;
+    const tick = () => {
+      setActiveIndex(findActiveWord(words, audio.currentTime * 1000));
+      if (!audio.paused) frame = requestAnimationFrame(tick);
+    };
+    const start = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(tick);
+    };
+
+    audio.addEventListener("play", start);
+    audio.addEventListener("seeked", tick);
+    audio.addEventListener("ended", tick);
+    return () => {
+      cancelAnimationFrame(frame);
+      audio.removeEventListener("play", start);
+      audio.removeEventListener("seeked", tick);
+      audio.removeEventListener("ended", tick);
+    };
+  }, [audioRef, words]);
+
+  const seekTo = (word) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = word.offsetMs / 1000;
+    audio.play();
+  };
+
+  return (
+    <p className="w-full max-w-2xl mt-4 leading-8 text-lg whitespace-pre-wrap">
+      {segments.map((segment, i) => {
+        if (segment.wordIndex === undefined) {
+          return <span key={i}>{segment.text}</span>;
+        }
+        const word = words[segment.wordIndex];
+        return (
+          <span
+            key={i}
+            role="button"
+            tabIndex={0}
+            title={`${(word.offsetMs / 1000).toFixed(2)}s`}
+            className={`cursor-pointer rounded px-0.5 ${
+              segment.wordIndex === activeIndex
+                ? "bg-sky-500 text-white"
+                : "hover:bg-sky-100"
+            }`}
+            onClick={() => seekTo(word)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" || e.key === " ") {
+                e.preventDefault();
+                seekTo(word);
+              }
+            }}
+          >
+            {segment.text}
+          </span>
+        );
+      })}
+    </p>
+  );
+}
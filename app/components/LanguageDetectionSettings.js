@@ -0,0 +1,60 @@
+"use client";
+
+import React from "react";
+import { LANGUAGE_DETECTION_LIMITS } from "@/lib/language-detection";
+
+/**
+ * Candidate languages and detection mode for automatic language
+ * identification. The service picks among at most four candidates.
+ */
+export default function LanguageDetectionSettings({
+  languages,
+  candidates,
+  onCandidatesChange,
+  mode,
+  onModeChange,
+  disabled,
+}) {
+  const full = candidates.length >= LANGUAGE_DETECTION_LIMITS.candidates;
+
+  const toggle = (value, checked) =>
+    onCandidatesChange(
+      checked ? [...candidates, value] : candidates.filter((c) => c !== value)
+    );
+
+  return (
+    <div className="mt-2 space-y-2 text-sm">
+      <p className="text-gray-500">
+        Candidates ({candidates.length}/{LANGUAGE_DETECTION_LIMITS.candidates})
+      </p>
+      <div className="grid grid-cols-2 gap-1">
+        {languages.map((opt) => {
+          const checked = candidates.includes(opt.value);
+          return (
+            <label key={opt.value} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={checked}
+                disabled={disabled || (!checked && full)}
+                onChange={(e) => toggle(opt.value, e.target.checked)}
+              />
+              {opt.label}
+            </label>
+          );
+        })}
+      </div>
+      <select
+        className="w-full border rounded px-2 py-1"
+        value={mode}
+        onChange={(e) => onModeChange(e.target.value)}
+        disabled={disabled}
+      >
+        <option value="AtStart">Detect once at the start</option>
+        <option value="Continuous">Detect continuously (language may change)</option>
+      </select>
+      {candidates.length === 0 && (
+        <p className="text-red-600">Pick at least one candidate language.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+"use client";
+
+import React from "react";
+import { listNormalizationRules } from "@/lib/text-normalization";
+
+/**
+ * Per-locale normalization toggles: the rules available for the selected
+ * language, the acronym list, and a preview of the SSML the text turns into
+ */
+export default function NormalizationSettings({
+  lang,
+  settings,
+  onChange,
+  onPreview,
+  preview,
+  previewing,
+}) {
+  const rules = listNormalizationRules(lang);
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div>
+      <label className="inline-flex items-center gap-2 font-medium">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        Normalize text for {lang} (dates, numbers, links and more)
+      </label>
+      {settings.enabled && (
+        <div className="mt-2 ml-6 space-y-2">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1">
+            {rules.map((rule) => (
+              <label key={rule.id} className="flex items-start gap-2 text-sm" title={rule.description}>
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  checked={settings.rules[rule.id] ?? rule.defaultEnabled}
+                  onChange={(e) =>
+                    update({ rules: { ...settings.rules, [rule.id]: e.target.checked } })
+                  }
+                />
+                <span>
+                  {rule.label}
+                  <span className="block text-xs text-gray-500">{rule.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+          {settings.rules.acronyms && (
+            <label className="block text-sm">
+              Acronyms to spell out
+              <input
+                type="text"
+                className="mt-1 w-full border rounded px-2 py-1"
+                placeholder="e.g. NASA, FBI, SQL"
+                value={settings.acronymText}
+                onChange={(e) => update({ acronymText: e.target.value })}
+              />
+            </label>
+          )}
+          {onPreview && (
+            <button
+              type="button"
+              className="text-sm text-sky-600 underline"
+              disabled={previewing}
+              onClick={onPreview}
+            >
+              {previewing ? "Building preview..." : "Preview normalized SSML"}
+            </button>
+          )}
+          {preview && (
+            <div className="text-sm">
+              {preview.changes.length > 0 ? (
+                <ul className="list-disc pl-5 text-gray-700">
+                  {preview.changes.map((change, index) => (
+                    <li key={index}>
+                      <span className="text-gray-500">{change.rule}:</span>{" "}
+                      <code>{change.original}</code>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-gray-500">No rule changed this text.</p>
+              )}
+              <pre className="mt-2 p-2 bg-gray-50 border rounded text-xs whitespace-pre-wrap break-all">
+                {preview.ssml}
+              </pre>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
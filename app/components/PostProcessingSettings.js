@@ -0,0 +1,160 @@
+"use client";
+
+import React from "react";
+import { POST_PROCESSING_LIMITS } from "@/lib/audio-processing";
+
+const sliders = [
+  { key: "padStartMs", label: "Silence before speech", unit: "ms", step: 50 },
+  { key: "padEndMs", label: "Silence after speech", unit: "ms", step: 50 },
+  { key: "fadeInMs", label: "Fade in", unit: "ms", step: 50 },
+  { key: "fadeOutMs", label: "Fade out", unit: "ms", step: 50 },
+];
+
+/**
+ * Options for the server-side post-processing stage: silence trimming and
+ * padding, loudness normalization, fades and an optional background bed
+ */
+export default function PostProcessingSettings({
+  enabled,
+  onEnabledChange,
+  options,
+  onOptionsChange,
+  background,
+  onBackgroundChange,
+}) {
+  const update = (changes) => onOptionsChange({ ...options, ...changes });
+
+  return (
+    <div>
+      <label className="inline-flex items-center gap-2 font-medium">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onEnabledChange(e.target.checked)}
+        />
+        Post-process audio (loudness, silence, fades and background)
+      </label>
+      {enabled && (
+        <div className="mt-2 ml-6 space-y-3 text-sm">
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={options.trimSilence}
+                onChange={(e) => update({ trimSilence: e.target.checked })}
+              />
+              Trim leading and trailing silence below
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="number"
+                className="w-20 border rounded px-2 py-1"
+                min={POST_PROCESSING_LIMITS.silenceThresholdDb.min}
+                max={POST_PROCESSING_LIMITS.silenceThresholdDb.max}
+                value={options.silenceThresholdDb}
+                disabled={!options.trimSilence}
+                onChange={(e) => update({ silenceThresholdDb: Number(e.target.value) })}
+              />
+              dBFS
+            </label>
+          </div>
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={options.normalizeLoudness}
+                onChange={(e) => update({ normalizeLoudness: e.target.checked })}
+              />
+              Normalize loudness to
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="number"
+                className="w-20 border rounded px-2 py-1"
+                min={POST_PROCESSING_LIMITS.targetLufs.min}
+                max={POST_PROCESSING_LIMITS.targetLufs.max}
+                value={options.targetLufs}
+                disabled={!options.normalizeLoudness}
+                onChange={(e) => update({ targetLufs: Number(e.target.value) })}
+              />
+              LUFS
+            </label>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+            {sliders.map(({ key, label, unit, step }) => (
+              <div key={key}>
+                <label htmlFor={key} className="block mb-1">
+                  {label}: {options[key]} {unit}
+                </label>
+                <input
+                  id={key}
+                  type="range"
+                  className="w-full"
+                  min={POST_PROCESSING_LIMITS[key].min}
+                  max={POST_PROCESSING_LIMITS[key].max}
+                  step={step}
+                  value={options[key]}
+                  onChange={(e) => update({ [key]: Number(e.target.value) })}
+                />
+              </div>
+            ))}
+          </div>
+          <div>
+            <label htmlFor="backgroundFile" className="block mb-1">
+              Background track (WAV, MP3, M4A, Ogg or WebM, optional)
+            </label>
+            <input
+              id="backgroundFile"
+              type="file"
+              accept=".wav,.mp3,.m4a,.aac,.ogg,.oga,.opus,.webm,audio/*"
+              className="block w-full"
+              onChange={(e) => onBackgroundChange(e.target.files[0] || null)}
+            />
+            {background && (
+              <div className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+                <div>
+                  <label htmlFor="backgroundGain" className="block mb-1">
+                    Background level: {options.backgroundGainDb} dB
+                  </label>
+                  <input
+                    id="backgroundGain"
+                    type="range"
+                    className="w-full"
+                    min={POST_PROCESSING_LIMITS.backgroundGainDb.min}
+                    max={POST_PROCESSING_LIMITS.backgroundGainDb.max}
+                    step={1}
+                    value={options.backgroundGainDb}
+                    onChange={(e) => update({ backgroundGainDb: Number(e.target.value) })}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="ducking" className="block mb-1">
+                    Duck under speech by: {options.duckingDb} dB
+                  </label>
+                  <input
+                    id="ducking"
+                    type="range"
+                    className="w-full"
+                    min={POST_PROCESSING_LIMITS.duckingDb.min}
+                    max={POST_PROCESSING_LIMITS.duckingDb.max}
+                    step={1}
+                    value={options.duckingDb}
+                    onChange={(e) => update({ duckingDb: Number(e.target.value) })}
+                  />
+                </div>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={options.loopBackground}
+                    onChange={(e) => update({ loopBackground: e.target.checked })}
+                  />
+                  Loop the track when it is shorter than the speech
+                </label>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
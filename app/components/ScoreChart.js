@@ -0,0 +1,77 @@
+"use client";
+
+import React from "react";
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 10, bottom: 20, left: 30 };
+
+/**
+ * Line chart of 0–100 scores across attempts, one line per series. Points
+ * with no value (such as prosody for unsupported languages) leave a gap.
+ */
+export default function ScoreChart({ points, series }) {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (i) => PADDING.left + (points.length > 1 ? (i / (points.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (score) => PADDING.top + (1 - score / 100) * plotHeight;
+
+  const pathFor = (key) => {
+    let path = "";
+    let drawing = false;
+    points.forEach((point, i) => {
+      const value = point[key];
+      if (value === null || value === undefined) {
+        drawing = false;
+        return;
+      }
+      path += `${drawing ? "L" : "M"}${x(i).toFixed(1)},${y(value).toFixed(1)} `;
+      drawing = true;
+    });
+    return path;
+  };
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto border rounded bg-white">
+        {[0, 25, 50, 75, 100].map((tick) => (
+          <g key={tick}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(tick)}
+              y2={y(tick)}
+              stroke="#e5e7eb"
+            />
+            <text x={PADDING.left - 4} y={y(tick) + 3} fontSize="9" textAnchor="end" fill="#6b7280">
+              {tick}
+            </text>
+          </g>
+        ))}
+        <text x={WIDTH / 2} y={HEIGHT - 4} fontSize="9" textAnchor="middle" fill="#6b7280">
+          Attempts (oldest to newest)
+        </text>
+        {series.map((s) => (
+          <g key={s.key}>
+            <path d={pathFor(s.key)} fill="none" stroke={s.color} strokeWidth="2" />
+            {points.map((point, i) =>
+              point[s.key] === null || point[s.key] === undefined ? null : (
+                <circle key={i} cx={x(i)} cy={y(point[s.key])} r="2.5" fill={s.color}>
+                  <title>{`${s.label}: ${Math.round(point[s.key])}`}</title>
+                </circle>
+              )
+            )}
+          </g>
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-4 mt-2 text-sm">
+        {series.map((s) => (
+          <span key={s.key} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: s.color }} />
+            {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
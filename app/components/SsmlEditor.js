@@ -0,0 +1,182 @@
+"use client";
+
+import React, { useRef } from "react";
+
+// Snippets offered by the insert-tag toolbar; `close` wraps the selection
+const tagHelpers = [
+  { label: "break", open: '<break time="500ms"/>', close: "" },
+  { label: "prosody", open: '<prosody rate="+10%" pitch="+0%">', close: "</prosody>" },
+  { label: "emphasis", open: '<emphasis level="strong">', close: "</emphasis>" },
+  { label: "say-as", open: '<say-as interpret-as="date" format="mdy">', close: "</say-as>" },
+  { label: "phoneme", open: '<phoneme alphabet="ipa" ph="">', close: "</phoneme>" },
+  { label: "lang", open: '<lang xml:lang="fr-FR">', close: "</lang>" },
+  { label: "express-as", open: '<mstts:express-as style="cheerful">', close: "</mstts:express-as>" },
+  { label: "silence", open: '<mstts:silence type="Sentenceboundary" value="200ms"/>', close: "" },
+];
+
+const TOKEN_PATTERN =
+  /(<!--[\s\S]*?-->)|(<\?[\s\S]*?\?>)|(<\/?)([\w:-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)(\s*\/?>)|(&[#\w]+;)/g;
+const ATTRIBUTE_PATTERN = /([\w:-]+)(\s*=\s*)("[^"]*"|'[^']*')/g;
+
+function highlightAttributes(source, keyPrefix) {
+  const parts = [];
+  let last = 0;
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source))) {
+    parts.push(source.slice(last, match.index));
+    parts.push(
+      <span key={`${keyPrefix}-${match.index}`}>
+        <span className="text-amber-700">{match[1]}</span>
+        {match[2]}
+        <span className="text-green-700">{match[3]}</span>
+      </span>
+    );
+    last = match.index + match[0].length;
+  }
+  parts.push(source.slice(last));
+  return parts;
+}
+
+/**
+ * Splits SSML source into colored spans for the highlight layer
+ */
+function highlightSsml(source) {
+  const parts = [];
+  let last = 0;
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source))) {
+    parts.push(source.slice(last, match.index));
+    const key = match.index;
+    if (match[1] || match[2]) {
+      parts.push(
+        <span key={key} className="text-gray-400">
+          {match[0]}
+        </span>
+      );
+    } else if (match[7]) {
+      parts.push(
+        <span key={key} className="text-purple-700">
+          {match[7]}
+        </span>
+      );
+    } else {
+      parts.push(
+        <span key={key}>
+          <span className="text-sky-700">{match[3]}</span>
+          <span className="text-sky-700 font-semibold">{match[4]}</span>
+          {highlightAttributes(match[5], key)}
+          <span className="text-sky-700">{match[6]}</span>
+        </span>
+      );
+    }
+    last = match.index + match[0].length;
+  }
+  parts.push(source.slice(last));
+  // A trailing newline needs a character after it to be rendered in <pre>
+  parts.push("\n");
+  return parts;
+}
+
+function offsetOf(source, line, column) {
+  const lines = source.split("\n");
+  let offset = 0;
+  for (let i = 0; i < line - 1 && i < lines.length; i++) {
+    offset += lines[i].length + 1;
+  }
+  return offset + column - 1;
+}
+
+export default function SsmlEditor({ value, onChange, errors = [], voice }) {
+  const textareaRef = useRef(null);
+  const highlightRef = useRef(null);
+
+  const helpers = [
+    ...(voice
+      ? [{ label: "voice", open: `<voice name="${voice}">`, close: "</voice>" }]
+      : []),
+    ...tagHelpers,
+  ];
+
+  const insertTag = ({ open, close }) => {
+    const textarea = textareaRef.current;
+    const start = textarea.selectionStart;
+    const end = textarea.selectionEnd;
+    const selected = value.slice(start, end);
+    onChange(value.slice(0, start) + open + selected + close + value.slice(end));
+
+    // Place the cursor inside the inserted element once React re-renders
+    requestAnimationFrame(() => {
+      textarea.focus();
+      const cursor = start + open.length + selected.length;
+      textarea.setSelectionRange(cursor, cursor);
+    });
+  };
+
+  const jumpTo = ({ line, column }) => {
+    const textarea = textareaRef.current;
+    const offset = offsetOf(value, line, column);
+    textarea.focus();
+    textarea.setSelectionRange(offset, offset);
+  };
+
+  const syncScroll = () => {
+    highlightRef.current.scrollTop = textareaRef.current.scrollTop;
+    highlightRef.current.scrollLeft = textareaRef.current.scrollLeft;
+  };
+
+  const sharedClasses =
+    "w-full min-h-[240px] p-3 font-mono text-sm leading-6 whitespace-pre-wrap break-words";
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-1 mb-2">
+        {helpers.map((helper) => (
+          <button
+            key={helper.label}
+            type="button"
+            className="text-xs py-1 px-2 border rounded hover:bg-gray-100 font-mono"
+            onClick={() => insertTag(helper)}
+          >
+            &lt;{helper.label}&gt;
+          </button>
+        ))}
+      </div>
+      <div className="relative border rounded">
+        <pre
+          ref={highlightRef}
+          aria-hidden="true"
+          className={`${sharedClasses} absolute inset-0 m-0 overflow-hidden pointer-events-none text-gray-900`}
+        >
+          {highlightSsml(value)}
+        </pre>
+        <textarea
+          ref={textareaRef}
+          id="ssmlInput"
+          spellCheck={false}
+          className={`${sharedClasses} relative block bg-transparent text-transparent caret-black resize-y outline-none`}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onScroll={syncScroll}
+        />
+      </div>
+      {errors.length > 0 && (
+        <ul className="mt-2 text-sm text-red-600 space-y-1">
+          {errors.map((err, i) => (
+            <li key={i}>
+              <button
+                type="button"
+                className="underline font-mono mr-2"
+                onClick={() => jumpTo(err)}
+              >
+                {err.line}:{err.column}
+              </button>
+              {err.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+"use client";
+
+import React, { useState } from "react";
+
+const seconds = (ms) => `${(ms / 1000).toFixed(2)}s`;
+const percent = (confidence) =>
+  confidence === null ? "no confidence" : `${Math.round(confidence * 100)}%`;
+
+/**
+ * Background for a word: red below half the threshold, amber below the
+ * threshold, none otherwise or when the service gave no confidence
+ */
+function tint(confidence, threshold) {
+  if (confidence === null) return "";
+  if (confidence < threshold / 2) return "bg-red-200";
+  if (confidence < threshold) return "bg-amber-200";
+  return "";
+}
+
+/**
+ * Recognized words tinted by confidence. Clicking a word shows its timing
+ * and the N-best alternatives of the phrase it belongs to. Words are in the
+ * lexical form the service timed, so they may differ from the display text.
+ */
+export default function WordConfidenceTranscript({ segments, threshold, showTimings }) {
+  const [selected, setSelected] = useState(null);
+  const segment = selected && segments[selected.segment];
+  const word = segment?.words?.[selected.word];
+
+  return (
+    <div>
+      <div className="space-y-2 max-h-96 overflow-y-auto border rounded p-3">
+        {segments.map((s, si) => (
+          <p key={si} className="leading-8">
+            <span className="mr-2 text-xs text-gray-400">{seconds(s.offsetMs)}</span>
+            {s.words?.length
+              ? s.words.map((w, wi) => (
+                  <button
+                    key={wi}
+                    type="button"
+                    title={`${seconds(w.offsetMs)}–${seconds(w.offsetMs + w.durationMs)} · ${percent(
+                      w.confidence
+                    )}`}
+                    onClick={() => setSelected({ segment: si, word: wi })}
+                    className={`inline-flex flex-col items-center mr-1 px-1 rounded ${tint(
+                      w.confidence,
+                      threshold
+                    )} ${
+                      selected?.segment === si && selected?.word === wi ? "ring-2 ring-blue-400" : ""
+                    }`}
+                  >
+                    <span>{w.word}</span>
+                    {showTimings && (
+                      <span className="text-[10px] leading-3 text-gray-500">
+                        {seconds(w.offsetMs)} +{w.durationMs}ms
+                      </span>
+                    )}
+                  </button>
+                ))
+              : s.text}
+          </p>
+        ))}
+      </div>
+
+      {word && (
+        <div className="mt-3 border rounded p-3 text-sm">
+          <p className="font-medium">
+            “{word.word}” · {seconds(word.offsetMs)}–{seconds(word.offsetMs + word.durationMs)} (
+            {word.durationMs} ms) · {percent(word.confidence)}
+          </p>
+          {segment.alternatives?.length > 0 && (
+            <>
+              <p className="mt-2 text-gray-500">Alternatives for the phrase</p>
+              <ol className="list-decimal ml-6">
+                {segment.alternatives.map((alternative, i) => (
+                  <li key={i} className={i === 0 ? "font-medium" : ""}>
+                    {alternative.text}{" "}
+                    <span className="text-gray-500">({percent(alternative.confidence)})</span>
+                  </li>
+                ))}
+              </ol>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
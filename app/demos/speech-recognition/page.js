@@ -1,11 +1,38 @@
 "use client";
 import { useState, useRef } from "react";
+import Link from "next/link";
 import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
 import Button from "@/app/components/Button";
 import PageHeader from "@/app/components/PageHeader";
 import SectionHeader from "@/app/components/SectionHeader";
 import Banner from "@/app/components/Banner";
 import FeatureGuard from "@/app/components/FeatureGuard";
+import LanguageDetectionSettings from "@/app/components/LanguageDetectionSettings";
+import WordConfidenceTranscript from "@/app/components/WordConfidenceTranscript";
+import {
+  createAutoDetectConfig,
+  detectedLanguage,
+  validateLanguageDetection,
+} from "@/lib/language-detection";
+import {
+  buildTranscriptionResult,
+  formatTranscript,
+  listSpeakers,
+  parseDetailedResult,
+  TRANSCRIPT_FORMATS,
+} from "@/lib/transcript-export";
+
+const languageOptions = [
+  { value: "en-US", label: "English - US" },
+  { value: "zh-CN", label: "Chinese - CN" },
+  { value: "ja-JP", label: "Japanese - JP" },
+  { value: "ko-KR", label: "Korean - KR" },
+  { value: "es-ES", label: "Spanish - ES" },
+  { value: "fr-FR", label: "French - FR" },
+];
+
+// Select value for automatic language identification
+const AUTO_DETECT = "auto";
 
 async function getToken() {
   const res = await fetch("/api/token", { method: "POST" });
@@ -16,22 +43,121 @@ async function getRegion() {
   return await res.text();
 }
 
+// How often a background transcription job is polled
+const JOB_POLL_MS = 2000;
+
+// Recognition offsets and durations are in 100-nanosecond ticks
+const TICKS_PER_MS = 10000;
+
+const toSeconds = (ms) => (ms / 1000).toFixed(2);
+
+// Chat bubble colors, assigned to speakers in order of appearance
+const SPEAKER_COLORS = [
+  "bg-blue-50 border-blue-300",
+  "bg-green-50 border-green-300",
+  "bg-amber-50 border-amber-300",
+  "bg-purple-50 border-purple-300",
+  "bg-pink-50 border-pink-300",
+  "bg-teal-50 border-teal-300",
+];
+
+// The SDK reads WAV in the browser; anything else is transcribed on the server
+function isWavFile(file) {
+  return file.type === "audio/wav" || file.type === "audio/x-wav" || /\.wav$/i.test(file.name);
+}
+
 export default function SpeechRecognition() {
   const [inputType, setInputType] = useState("Microphone");
+  const [mode, setMode] = useState("Recognition");
   const [inputLang, setInputLang] = useState("en-US");
+  const [candidateLangs, setCandidateLangs] = useState(["en-US", "zh-CN"]);
+  const [detectionMode, setDetectionMode] = useState("AtStart");
   const [phraseList, setPhraseList] = useState("");
-  const [results, setResults] = useState("");
+  const [wordDetails, setWordDetails] = useState(true);
+  const [confidenceThreshold, setConfidenceThreshold] = useState(0.6);
+  const [showWordTimings, setShowWordTimings] = useState(false);
+  const [interim, setInterim] = useState("");
+  const [segments, setSegments] = useState([]);
+  const [transcriptDurationMs, setTranscriptDurationMs] = useState(0);
+  const [speakerNames, setSpeakerNames] = useState({});
   const [events, setEvents] = useState("");
   const [isRecognizing, setIsRecognizing] = useState(false);
   const [isContinuous, setIsContinuous] = useState(false);
   const [audioFile, setAudioFile] = useState(null);
   const recoRef = useRef(null);
+  const pollRef = useRef(null);
+
+  const autoDetect = inputLang === AUTO_DETECT;
+  const detectionErrors = autoDetect ? validateLanguageDetection(candidateLangs, detectionMode) : [];
+  const detectedLanguages = segments.some((s) => s.language);
+
+  // Uploads a compressed recording to /api/transcribe, polling when the
+  // server runs it as a background job
+  const transcribeOnServer = async () => {
+    const form = new FormData();
+    form.append("file", audioFile);
+    form.append("language", inputLang);
+    if (autoDetect) {
+      form.append("candidates", candidateLangs.join(","));
+      form.append("languageDetection", detectionMode);
+    }
+    form.append("phrases", phraseList);
+    form.append("diarize", String(mode === "Conversation"));
+    form.append("details", String(wordDetails));
+    setEvents(`(upload) ${audioFile.name}, transcribing on the server\n`);
+    try {
+      const response = await fetch("/api/transcribe", { method: "POST", body: form });
+      let data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || "Failed to transcribe audio");
+
+      if (response.status === 202) {
+        setEvents((prev) => prev + `(job) ${data.id} queued\n`);
+        const statusUrl = data.statusUrl;
+        pollRef.current = { cancelled: false };
+        const poll = pollRef.current;
+        for (;;) {
+          await new Promise((resolve) => setTimeout(resolve, JOB_POLL_MS));
+          if (poll.cancelled) return;
+          const status = await fetch(statusUrl);
+          data = await status.json().catch(() => ({}));
+          if (!status.ok) throw new Error(data.error || "Failed to load transcription job");
+          setEvents(
+            (prev) =>
+              prev +
+              `(job) ${data.status} ${Math.round(data.processedMs / 1000)}s / ${Math.round(
+                data.durationMs / 1000
+              )}s\n`
+          );
+          if (data.status === "failed") throw new Error(data.error);
+          if (data.status === "succeeded") {
+            data = data.result;
+            break;
+          }
+        }
+      }
+
+      setSegments(data.segments);
+      setTranscriptDurationMs(data.durationMs);
+      setEvents((prev) => prev + `(done) ${data.segments.length} segments\n`);
+    } catch (err) {
+      setEvents((prev) => prev + `ERROR: ${err.message}\n`);
+    } finally {
+      setIsRecognizing(false);
+    }
+  };
 
   const handleStart = async (continuous) => {
     setIsRecognizing(true);
     setIsContinuous(continuous);
-    setResults("");
+    setInterim("");
+    setSegments([]);
+    setTranscriptDurationMs(0);
+    setSpeakerNames({});
     setEvents("");
+    if (inputType === "File" && audioFile && !isWavFile(audioFile)) {
+      await transcribeOnServer();
+      return;
+    }
     const token = await getToken();
     const region = await getRegion();
     let audioConfig;
@@ -44,8 +170,25 @@ export default function SpeechRecognition() {
       token,
       region
     );
-    speechConfig.speechRecognitionLanguage = inputLang;
-    const reco = new SpeechSDK.SpeechRecognizer(speechConfig, audioConfig);
+    if (!autoDetect) speechConfig.speechRecognitionLanguage = inputLang;
+    // Detailed output carries the confidence of each phrase
+    speechConfig.outputFormat = SpeechSDK.OutputFormat.Detailed;
+    if (wordDetails) speechConfig.requestWordLevelTimestamps();
+    // Conversation mode labels each phrase with who spoke it
+    const conversation = mode === "Conversation";
+    const Recognizer = conversation
+      ? SpeechSDK.ConversationTranscriber
+      : SpeechSDK.SpeechRecognizer;
+    const reco = autoDetect
+      ? Recognizer.FromConfig(
+          speechConfig,
+          createAutoDetectConfig(candidateLangs, detectionMode),
+          audioConfig
+        )
+      : new Recognizer(speechConfig, audioConfig);
+    const [interimEvent, finalEvent] = conversation
+      ? ["transcribing", "transcribed"]
+      : ["recognizing", "recognized"];
     recoRef.current = reco;
     if (phraseList.trim()) {
       const phraseListGrammar =
@@ -54,22 +197,22 @@ export default function SpeechRecognition() {
         .split(";")
         .forEach((p) => phraseListGrammar.addPhrase(p.trim()));
     }
-    reco.recognizing = (s, e) => {
+    reco[interimEvent] = (s, e) => {
       setEvents(
         (prev) =>
           prev +
-          `(recognizing) Reason: ${
+          `(${interimEvent}) Reason: ${
             SpeechSDK.ResultReason[e.result.reason]
           } Text: ${e.result.text}\n`
       );
-      setResults((prev) => e.result.text);
+      setInterim(e.result.text);
     };
-    reco.recognized = (s, e) => {
+    reco[finalEvent] = (s, e) => {
       if (e.result.reason === SpeechSDK.ResultReason.NoMatch) {
         setEvents(
           (prev) =>
             prev +
-            `(recognized) Reason: ${
+            `(${finalEvent}) Reason: ${
               SpeechSDK.ResultReason[e.result.reason]
             } NoMatch\n`
         );
@@ -77,12 +220,26 @@ export default function SpeechRecognition() {
         setEvents(
           (prev) =>
             prev +
-            `(recognized) Reason: ${
+            `(${finalEvent}) Reason: ${
               SpeechSDK.ResultReason[e.result.reason]
+            }${conversation ? ` Speaker: ${e.result.speakerId}` : ""}${
+              autoDetect ? ` Language: ${detectedLanguage(e.result)}` : ""
             } Text: ${e.result.text}\n`
         );
       }
-      setResults((prev) => prev + (e.result.text ? e.result.text + "\n" : ""));
+      setInterim("");
+      if (e.result.reason !== SpeechSDK.ResultReason.RecognizedSpeech || !e.result.text) return;
+      const detailed = parseDetailedResult(e.result.json);
+      const segment = {
+        text: e.result.text,
+        offsetMs: Math.round(e.result.offset / TICKS_PER_MS),
+        durationMs: Math.round(e.result.duration / TICKS_PER_MS),
+        confidence: detailed.confidence,
+        ...(conversation && { speakerId: e.result.speakerId || "Unknown" }),
+        ...(autoDetect && { language: detectedLanguage(e.result) }),
+        ...(wordDetails && { words: detailed.words, alternatives: detailed.alternatives }),
+      };
+      setSegments((prev) => [...prev, { ...segment, index: prev.length }]);
     };
     reco.canceled = (s, e) => {
       setEvents(
@@ -112,7 +269,9 @@ export default function SpeechRecognition() {
       setEvents(
         (prev) => prev + `(speechEndDetected) SessionId: ${e.sessionId}\n`
       );
-    if (continuous) {
+    if (conversation) {
+      reco.startTranscribingAsync();
+    } else if (continuous) {
       reco.startContinuousRecognitionAsync();
     } else {
       reco.recognizeOnceAsync(
@@ -125,10 +284,53 @@ export default function SpeechRecognition() {
     }
   };
 
+  const speakers = listSpeakers(segments);
+  const speakerName = (id) => speakerNames[id]?.trim() || id;
+  const speakerColor = (id) => SPEAKER_COLORS[speakers.indexOf(id) % SPEAKER_COLORS.length];
+
+  const updateSegment = (index, changes) =>
+    setSegments((prev) => prev.map((s, i) => (i === index ? { ...s, ...changes } : s)));
+
+  // Start and end are edited in seconds; the end is stored as a duration
+  const updateSegmentTime = (index, field, seconds) => {
+    const ms = Math.max(0, Math.round(Number(seconds) * 1000));
+    if (!Number.isFinite(ms)) return;
+    setSegments((prev) =>
+      prev.map((s, i) => {
+        if (i !== index) return s;
+        const endMs = s.offsetMs + s.durationMs;
+        return field === "start"
+          ? { ...s, offsetMs: ms, durationMs: Math.max(0, endMs - ms) }
+          : { ...s, durationMs: Math.max(0, ms - s.offsetMs) };
+      })
+    );
+  };
+
+  const removeSegment = (index) => setSegments((prev) => prev.filter((_, i) => i !== index));
+
+  const exportTranscript = (format) => {
+    const { extension, mimeType } = TRANSCRIPT_FORMATS[format];
+    const result = buildTranscriptionResult(inputLang, segments, transcriptDurationMs, speakerNames);
+    const url = URL.createObjectURL(
+      new Blob([formatTranscript(result, format)], { type: mimeType })
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `transcript-${inputLang}-${Date.now()}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
   const handleStop = () => {
     setIsRecognizing(false);
+    if (pollRef.current) pollRef.current.cancelled = true;
     if (recoRef.current) {
-      if (isContinuous) {
+      if (recoRef.current instanceof SpeechSDK.ConversationTranscriber) {
+        recoRef.current.stopTranscribingAsync(() => {
+          recoRef.current.close();
+          recoRef.current = null;
+        });
+      } else if (isContinuous) {
         recoRef.current.stopContinuousRecognitionAsync(() => {
           recoRef.current.close();
           recoRef.current = null;
@@ -146,7 +348,14 @@ export default function SpeechRecognition() {
       <Banner />
 
       <FeatureGuard>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+        <p className="mb-6 text-sm text-gray-500">
+          Learning a language?{" "}
+          <Link href="/demos/speech-recognition/pronunciation" className="text-sky-600 underline">
+            Practice pronunciation with scored feedback
+          </Link>
+          .
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
         <div>
           <h2 className="block mb-2 font-medium">Input</h2>
           <select
@@ -161,12 +370,34 @@ export default function SpeechRecognition() {
           {inputType === "File" && (
             <input
               type="file"
-              accept="audio/wav"
+              accept="audio/wav,audio/mpeg,audio/mp4,audio/x-m4a,audio/ogg,audio/webm,.wav,.mp3,.m4a,.ogg,.opus,.webm"
               className="mt-2"
               onChange={(e) => setAudioFile(e.target.files[0])}
               disabled={isRecognizing}
             />
           )}
+          {inputType === "File" && audioFile && !isWavFile(audioFile) && (
+            <p className="mt-1 text-sm text-gray-500">
+              Compressed audio is transcribed on the server (continuous, whole file).
+            </p>
+          )}
+        </div>
+        <div>
+          <h2 className="block mb-2 font-medium">Mode</h2>
+          <select
+            className="w-full border rounded px-3 py-2"
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            disabled={isRecognizing}
+          >
+            <option>Recognition</option>
+            <option>Conversation</option>
+          </select>
+          {mode === "Conversation" && (
+            <p className="mt-1 text-sm text-gray-500">
+              Labels each phrase with a speaker. Conversations are transcribed continuously.
+            </p>
+          )}
         </div>
         <div>
           <h2 className="block mb-2 font-medium">Language</h2>
@@ -176,13 +407,23 @@ export default function SpeechRecognition() {
             onChange={(e) => setInputLang(e.target.value)}
             disabled={isRecognizing}
           >
-            <option value="en-US">English - US</option>
-            <option value="zh-CN">Chinese - CN</option>
-            <option value="ja-JP">Japanese - JP</option>
-            <option value="ko-KR">Korean - KR</option>
-            <option value="es-ES">Spanish - ES</option>
-            <option value="fr-FR">French - FR</option>
+            {languageOptions.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+            <option value={AUTO_DETECT}>Auto-detect</option>
           </select>
+          {autoDetect && (
+            <LanguageDetectionSettings
+              languages={languageOptions}
+              candidates={candidateLangs}
+              onCandidatesChange={setCandidateLangs}
+              mode={detectionMode}
+              onModeChange={setDetectionMode}
+              disabled={isRecognizing}
+            />
+          )}
         </div>
         <div>
           <div className="w-full">
@@ -196,6 +437,15 @@ export default function SpeechRecognition() {
               disabled={isRecognizing}
             />
           </div>
+          <label className="flex items-center gap-2 mt-3 text-sm">
+            <input
+              type="checkbox"
+              checked={wordDetails}
+              onChange={(e) => setWordDetails(e.target.checked)}
+              disabled={isRecognizing}
+            />
+            Word timings, confidence and alternatives
+          </label>
         </div>
       </div>
 
@@ -205,7 +455,12 @@ export default function SpeechRecognition() {
           <div className="flex gap-1">
             <Button
               onClick={() => handleStart(false)}
-              disabled={isRecognizing || (inputType === "File" && !audioFile)}
+              disabled={
+                isRecognizing ||
+                mode === "Conversation" ||
+                detectionErrors.length > 0 ||
+                (inputType === "File" && !audioFile)
+              }
             >
               start
             </Button>
@@ -219,7 +474,9 @@ export default function SpeechRecognition() {
           <div className="flex gap-1">
             <Button
               onClick={() => handleStart(true)}
-              disabled={isRecognizing || (inputType === "File" && !audioFile)}
+              disabled={
+                isRecognizing || detectionErrors.length > 0 || (inputType === "File" && !audioFile)
+              }
             >
               start
             </Button>
@@ -234,7 +491,7 @@ export default function SpeechRecognition() {
           <label className="block mb-2 font-medium">Results</label>
           <textarea
             className="w-full border rounded p-2 min-h-[120px]"
-            value={results}
+            value={[...segments.map((s) => s.text), interim].filter(Boolean).join("\n")}
             readOnly
           />
         </div>
@@ -247,6 +504,193 @@ export default function SpeechRecognition() {
           />
         </div>
         </div>
+
+        {segments.length > 0 && (
+          <div className="mt-8">
+            <SectionHeader>Transcript</SectionHeader>
+            {segments.some((s) => s.words?.length) && (
+              <div className="mb-6">
+                <div className="flex flex-wrap items-center gap-6 mb-2 text-sm">
+                  <label className="flex items-center gap-2">
+                    Tint words below
+                    <input
+                      type="range"
+                      min="0.1"
+                      max="1"
+                      step="0.05"
+                      value={confidenceThreshold}
+                      onChange={(e) => setConfidenceThreshold(Number(e.target.value))}
+                    />
+                    {Math.round(confidenceThreshold * 100)}% confidence
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={showWordTimings}
+                      onChange={(e) => setShowWordTimings(e.target.checked)}
+                    />
+                    Show word timings
+                  </label>
+                </div>
+                <WordConfidenceTranscript
+                  segments={segments}
+                  threshold={confidenceThreshold}
+                  showTimings={showWordTimings}
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Click a word for its timing and the phrase&apos;s alternatives.
+                </p>
+              </div>
+            )}
+            {speakers.length > 0 && (
+              <div className="mb-6">
+                <div className="flex flex-wrap gap-4 mb-4">
+                  {speakers.map((id) => (
+                    <label key={id} className="flex items-center gap-2 text-sm">
+                      <span className={`inline-block w-3 h-3 rounded-full border ${speakerColor(id)}`} />
+                      {id}
+                      <input
+                        type="text"
+                        className="border rounded px-2 py-1"
+                        placeholder="Name"
+                        value={speakerNames[id] || ""}
+                        onChange={(e) =>
+                          setSpeakerNames((prev) => ({ ...prev, [id]: e.target.value }))
+                        }
+                      />
+                    </label>
+                  ))}
+                </div>
+                <div className="flex flex-col gap-2 max-h-96 overflow-y-auto">
+                  {segments.map((segment, i) => (
+                    <div
+                      key={i}
+                      className={`max-w-[80%] border rounded-lg px-3 py-2 ${speakerColor(
+                        segment.speakerId
+                      )} ${speakers.indexOf(segment.speakerId) % 2 ? "self-end" : "self-start"}`}
+                    >
+                      <div className="text-xs text-gray-500 mb-1">
+                        {speakerName(segment.speakerId)} · {toSeconds(segment.offsetMs)}s
+                        {segment.language && ` · ${segment.language}`}
+                      </div>
+                      {segment.text}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+            <p className="mb-2 text-sm text-gray-500">
+              Correct the text or timings before exporting. Times are in seconds.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="p-2 text-left">#</th>
+                    <th className="p-2 text-left">Start</th>
+                    <th className="p-2 text-left">End</th>
+                    {speakers.length > 0 && <th className="p-2 text-left">Speaker</th>}
+                    {detectedLanguages && <th className="p-2 text-left">Language</th>}
+                    <th className="p-2 text-left w-full">Text</th>
+                    <th className="p-2 text-left">Confidence</th>
+                    <th className="p-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {segments.map((segment, i) => (
+                    <tr key={i} className="border-t align-top">
+                      <td className="p-2">{i + 1}</td>
+                      <td className="p-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          className="w-24 border rounded px-2 py-1"
+                          // Applied on blur so typing isn't reformatted mid-edit
+                          key={`start-${segment.offsetMs}`}
+                          defaultValue={toSeconds(segment.offsetMs)}
+                          onBlur={(e) => updateSegmentTime(i, "start", e.target.value)}
+                          disabled={isRecognizing}
+                        />
+                      </td>
+                      <td className="p-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          className="w-24 border rounded px-2 py-1"
+                          // Applied on blur so typing isn't reformatted mid-edit
+                          key={`end-${segment.offsetMs + segment.durationMs}`}
+                          defaultValue={toSeconds(segment.offsetMs + segment.durationMs)}
+                          onBlur={(e) => updateSegmentTime(i, "end", e.target.value)}
+                          disabled={isRecognizing}
+                        />
+                      </td>
+                      {speakers.length > 0 && (
+                        <td className="p-2">
+                          <select
+                            className="border rounded px-2 py-1"
+                            value={segment.speakerId}
+                            onChange={(e) => updateSegment(i, { speakerId: e.target.value })}
+                            disabled={isRecognizing}
+                          >
+                            {speakers.map((id) => (
+                              <option key={id} value={id}>
+                                {speakerName(id)}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                      )}
+                      {detectedLanguages && <td className="p-2">{segment.language || "–"}</td>}
+                      <td className="p-2">
+                        <textarea
+                          className="w-full border rounded px-2 py-1"
+                          rows={2}
+                          value={segment.text}
+                          // Word timings and alternatives no longer match edited text
+                          onChange={(e) =>
+                            updateSegment(i, {
+                              text: e.target.value,
+                              words: undefined,
+                              alternatives: undefined,
+                            })
+                          }
+                          disabled={isRecognizing}
+                        />
+                      </td>
+                      <td className="p-2">
+                        {segment.confidence === null ? "–" : `${Math.round(segment.confidence * 100)}%`}
+                      </td>
+                      <td className="p-2">
+                        <Button
+                          size="sm"
+                          color="gray"
+                          onClick={() => removeSegment(i)}
+                          disabled={isRecognizing}
+                        >
+                          Remove
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex flex-wrap gap-2 mt-4">
+              {Object.entries(TRANSCRIPT_FORMATS).map(([format, { label }]) => (
+                <Button
+                  key={format}
+                  size="sm"
+                  onClick={() => exportTranscript(format)}
+                  disabled={isRecognizing}
+                >
+                  Export {label}
+                </Button>
+              ))}
+            </div>
+          </div>
+        )}
       </FeatureGuard>
     </div>
   );
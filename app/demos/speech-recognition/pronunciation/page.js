@@ -0,0 +1,441 @@
+"use client";
+
+import { useState, useRef, useEffect } from "react";
+import Link from "next/link";
+import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
+import Button from "@/app/components/Button";
+import PageHeader from "@/app/components/PageHeader";
+import SectionHeader from "@/app/components/SectionHeader";
+import Banner from "@/app/components/Banner";
+import FeatureGuard from "@/app/components/FeatureGuard";
+import ScoreChart from "@/app/components/ScoreChart";
+import {
+  countWordErrors,
+  parseAssessmentResult,
+  PHRASE_BANK,
+  PHRASE_LEVELS,
+  PRONUNCIATION_LIMITS,
+  PROSODY_LOCALES,
+} from "@/lib/pronunciation";
+
+const languageOptions = [
+  { value: "en-US", label: "English - US" },
+  { value: "es-ES", label: "Spanish - ES" },
+  { value: "fr-FR", label: "French - FR" },
+  { value: "de-DE", label: "German - DE" },
+];
+
+const scoreFields = [
+  { key: "pronunciation", label: "Overall", color: "#2563eb" },
+  { key: "accuracy", label: "Accuracy", color: "#16a34a" },
+  { key: "fluency", label: "Fluency", color: "#d97706" },
+  { key: "completeness", label: "Completeness", color: "#9333ea" },
+  { key: "prosody", label: "Prosody", color: "#db2777" },
+];
+
+const errorStyles = {
+  None: "",
+  Mispronunciation: "bg-amber-200",
+  Omission: "bg-gray-200 line-through text-gray-500",
+  Insertion: "bg-red-200",
+};
+
+// Phonemes scored below this are marked as mispronounced
+const PHONEME_ERROR_BELOW = 60;
+
+async function getToken() {
+  const res = await fetch("/api/token", { method: "POST" });
+  return await res.text();
+}
+async function getRegion() {
+  const res = await fetch("/api/region");
+  return await res.text();
+}
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  if (response.status === 204) return null;
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || "Request failed");
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+function scoreColor(score) {
+  if (score === null || score === undefined) return "text-gray-400";
+  if (score >= 80) return "text-green-600";
+  if (score >= 60) return "text-amber-600";
+  return "text-red-600";
+}
+
+const formatScore = (score) => (score === null || score === undefined ? "–" : Math.round(score));
+
+export default function PronunciationPractice() {
+  const [inputType, setInputType] = useState("Microphone");
+  const [audioFile, setAudioFile] = useState(null);
+  const [lang, setLang] = useState("en-US");
+  const [level, setLevel] = useState("beginner");
+  const [referenceText, setReferenceText] = useState(PHRASE_BANK["en-US"][0].text);
+  const [isAssessing, setIsAssessing] = useState(false);
+  const [assessment, setAssessment] = useState(null);
+  const [attempts, setAttempts] = useState([]);
+  const [signedIn, setSignedIn] = useState(false);
+  const [error, setError] = useState("");
+  const recoRef = useRef(null);
+
+  // The history doubles as the sign-in check: 401 means no history is kept
+  useEffect(() => {
+    request("/api/pronunciation")
+      .then((data) => {
+        setAttempts(data.attempts);
+        setSignedIn(true);
+      })
+      .catch((err) => {
+        if (err.status !== 401) setError(err.message);
+      });
+  }, []);
+
+  const bankPhrases = (PHRASE_BANK[lang] || []).filter((p) => p.level === level);
+  const trimmedText = referenceText.trim();
+  const textTooLong = trimmedText.length > PRONUNCIATION_LIMITS.referenceChars;
+
+  const saveAttempt = async (result) => {
+    try {
+      const attempt = await request("/api/pronunciation", {
+        method: "POST",
+        body: JSON.stringify({
+          referenceText: trimmedText,
+          lang,
+          ...result.scores,
+          words: result.words,
+        }),
+      });
+      setAttempts((prev) => [...prev, attempt].slice(-PRONUNCIATION_LIMITS.historyItems));
+    } catch (err) {
+      setError(`Could not save the attempt: ${err.message}`);
+    }
+  };
+
+  const handleResult = (result) => {
+    if (result.reason === SpeechSDK.ResultReason.NoMatch) {
+      setError("No speech was recognized. Read the text aloud and try again.");
+      return;
+    }
+    if (result.reason === SpeechSDK.ResultReason.Canceled) {
+      const details = SpeechSDK.CancellationDetails.fromResult(result);
+      setError(`Assessment canceled: ${details.errorDetails || SpeechSDK.CancellationReason[details.reason]}`);
+      return;
+    }
+    const parsed = parseAssessmentResult(result.json);
+    if (!parsed) {
+      setError("The service returned no pronunciation assessment for this recording.");
+      return;
+    }
+    setAssessment(parsed);
+    if (signedIn) saveAttempt(parsed);
+  };
+
+  const finish = () => {
+    recoRef.current?.close();
+    recoRef.current = null;
+    setIsAssessing(false);
+  };
+
+  const handleStart = async () => {
+    setError("");
+    setAssessment(null);
+    setIsAssessing(true);
+    const token = await getToken();
+    const region = await getRegion();
+    const audioConfig =
+      inputType === "File" && audioFile
+        ? SpeechSDK.AudioConfig.fromWavFileInput(audioFile)
+        : SpeechSDK.AudioConfig.fromDefaultMicrophoneInput();
+    const speechConfig = SpeechSDK.SpeechConfig.fromAuthorizationToken(token, region);
+    speechConfig.speechRecognitionLanguage = lang;
+    const reco = new SpeechSDK.SpeechRecognizer(speechConfig, audioConfig);
+    recoRef.current = reco;
+
+    // Miscue detection reports omitted and inserted words against the text
+    const assessmentConfig = new SpeechSDK.PronunciationAssessmentConfig(
+      trimmedText,
+      SpeechSDK.PronunciationAssessmentGradingSystem.HundredMark,
+      SpeechSDK.PronunciationAssessmentGranularity.Phoneme,
+      true
+    );
+    if (PROSODY_LOCALES.includes(lang)) assessmentConfig.enableProsodyAssessment = true;
+    assessmentConfig.applyTo(reco);
+
+    reco.recognizeOnceAsync(
+      (result) => {
+        finish();
+        handleResult(result);
+      },
+      (err) => {
+        finish();
+        setError(`Assessment failed: ${err}`);
+      }
+    );
+  };
+
+  const handleDelete = async (id) => {
+    setError("");
+    try {
+      await request(`/api/pronunciation/${id}`, { method: "DELETE" });
+      setAttempts((prev) => prev.filter((a) => a.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const errorCounts = assessment ? countWordErrors(assessment.words) : null;
+
+  return (
+    <div className="w-full max-w-5xl mx-auto bg-white rounded-lg">
+      <PageHeader>Pronunciation Practice</PageHeader>
+      <Banner />
+
+      <FeatureGuard>
+        <p className="mb-6 text-gray-600">
+          Read the reference text aloud to get accuracy, fluency, completeness and prosody
+          scores with word and phoneme feedback.{" "}
+          <Link href="/demos/speech-recognition" className="text-sky-600 underline">
+            Back to speech recognition
+          </Link>
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+          <div>
+            <label className="block mb-2 font-medium">Input</label>
+            <select
+              className="w-full border rounded px-3 py-2"
+              value={inputType}
+              onChange={(e) => setInputType(e.target.value)}
+              disabled={isAssessing}
+            >
+              <option>Microphone</option>
+              <option>File</option>
+            </select>
+            {inputType === "File" && (
+              <input
+                type="file"
+                accept="audio/wav"
+                className="mt-2"
+                onChange={(e) => setAudioFile(e.target.files[0])}
+                disabled={isAssessing}
+              />
+            )}
+          </div>
+          <div>
+            <label className="block mb-2 font-medium">Language</label>
+            <select
+              className="w-full border rounded px-3 py-2"
+              value={lang}
+              onChange={(e) => {
+                setLang(e.target.value);
+                const first = PHRASE_BANK[e.target.value]?.find((p) => p.level === level);
+                if (first) setReferenceText(first.text);
+              }}
+              disabled={isAssessing}
+            >
+              {languageOptions.map((opt) => (
+                <option key={opt.value} value={opt.value}>
+                  {opt.label}
+                </option>
+              ))}
+            </select>
+            {!PROSODY_LOCALES.includes(lang) && (
+              <p className="mt-1 text-sm text-gray-500">Prosody is only scored for English - US.</p>
+            )}
+          </div>
+          <div>
+            <label className="block mb-2 font-medium">Phrase bank level</label>
+            <select
+              className="w-full border rounded px-3 py-2 capitalize"
+              value={level}
+              onChange={(e) => setLevel(e.target.value)}
+              disabled={isAssessing}
+            >
+              {PHRASE_LEVELS.map((l) => (
+                <option key={l} value={l}>
+                  {l}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="mb-6">
+          <label htmlFor="referenceText" className="block mb-2 font-medium">
+            Reference text
+          </label>
+          <textarea
+            id="referenceText"
+            className="w-full border rounded p-2 min-h-[80px]"
+            value={referenceText}
+            onChange={(e) => setReferenceText(e.target.value)}
+            disabled={isAssessing}
+          />
+          <p className={`text-sm ${textTooLong ? "text-red-600" : "text-gray-500"}`}>
+            {trimmedText.length}/{PRONUNCIATION_LIMITS.referenceChars} characters, read in one go
+          </p>
+          {bankPhrases.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-2">
+              {bankPhrases.map((phrase) => (
+                <button
+                  key={phrase.text}
+                  type="button"
+                  className={`text-sm border rounded-full px-3 py-1 ${
+                    phrase.text === referenceText ? "bg-blue-50 border-blue-300" : "hover:bg-gray-50"
+                  }`}
+                  onClick={() => setReferenceText(phrase.text)}
+                  disabled={isAssessing}
+                >
+                  {phrase.text}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex gap-1 mb-6">
+          <Button
+            onClick={handleStart}
+            disabled={
+              isAssessing || !trimmedText || textTooLong || (inputType === "File" && !audioFile)
+            }
+          >
+            {isAssessing ? "Listening..." : "Start reading"}
+          </Button>
+          <Button color="gray" onClick={finish} disabled={!isAssessing}>
+            Stop
+          </Button>
+        </div>
+
+        {error && <p className="mb-6 text-red-600">{error}</p>}
+
+        {assessment && (
+          <div className="mb-8">
+            <SectionHeader>Scores</SectionHeader>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+              {scoreFields.map(({ key, label }) => (
+                <div key={key} className="border rounded p-3 text-center">
+                  <div className="text-sm text-gray-500">{label}</div>
+                  <div className={`text-3xl font-semibold ${scoreColor(assessment.scores[key])}`}>
+                    {formatScore(assessment.scores[key])}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <p className="mb-2 text-sm text-gray-600">
+              Heard: <span className="italic">{assessment.recognizedText || "–"}</span>
+            </p>
+            <div className="flex flex-wrap gap-4 mb-3 text-sm">
+              {["Mispronunciation", "Omission", "Insertion"].map((type) => (
+                <span key={type} className="flex items-center gap-1">
+                  <span className={`inline-block px-2 rounded ${errorStyles[type]}`}>{type}</span>
+                  {errorCounts[type]}
+                </span>
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-3 border rounded p-3">
+              {assessment.words.map((word, i) => (
+                <div key={i} className="flex flex-col items-center">
+                  <span
+                    className={`px-1 rounded text-lg ${errorStyles[word.errorType]}`}
+                    title={`${word.errorType === "None" ? "Correct" : word.errorType} · accuracy ${formatScore(
+                      word.accuracy
+                    )}`}
+                  >
+                    {word.word}
+                  </span>
+                  <span className={`text-xs ${scoreColor(word.accuracy)}`}>
+                    {formatScore(word.accuracy)}
+                  </span>
+                  {word.phonemes.length > 0 && (
+                    <div className="flex gap-0.5 mt-1">
+                      {word.phonemes.map((phoneme, j) => (
+                        <span
+                          key={j}
+                          className={`text-xs px-1 rounded ${
+                            phoneme.accuracy !== null && phoneme.accuracy < PHONEME_ERROR_BELOW
+                              ? "bg-red-100 text-red-700"
+                              : "bg-gray-100 text-gray-600"
+                          }`}
+                          title={`/${phoneme.phoneme}/ accuracy ${formatScore(phoneme.accuracy)}`}
+                        >
+                          {phoneme.phoneme}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              Phonemes scored below {PHONEME_ERROR_BELOW} are marked in red.
+            </p>
+          </div>
+        )}
+
+        <SectionHeader>History</SectionHeader>
+        {!signedIn ? (
+          <p className="text-gray-500">Sign in to keep a history of your attempts and track progress.</p>
+        ) : attempts.length === 0 ? (
+          <p className="text-gray-500">No attempts yet.</p>
+        ) : (
+          <>
+            <div className="mb-6">
+              <ScoreChart points={attempts} series={scoreFields} />
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="p-2 text-left">Date</th>
+                    <th className="p-2 text-left">Text</th>
+                    {scoreFields.map(({ key, label }) => (
+                      <th key={key} className="p-2 text-right">
+                        {label}
+                      </th>
+                    ))}
+                    <th className="p-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...attempts].reverse().map((attempt) => (
+                    <tr key={attempt.id} className="border-t">
+                      <td className="p-2 whitespace-nowrap">
+                        {new Date(attempt.createdAt).toLocaleString()}
+                      </td>
+                      <td className="p-2">
+                        <span className="text-gray-500">[{attempt.lang}]</span> {attempt.referenceText}
+                      </td>
+                      {scoreFields.map(({ key }) => (
+                        <td key={key} className={`p-2 text-right ${scoreColor(attempt[key])}`}>
+                          {formatScore(attempt[key])}
+                        </td>
+                      ))}
+                      <td className="p-2">
+                        <Button size="sm" color="gray" onClick={() => handleDelete(attempt.id)}>
+                          Delete
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </FeatureGuard>
+    </div>
+  );
+}
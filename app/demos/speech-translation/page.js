@@ -1,11 +1,25 @@
 "use client";
-import { useState, useRef, useEffect } from "react";
+import { useState, useRef, useEffect, useMemo } from "react";
 import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
 import Button from "@/app/components/Button";
 import PageHeader from "@/app/components/PageHeader";
 import SectionHeader from "@/app/components/SectionHeader";
 import Banner from "@/app/components/Banner";
 import FeatureGuard from "@/app/components/FeatureGuard";
+import LanguageDetectionSettings from "@/app/components/LanguageDetectionSettings";
+import { DEFAULT_STYLE, filterVoices } from "@/lib/voices";
+import {
+  PROSODY_LIMITS,
+  STYLE_DEGREE_LIMITS,
+  validateVoiceSettings,
+} from "@/lib/voice-settings";
+import { buildDubTrack, createPlaybackQueue, DUB_FORMAT } from "@/lib/dubbing";
+import {
+  createAutoDetectConfig,
+  detectedLanguage,
+  isSameLanguage,
+  validateLanguageDetection,
+} from "@/lib/language-detection";
 
 const languageOptions = [
   { value: "en-US", label: "English - US" },
@@ -17,6 +31,9 @@ const languageOptions = [
   { value: "es-ES", label: "Spanish - ES" },
 ];
 
+// Select value for automatic language identification
+const AUTO_DETECT = "auto";
+
 async function getToken() {
   const res = await fetch("/api/token", { method: "POST" });
   return await res.text();
@@ -26,16 +43,208 @@ async function getRegion() {
   return await res.text();
 }
 
+const prosodyControls = [
+  { key: "rate", label: "Rate" },
+  { key: "pitch", label: "Pitch" },
+  { key: "volume", label: "Volume" },
+];
+
+const defaultDubSettings = {
+  voice: "",
+  style: DEFAULT_STYLE,
+  styledegree: 1,
+  rate: 0,
+  pitch: 0,
+  volume: 0,
+};
+
+// The settings the text-to-speech route takes for a phrase
+function toVoiceSettings(settings) {
+  return {
+    voice: settings.voice,
+    style: settings.style,
+    styledegree: settings.style === DEFAULT_STYLE ? undefined : settings.styledegree,
+    rate: settings.rate,
+    pitch: settings.pitch,
+    volume: settings.volume,
+  };
+}
+
+async function synthesizePhrase(text, lang, settings) {
+  const response = await fetch("/api/text-to-speech", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text, lang, format: DUB_FORMAT, ...toVoiceSettings(settings) }),
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || "Failed to synthesize the translation");
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Voice, style and prosody used to speak translations into one language
+ */
+function DubVoiceSettings({ lang, voices, settings, onChange, disabled }) {
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const voice = voices.find((v) => v.name === settings.voice);
+  const errors = voice ? validateVoiceSettings(toVoiceSettings(settings), voice) : [];
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+      <label className="block">
+        Voice for {lang}
+        <select
+          className="mt-1 w-full border rounded px-2 py-1"
+          value={settings.voice}
+          onChange={(e) => update({ voice: e.target.value, style: DEFAULT_STYLE })}
+          disabled={disabled}
+        >
+          {voices.map((v) => (
+            <option key={v.name} value={v.name}>
+              {v.localName} ({v.gender}, {v.type})
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="block">
+        Style
+        <select
+          className="mt-1 w-full border rounded px-2 py-1"
+          value={settings.style}
+          onChange={(e) => update({ style: e.target.value })}
+          disabled={disabled}
+        >
+          {(voice?.styles || [DEFAULT_STYLE]).map((style) => (
+            <option key={style} value={style}>
+              {style}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="block">
+        Style degree: {Number(settings.styledegree).toFixed(2)}
+        <input
+          type="range"
+          className="w-full"
+          min={STYLE_DEGREE_LIMITS.min}
+          max={STYLE_DEGREE_LIMITS.max}
+          step={0.01}
+          value={settings.styledegree}
+          onChange={(e) => update({ styledegree: Number(e.target.value) })}
+          disabled={disabled || settings.style === DEFAULT_STYLE}
+        />
+      </label>
+      {prosodyControls.map(({ key, label }) => (
+        <label key={key} className="block">
+          {label}: {settings[key] > 0 ? "+" : ""}
+          {settings[key]}%
+          <input
+            type="range"
+            className="w-full"
+            min={PROSODY_LIMITS[key].min}
+            max={PROSODY_LIMITS[key].max}
+            step={1}
+            value={settings[key]}
+            onChange={(e) => update({ [key]: Number(e.target.value) })}
+            disabled={disabled}
+          />
+        </label>
+      ))}
+      {errors.length > 0 && (
+        <ul className="md:col-span-3 text-red-600 list-disc pl-5">
+          {errors.map((msg) => (
+            <li key={msg}>{msg}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 export default function SpeechTranslation() {
   const [inputType, setInputType] = useState("Microphone");
   const [inputLang, setInputLang] = useState(languageOptions[0].value);
   const [outputLang, setOutputLang] = useState(languageOptions[1].value);
+  const [candidateLangs, setCandidateLangs] = useState(["en-US", "zh-CN"]);
+  const [detectionMode, setDetectionMode] = useState("AtStart");
   const [audioFile, setAudioFile] = useState(null);
   const [results, setResults] = useState("");
   const [events, setEvents] = useState("");
   const [isTranslating, setIsTranslating] = useState(false);
   const [isContinuous, setIsContinuous] = useState(false);
+  const [voices, setVoices] = useState([]);
+  const [speakTranslations, setSpeakTranslations] = useState(false);
+  const [dubSettingsByLang, setDubSettingsByLang] = useState({});
+  const [phrases, setPhrases] = useState([]);
+  const [playingUrl, setPlayingUrl] = useState(null);
+  const [alignDub, setAlignDub] = useState(true);
   const recoRef = useRef(null);
+  const queueRef = useRef(null);
+  const phraseUrlsRef = useRef([]);
+  // Bumped on every start, so late results from an earlier session are dropped
+  const sessionRef = useRef(0);
+
+  useEffect(() => {
+    fetch("/api/voices")
+      .then((res) => (res.ok ? res.json() : { voices: [] }))
+      .then((data) => setVoices(data.voices))
+      .catch(() => {});
+    return () => {
+      queueRef.current?.clear();
+      phraseUrlsRef.current.forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, []);
+
+  const outputVoices = useMemo(
+    () => filterVoices(voices, { locale: outputLang }),
+    [voices, outputLang]
+  );
+  // Each target language keeps its own voice; the first one is the default
+  const dubSettings = dubSettingsByLang[outputLang] || {
+    ...defaultDubSettings,
+    voice: outputVoices[0]?.name || "",
+  };
+  const dubVoice = outputVoices.find((v) => v.name === dubSettings.voice);
+  const dubErrors = dubVoice ? validateVoiceSettings(toVoiceSettings(dubSettings), dubVoice) : [];
+  const canDub = !!dubVoice && dubErrors.length === 0;
+
+  const updatePhrase = (id, changes) =>
+    setPhrases((prev) => prev.map((p) => (p.id === id ? { ...p, ...changes } : p)));
+
+  // Synthesizes a translated phrase and queues it behind the ones before it
+  const dubPhrase = (phrase, lang, settings) => {
+    const clip = synthesizePhrase(phrase.translation, lang, settings).then(
+      (audio) => {
+        if (phrase.session !== sessionRef.current) return null;
+        const url = URL.createObjectURL(new Blob([audio], { type: "audio/wav" }));
+        phraseUrlsRef.current.push(url);
+        updatePhrase(phrase.id, { status: "ready", audio, url });
+        return url;
+      },
+      (err) => {
+        if (phrase.session !== sessionRef.current) return null;
+        updatePhrase(phrase.id, { status: "error", error: err.message });
+        return null;
+      }
+    );
+    queueRef.current.enqueue(clip);
+  };
+
+  const exportDub = () => {
+    const clips = phrases
+      .filter((p) => p.audio)
+      .map((p) => ({ audio: p.audio, sourceOffsetMs: p.offsetMs }));
+    const url = URL.createObjectURL(
+      new Blob([buildDubTrack(clips, alignDub)], { type: "audio/wav" })
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `dub-${outputLang}-${Date.now()}.wav`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
 
   // Ensure inputLang and outputLang are never the same
   useEffect(() => {
@@ -46,6 +255,9 @@ export default function SpeechTranslation() {
     }
   }, [inputLang, outputLang]);
 
+  const autoDetect = inputLang === AUTO_DETECT;
+  const detectionErrors = autoDetect ? validateLanguageDetection(candidateLangs, detectionMode) : [];
+
   const filteredOutputOptions = languageOptions.filter(
     (opt) => opt.value !== inputLang
   );
@@ -58,6 +270,15 @@ export default function SpeechTranslation() {
     setIsContinuous(continuous);
     setResults("");
     setEvents("");
+    queueRef.current?.clear();
+    phraseUrlsRef.current.forEach((url) => URL.revokeObjectURL(url));
+    phraseUrlsRef.current = [];
+    setPhrases([]);
+    // Settings are fixed for the session; the controls are locked meanwhile
+    const dub = speakTranslations && canDub ? { lang: outputLang, settings: dubSettings } : null;
+    if (dub) queueRef.current = createPlaybackQueue(setPlayingUrl);
+    const session = ++sessionRef.current;
+    let phraseCount = 0;
     const token = await getToken();
     const region = await getRegion();
     let audioConfig;
@@ -68,9 +289,15 @@ export default function SpeechTranslation() {
     }
     const speechConfig =
       SpeechSDK.SpeechTranslationConfig.fromAuthorizationToken(token, region);
-    speechConfig.speechRecognitionLanguage = inputLang;
+    if (!autoDetect) speechConfig.speechRecognitionLanguage = inputLang;
     speechConfig.addTargetLanguage(outputLang);
-    const reco = new SpeechSDK.TranslationRecognizer(speechConfig, audioConfig);
+    const reco = autoDetect
+      ? SpeechSDK.TranslationRecognizer.FromConfig(
+          speechConfig,
+          createAutoDetectConfig(candidateLangs, detectionMode),
+          audioConfig
+        )
+      : new SpeechSDK.TranslationRecognizer(speechConfig, audioConfig);
     recoRef.current = reco;
     let lastRecognized = "";
     reco.recognizing = (s, e) => {
@@ -95,14 +322,44 @@ export default function SpeechTranslation() {
           prev +
           `(recognized) Reason: ${
             SpeechSDK.ResultReason[e.result.reason]
-          } Text: ${
+          }${autoDetect ? ` Language: ${detectedLanguage(e.result)}` : ""} Text: ${
             e.result.text
           } Translations: [${outputLang}] ${e.result.translations.get(
             outputLang
           )}\n`
       );
-      lastRecognized += (e.result.translations.get(outputLang) || "") + "\n";
+      const language = autoDetect ? detectedLanguage(e.result) : undefined;
+      // Speech already in the target language is shown as spoken, not translated
+      if (isSameLanguage(language, outputLang)) {
+        if (e.result.text) {
+          lastRecognized += `[${language}] ${e.result.text} (not translated)\n`;
+          setResults(lastRecognized);
+        }
+        return;
+      }
+      const translation = e.result.translations.get(outputLang) || "";
+      lastRecognized += (language && translation ? `[${language}] ` : "") + translation + "\n";
       setResults(lastRecognized);
+      if (
+        dub &&
+        e.result.reason === SpeechSDK.ResultReason.TranslatedSpeech &&
+        translation.trim()
+      ) {
+        if (session !== sessionRef.current) return;
+        const phrase = {
+          // Unique across sessions so a late update can't land on a new phrase
+          id: `${session}-${phraseCount++}`,
+          session,
+          source: e.result.text,
+          language,
+          translation,
+          // Result offsets are in 100 ns ticks
+          offsetMs: Math.round(e.result.offset / 10000),
+          status: "synthesizing",
+        };
+        setPhrases((prev) => [...prev, phrase]);
+        dubPhrase(phrase, dub.lang, dub.settings);
+      }
     };
     reco.canceled = (s, e) => {
       setEvents(
@@ -200,7 +457,23 @@ export default function SpeechTranslation() {
                 {opt.label}
               </option>
             ))}
+            <option value={AUTO_DETECT}>Auto-detect</option>
           </select>
+          {autoDetect && (
+            <>
+              <LanguageDetectionSettings
+                languages={languageOptions}
+                candidates={candidateLangs}
+                onCandidatesChange={setCandidateLangs}
+                mode={detectionMode}
+                onModeChange={setDetectionMode}
+                disabled={isTranslating}
+              />
+              <p className="mt-1 text-sm text-gray-500">
+                Phrases detected in the output language are not translated.
+              </p>
+            </>
+          )}
         </div>
         <div>
           <label className="block mb-2 font-medium">Output language</label>
@@ -218,6 +491,36 @@ export default function SpeechTranslation() {
           </select>
         </div>
       </div>
+      <div className="mb-8">
+        <label className="inline-flex items-center gap-2 font-medium">
+          <input
+            type="checkbox"
+            checked={speakTranslations}
+            onChange={(e) => setSpeakTranslations(e.target.checked)}
+            disabled={isTranslating}
+          />
+          Speak the translation (re-voice each phrase with a neural voice)
+        </label>
+        {speakTranslations && (
+          <div className="mt-3 ml-6">
+            {outputVoices.length ? (
+              <DubVoiceSettings
+                lang={outputLang}
+                voices={outputVoices}
+                settings={dubSettings}
+                onChange={(settings) =>
+                  setDubSettingsByLang((prev) => ({ ...prev, [outputLang]: settings }))
+                }
+                disabled={isTranslating}
+              />
+            ) : (
+              <p className="text-sm text-gray-500">
+                {voices.length ? `No voices are available for ${outputLang}.` : "Loading voices..."}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
       <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-8">
         <div>
           <SectionHeader>Once Speech Translation</SectionHeader>
@@ -225,7 +528,9 @@ export default function SpeechTranslation() {
             <Button
               color="blue"
               onClick={() => handleStart(false)}
-              disabled={isTranslating || (inputType === "File" && !audioFile)}
+              disabled={
+                isTranslating || detectionErrors.length > 0 || (inputType === "File" && !audioFile)
+              }
             >
               start
             </Button>
@@ -240,7 +545,9 @@ export default function SpeechTranslation() {
             <Button
               color="blue"
               onClick={() => handleStart(true)}
-              disabled={isTranslating || (inputType === "File" && !audioFile)}
+              disabled={
+                isTranslating || detectionErrors.length > 0 || (inputType === "File" && !audioFile)
+              }
             >
               start
             </Button>
@@ -268,6 +575,83 @@ export default function SpeechTranslation() {
           />
         </div>
         </div>
+        {phrases.length > 0 && (
+          <div className="mt-8">
+            <SectionHeader>Dubbed phrases</SectionHeader>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1">At</th>
+                  <th className="py-1">Recognized</th>
+                  <th className="py-1">Translation</th>
+                  <th className="py-1">Audio</th>
+                </tr>
+              </thead>
+              <tbody>
+                {phrases.map((phrase) => (
+                  <tr
+                    key={phrase.id}
+                    className={`border-t ${phrase.url && phrase.url === playingUrl ? "bg-sky-50" : ""}`}
+                  >
+                    <td className="py-1 pr-2 font-mono">
+                      {(phrase.offsetMs / 1000).toFixed(1)}s
+                    </td>
+                    <td className="py-1 pr-2">
+                      {phrase.language && (
+                        <span className="mr-1 text-gray-500">[{phrase.language}]</span>
+                      )}
+                      {phrase.source}
+                    </td>
+                    <td className="py-1 pr-2">{phrase.translation}</td>
+                    <td className="py-1">
+                      {phrase.status === "synthesizing" && (
+                        <span className="text-gray-500">Synthesizing...</span>
+                      )}
+                      {phrase.status === "error" && (
+                        <span className="text-red-600">{phrase.error}</span>
+                      )}
+                      {phrase.url && (
+                        <button
+                          type="button"
+                          className="text-sky-600 underline"
+                          onClick={() => queueRef.current?.enqueue(Promise.resolve(phrase.url))}
+                        >
+                          Replay
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex flex-wrap items-center gap-4 mt-4 text-sm">
+              <Button
+                color="gray"
+                size="sm"
+                onClick={() => queueRef.current?.clear()}
+                disabled={!playingUrl}
+              >
+                Stop playback
+              </Button>
+              <Button
+                color="blue"
+                size="sm"
+                onClick={exportDub}
+                disabled={!phrases.some((p) => p.audio)}
+              >
+                Export dubbed audio (.wav)
+              </Button>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={alignDub}
+                  onChange={(e) => setAlignDub(e.target.checked)}
+                />
+                Place phrases at their original timing
+              </label>
+            </div>
+          </div>
+        )}
       </FeatureGuard>
     </div>
   );
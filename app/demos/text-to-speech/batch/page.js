@@ -0,0 +1,424 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import Link from "next/link";
+import Button from "@/app/components/Button";
+import PageHeader from "@/app/components/PageHeader";
+import SectionHeader from "@/app/components/SectionHeader";
+import Banner from "@/app/components/Banner";
+import FeatureGuard from "@/app/components/FeatureGuard";
+import { AUDIO_FORMATS, DEFAULT_AUDIO_FORMAT } from "@/lib/audio-formats";
+import { MAX_BATCH_ROWS, detectBatchFileKind, parseBatchFile } from "@/lib/batch-input";
+import { DEFAULT_VOICE } from "@/lib/ssml";
+
+const POLL_INTERVAL_MS = 2000;
+
+const statusLabels = {
+  queued: "Queued",
+  running: "Running",
+  completed: "Completed",
+  completed_with_errors: "Completed with errors",
+  failed: "Failed",
+  pending: "Pending",
+  done: "Done",
+};
+
+const statusColors = {
+  done: "text-green-700",
+  completed: "text-green-700",
+  failed: "text-red-600",
+  completed_with_errors: "text-amber-600",
+};
+
+const SAMPLE_CSV = `id,text,voice,style
+intro,Welcome to the product tour.,,
+step-1,"Open the settings page, then choose Profile.",en-US-GuyNeural,
+step-2,Great job! You're all set.,,cheerful
+`;
+
+async function request(url, options = {}) {
+  const response = await fetch(url, options);
+  if (response.status === 204) return null;
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const err = new Error(data.error || "Request failed");
+    err.details = data.details;
+    throw err;
+  }
+  return data;
+}
+
+function isActive(job) {
+  return job && (job.status === "queued" || job.status === "running");
+}
+
+function ProgressBar({ job }) {
+  const completed = (job.completed / job.total) * 100;
+  const failed = (job.failed / job.total) * 100;
+  return (
+    <div className="w-full h-3 bg-gray-200 rounded overflow-hidden flex" aria-hidden>
+      <div className="bg-green-500" style={{ width: `${completed}%` }} />
+      <div className="bg-red-500" style={{ width: `${failed}%` }} />
+    </div>
+  );
+}
+
+export default function BatchSynthesis() {
+  const [voices, setVoices] = useState([]);
+  const [defaults, setDefaults] = useState({
+    voice: DEFAULT_VOICE,
+    format: DEFAULT_AUDIO_FORMAT,
+  });
+  const [file, setFile] = useState(null);
+  const [name, setName] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [uploadErrors, setUploadErrors] = useState([]);
+  const [jobs, setJobs] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadJobs = useCallback(async () => {
+    try {
+      const data = await request("/api/text-to-speech/batch");
+      setJobs(data.jobs);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const openJob = useCallback(async (id) => {
+    try {
+      setSelected(await request(`/api/text-to-speech/batch/${id}`));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadJobs();
+    fetch("/api/voices")
+      .then((res) => (res.ok ? res.json() : { voices: [] }))
+      .then((data) => setVoices(data.voices))
+      .catch(() => {});
+  }, [loadJobs]);
+
+  // Poll the open job until every row has finished
+  const selectedId = selected?.id;
+  const selectedActive = isActive(selected);
+  useEffect(() => {
+    if (!selectedId || !selectedActive) return;
+    const timer = setTimeout(async () => {
+      await openJob(selectedId);
+      await loadJobs();
+    }, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [selectedId, selectedActive, selected, openJob, loadJobs]);
+
+  // Parse locally as soon as a file is picked, so mistakes show before upload
+  useEffect(() => {
+    if (!file) {
+      setPreview(null);
+      return;
+    }
+    let cancelled = false;
+    file.text().then((content) => {
+      if (cancelled) return;
+      setPreview(parseBatchFile(content, detectBatchFileKind(file.name, content), defaults));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [file, defaults]);
+
+  const handleFileChange = (e) => {
+    const picked = e.target.files[0] || null;
+    setFile(picked);
+    setUploadErrors([]);
+    if (picked && !name) setName(picked.name.replace(/\.[^.]+$/, ""));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setUploadErrors([]);
+    setSubmitting(true);
+
+    const form = new FormData();
+    form.append("file", file);
+    form.append("name", name);
+    form.append("voice", defaults.voice);
+    form.append("format", defaults.format);
+
+    try {
+      const job = await request("/api/text-to-speech/batch", { method: "POST", body: form });
+      setFile(null);
+      setName("");
+      e.target.reset();
+      await loadJobs();
+      await openJob(job.id);
+    } catch (err) {
+      setError(err.message);
+      setUploadErrors(err.details || []);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRetry = async (itemIds) => {
+    setError("");
+    try {
+      await request(`/api/text-to-speech/batch/${selected.id}/retry`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ itemIds }),
+      });
+      await openJob(selected.id);
+      await loadJobs();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete the job "${selected.name}" and its audio?`)) return;
+    setError("");
+    try {
+      await request(`/api/text-to-speech/batch/${selected.id}`, { method: "DELETE" });
+      setSelected(null);
+      await loadJobs();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const downloadSample = () => {
+    const url = URL.createObjectURL(new Blob([SAMPLE_CSV], { type: "text/csv" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "batch-sample.csv";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const previewErrors = preview ? preview.errors : [];
+  const failedCount = selected ? selected.items.filter((i) => i.status === "failed").length : 0;
+
+  return (
+    <div className="w-full max-w-4xl mx-auto mt-12 bg-white rounded-lg">
+      <PageHeader>Batch Speech Synthesis</PageHeader>
+      <Banner />
+      <FeatureGuard>
+        <p className="mb-6 text-gray-600">
+          Upload a CSV with a header row or a JSONL file (one object per line)
+          with <code>id</code> and <code>text</code> for each clip, and
+          optionally <code>voice</code>, <code>style</code> and{" "}
+          <code>format</code>. Up to {MAX_BATCH_ROWS} rows per file; the audio
+          comes back as a ZIP named by row id. For a single clip use the{" "}
+          <Link href="/demos/text-to-speech" className="underline">
+            text-to-speech demo
+          </Link>
+          .{" "}
+          <button type="button" className="text-sky-600 underline" onClick={downloadSample}>
+            Download a sample CSV
+          </button>
+        </p>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="batchFile" className="block mb-2 font-medium">
+                File
+              </label>
+              <input
+                id="batchFile"
+                type="file"
+                accept=".csv,.jsonl,.json,text/csv,application/jsonl"
+                onChange={handleFileChange}
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="jobName" className="block mb-2 font-medium">
+                Job name
+              </label>
+              <input
+                id="jobName"
+                className="w-full border rounded px-3 py-2"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={100}
+              />
+            </div>
+            <div>
+              <label htmlFor="defaultVoice" className="block mb-2 font-medium">
+                Default voice
+              </label>
+              <select
+                id="defaultVoice"
+                className="w-full border rounded px-3 py-2"
+                value={defaults.voice}
+                onChange={(e) => setDefaults({ ...defaults, voice: e.target.value })}
+              >
+                {(voices.length ? voices : [{ name: DEFAULT_VOICE, displayName: DEFAULT_VOICE }]).map(
+                  (v) => (
+                    <option key={v.name} value={v.name}>
+                      {v.locale ? `${v.displayName} (${v.locale})` : v.displayName}
+                    </option>
+                  )
+                )}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="defaultFormat" className="block mb-2 font-medium">
+                Default output format
+              </label>
+              <select
+                id="defaultFormat"
+                className="w-full border rounded px-3 py-2"
+                value={defaults.format}
+                onChange={(e) => setDefaults({ ...defaults, format: e.target.value })}
+              >
+                {AUDIO_FORMATS.map((f) => (
+                  <option key={f.id} value={f.id}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {preview && (
+            <p className="text-sm text-gray-600">
+              {preview.rows.length} rows found
+              {previewErrors.length > 0 && `, ${previewErrors.length} problems`}.
+            </p>
+          )}
+          {[...previewErrors, ...uploadErrors].map((err, i) => (
+            <p key={i} className="text-sm text-red-600">
+              Line {err.line}: {err.message}
+            </p>
+          ))}
+          <Button
+            type="submit"
+            disabled={!file || submitting || previewErrors.length > 0}
+          >
+            {submitting ? "Uploading..." : "Start batch"}
+          </Button>
+        </form>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-8 mt-10">
+          <div>
+            <SectionHeader>Your jobs</SectionHeader>
+            <ul className="mt-4 space-y-1">
+              {jobs.map((job) => (
+                <li key={job.id}>
+                  <button
+                    type="button"
+                    className={`w-full text-left px-2 py-1 rounded ${
+                      selected?.id === job.id ? "bg-sky-100" : "hover:bg-gray-100"
+                    }`}
+                    onClick={() => openJob(job.id)}
+                  >
+                    {job.name}
+                    <span className={`ml-2 text-sm ${statusColors[job.status] || "text-gray-500"}`}>
+                      {job.completed + job.failed}/{job.total} · {statusLabels[job.status]}
+                    </span>
+                  </button>
+                </li>
+              ))}
+              {jobs.length === 0 && (
+                <li className="text-sm text-gray-500">No jobs yet.</li>
+              )}
+            </ul>
+          </div>
+          <div className="md:col-span-2">
+            {selected ? (
+              <>
+                <div className="flex items-center justify-between">
+                  <SectionHeader>{selected.name}</SectionHeader>
+                  <div className="flex gap-3">
+                    {selected.completed > 0 && (
+                      <a
+                        href={`/api/text-to-speech/batch/${selected.id}/download`}
+                        className="text-sm text-sky-600 underline"
+                      >
+                        Download ZIP
+                      </a>
+                    )}
+                    {failedCount > 0 && !isActive(selected) && (
+                      <button
+                        type="button"
+                        className="text-sm text-sky-600 underline"
+                        onClick={() => handleRetry()}
+                      >
+                        Retry {failedCount} failed
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="text-sm text-red-600 underline"
+                      onClick={handleDelete}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                <div className="mt-4">
+                  <ProgressBar job={selected} />
+                  <p className="mt-1 text-sm text-gray-600">
+                    {statusLabels[selected.status]}: {selected.completed} done,{" "}
+                    {selected.failed} failed, {selected.total} total
+                  </p>
+                </div>
+                <table className="w-full mt-4 text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="py-1">Id</th>
+                      <th className="py-1">Voice</th>
+                      <th className="py-1">Status</th>
+                      <th className="py-1">Attempts</th>
+                      <th className="py-1" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selected.items.map((item) => (
+                      <tr key={item.id} className="border-t align-top">
+                        <td className="py-1 pr-2" title={item.text}>
+                          {item.rowId}
+                        </td>
+                        <td className="py-1 pr-2">
+                          {item.voice}
+                          {item.style !== "neutral" && ` (${item.style})`}
+                        </td>
+                        <td className={`py-1 pr-2 ${statusColors[item.status] || ""}`}>
+                          {statusLabels[item.status]}
+                          {item.error && (
+                            <p className="text-xs text-red-600">{item.error}</p>
+                          )}
+                        </td>
+                        <td className="py-1 pr-2">{item.attempts}</td>
+                        <td className="py-1 text-right">
+                          {item.status === "failed" && (
+                            <button
+                              type="button"
+                              className="text-sky-600 underline"
+                              onClick={() => handleRetry([item.id])}
+                            >
+                              Retry
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            ) : (
+              <p className="text-gray-500">Select a job to see its progress.</p>
+            )}
+          </div>
+        </div>
+        {error && <div className="mt-6 text-red-600 font-semibold">{error}</div>}
+      </FeatureGuard>
+    </div>
+  );
+}
@@ -0,0 +1,654 @@
+"use client";
+
+import { useState, useRef, useEffect, useMemo, useCallback } from "react";
+import Link from "next/link";
+import Button from "@/app/components/Button";
+import PageHeader from "@/app/components/PageHeader";
+import SectionHeader from "@/app/components/SectionHeader";
+import Banner from "@/app/components/Banner";
+import FeatureGuard from "@/app/components/FeatureGuard";
+import { DEFAULT_STYLE, filterVoices, listLocales } from "@/lib/voices";
+import { AUDIO_FORMATS, DEFAULT_AUDIO_FORMAT } from "@/lib/audio-formats";
+import {
+  PROSODY_LIMITS,
+  STYLE_DEGREE_LIMITS,
+  validateVoiceSettings,
+} from "@/lib/voice-settings";
+import { COMPARISON_LIMITS, describeCombination } from "@/lib/voice-comparison";
+
+const prosodyControls = [
+  { key: "rate", label: "Rate" },
+  { key: "pitch", label: "Pitch" },
+  { key: "volume", label: "Volume" },
+];
+
+let nextKey = 0;
+
+function newCombination(voice, changes = {}) {
+  return {
+    key: nextKey++,
+    voice,
+    style: DEFAULT_STYLE,
+    styledegree: 1,
+    role: "",
+    rate: 0,
+    pitch: 0,
+    volume: 0,
+    starred: false,
+    ...changes,
+  };
+}
+
+// The settings the API takes for one combination
+function toVoiceSettings(combination) {
+  return {
+    voice: combination.voice,
+    style: combination.style,
+    styledegree: combination.style === DEFAULT_STYLE ? undefined : combination.styledegree,
+    role: combination.role || undefined,
+    rate: combination.rate,
+    pitch: combination.pitch,
+    volume: combination.volume,
+  };
+}
+
+// What a save stores, to tell whether the board has unsaved changes
+function boardSnapshot({ title, text, lang, format, combinations }) {
+  return JSON.stringify({
+    title: title.trim(),
+    text,
+    lang,
+    format,
+    combinations: combinations.map((c) => ({ ...toVoiceSettings(c), starred: c.starred })),
+  });
+}
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  if (response.status === 204) return null;
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || "Request failed");
+  }
+  return data;
+}
+
+/**
+ * Voice, style, role and prosody for one column of the board
+ */
+function CombinationEditor({ index, combination, voices, onChange, onRemove }) {
+  const update = (changes) => onChange({ ...combination, ...changes });
+  const voice = voices.find((v) => v.name === combination.voice);
+  const errors = voice ? validateVoiceSettings(toVoiceSettings(combination), voice) : [];
+
+  return (
+    <div className="border rounded p-3 space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <span className="font-medium">Combination {index + 1}</span>
+        {onRemove && (
+          <button type="button" className="text-red-600 underline" onClick={onRemove}>
+            Remove
+          </button>
+        )}
+      </div>
+      <select
+        aria-label="Voice"
+        className="w-full border rounded px-2 py-1"
+        value={combination.voice}
+        onChange={(e) => update({ voice: e.target.value, style: DEFAULT_STYLE, role: "" })}
+      >
+        {!voice && <option value={combination.voice}>{combination.voice}</option>}
+        {voices.map((v) => (
+          <option key={v.name} value={v.name}>
+            {v.localName} ({v.gender}, {v.type})
+          </option>
+        ))}
+      </select>
+      <div className="flex gap-2">
+        <select
+          aria-label="Style"
+          className="flex-1 border rounded px-2 py-1"
+          value={combination.style}
+          onChange={(e) => update({ style: e.target.value })}
+        >
+          {(voice?.styles || [DEFAULT_STYLE]).map((s) => (
+            <option key={s} value={s}>
+              {s}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label="Role"
+          className="flex-1 border rounded px-2 py-1"
+          value={combination.role}
+          onChange={(e) => update({ role: e.target.value })}
+          disabled={!voice?.roles.length}
+        >
+          <option value="">Default role</option>
+          {(voice?.roles || []).map((r) => (
+            <option key={r} value={r}>
+              {r}
+            </option>
+          ))}
+        </select>
+      </div>
+      {combination.style !== DEFAULT_STYLE && (
+        <label className="block">
+          Style degree: {Number(combination.styledegree).toFixed(2)}
+          <input
+            type="range"
+            className="w-full"
+            min={STYLE_DEGREE_LIMITS.min}
+            max={STYLE_DEGREE_LIMITS.max}
+            step={0.01}
+            value={combination.styledegree}
+            onChange={(e) => update({ styledegree: Number(e.target.value) })}
+          />
+        </label>
+      )}
+      {prosodyControls.map(({ key, label }) => (
+        <label key={key} className="block">
+          {label}: {combination[key] > 0 ? "+" : ""}
+          {combination[key]}%
+          <input
+            type="range"
+            className="w-full"
+            min={PROSODY_LIMITS[key].min}
+            max={PROSODY_LIMITS[key].max}
+            step={1}
+            value={combination[key]}
+            onChange={(e) => update({ [key]: Number(e.target.value) })}
+          />
+        </label>
+      ))}
+      {errors.length > 0 && (
+        <ul className="text-red-600 list-disc pl-5">
+          {errors.map((msg) => (
+            <li key={msg}>{msg}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default function CompareVoices() {
+  const [voices, setVoices] = useState([]);
+  const [lang, setLang] = useState("en-US");
+  const [text, setText] = useState("");
+  const [format, setFormat] = useState(DEFAULT_AUDIO_FORMAT);
+  const [combinations, setCombinations] = useState([]);
+  const [results, setResults] = useState({});
+  const [comparing, setComparing] = useState(false);
+  const [active, setActive] = useState(null);
+  const [syncPosition, setSyncPosition] = useState(true);
+  const [starredOnly, setStarredOnly] = useState(false);
+  const [saved, setSaved] = useState(null);
+  const [savedSnapshot, setSavedSnapshot] = useState("");
+  const [title, setTitle] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState("");
+  const playersRef = useRef({});
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch("/api/voices")
+      .then((res) => {
+        if (!res.ok) throw new Error("Failed to load voices");
+        return res.json();
+      })
+      .then((data) => {
+        if (!cancelled) setVoices(data.voices);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const localeOptions = useMemo(() => listLocales(voices), [voices]);
+  const localeVoices = useMemo(() => filterVoices(voices, { locale: lang }), [voices, lang]);
+
+  // Start a fresh board with two voices of the chosen language
+  useEffect(() => {
+    if (saved || combinations.length || localeVoices.length === 0) return;
+    setCombinations(localeVoices.slice(0, 2).map((v) => newCombination(v.name)));
+  }, [localeVoices, combinations.length, saved]);
+
+  // Object URLs of the current results, revoked when replaced or on leaving
+  const urlsRef = useRef([]);
+  const revokeResultUrls = useCallback(() => {
+    urlsRef.current.forEach((url) => URL.revokeObjectURL(url));
+    urlsRef.current = [];
+  }, []);
+  useEffect(() => revokeResultUrls, [revokeResultUrls]);
+
+  const settingsErrors = combinations.flatMap((combination) => {
+    const voice = voices.find((v) => v.name === combination.voice);
+    return voice ? validateVoiceSettings(toVoiceSettings(combination), voice) : [];
+  });
+
+  const synthesizeAll = useCallback(async (board) => {
+    setComparing(true);
+    setError("");
+    setActive(null);
+    revokeResultUrls();
+    setResults(
+      Object.fromEntries(
+        board.combinations.map((c) => [c.key, { loading: true, label: describeCombination(c) }])
+      )
+    );
+
+    // All combinations are requested at once; each card fills in as it lands
+    await Promise.all(
+      board.combinations.map(async (combination) => {
+        const label = describeCombination(combination);
+        try {
+          const response = await fetch("/api/text-to-speech", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              text: board.text,
+              lang: board.lang,
+              format: board.format,
+              ...toVoiceSettings(combination),
+            }),
+          });
+          if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || "Failed to convert text to speech");
+          }
+          const blob = await response.blob();
+          const url = URL.createObjectURL(blob);
+          urlsRef.current.push(url);
+          setResults((prev) => ({ ...prev, [combination.key]: { url, label } }));
+        } catch (err) {
+          setResults((prev) => ({ ...prev, [combination.key]: { error: err.message, label } }));
+        }
+      })
+    );
+    setComparing(false);
+  }, [revokeResultUrls]);
+
+  // Open a shared board from ?share= and render it straight away
+  useEffect(() => {
+    const token = new URLSearchParams(window.location.search).get("share");
+    if (!token) return;
+    request(`/api/comparisons/shared/${encodeURIComponent(token)}`)
+      .then((comparison) => {
+        const loaded = comparison.combinations.map((c) =>
+          newCombination(c.voice, {
+            style: c.style || DEFAULT_STYLE,
+            styledegree: c.styledegree ?? 1,
+            role: c.role || "",
+            rate: c.rate ?? 0,
+            pitch: c.pitch ?? 0,
+            volume: c.volume ?? 0,
+            starred: !!c.starred,
+          })
+        );
+        setSaved(comparison);
+        setSavedSnapshot(boardSnapshot({ ...comparison, combinations: loaded }));
+        setTitle(comparison.title);
+        setText(comparison.text);
+        setLang(comparison.lang);
+        setFormat(comparison.format);
+        setCombinations(loaded);
+        synthesizeAll({ ...comparison, combinations: loaded });
+      })
+      .catch((err) => setError(err.message));
+  }, [synthesizeAll]);
+
+  const handleLangChange = (e) => {
+    const locale = e.target.value;
+    setLang(locale);
+    setCombinations(
+      filterVoices(voices, { locale })
+        .slice(0, 2)
+        .map((v) => newCombination(v.name))
+    );
+  };
+
+  const updateCombination = (key, combination) => {
+    setCombinations((prev) => prev.map((c) => (c.key === key ? combination : c)));
+  };
+
+  const addCombination = () => {
+    const used = new Set(combinations.map((c) => c.voice));
+    const voice = localeVoices.find((v) => !used.has(v.name)) || localeVoices[0];
+    if (voice) setCombinations((prev) => [...prev, newCombination(voice.name)]);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    synthesizeAll({ text, lang, format, combinations });
+  };
+
+  const saveBoard = async (board) => {
+    setError("");
+    setSaving(true);
+    try {
+      const body = JSON.stringify({
+        title: board.title,
+        text: board.text,
+        lang: board.lang,
+        format: board.format,
+        combinations: board.combinations.map((c) => ({
+          ...toVoiceSettings(c),
+          starred: c.starred,
+        })),
+      });
+      // Someone else's shared board is saved as a copy
+      const comparison = saved?.owned
+        ? await request(`/api/comparisons/${saved.id}`, { method: "PUT", body })
+        : await request("/api/comparisons", { method: "POST", body });
+      setSaved(comparison);
+      setSavedSnapshot(boardSnapshot({ ...board, title: comparison.title }));
+      setTitle(comparison.title);
+      window.history.replaceState(null, "", `?share=${comparison.shareToken}`);
+    } catch (err) {
+      setError(
+        err.message === "Not authenticated" ? "Sign in to save and share comparisons" : err.message
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Stars are saved with the rest of the board, so the link only changes on save
+  const toggleStar = (key) => {
+    setCombinations((prev) =>
+      prev.map((c) => (c.key === key ? { ...c, starred: !c.starred } : c))
+    );
+  };
+
+  const unsaved =
+    !!saved?.owned && boardSnapshot({ title, text, lang, format, combinations }) !== savedSnapshot;
+
+  const playable = combinations.filter(
+    (c) => results[c.key]?.url && (!starredOnly || c.starred)
+  );
+
+  // Only one player sounds at a time; switching carries the position over
+  // as a fraction of the clip, since voices differ in length
+  const switchTo = (key) => {
+    const next = playersRef.current[key];
+    if (!next) return;
+    const current = active !== null && active !== key ? playersRef.current[active] : null;
+    if (current) {
+      if (syncPosition && current.duration && next.duration) {
+        next.currentTime = Math.min(
+          (current.currentTime / current.duration) * next.duration,
+          next.duration
+        );
+      }
+      current.pause();
+    }
+    setActive(key);
+    next.play();
+  };
+
+  const handlePlaying = (key) => {
+    if (key === active) return;
+    const previous = active !== null ? playersRef.current[active] : null;
+    if (previous && !previous.paused) {
+      const next = playersRef.current[key];
+      if (syncPosition && previous.duration && next.duration) {
+        next.currentTime = (previous.currentTime / previous.duration) * next.duration;
+      }
+      previous.pause();
+    }
+    setActive(key);
+  };
+
+  const playNext = () => {
+    if (playable.length === 0) return;
+    const index = playable.findIndex((c) => c.key === active);
+    switchTo(playable[(index + 1) % playable.length].key);
+  };
+
+  const togglePlay = () => {
+    const key = active ?? playable[0]?.key;
+    const player = key !== undefined ? playersRef.current[key] : null;
+    if (!player) return;
+    if (player.paused) switchTo(key);
+    else player.pause();
+  };
+
+  const shareUrl = saved ? `${window.location.origin}${window.location.pathname}?share=${saved.shareToken}` : "";
+
+  const copyShareUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setError("Could not copy the link; copy it from the box instead");
+    }
+  };
+
+  return (
+    <div className="w-full max-w-5xl mx-auto mt-12 bg-white rounded-lg">
+      <PageHeader>Compare Voices</PageHeader>
+      <Banner />
+      <FeatureGuard>
+        <p className="mb-6 text-gray-600">
+          Hear one text in up to {COMPARISON_LIMITS.combinations} voice, style and
+          prosody combinations side by side. Back to the{" "}
+          <Link href="/demos/text-to-speech" className="underline">
+            text-to-speech demo
+          </Link>
+          .
+        </p>
+        <form className="space-y-6" onSubmit={handleSubmit}>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label htmlFor="compareLang" className="block mb-2 font-medium">
+                Language
+              </label>
+              <select
+                id="compareLang"
+                className="w-full border rounded px-3 py-2"
+                value={lang}
+                onChange={handleLangChange}
+              >
+                {localeOptions.map((opt) => (
+                  <option key={opt.value} value={opt.value}>
+                    {opt.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="compareFormat" className="block mb-2 font-medium">
+                Output format
+              </label>
+              <select
+                id="compareFormat"
+                className="w-full border rounded px-3 py-2"
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+              >
+                {AUDIO_FORMATS.filter((f) => f.container !== "pcm").map((f) => (
+                  <option key={f.id} value={f.id}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label htmlFor="compareText" className="block mb-2 font-medium">
+              Text
+            </label>
+            <textarea
+              id="compareText"
+              className="w-full border rounded px-3 py-2 min-h-[100px]"
+              placeholder="A sentence from your product, read by every combination"
+              maxLength={COMPARISON_LIMITS.textChars}
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              required
+            />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {combinations.map((combination, index) => (
+              <CombinationEditor
+                key={combination.key}
+                index={index}
+                combination={combination}
+                voices={localeVoices}
+                onChange={(c) => updateCombination(combination.key, c)}
+                onRemove={
+                  combinations.length > 1
+                    ? () => setCombinations((prev) => prev.filter((c) => c.key !== combination.key))
+                    : undefined
+                }
+              />
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Button
+              type="button"
+              color="gray"
+              onClick={addCombination}
+              disabled={combinations.length >= COMPARISON_LIMITS.combinations || !localeVoices.length}
+            >
+              Add combination
+            </Button>
+            <Button
+              type="submit"
+              color="blue"
+              disabled={comparing || !text.trim() || !combinations.length || settingsErrors.length > 0}
+            >
+              {comparing ? "Synthesizing..." : "Compare"}
+            </Button>
+          </div>
+          {error && <div className="text-red-600 font-semibold">{error}</div>}
+        </form>
+
+        {Object.keys(results).length > 0 && (
+          <div className="mt-8">
+            <SectionHeader>Results</SectionHeader>
+            <div className="flex flex-wrap items-center gap-4 mb-4 text-sm">
+              <Button type="button" size="sm" color="blue" onClick={togglePlay} disabled={!playable.length}>
+                Play / pause
+              </Button>
+              <Button type="button" size="sm" color="blue" onClick={playNext} disabled={!playable.length}>
+                Play next
+              </Button>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={syncPosition}
+                  onChange={(e) => setSyncPosition(e.target.checked)}
+                />
+                Keep the position when switching
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={starredOnly}
+                  onChange={(e) => setStarredOnly(e.target.checked)}
+                />
+                Only cycle through starred
+              </label>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {combinations
+                .filter((c) => results[c.key])
+                .map((combination) => {
+                  const result = results[combination.key];
+                  return (
+                    <div
+                      key={combination.key}
+                      className={`border rounded p-3 ${active === combination.key ? "border-sky-500 bg-sky-50" : ""}`}
+                    >
+                      <div className="flex items-start justify-between gap-2 mb-2">
+                        <span className="text-sm font-medium">{result.label}</span>
+                        <button
+                          type="button"
+                          aria-label={combination.starred ? "Unstar" : "Star"}
+                          className={`text-xl leading-none ${combination.starred ? "text-yellow-500" : "text-gray-400"}`}
+                          onClick={() => toggleStar(combination.key)}
+                        >
+                          {combination.starred ? "★" : "☆"}
+                        </button>
+                      </div>
+                      {result.loading && <p className="text-sm text-gray-500">Synthesizing...</p>}
+                      {result.error && <p className="text-sm text-red-600">{result.error}</p>}
+                      {result.url && (
+                        <audio
+                          ref={(el) => {
+                            if (el) playersRef.current[combination.key] = el;
+                            else delete playersRef.current[combination.key];
+                          }}
+                          controls
+                          src={result.url}
+                          className="w-full"
+                          onPlaying={() => handlePlaying(combination.key)}
+                        />
+                      )}
+                    </div>
+                  );
+                })}
+            </div>
+
+            <div className="mt-6 flex flex-col md:flex-row md:items-end gap-2">
+              <label className="flex-1 text-sm">
+                Title
+                <input
+                  type="text"
+                  className="mt-1 w-full border rounded px-3 py-2"
+                  placeholder="e.g. Onboarding narrator shortlist"
+                  maxLength={COMPARISON_LIMITS.titleChars}
+                  value={title}
+                  onChange={(e) => setTitle(e.target.value)}
+                />
+              </label>
+              <Button
+                type="button"
+                color="blue"
+                disabled={saving || !text.trim() || settingsErrors.length > 0}
+                onClick={() => saveBoard({ title, text, lang, format, combinations })}
+              >
+                {saving ? "Saving..." : saved?.owned ? "Save changes" : "Save and get link"}
+              </Button>
+            </div>
+            {unsaved && (
+              <p className="mt-2 text-sm text-amber-600">
+                Unsaved changes; the share link shows the last saved board.
+              </p>
+            )}
+            {shareUrl && (
+              <div className="mt-2 flex gap-2 text-sm">
+                <input
+                  type="text"
+                  readOnly
+                  aria-label="Share link"
+                  className="flex-1 border rounded px-2 py-1 font-mono"
+                  value={shareUrl}
+                  onFocus={(e) => e.target.select()}
+                />
+                <Button type="button" size="sm" color="gray" onClick={copyShareUrl}>
+                  {copied ? "Copied" : "Copy link"}
+                </Button>
+              </div>
+            )}
+            {saved && !saved.owned && (
+              <p className="mt-2 text-sm text-gray-500">
+                This board was shared with you; saving it makes your own copy.
+              </p>
+            )}
+          </div>
+        )}
+      </FeatureGuard>
+    </div>
+  );
+}
@@ -0,0 +1,394 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import Link from "next/link";
+import Button from "@/app/components/Button";
+import PageHeader from "@/app/components/PageHeader";
+import SectionHeader from "@/app/components/SectionHeader";
+import Banner from "@/app/components/Banner";
+import FeatureGuard from "@/app/components/FeatureGuard";
+import { listLocales } from "@/lib/voices";
+import { LEXICON_ALPHABETS, validateLexiconEntry } from "@/lib/lexicon";
+
+const emptyEntry = { grapheme: "", kind: "phoneme", alphabet: "ipa", value: "" };
+
+// The form edits one "value" field; the API stores it as phoneme or alias
+function toEntryInput({ grapheme, kind, alphabet, value }) {
+  return kind === "alias"
+    ? { grapheme, alias: value }
+    : { grapheme, alphabet, phoneme: value };
+}
+
+function toFormEntry(entry) {
+  return entry.alias
+    ? { grapheme: entry.grapheme, kind: "alias", alphabet: "ipa", value: entry.alias }
+    : {
+        grapheme: entry.grapheme,
+        kind: "phoneme",
+        alphabet: entry.alphabet || "ipa",
+        value: entry.phoneme || "",
+      };
+}
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  if (response.status === 204) return null;
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || "Request failed");
+  }
+  return data;
+}
+
+function EntryFields({ entry, onChange }) {
+  const update = (changes) => onChange({ ...entry, ...changes });
+  return (
+    <>
+      <input
+        aria-label="Grapheme"
+        className="border rounded px-2 py-1"
+        placeholder="Written form, e.g. SQL"
+        value={entry.grapheme}
+        onChange={(e) => update({ grapheme: e.target.value })}
+      />
+      <select
+        aria-label="Kind"
+        className="border rounded px-2 py-1"
+        value={entry.kind === "alias" ? "alias" : entry.alphabet}
+        onChange={(e) =>
+          e.target.value === "alias"
+            ? update({ kind: "alias" })
+            : update({ kind: "phoneme", alphabet: e.target.value })
+        }
+      >
+        {LEXICON_ALPHABETS.map((a) => (
+          <option key={a.value} value={a.value}>
+            Phoneme ({a.label})
+          </option>
+        ))}
+        <option value="alias">Alias</option>
+      </select>
+      <input
+        aria-label={entry.kind === "alias" ? "Alias" : "Phoneme"}
+        className="border rounded px-2 py-1 font-mono"
+        placeholder={entry.kind === "alias" ? "Spoken as, e.g. sequel" : "e.g. ˈsiːkwəl"}
+        value={entry.value}
+        onChange={(e) => update({ value: e.target.value })}
+      />
+    </>
+  );
+}
+
+export default function Lexicons() {
+  const [lexicons, setLexicons] = useState([]);
+  const [locales, setLocales] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [newLexicon, setNewLexicon] = useState({ name: "", locale: "en-US" });
+  const [newEntry, setNewEntry] = useState(emptyEntry);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState("");
+
+  const loadLexicons = useCallback(async () => {
+    try {
+      const data = await request("/api/lexicons");
+      setLexicons(data.lexicons);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const openLexicon = useCallback(async (id) => {
+    setError("");
+    setEditing(null);
+    try {
+      setSelected(await request(`/api/lexicons/${id}`));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLexicons();
+    fetch("/api/voices")
+      .then((res) => (res.ok ? res.json() : { voices: [] }))
+      .then((data) => setLocales(listLocales(data.voices)))
+      .catch(() => {});
+  }, [loadLexicons]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      const lexicon = await request("/api/lexicons", {
+        method: "POST",
+        body: JSON.stringify(newLexicon),
+      });
+      setNewLexicon({ name: "", locale: newLexicon.locale });
+      await loadLexicons();
+      await openLexicon(lexicon.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteLexicon = async () => {
+    if (!confirm(`Delete the lexicon "${selected.name}"?`)) return;
+    setError("");
+    try {
+      await request(`/api/lexicons/${selected.id}`, { method: "DELETE" });
+      setSelected(null);
+      await loadLexicons();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddEntry = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      await request(`/api/lexicons/${selected.id}/entries`, {
+        method: "POST",
+        body: JSON.stringify(toEntryInput(newEntry)),
+      });
+      setNewEntry({ ...emptyEntry, kind: newEntry.kind, alphabet: newEntry.alphabet });
+      await openLexicon(selected.id);
+      await loadLexicons();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSaveEntry = async () => {
+    setError("");
+    try {
+      await request(`/api/lexicons/${selected.id}/entries/${editing.id}`, {
+        method: "PUT",
+        body: JSON.stringify(toEntryInput(editing.entry)),
+      });
+      await openLexicon(selected.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteEntry = async (entryId) => {
+    setError("");
+    try {
+      await request(`/api/lexicons/${selected.id}/entries/${entryId}`, {
+        method: "DELETE",
+      });
+      await openLexicon(selected.id);
+      await loadLexicons();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Same checks the API runs on save, shown while typing
+  const newEntryErrors =
+    selected && newEntry.grapheme && newEntry.value
+      ? validateLexiconEntry(toEntryInput(newEntry), selected.locale)
+      : [];
+  const editingErrors =
+    selected && editing
+      ? validateLexiconEntry(toEntryInput(editing.entry), selected.locale)
+      : [];
+
+  return (
+    <div className="w-full max-w-4xl mx-auto mt-12 bg-white rounded-lg">
+      <PageHeader>Pronunciation Lexicons</PageHeader>
+      <Banner />
+      <FeatureGuard>
+        <p className="mb-6 text-gray-600">
+          Map product names and acronyms to a pronunciation (IPA or SAPI
+          phonemes) or to an alias, then pick the lexicon on the{" "}
+          <Link href="/demos/text-to-speech" className="underline">
+            text-to-speech demo
+          </Link>
+          .
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+          <div>
+            <SectionHeader>Your lexicons</SectionHeader>
+            <ul className="mt-4 space-y-1">
+              {lexicons.map((lexicon) => (
+                <li key={lexicon.id}>
+                  <button
+                    type="button"
+                    className={`w-full text-left px-2 py-1 rounded ${
+                      selected?.id === lexicon.id ? "bg-sky-100" : "hover:bg-gray-100"
+                    }`}
+                    onClick={() => openLexicon(lexicon.id)}
+                  >
+                    {lexicon.name}
+                    <span className="ml-2 text-sm text-gray-500">
+                      {lexicon.locale} · {lexicon.entryCount}
+                    </span>
+                  </button>
+                </li>
+              ))}
+              {lexicons.length === 0 && (
+                <li className="text-sm text-gray-500">No lexicons yet.</li>
+              )}
+            </ul>
+            <form onSubmit={handleCreate} className="mt-6 space-y-2">
+              <input
+                aria-label="Lexicon name"
+                className="w-full border rounded px-2 py-1"
+                placeholder="New lexicon name"
+                value={newLexicon.name}
+                onChange={(e) => setNewLexicon({ ...newLexicon, name: e.target.value })}
+                required
+              />
+              <select
+                aria-label="Lexicon language"
+                className="w-full border rounded px-2 py-1"
+                value={newLexicon.locale}
+                onChange={(e) => setNewLexicon({ ...newLexicon, locale: e.target.value })}
+              >
+                {(locales.length ? locales : [{ value: "en-US", label: "en-US" }]).map(
+                  (opt) => (
+                    <option key={opt.value} value={opt.value}>
+                      {opt.label}
+                    </option>
+                  )
+                )}
+              </select>
+              <Button type="submit" size="sm">
+                Create lexicon
+              </Button>
+            </form>
+          </div>
+          <div className="md:col-span-2">
+            {selected ? (
+              <>
+                <div className="flex items-center justify-between">
+                  <SectionHeader>
+                    {selected.name} ({selected.locale})
+                  </SectionHeader>
+                  <div className="flex gap-2">
+                    <a
+                      href={`/api/lexicons/${selected.id}/pls`}
+                      className="text-sm text-sky-600 underline"
+                    >
+                      Export PLS
+                    </a>
+                    <button
+                      type="button"
+                      className="text-sm text-red-600 underline"
+                      onClick={handleDeleteLexicon}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                <table className="w-full mt-4 text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="py-1">Grapheme</th>
+                      <th className="py-1">Pronunciation</th>
+                      <th className="py-1" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selected.entries.map((entry) =>
+                      editing?.id === entry.id ? (
+                        <tr key={entry.id} className="border-t">
+                          <td colSpan={3} className="py-2">
+                            <div className="grid grid-cols-3 gap-2">
+                              <EntryFields
+                                entry={editing.entry}
+                                onChange={(next) => setEditing({ ...editing, entry: next })}
+                              />
+                            </div>
+                            {editingErrors.map((message) => (
+                              <p key={message} className="text-red-600">
+                                {message}
+                              </p>
+                            ))}
+                            <div className="flex gap-2 mt-2">
+                              <Button
+                                type="button"
+                                size="sm"
+                                disabled={editingErrors.length > 0}
+                                onClick={handleSaveEntry}
+                              >
+                                Save
+                              </Button>
+                              <Button
+                                type="button"
+                                size="sm"
+                                color="gray"
+                                onClick={() => setEditing(null)}
+                              >
+                                Cancel
+                              </Button>
+                            </div>
+                          </td>
+                        </tr>
+                      ) : (
+                        <tr key={entry.id} className="border-t">
+                          <td className="py-1 pr-2">{entry.grapheme}</td>
+                          <td className="py-1 pr-2 font-mono">
+                            {entry.alias
+                              ? `alias: ${entry.alias}`
+                              : `${entry.alphabet}: ${entry.phoneme}`}
+                          </td>
+                          <td className="py-1 text-right whitespace-nowrap">
+                            <button
+                              type="button"
+                              className="text-sky-600 underline mr-3"
+                              onClick={() =>
+                                setEditing({ id: entry.id, entry: toFormEntry(entry) })
+                              }
+                            >
+                              Edit
+                            </button>
+                            <button
+                              type="button"
+                              className="text-red-600 underline"
+                              onClick={() => handleDeleteEntry(entry.id)}
+                            >
+                              Delete
+                            </button>
+                          </td>
+                        </tr>
+                      )
+                    )}
+                  </tbody>
+                </table>
+                <form onSubmit={handleAddEntry} className="mt-6">
+                  <div className="grid grid-cols-3 gap-2">
+                    <EntryFields entry={newEntry} onChange={setNewEntry} />
+                  </div>
+                  {newEntryErrors.map((message) => (
+                    <p key={message} className="mt-1 text-sm text-red-600">
+                      {message}
+                    </p>
+                  ))}
+                  <Button
+                    type="submit"
+                    size="sm"
+                    className="mt-2"
+                    disabled={!newEntry.grapheme || !newEntry.value || newEntryErrors.length > 0}
+                  >
+                    Add entry
+                  </Button>
+                </form>
+              </>
+            ) : (
+              <p className="text-gray-500">
+                Select or create a lexicon to edit its entries.
+              </p>
+            )}
+          </div>
+        </div>
+        {error && <div className="mt-6 text-red-600 font-semibold">{error}</div>}
+      </FeatureGuard>
+    </div>
+  );
+}
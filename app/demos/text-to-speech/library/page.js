@@ -0,0 +1,261 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import Link from "next/link";
+import Button from "@/app/components/Button";
+import PageHeader from "@/app/components/PageHeader";
+import SectionHeader from "@/app/components/SectionHeader";
+import Banner from "@/app/components/Banner";
+import FeatureGuard from "@/app/components/FeatureGuard";
+import { getAudioFormat } from "@/lib/audio-formats";
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 300;
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  if (response.status === 204) return null;
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || "Request failed");
+  }
+  return data;
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return "–";
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function parseTagList(value) {
+  return value
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+}
+
+export default function Library() {
+  const [records, setRecords] = useState([]);
+  const [query, setQuery] = useState("");
+  const [tag, setTag] = useState("");
+  const [playing, setPlaying] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const loadRecords = useCallback(async (q, t) => {
+    const params = new URLSearchParams();
+    if (q) params.set("q", q);
+    if (t) params.set("tag", t);
+    try {
+      const data = await request(`/api/library?${params}`);
+      setRecords(data.records);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => loadRecords(query, tag), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, tag, loadRecords]);
+
+  const handleSave = async () => {
+    setError("");
+    try {
+      await request(`/api/library/${editing.id}`, {
+        method: "PATCH",
+        body: JSON.stringify({ title: editing.title, tags: parseTagList(editing.tags) }),
+      });
+      setEditing(null);
+      await loadRecords(query, tag);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (record) => {
+    if (!confirm(`Delete "${record.title}"?`)) return;
+    setError("");
+    try {
+      await request(`/api/library/${record.id}`, { method: "DELETE" });
+      if (playing === record.id) setPlaying(null);
+      await loadRecords(query, tag);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-4xl mx-auto mt-12 bg-white rounded-lg">
+      <PageHeader>My Library</PageHeader>
+      <Banner />
+      <FeatureGuard>
+        <p className="mb-6 text-gray-600">
+          Audio you saved from the{" "}
+          <Link href="/demos/text-to-speech" className="underline">
+            text-to-speech demo
+          </Link>
+          . Search by title, text or voice, or click a tag to filter.
+        </p>
+        <div className="flex flex-col md:flex-row gap-4">
+          <input
+            type="search"
+            aria-label="Search"
+            className="flex-1 border rounded px-3 py-2"
+            placeholder="Search your library"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          {tag && (
+            <button
+              type="button"
+              className="text-sm text-sky-600 underline"
+              onClick={() => setTag("")}
+            >
+              Clear tag &ldquo;{tag}&rdquo;
+            </button>
+          )}
+        </div>
+
+        <div className="mt-6">
+          <SectionHeader>
+            {records.length} {records.length === 1 ? "recording" : "recordings"}
+          </SectionHeader>
+          {!loading && records.length === 0 && (
+            <p className="mt-4 text-gray-500">
+              {query || tag
+                ? "Nothing matches your search."
+                : "Nothing saved yet. Generate speech and choose “Save to My Library”."}
+            </p>
+          )}
+          <ul className="mt-4 divide-y">
+            {records.map((record) => (
+              <li key={record.id} className="py-4">
+                {editing?.id === record.id ? (
+                  <div className="space-y-2">
+                    <input
+                      aria-label="Title"
+                      className="w-full border rounded px-2 py-1"
+                      value={editing.title}
+                      onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                      maxLength={100}
+                    />
+                    <input
+                      aria-label="Tags"
+                      className="w-full border rounded px-2 py-1"
+                      placeholder="Tags, separated by commas"
+                      value={editing.tags}
+                      onChange={(e) => setEditing({ ...editing, tags: e.target.value })}
+                    />
+                    <div className="flex gap-2">
+                      <Button type="button" size="sm" onClick={handleSave}>
+                        Save
+                      </Button>
+                      <Button
+                        type="button"
+                        size="sm"
+                        color="gray"
+                        onClick={() => setEditing(null)}
+                      >
+                        Cancel
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                    <div className="flex items-start justify-between gap-4">
+                      <div className="min-w-0">
+                        <p className="font-medium">{record.title}</p>
+                        <p className="text-sm text-gray-500">
+                          {record.voice}
+                          {record.style !== "neutral" && ` (${record.style})`} ·{" "}
+                          {getAudioFormat(record.format)?.label || record.format} ·{" "}
+                          {formatDuration(record.durationMs)} · {record.characters} chars ·{" "}
+                          {new Date(record.generatedAt).toLocaleString()}
+                        </p>
+                        <p className="mt-1 text-sm text-gray-700 truncate" title={record.text}>
+                          {record.text}
+                        </p>
+                        <div className="mt-1 flex flex-wrap gap-1">
+                          {record.tags.map((t) => (
+                            <button
+                              key={t}
+                              type="button"
+                              className={`text-xs px-2 py-0.5 rounded-full ${
+                                t === tag ? "bg-sky-500 text-white" : "bg-gray-100 hover:bg-gray-200"
+                              }`}
+                              onClick={() => setTag(t)}
+                            >
+                              {t}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                      <div className="flex gap-3 text-sm whitespace-nowrap">
+                        <button
+                          type="button"
+                          className="text-sky-600 underline"
+                          onClick={() => setPlaying(playing === record.id ? null : record.id)}
+                        >
+                          {playing === record.id ? "Hide player" : "Play"}
+                        </button>
+                        <a
+                          href={`/api/library/${record.id}/audio?download=1`}
+                          className="text-sky-600 underline"
+                        >
+                          Download
+                        </a>
+                        <button
+                          type="button"
+                          className="text-sky-600 underline"
+                          onClick={() =>
+                            setEditing({
+                              id: record.id,
+                              title: record.title,
+                              tags: record.tags.join(", "),
+                            })
+                          }
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          className="text-red-600 underline"
+                          onClick={() => handleDelete(record)}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                    {playing === record.id &&
+                      (getAudioFormat(record.format)?.container === "pcm" ? (
+                        <p className="mt-2 text-sm text-gray-500">
+                          Raw PCM cannot be played in the browser; download it instead.
+                        </p>
+                      ) : (
+                        <audio
+                          controls
+                          autoPlay
+                          src={`/api/library/${record.id}/audio`}
+                          className="mt-2 w-full max-w-md"
+                          onError={() => setError("Audio playback error.")}
+                        />
+                      ))}
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+        {error && <div className="mt-6 text-red-600 font-semibold">{error}</div>}
+      </FeatureGuard>
+    </div>
+  );
+}
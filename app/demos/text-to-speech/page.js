@@ -1,76 +1,345 @@
 "use client";
 
-import { useState, useRef } from "react";
+import { useState, useRef, useEffect, useMemo } from "react";
+import Link from "next/link";
 import Button from "@/app/components/Button";
 import PageHeader from "@/app/components/PageHeader";
 import SectionHeader from "@/app/components/SectionHeader";
 import Banner from "@/app/components/Banner";
 import FeatureGuard from "@/app/components/FeatureGuard";
+import SsmlEditor from "@/app/components/SsmlEditor";
+import KaraokeTranscript from "@/app/components/KaraokeTranscript";
+import DialogueEditor, { SAMPLE_SCRIPT } from "@/app/components/DialogueEditor";
+import DocumentImport from "@/app/components/DocumentImport";
+import NormalizationSettings from "@/app/components/NormalizationSettings";
+import PostProcessingSettings from "@/app/components/PostProcessingSettings";
+import {
+  DEFAULT_STYLE,
+  filterVoices,
+  listLocales,
+  listStyles,
+} from "@/lib/voices";
+import {
+  AUDIO_FORMATS,
+  DEFAULT_AUDIO_FORMAT,
+  buildAudioFileName,
+  getAudioFormat,
+} from "@/lib/audio-formats";
+import { MAX_SINGLE_REQUEST_CHARS } from "@/lib/text-chunking";
+import { CAPTION_LIMITS } from "@/lib/captions";
+import { createZip } from "@/lib/zip";
+import { playAudioStream } from "@/lib/audio-streaming";
+import { DIALOGUE_PAUSE_LIMITS, parseDialogueScript } from "@/lib/dialogue";
+import { DEFAULT_AUDIOBOOK_OPTIONS } from "@/lib/document-import";
+import { defaultNormalizationOptions } from "@/lib/text-normalization";
+import { resolvePostProcessingOptions } from "@/lib/audio-processing";
+import {
+  PROSODY_LIMITS,
+  STYLE_DEGREE_LIMITS,
+  validateVoiceSettings,
+} from "@/lib/voice-settings";
 
-const languageOptions = [
-  {
-    value: "en-US",
-    label: "English - US",
-    voices: ["en-US-AriaNeural"],
-    styles: [
-      "neutral",
-      "newscast",
-      "customerservice",
-      "chat",
-      "cheerful",
-      "empathetic",
-    ],
-  },
-  {
-    value: "zh-CN",
-    label: "Chinese - CN",
-    voices: ["zh-CN-XiaoxiaoNeural"],
-    styles: ["neutral", "newscast", "customerservice", "assistant", "lyrical"],
-  },
-  {
-    value: "ja-JP",
-    label: "Japanese - JP",
-    voices: ["ja-JP-Ayumi-Apollo"],
-    styles: ["neutral"],
-  },
-  {
-    value: "ko-KR",
-    label: "Korean - KR",
-    voices: ["ko-KR-HeamiRUS"],
-    styles: ["neutral"],
-  },
-  {
-    value: "es-ES",
-    label: "Spanish - ES",
-    voices: ["es-ES-Laura-Apollo"],
-    styles: ["neutral"],
-  },
-  {
-    value: "fr-FR",
-    label: "French - FR",
-    voices: ["fr-FR-Julie-Apollo"],
-    styles: ["neutral"],
-  },
+const prosodyControls = [
+  { key: "rate", label: "Speaking rate" },
+  { key: "pitch", label: "Pitch" },
+  { key: "volume", label: "Volume" },
+];
+
+const modeOptions = [
+  { value: "text", label: "Plain text" },
+  { value: "ssml", label: "SSML" },
+  { value: "dialogue", label: "Dialogue" },
+  { value: "document", label: "Document / audiobook" },
+];
+
+function buildSsmlTemplate(lang, voice, style) {
+  return [
+    `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="https://www.w3.org/2001/mstts" xml:lang="${lang}">`,
+    `  <voice name="${voice}">`,
+    `    <mstts:express-as style="${style}">`,
+    "      Hello! <break time=\"300ms\"/> This is <emphasis level=\"moderate\">hand-written</emphasis> SSML.",
+    "    </mstts:express-as>",
+    "  </voice>",
+    "</speak>",
+  ].join("\n");
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+function formatChapterTime(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Chapter list for an audiobook; rows seek the player when it holds the
+ * single-file output
+ */
+function ChapterTable({ chapters, onSeek }) {
+  return (
+    <table className="w-full max-w-2xl mt-6 text-sm">
+      <thead>
+        <tr className="text-left text-gray-500">
+          <th className="py-1">#</th>
+          <th className="py-1">Chapter</th>
+          <th className="py-1">{onSeek ? "Start" : "File"}</th>
+          <th className="py-1">Length</th>
+        </tr>
+      </thead>
+      <tbody>
+        {chapters.map((chapter, index) => (
+          <tr
+            key={index}
+            className={`border-t ${onSeek ? "cursor-pointer hover:bg-sky-50" : ""}`}
+            onClick={onSeek ? () => onSeek(chapter) : undefined}
+          >
+            <td className="py-1 pr-2">{index + 1}</td>
+            <td className="py-1 pr-2">{chapter.title}</td>
+            <td className="py-1 pr-2 font-mono">
+              {onSeek ? formatChapterTime(chapter.startMs) : chapter.file}
+            </td>
+            <td className="py-1 font-mono">
+              {chapter.durationMs === null ? "–" : formatChapterTime(chapter.durationMs)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+const genderOptions = [
+  { value: "", label: "Any" },
+  { value: "Female", label: "Female" },
+  { value: "Male", label: "Male" },
+  { value: "Neutral", label: "Neutral" },
 ];
 
 export default function TextToSpeech() {
   const [text, setText] = useState("");
   const [audioUrl, setAudioUrl] = useState("");
+  const [downloadUrl, setDownloadUrl] = useState("");
   const [loading, setLoading] = useState(false);
-  const [lang, setLang] = useState(languageOptions[0].value);
-  const [voice, setVoice] = useState(languageOptions[0].voices[0]);
-  const [style, setStyle] = useState(languageOptions[0].styles[0]);
+  const [voices, setVoices] = useState([]);
+  const [catalogSource, setCatalogSource] = useState("");
+  const [lang, setLang] = useState("en-US");
+  const [gender, setGender] = useState("");
+  const [voice, setVoice] = useState("en-US-JennyNeural");
+  const [style, setStyle] = useState(DEFAULT_STYLE);
+  const [styleDegree, setStyleDegree] = useState(1);
+  const [role, setRole] = useState("");
+  const [prosody, setProsody] = useState({ rate: 0, pitch: 0, volume: 0 });
+  const [format, setFormat] = useState(DEFAULT_AUDIO_FORMAT);
+  const [audioFormat, setAudioFormat] = useState(DEFAULT_AUDIO_FORMAT);
+  const [audioFileName, setAudioFileName] = useState("");
+  const [mode, setMode] = useState("text");
+  const [ssml, setSsml] = useState("");
+  const [ssmlErrors, setSsmlErrors] = useState([]);
+  const [ssmlStatus, setSsmlStatus] = useState("");
+  const [longForm, setLongForm] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [withTimings, setWithTimings] = useState(false);
+  const [timings, setTimings] = useState(null);
+  const [withCaptions, setWithCaptions] = useState(false);
+  const [captionOptions, setCaptionOptions] = useState({
+    maxLineChars: CAPTION_LIMITS.maxLineChars.default,
+    maxDurationMs: CAPTION_LIMITS.maxDurationMs.default,
+  });
+  const [archive, setArchive] = useState(null);
+  const [dialogueScript, setDialogueScript] = useState(SAMPLE_SCRIPT);
+  const [dialogueCast, setDialogueCast] = useState({});
+  const [dialoguePause, setDialoguePause] = useState(
+    DIALOGUE_PAUSE_LIMITS.default
+  );
+  const [manifest, setManifest] = useState(null);
+  const [lexicons, setLexicons] = useState([]);
+  const [lexiconId, setLexiconId] = useState("");
+  const [documentFile, setDocumentFile] = useState(null);
+  const [audiobookOptions, setAudiobookOptions] = useState(
+    DEFAULT_AUDIOBOOK_OPTIONS
+  );
+  const [outline, setOutline] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [audiobook, setAudiobook] = useState(null);
+  // Normalization settings are kept per locale, since rules differ by language
+  const [normalizationByLocale, setNormalizationByLocale] = useState({});
+  const [ssmlPreview, setSsmlPreview] = useState(null);
+  const [previewingSsml, setPreviewingSsml] = useState(false);
+  const [postProcessing, setPostProcessing] = useState(false);
+  const [postProcessingOptions, setPostProcessingOptions] = useState(
+    resolvePostProcessingOptions
+  );
+  const [backgroundFile, setBackgroundFile] = useState(null);
+  const [postProcessReport, setPostProcessReport] = useState(null);
   const [error, setError] = useState("");
+  const [streamStats, setStreamStats] = useState(null);
+  const [generation, setGeneration] = useState(null);
+  const [savedRecord, setSavedRecord] = useState(null);
+  const [saving, setSaving] = useState(false);
   const audioRef = useRef(null);
+  const streamRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch("/api/voices")
+      .then((res) => {
+        if (!res.ok) throw new Error("Failed to load voices");
+        return res.json();
+      })
+      .then((data) => {
+        if (cancelled) return;
+        setVoices(data.voices);
+        setCatalogSource(data.source);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Lexicons are per user; anonymous visitors simply get none
+  useEffect(() => {
+    fetch("/api/lexicons")
+      .then((res) => (res.ok ? res.json() : { lexicons: [] }))
+      .then((data) => setLexicons(data.lexicons))
+      .catch(() => {});
+  }, []);
+
+  const localeOptions = useMemo(() => listLocales(voices), [voices]);
+  const localeVoices = useMemo(
+    () => filterVoices(voices, { locale: lang, gender }),
+    [voices, lang, gender]
+  );
+  const styleOptions = useMemo(() => listStyles(localeVoices), [localeVoices]);
+  const voiceOptions = useMemo(
+    () => filterVoices(localeVoices, { style }),
+    [localeVoices, style]
+  );
+
+  const selectedVoice = useMemo(
+    () => voices.find((v) => v.name === voice),
+    [voices, voice]
+  );
+
+  // Keep the selected voice within the filtered list
+  useEffect(() => {
+    if (voiceOptions.length && !voiceOptions.some((v) => v.name === voice)) {
+      setVoice(voiceOptions[0].name);
+    }
+  }, [voiceOptions, voice]);
+
+  // Drop a role the newly selected voice can't play
+  useEffect(() => {
+    if (role && selectedVoice && !selectedVoice.roles.includes(role)) {
+      setRole("");
+    }
+  }, [selectedVoice, role]);
+
+  const voiceSettings = {
+    style,
+    styledegree: style === DEFAULT_STYLE ? undefined : styleDegree,
+    role: role || undefined,
+    ...prosody,
+  };
+  const settingsErrors = selectedVoice
+    ? validateVoiceSettings(voiceSettings, selectedVoice)
+    : [];
+  const normalizationSettings = normalizationByLocale[lang] || {
+    enabled: false,
+    rules: defaultNormalizationOptions(lang).rules,
+    acronymText: "",
+  };
+  const textRequest = {
+    text,
+    lang,
+    voice,
+    ...voiceSettings,
+    format,
+    lexiconId: lexiconId || undefined,
+    normalization: normalizationSettings.enabled
+      ? {
+          rules: normalizationSettings.rules,
+          acronyms: normalizationSettings.acronymText
+            .split(",")
+            .map((a) => a.trim())
+            .filter(Boolean),
+        }
+      : undefined,
+  };
 
-  const currentLangObj = languageOptions.find((l) => l.value === lang);
+  // Outline the chosen document; code handling changes what gets read
+  useEffect(() => {
+    if (!documentFile) {
+      setOutline(null);
+      return;
+    }
+    let cancelled = false;
+    const form = new FormData();
+    form.append("file", documentFile);
+    form.append("options", JSON.stringify({ codeBlocks: audiobookOptions.codeBlocks }));
+    form.append("preview", "1");
+    setPreviewing(true);
+    fetch("/api/text-to-speech/audiobook", { method: "POST", body: form })
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || "Could not read the document");
+        return data;
+      })
+      .then((data) => {
+        if (!cancelled) setOutline(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setOutline(null);
+        setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setPreviewing(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [documentFile, audiobookOptions.codeBlocks]);
+
+  const handleNormalizationChange = (settings) => {
+    setNormalizationByLocale((prev) => ({ ...prev, [lang]: settings }));
+    setSsmlPreview(null);
+  };
+
+  const handlePreviewSsml = async () => {
+    setError("");
+    setPreviewingSsml(true);
+    try {
+      const response = await fetch("/api/text-to-speech/preview", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(textRequest),
+      });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+      setSsmlPreview(await response.json());
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setPreviewingSsml(false);
+    }
+  };
 
   const handleLangChange = (e) => {
-    const newLang = e.target.value;
-    const langObj = languageOptions.find((l) => l.value === newLang);
-    setLang(newLang);
-    setVoice(langObj.voices[0]);
-    setStyle(langObj.styles[0]);
+    setLang(e.target.value);
+    setStyle(DEFAULT_STYLE);
+  };
+
+  const handleGenderChange = (e) => {
+    setGender(e.target.value);
+    setStyle(DEFAULT_STYLE);
   };
 
   const handleVoiceChange = (e) => {
@@ -81,34 +350,402 @@ export default function TextToSpeech() {
     setStyle(e.target.value);
   };
 
+  const handleProsodyChange = (key) => (e) => {
+    const value = Number(e.target.value);
+    setProsody((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleModeChange = (e) => {
+    const newMode = e.target.value;
+    setMode(newMode);
+    setError("");
+    if (newMode === "ssml" && !ssml) {
+      setSsml(buildSsmlTemplate(lang, voice, style));
+    }
+  };
+
+  const handleSsmlChange = (value) => {
+    setSsml(value);
+    setSsmlStatus("");
+  };
+
+  const handleValidateSsml = async () => {
+    setError("");
+    try {
+      const response = await fetch("/api/text-to-speech/validate-ssml", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ ssml }),
+      });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+      const result = await response.json();
+      setSsmlErrors(result.errors);
+      setSsmlStatus(result.valid ? "SSML is valid." : "");
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleFormatChange = (e) => {
+    setFormat(e.target.value);
+  };
+
+  // The player may be fed from a MediaSource while the download link gets a
+  // Blob, so the two URLs are tracked and revoked separately
+  const replaceAudioUrls = (playUrl, fileUrl) => {
+    if (audioUrl) URL.revokeObjectURL(audioUrl);
+    if (downloadUrl && downloadUrl !== audioUrl) URL.revokeObjectURL(downloadUrl);
+    setAudioUrl(playUrl);
+    setDownloadUrl(fileUrl);
+  };
+
+  const showAudio = (blob, returnedFormat) => {
+    const url = URL.createObjectURL(blob);
+    replaceAudioUrls(url, url);
+    setAudioFormat(returnedFormat);
+    setAudioFileName(
+      buildAudioFileName(`${voice}-${Date.now()}`, returnedFormat)
+    );
+  };
+
+  const readErrorMessage = async (response) => {
+    let errMsg = "Failed to convert text to speech";
+    try {
+      const errJson = await response.json();
+      errMsg = errJson.error || errMsg;
+    } catch {}
+    return errMsg;
+  };
+
+  // Reads an NDJSON progress stream from the long-form or audiobook endpoint
+  const readProgressStream = async (response, onDone) => {
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffered += decoder.decode(value, { stream: true });
+      const lines = buffered.split("\n");
+      buffered = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        const event = JSON.parse(line);
+        if (event.type === "progress") {
+          setProgress({ completed: event.completed, total: event.total });
+        } else if (event.type === "error") {
+          throw new Error(event.error);
+        } else if (event.type === "done") {
+          onDone(event);
+        }
+      }
+    }
+  };
+
+  const synthesizeLongForm = async () => {
+    const response = await fetch("/api/text-to-speech/long-form", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(textRequest),
+    });
+    await readProgressStream(response, (event) => {
+      const bytes = base64ToBytes(event.audio);
+      showAudio(new Blob([bytes], { type: event.contentType }), event.format);
+    });
+  };
+
+  // Uploads the document with the voice settings; the result is either one
+  // file with chapter markers or a ZIP of chapters with a playlist
+  const synthesizeAudiobook = async () => {
+    const form = new FormData();
+    form.append("file", documentFile);
+    form.append(
+      "options",
+      JSON.stringify({ ...textRequest, text: undefined, ...audiobookOptions })
+    );
+    const response = await fetch("/api/text-to-speech/audiobook", {
+      method: "POST",
+      body: form,
+    });
+    await readProgressStream(response, (event) => {
+      const blob = new Blob([base64ToBytes(event.audio)], { type: event.contentType });
+      if (event.output === "single") {
+        showAudio(blob, event.format);
+        setAudioFileName(event.fileName);
+        setAudiobook({ chapters: event.chapters });
+      } else {
+        setAudiobook({
+          chapters: event.chapters,
+          zip: { url: URL.createObjectURL(blob), fileName: event.fileName },
+        });
+      }
+    });
+  };
+
+  // Requests audio together with word boundaries for the karaoke transcript
+  const synthesizeWithTimings = async () => {
+    const response = await fetch("/api/text-to-speech/timings", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        ...textRequest,
+        captions: withCaptions ? captionOptions : undefined,
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
+
+    const result = await response.json();
+    const bytes = Uint8Array.from(atob(result.audio), (c) => c.charCodeAt(0));
+    showAudio(new Blob([bytes], { type: result.contentType }), result.format);
+    if (result.captions) {
+      // Audio and both caption files share a base name inside one archive
+      const base = `${voice}-${Date.now()}`;
+      const zip = createZip([
+        { name: buildAudioFileName(base, result.format), data: bytes },
+        { name: `${base}.srt`, data: result.captions.srt },
+        { name: `${base}.vtt`, data: result.captions.vtt },
+      ]);
+      setArchive({
+        url: URL.createObjectURL(new Blob([zip], { type: "application/zip" })),
+        fileName: `${base}.zip`,
+      });
+    }
+    setTimings({
+      text,
+      words: result.words.filter((w) => w.type === "word" && w.textOffset >= 0),
+      sentences: result.sentences,
+    });
+  };
+
+  // Sends the request with its post-processing options and background bed;
+  // the server reports what it did in a header
+  const synthesizePostProcessed = async () => {
+    const form = new FormData();
+    form.append(
+      "request",
+      JSON.stringify({ ...textRequest, postProcessing: postProcessingOptions })
+    );
+    if (backgroundFile) form.append("background", backgroundFile);
+    const response = await fetch("/api/text-to-speech/post-process", {
+      method: "POST",
+      body: form,
+    });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
+
+    showAudio(await response.blob(), response.headers.get("X-Audio-Format") || format);
+    setPostProcessReport(JSON.parse(response.headers.get("X-Post-Processing") || "null"));
+  };
+
+  // Renders the dialogue script and keeps the per-turn manifest
+  const synthesizeDialogue = async () => {
+    const response = await fetch("/api/text-to-speech/dialogue", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        script: dialogueScript,
+        cast: dialogueCast,
+        pauseMs: dialoguePause,
+        lang,
+        format,
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
+
+    const result = await response.json();
+    const bytes = Uint8Array.from(atob(result.audio), (c) => c.charCodeAt(0));
+    showAudio(new Blob([bytes], { type: result.contentType }), result.format);
+    setManifest({
+      ...result.manifest,
+      url: URL.createObjectURL(
+        new Blob([JSON.stringify(result.manifest, null, 2)], {
+          type: "application/json",
+        })
+      ),
+    });
+  };
+
+  // Plays the chunked response from the main route while it downloads
+  const streamAudio = async (response, returnedFormat, startedAt) => {
+    const controller = new AbortController();
+    streamRef.current = controller;
+    const fileName = buildAudioFileName(`${voice}-${Date.now()}`, returnedFormat);
+
+    const { blob, playback } = await playAudioStream(
+      response.body,
+      getAudioFormat(returnedFormat),
+      {
+        signal: controller.signal,
+        onMediaSource: (url) => {
+          replaceAudioUrls(url, "");
+          setAudioFormat(returnedFormat);
+          setAudioFileName(fileName);
+          setStreamStats({ playback: "media-source", startedAt });
+        },
+        onFirstAudio: () =>
+          setStreamStats({
+            playback: "web-audio",
+            firstAudioMs: Math.round(performance.now() - startedAt),
+          }),
+      }
+    );
+
+    if (playback === "media-source") {
+      // Keep the MediaSource playing; only the download needs the Blob
+      setDownloadUrl(URL.createObjectURL(blob));
+      return;
+    }
+    showAudio(blob, returnedFormat);
+    if (playback === "buffered") {
+      setStreamStats({
+        playback,
+        firstAudioMs: Math.round(performance.now() - startedAt),
+      });
+    }
+  };
+
+  // Time-to-first-audio on the MediaSource path is when the player starts
+  const handleAudioPlaying = () => {
+    if (streamStats?.startedAt === undefined) return;
+    setStreamStats({
+      playback: streamStats.playback,
+      firstAudioMs: Math.round(performance.now() - streamStats.startedAt),
+    });
+  };
+
+  // Uploads the current audio with what it was generated from
+  const handleSaveToLibrary = async () => {
+    setError("");
+    setSaving(true);
+    try {
+      const blob = await (await fetch(downloadUrl)).blob();
+      const form = new FormData();
+      form.append("audio", blob, audioFileName);
+      form.append("text", generation.text);
+      form.append("voice", generation.voice);
+      form.append("style", generation.style);
+      form.append("format", audioFormat);
+      const response = await fetch("/api/library", { method: "POST", body: form });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+      setSavedRecord(await response.json());
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const seekToTurn = (turn) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = turn.startMs / 1000;
+    audio.play();
+  };
+
+  const seekToChapter = (chapter) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = chapter.startMs / 1000;
+    audio.play();
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError("");
+    setProgress(null);
+    setTimings(null);
+    if (audiobook?.zip) URL.revokeObjectURL(audiobook.zip.url);
+    setAudiobook(null);
+    if (archive) URL.revokeObjectURL(archive.url);
+    setArchive(null);
+    if (manifest) URL.revokeObjectURL(manifest.url);
+    setManifest(null);
+    streamRef.current?.abort();
+    setStreamStats(null);
+    setSavedRecord(null);
+    setPostProcessReport(null);
+    // Audiobooks are not saved to the library; their text is the whole document
+    setGeneration(
+      mode === "document"
+        ? null
+        : {
+            text: mode === "ssml" ? ssml : mode === "dialogue" ? dialogueScript : text,
+            voice,
+            style: mode === "text" ? style : DEFAULT_STYLE,
+          }
+    );
     try {
+      if (mode === "document") {
+        await synthesizeAudiobook();
+        return;
+      }
+      if (mode === "text" && longForm) {
+        await synthesizeLongForm();
+        return;
+      }
+      if (mode === "dialogue") {
+        await synthesizeDialogue();
+        return;
+      }
+      if (mode === "text" && withTimings) {
+        await synthesizeWithTimings();
+        return;
+      }
+      if (mode === "text" && postProcessing) {
+        await synthesizePostProcessed();
+        return;
+      }
+      const body =
+        mode === "ssml"
+          ? { mode, ssml, format }
+          : textRequest;
+      const startedAt = performance.now();
       const response = await fetch("/api/text-to-speech", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ text, lang, voice, style }),
+        body: JSON.stringify(body),
       });
       if (!response.ok) {
-        let errMsg = "Failed to convert text to speech";
-        try {
+        if (mode === "ssml" && response.status === 400) {
           const errJson = await response.json();
-          errMsg = errJson.error || errMsg;
-        } catch {}
-        setError(errMsg);
-        throw new Error(errMsg);
+          setSsmlErrors(errJson.details || []);
+          throw new Error(errJson.error || "Invalid SSML");
+        }
+        throw new Error(await readErrorMessage(response));
       }
-      const blob = await response.blob();
-      const url = URL.createObjectURL(blob);
-      setAudioUrl(url);
+      if (mode === "ssml") setSsmlErrors([]);
+      await streamAudio(
+        response,
+        response.headers.get("X-Audio-Format") || format,
+        startedAt
+      );
     } catch (error) {
-      if (!error.message.includes("Failed to convert")) {
-        setError(error.message);
-      }
+      if (error.name === "AbortError") return;
+      setError(error.message);
     } finally {
       setLoading(false);
     }
@@ -124,6 +761,38 @@ export default function TextToSpeech() {
       <Banner />
       <FeatureGuard>
         <form onSubmit={handleSubmit} className="space-y-6">
+        <div>
+          <span className="block mb-2 font-medium">Input mode</span>
+          <div className="flex gap-6">
+            {modeOptions.map((opt) => (
+              <label key={opt.value} className="inline-flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="mode"
+                  value={opt.value}
+                  checked={mode === opt.value}
+                  onChange={handleModeChange}
+                />
+                {opt.label}
+              </label>
+            ))}
+          </div>
+          <p className="mt-2 text-sm text-gray-500">
+            Need many clips at once?{" "}
+            <Link href="/demos/text-to-speech/batch" className="text-sky-600 underline">
+              Upload a CSV or JSONL batch
+            </Link>
+            . Saved audio is in{" "}
+            <Link href="/demos/text-to-speech/library" className="text-sky-600 underline">
+              My Library
+            </Link>
+            . Choosing a voice?{" "}
+            <Link href="/demos/text-to-speech/compare" className="text-sky-600 underline">
+              Compare voices side by side
+            </Link>
+            .
+          </p>
+        </div>
         <div>
           <label htmlFor="outputLang" className="block mb-2 font-medium">
             Language
@@ -134,26 +803,33 @@ export default function TextToSpeech() {
             value={lang}
             onChange={handleLangChange}
           >
-            {languageOptions.map((opt) => (
+            {localeOptions.map((opt) => (
               <option key={opt.value} value={opt.value}>
                 {opt.label}
               </option>
             ))}
           </select>
+          {catalogSource === "fixture" && (
+            <p className="mt-1 text-sm text-gray-500">
+              Showing the offline voice list; the live catalog is unavailable.
+            </p>
+          )}
         </div>
+        {mode !== "dialogue" && (
+          <>
         <div>
-          <label htmlFor="voice" className="block mb-2 font-medium">
-            Voice
+          <label htmlFor="gender" className="block mb-2 font-medium">
+            Gender
           </label>
           <select
-            id="voice"
+            id="gender"
             className="w-full border rounded px-3 py-2"
-            value={voice}
-            onChange={handleVoiceChange}
+            value={gender}
+            onChange={handleGenderChange}
           >
-            {currentLangObj.voices.map((v) => (
-              <option key={v} value={v}>
-                {v}
+            {genderOptions.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
               </option>
             ))}
           </select>
@@ -168,7 +844,7 @@ export default function TextToSpeech() {
             value={style}
             onChange={handleStyleChange}
           >
-            {currentLangObj.styles.map((s) => (
+            {styleOptions.map((s) => (
               <option key={s} value={s}>
                 {s}
               </option>
@@ -176,36 +852,503 @@ export default function TextToSpeech() {
           </select>
         </div>
         <div>
-          <label htmlFor="inputText" className="block mb-2 font-medium">
-            Input text
+          <label htmlFor="voice" className="block mb-2 font-medium">
+            Voice
           </label>
-          <div className="flex gap-2">
+          <select
+            id="voice"
+            className="w-full border rounded px-3 py-2"
+            value={voice}
+            onChange={handleVoiceChange}
+          >
+            {voiceOptions.map((v) => (
+              <option key={v.name} value={v.name}>
+                {v.localName} ({v.gender}, {v.type}) - {v.name}
+              </option>
+            ))}
+          </select>
+        </div>
+          </>
+        )}
+        {(mode === "text" || mode === "document") && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label htmlFor="styleDegree" className="block mb-2 font-medium">
+              Style degree: {styleDegree.toFixed(2)}
+            </label>
             <input
-              id="inputText"
-              type="text"
+              id="styleDegree"
+              type="range"
+              className="w-full"
+              min={STYLE_DEGREE_LIMITS.min}
+              max={STYLE_DEGREE_LIMITS.max}
+              step={0.01}
+              value={styleDegree}
+              onChange={(e) => setStyleDegree(Number(e.target.value))}
+              disabled={style === DEFAULT_STYLE}
+            />
+          </div>
+          <div>
+            <label htmlFor="role" className="block mb-2 font-medium">
+              Role
+            </label>
+            <select
+              id="role"
               className="w-full border rounded px-3 py-2"
-              placeholder="Something you want to say"
-              value={text}
-              onChange={(e) => setText(e.target.value)}
-              required
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              disabled={!selectedVoice?.roles.length}
+            >
+              <option value="">Default</option>
+              {(selectedVoice?.roles || []).map((r) => (
+                <option key={r} value={r}>
+                  {r}
+                </option>
+              ))}
+            </select>
+          </div>
+          {prosodyControls.map(({ key, label }) => (
+            <div key={key}>
+              <label htmlFor={key} className="block mb-2 font-medium">
+                {label}: {prosody[key] > 0 ? "+" : ""}
+                {prosody[key]}%
+              </label>
+              <input
+                id={key}
+                type="range"
+                className="w-full"
+                min={PROSODY_LIMITS[key].min}
+                max={PROSODY_LIMITS[key].max}
+                step={1}
+                value={prosody[key]}
+                onChange={handleProsodyChange(key)}
+              />
+            </div>
+          ))}
+        </div>
+        )}
+        {(mode === "text" || mode === "document") && settingsErrors.length > 0 && (
+          <ul className="text-sm text-red-600 list-disc pl-5">
+            {settingsErrors.map((msg) => (
+              <li key={msg}>{msg}</li>
+            ))}
+          </ul>
+        )}
+        <div>
+          <label htmlFor="outputFormat" className="block mb-2 font-medium">
+            Output format
+          </label>
+          <select
+            id="outputFormat"
+            className="w-full border rounded px-3 py-2"
+            value={format}
+            onChange={handleFormatChange}
+          >
+            {AUDIO_FORMATS.map((f) => (
+              <option key={f.id} value={f.id}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {(mode === "text" || mode === "document") && (
+        <div>
+          <label htmlFor="lexicon" className="block mb-2 font-medium">
+            Pronunciation lexicon
+          </label>
+          <div className="flex items-center gap-4">
+            <select
+              id="lexicon"
+              className="flex-1 border rounded px-3 py-2"
+              value={lexiconId}
+              onChange={(e) => setLexiconId(e.target.value)}
+            >
+              <option value="">None</option>
+              {lexicons.map((l) => (
+                <option key={l.id} value={l.id}>
+                  {l.name} ({l.locale}, {l.entryCount} entries)
+                </option>
+              ))}
+            </select>
+            <Link
+              href="/demos/text-to-speech/lexicons"
+              className="text-sm text-sky-600 underline"
+            >
+              Manage lexicons
+            </Link>
+          </div>
+        </div>
+        )}
+        {(mode === "text" || mode === "document") && (
+          <NormalizationSettings
+            lang={lang}
+            settings={normalizationSettings}
+            onChange={handleNormalizationChange}
+            onPreview={mode === "text" && text.trim() ? handlePreviewSsml : undefined}
+            preview={mode === "text" ? ssmlPreview : null}
+            previewing={previewingSsml}
+          />
+        )}
+        {mode === "text" ? (
+          <>
+        <div>
+          <label className="inline-flex items-center gap-2 font-medium">
+            <input
+              type="checkbox"
+              checked={longForm}
+              onChange={(e) => setLongForm(e.target.checked)}
             />
-            <Button type="submit" color="blue" disabled={loading}>
+            Long-form mode (split long text into chunks and stitch the audio)
+          </label>
+          {!longForm && (
+            <label className="flex items-center gap-2 mt-2 font-medium">
+              <input
+                type="checkbox"
+                checked={withTimings}
+                onChange={(e) => setWithTimings(e.target.checked)}
+              />
+              Word timings (highlight words during playback, click to seek)
+            </label>
+          )}
+          {!longForm && withTimings && (
+            <div className="mt-2 ml-6">
+              <label className="flex items-center gap-2 font-medium">
+                <input
+                  type="checkbox"
+                  checked={withCaptions}
+                  onChange={(e) => setWithCaptions(e.target.checked)}
+                />
+                Captions (SRT and WebVTT, downloaded with the audio as a .zip)
+              </label>
+              {withCaptions && (
+                <div className="flex flex-wrap gap-4 mt-2 text-sm">
+                  <label className="flex items-center gap-2">
+                    Max line length
+                    <input
+                      type="number"
+                      className="w-20 border rounded px-2 py-1"
+                      min={CAPTION_LIMITS.maxLineChars.min}
+                      max={CAPTION_LIMITS.maxLineChars.max}
+                      value={captionOptions.maxLineChars}
+                      onChange={(e) =>
+                        setCaptionOptions((prev) => ({
+                          ...prev,
+                          maxLineChars: Number(e.target.value),
+                        }))
+                      }
+                    />
+                    characters
+                  </label>
+                  <label className="flex items-center gap-2">
+                    Max cue duration
+                    <input
+                      type="number"
+                      className="w-20 border rounded px-2 py-1"
+                      min={CAPTION_LIMITS.maxDurationMs.min / 1000}
+                      max={CAPTION_LIMITS.maxDurationMs.max / 1000}
+                      step={0.5}
+                      value={captionOptions.maxDurationMs / 1000}
+                      onChange={(e) =>
+                        setCaptionOptions((prev) => ({
+                          ...prev,
+                          maxDurationMs: Number(e.target.value) * 1000,
+                        }))
+                      }
+                    />
+                    seconds
+                  </label>
+                </div>
+              )}
+            </div>
+          )}
+          {!longForm && !withTimings && (
+            <div className="mt-2">
+              <PostProcessingSettings
+                enabled={postProcessing}
+                onEnabledChange={setPostProcessing}
+                options={postProcessingOptions}
+                onOptionsChange={setPostProcessingOptions}
+                background={backgroundFile}
+                onBackgroundChange={setBackgroundFile}
+              />
+            </div>
+          )}
+          {!longForm && text.length > MAX_SINGLE_REQUEST_CHARS && (
+            <p className="mt-1 text-sm text-gray-500">
+              Text is longer than {MAX_SINGLE_REQUEST_CHARS} characters; enable
+              long-form mode to synthesize it.
+            </p>
+          )}
+        </div>
+        <div>
+          <label htmlFor="inputText" className="block mb-2 font-medium">
+            Input text
+          </label>
+          <div className="flex gap-2">
+            {longForm ? (
+              <textarea
+                id="inputText"
+                className="w-full border rounded px-3 py-2 min-h-[200px]"
+                placeholder="Paste an article or chapter"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                required
+              />
+            ) : (
+              <input
+                id="inputText"
+                type="text"
+                className="w-full border rounded px-3 py-2"
+                placeholder="Something you want to say"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                required
+              />
+            )}
+            <Button
+              type="submit"
+              color="blue"
+              disabled={loading || settingsErrors.length > 0}
+            >
               {loading ? "Converting..." : "Enter"}
             </Button>
           </div>
         </div>
+          </>
+        ) : mode === "document" ? (
+          <div>
+            <DocumentImport
+              file={documentFile}
+              onFileChange={setDocumentFile}
+              options={audiobookOptions}
+              onOptionsChange={setAudiobookOptions}
+              outline={outline}
+              previewing={previewing}
+            />
+            <Button
+              type="submit"
+              color="blue"
+              className="mt-4"
+              disabled={
+                loading || !outline || previewing || settingsErrors.length > 0
+              }
+            >
+              {loading ? "Rendering..." : "Create audiobook"}
+            </Button>
+          </div>
+        ) : mode === "dialogue" ? (
+          <div>
+            <DialogueEditor
+              script={dialogueScript}
+              onScriptChange={setDialogueScript}
+              cast={dialogueCast}
+              onCastChange={setDialogueCast}
+              pauseMs={dialoguePause}
+              onPauseChange={setDialoguePause}
+              voices={voices}
+              lang={lang}
+            />
+            <Button
+              type="submit"
+              color="blue"
+              className="mt-4"
+              disabled={
+                loading || parseDialogueScript(dialogueScript, Object.keys(dialogueCast)).errors.length > 0
+              }
+            >
+              {loading ? "Rendering..." : "Render dialogue"}
+            </Button>
+          </div>
+        ) : (
+          <div>
+            <label htmlFor="ssmlInput" className="block mb-2 font-medium">
+              SSML
+            </label>
+            <SsmlEditor
+              value={ssml}
+              onChange={handleSsmlChange}
+              errors={ssmlErrors}
+              voice={voice}
+            />
+            {ssmlStatus && (
+              <p className="mt-2 text-sm text-green-700">{ssmlStatus}</p>
+            )}
+            <div className="flex gap-2 mt-4">
+              <Button type="button" color="gray" onClick={handleValidateSsml}>
+                Validate
+              </Button>
+              <Button type="submit" color="blue" disabled={loading || !ssml}>
+                {loading ? "Converting..." : "Synthesize"}
+              </Button>
+            </div>
+          </div>
+        )}
+        {progress && progress.total > 0 && (
+          <div>
+            <div className="flex justify-between text-sm text-gray-600 mb-1">
+              <span>Synthesizing chunks</span>
+              <span>
+                {progress.completed} / {progress.total}
+              </span>
+            </div>
+            <div className="w-full h-2 bg-gray-200 rounded">
+              <div
+                className="h-2 bg-sky-500 rounded"
+                style={{
+                  width: `${(progress.completed / progress.total) * 100}%`,
+                }}
+              />
+            </div>
+          </div>
+        )}
         {error && <div className="text-red-600 font-semibold">{error}</div>}
         </form>
         {audioUrl && (
           <div className="mt-8 flex flex-col items-center">
             <SectionHeader>Generated Audio</SectionHeader>
-            <audio
-              ref={audioRef}
-              controls
-              src={audioUrl}
-              className="w-full max-w-md"
-              onError={handleAudioError}
-            />
+            {getAudioFormat(audioFormat)?.container === "pcm" ? (
+              <p className="text-sm text-gray-500">
+                Raw PCM has no header and cannot be played in the browser;
+                download it instead.
+              </p>
+            ) : (
+              <audio
+                ref={audioRef}
+                controls
+                src={audioUrl}
+                autoPlay={streamStats?.playback === "media-source"}
+                className="w-full max-w-md"
+                onPlaying={handleAudioPlaying}
+                onError={handleAudioError}
+              />
+            )}
+            {streamStats?.firstAudioMs !== undefined && (
+              <p className="mt-2 text-sm text-gray-500">
+                {streamStats.playback === "buffered"
+                  ? `Audio ready after ${streamStats.firstAudioMs} ms (this browser can't stream this format, so the whole file was downloaded first)`
+                  : `Time to first audio: ${streamStats.firstAudioMs} ms (streamed via ${
+                      streamStats.playback === "web-audio" ? "Web Audio" : "MediaSource"
+                    })`}
+              </p>
+            )}
+            {postProcessReport && (
+              <p className="mt-2 text-sm text-gray-500">
+                {postProcessReport.inputLufs === null
+                  ? "No speech loud enough to measure"
+                  : `Loudness ${postProcessReport.inputLufs} → ${postProcessReport.outputLufs} LUFS (${
+                      postProcessReport.gainDb > 0 ? "+" : ""
+                    }${postProcessReport.gainDb} dB)`}
+                {postProcessReport.peakLimited && ", held back to avoid clipping"}
+                {(postProcessReport.trimmedStartMs > 0 || postProcessReport.trimmedEndMs > 0) &&
+                  ` · trimmed ${postProcessReport.trimmedStartMs} ms / ${postProcessReport.trimmedEndMs} ms of silence`}
+                {postProcessReport.background && " · background mixed in"}
+              </p>
+            )}
+            {timings && getAudioFormat(audioFormat)?.container !== "pcm" && (
+              <KaraokeTranscript
+                text={timings.text}
+                words={timings.words}
+                audioRef={audioRef}
+              />
+            )}
+            {downloadUrl && (
+              <a
+                href={downloadUrl}
+                download={audioFileName}
+                className="btn mt-4 text-sm py-2 px-4 border bg-sky-500 text-white hover:bg-sky-600"
+              >
+                Download {audioFileName}
+              </a>
+            )}
+            {downloadUrl && generation && (
+              savedRecord ? (
+                <p className="mt-2 text-sm text-gray-600">
+                  Saved as &ldquo;{savedRecord.title}&rdquo; in{" "}
+                  <Link href="/demos/text-to-speech/library" className="text-sky-600 underline">
+                    My Library
+                  </Link>
+                  .
+                </p>
+              ) : (
+                <Button
+                  type="button"
+                  size="sm"
+                  color="gray"
+                  className="mt-2"
+                  disabled={saving}
+                  onClick={handleSaveToLibrary}
+                >
+                  {saving ? "Saving..." : "Save to My Library"}
+                </Button>
+              )
+            )}
+            {archive && (
+              <a
+                href={archive.url}
+                download={archive.fileName}
+                className="btn mt-2 text-sm py-2 px-4 border bg-sky-500 text-white hover:bg-sky-600"
+              >
+                Download audio with captions ({archive.fileName})
+              </a>
+            )}
+            {manifest && (
+              <div className="w-full max-w-2xl mt-6">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="py-1">Start</th>
+                      <th className="py-1">End</th>
+                      <th className="py-1">Speaker</th>
+                      <th className="py-1">Text</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {manifest.turns.map((turn) => (
+                      <tr
+                        key={turn.index}
+                        className="border-t cursor-pointer hover:bg-sky-50"
+                        onClick={() => seekToTurn(turn)}
+                      >
+                        <td className="py-1 pr-2 font-mono">
+                          {(turn.startMs / 1000).toFixed(2)}s
+                        </td>
+                        <td className="py-1 pr-2 font-mono">
+                          {(turn.endMs / 1000).toFixed(2)}s
+                        </td>
+                        <td className="py-1 pr-2 font-mono">{turn.speaker}</td>
+                        <td className="py-1">{turn.text}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <a
+                  href={manifest.url}
+                  download={audioFileName.replace(/\.[^.]+$/, ".json")}
+                  className="inline-block mt-2 text-sm text-sky-600 underline"
+                >
+                  Download timing manifest (.json)
+                </a>
+              </div>
+            )}
+            {audiobook && (
+              <ChapterTable chapters={audiobook.chapters} onSeek={seekToChapter} />
+            )}
+          </div>
+        )}
+        {audiobook?.zip && (
+          <div className="mt-8 flex flex-col items-center">
+            <SectionHeader>Generated Audiobook</SectionHeader>
+            <a
+              href={audiobook.zip.url}
+              download={audiobook.zip.fileName}
+              className="btn text-sm py-2 px-4 border bg-sky-500 text-white hover:bg-sky-600"
+            >
+              Download {audiobook.zip.fileName}
+            </a>
+            <p className="mt-2 text-sm text-gray-500">
+              One audio file per chapter, with playlist.m3u to play them in order.
+            </p>
+            <ChapterTable chapters={audiobook.chapters} />
           </div>
         )}
       </FeatureGuard>
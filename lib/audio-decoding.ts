@@ -0,0 +1,271 @@
+/**
+ * Audio Decoding
+ *
+ * Turns an uploaded recording into the 16 kHz, 16-bit mono PCM the speech
+ * recognizer is fed, and background beds into samples for post-processing.
+ * WAV is decoded in-process; MP3, M4A/AAC, Ogg and WebM are piped through an
+ * ffmpeg binary (FFMPEG_PATH, default "ffmpeg" on the PATH), since there is
+ * no pure-JS decoder for them here. Server only.
+ */
+
+import { spawn } from "child_process";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { decodeWav, POST_PROCESSING_LIMITS, resample } from "./audio-processing";
+import { HttpError } from "./http-error";
+
+export type UploadContainer = "wav" | "mp3" | "m4a" | "ogg" | "webm";
+
+export const RECOGNITION_SAMPLE_RATE = 16000;
+
+// Bytes per second of 16 kHz 16-bit mono PCM
+export const RECOGNITION_BYTES_PER_SECOND = RECOGNITION_SAMPLE_RATE * 2;
+
+const CONTAINER_LABELS: Record<UploadContainer, string> = {
+  wav: "WAV",
+  mp3: "MP3",
+  m4a: "M4A",
+  ogg: "Ogg",
+  webm: "WebM",
+};
+
+const EXTENSIONS: Record<string, UploadContainer> = {
+  wav: "wav",
+  wave: "wav",
+  mp3: "mp3",
+  m4a: "m4a",
+  mp4: "m4a",
+  aac: "m4a",
+  ogg: "ogg",
+  oga: "ogg",
+  opus: "ogg",
+  webm: "webm",
+};
+
+const DEFAULT_DECODE_TIMEOUT_MS = 5 * 60 * 1000;
+// Longest recording transcribed, which bounds the decoded PCM kept in memory
+const DEFAULT_MAX_RECOGNITION_SECONDS = 60 * 60;
+
+function maxRecognitionSeconds(): number {
+  return Number(process.env.TRANSCRIBE_MAX_SECONDS) || DEFAULT_MAX_RECOGNITION_SECONDS;
+}
+
+function tooLongError(maxSeconds: number): AudioDecodingError {
+  const limit = maxSeconds >= 60 ? `${Math.round(maxSeconds / 60)} minutes` : `${maxSeconds} seconds`;
+  return new AudioDecodingError(`Recordings longer than ${limit} can't be transcribed`, 413);
+}
+
+/**
+ * What to report when an ffmpeg run can't start, times out or fails
+ */
+export interface FfmpegMessages {
+  missing: string;
+  timeout: string;
+  failed: string;
+  failedStatus: number;
+}
+
+/**
+ * Error raised when an upload can't be turned into PCM, carrying the HTTP
+ * status to reply with
+ */
+export class AudioDecodingError extends HttpError {
+  constructor(message: string, status = 400, details?: unknown) {
+    super(message, status, details);
+    this.name = "AudioDecodingError";
+  }
+}
+
+function startsWith(buffer: Buffer, text: string, offset = 0): boolean {
+  return buffer.length >= offset + text.length && buffer.toString("latin1", offset, offset + text.length) === text;
+}
+
+/**
+ * Identifies the container from the file's magic bytes, falling back to its
+ * extension for headerless streams such as raw MP3 frames
+ */
+export function detectContainer(buffer: Buffer, fileName = ""): UploadContainer | null {
+  if (startsWith(buffer, "RIFF") && startsWith(buffer, "WAVE", 8)) return "wav";
+  if (startsWith(buffer, "OggS")) return "ogg";
+  if (startsWith(buffer, "ftyp", 4)) return "m4a";
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) return "webm";
+  if (startsWith(buffer, "ID3") || (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) {
+    return "mp3";
+  }
+  const extension = fileName.split(".").pop()?.toLowerCase() || "";
+  return EXTENSIONS[extension] || null;
+}
+
+/**
+ * Downsamples with a box filter over each output sample's span, which keeps
+ * speech intelligible where plain interpolation would alias
+ */
+function resampleForRecognition(samples: Float32Array, fromRate: number): Float32Array {
+  if (fromRate === RECOGNITION_SAMPLE_RATE) return samples;
+  const ratio = fromRate / RECOGNITION_SAMPLE_RATE;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    if (ratio <= 1) {
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, samples.length - 1);
+      output[i] = samples[index] + (samples[next] - samples[index]) * (position - index);
+      continue;
+    }
+    const start = Math.floor(position);
+    const end = Math.min(samples.length, Math.floor(position + ratio));
+    let sum = 0;
+    for (let j = start; j < end; j++) sum += samples[j];
+    output[i] = sum / Math.max(1, end - start);
+  }
+  return output;
+}
+
+function toPcm16(samples: Float32Array): Buffer {
+  const pcm = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.max(-1, Math.min(1, samples[i]));
+    pcm.writeInt16LE(Math.round(value < 0 ? value * 32768 : value * 32767), i * 2);
+  }
+  return pcm;
+}
+
+/**
+ * Runs ffmpeg on an input file and collects what it writes to stdout
+ */
+export function runFfmpeg(input: string, outputArgs: string[], messages: FfmpegMessages): Promise<Buffer> {
+  const ffmpeg = process.env.FFMPEG_PATH || "ffmpeg";
+  const timeoutMs = Number(process.env.TRANSCRIBE_DECODE_TIMEOUT_SECONDS) * 1000 || DEFAULT_DECODE_TIMEOUT_MS;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(
+      ffmpeg,
+      ["-hide_banner", "-loglevel", "error", "-i", input, "-vn", ...outputArgs, "pipe:1"],
+      { stdio: ["ignore", "pipe", "pipe"] }
+    );
+
+    const chunks: Buffer[] = [];
+    let stderr = "";
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+
+    child.stdout.on("data", (chunk: Buffer) => chunks.push(chunk));
+    child.stderr.on("data", (chunk: Buffer) => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+    child.on("error", (error: Error & { code?: string }) => {
+      clearTimeout(timer);
+      reject(error.code === "ENOENT" ? new AudioDecodingError(messages.missing, 501) : error);
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (signal) {
+        reject(new AudioDecodingError(messages.timeout, 504));
+      } else if (code !== 0) {
+        reject(new AudioDecodingError(messages.failed, messages.failedStatus, stderr.trim() || undefined));
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+  });
+}
+
+/**
+ * Decodes through ffmpeg. The upload goes to a temporary file rather than
+ * stdin because MP4 files often keep their index at the end, which ffmpeg
+ * can only reach by seeking.
+ */
+async function decodeWithFfmpeg(
+  buffer: Buffer,
+  container: UploadContainer,
+  sampleRate = RECOGNITION_SAMPLE_RATE,
+  maxSeconds?: number
+): Promise<Buffer> {
+  const label = CONTAINER_LABELS[container];
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "transcribe-"));
+  const input = path.join(directory, `upload.${container}`);
+  const limit = maxSeconds ? ["-t", String(maxSeconds)] : [];
+  try {
+    await fs.writeFile(input, buffer);
+    return await runFfmpeg(input, [...limit, "-ac", "1", "-ar", String(sampleRate), "-f", "s16le"], {
+      missing: `Decoding ${label} needs ffmpeg on the server; install it or set FFMPEG_PATH, or upload WAV`,
+      timeout: `Decoding the ${label} file took too long`,
+      failed: `Could not decode the ${label} file`,
+      failedStatus: 400,
+    });
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Decodes a background bed for post-processing to mono samples at the
+ * output sample rate, keeping at most its first
+ * POST_PROCESSING_LIMITS.backgroundSeconds
+ */
+export async function decodeBackground(buffer: Buffer, fileName: string, sampleRate: number): Promise<Float32Array> {
+  const maxSeconds = POST_PROCESSING_LIMITS.backgroundSeconds;
+  const container = detectContainer(buffer, fileName);
+  if (!container) {
+    throw new AudioDecodingError("Unsupported background track: upload WAV, MP3, M4A, Ogg or WebM", 415);
+  }
+
+  if (container === "wav") {
+    let decoded;
+    try {
+      decoded = decodeWav(buffer);
+    } catch (error) {
+      throw new AudioDecodingError(`Could not decode the WAV file: ${(error as Error).message}`);
+    }
+    const kept = decoded.samples.subarray(0, decoded.sampleRate * maxSeconds);
+    return resample(kept, decoded.sampleRate, sampleRate);
+  }
+
+  const pcm = await decodeWithFfmpeg(buffer, container, sampleRate, maxSeconds);
+  const samples = new Float32Array(pcm.length >> 1);
+  for (let i = 0; i < samples.length; i++) samples[i] = pcm.readInt16LE(i * 2) / 32768;
+  return samples;
+}
+
+/**
+ * Decodes an upload to 16 kHz 16-bit mono PCM. Recordings longer than
+ * TRANSCRIBE_MAX_SECONDS are refused; ffmpeg stops just past the limit so an
+ * over-long file is never decoded in full.
+ */
+export async function decodeForRecognition(
+  buffer: Buffer,
+  fileName = ""
+): Promise<{ pcm: Buffer; container: UploadContainer; durationMs: number }> {
+  const container = detectContainer(buffer, fileName);
+  if (!container) {
+    throw new AudioDecodingError("Unsupported audio file: upload WAV, MP3, M4A, Ogg or WebM", 415);
+  }
+
+  const maxSeconds = maxRecognitionSeconds();
+  let pcm: Buffer;
+  if (container === "wav") {
+    let decoded;
+    try {
+      decoded = decodeWav(buffer);
+    } catch (error) {
+      throw new AudioDecodingError(`Could not decode the WAV file: ${(error as Error).message}`);
+    }
+    if (decoded.samples.length > decoded.sampleRate * maxSeconds) throw tooLongError(maxSeconds);
+    pcm = toPcm16(resampleForRecognition(decoded.samples, decoded.sampleRate));
+  } else {
+    pcm = await decodeWithFfmpeg(buffer, container, RECOGNITION_SAMPLE_RATE, maxSeconds + 1);
+  }
+
+  if (pcm.length === 0) {
+    throw new AudioDecodingError("The file contains no audio");
+  }
+  if (pcm.length > RECOGNITION_BYTES_PER_SECOND * maxSeconds) {
+    throw tooLongError(maxSeconds);
+  }
+  return {
+    pcm,
+    container,
+    durationMs: Math.round((pcm.length / RECOGNITION_BYTES_PER_SECOND) * 1000),
+  };
+}
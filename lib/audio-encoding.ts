@@ -0,0 +1,63 @@
+/**
+ * Audio Encoding
+ *
+ * Encodes post-processed PCM to the compressed output formats (MP3, Ogg and
+ * WebM Opus). WAV and raw PCM are written in-process by encodePcm16; the
+ * compressed formats are piped through the same ffmpeg binary used for
+ * decoding uploads (FFMPEG_PATH, default "ffmpeg" on the PATH). Server only.
+ */
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { getAudioFormat, type AudioFormat } from "./audio-formats";
+import { AudioDecodingError, runFfmpeg } from "./audio-decoding";
+import { encodePcm16 } from "./audio-processing";
+import { SynthesisError } from "./synthesis";
+
+function codecArgs(format: AudioFormat): string[] {
+  switch (format.container) {
+    case "mp3":
+      return ["-c:a", "libmp3lame", "-b:a", `${format.bitrateKbps}k`, "-f", "mp3"];
+    case "ogg":
+      return ["-c:a", "libopus", "-f", "ogg"];
+    case "webm":
+      return ["-c:a", "libopus", "-f", "webm"];
+    default:
+      throw new SynthesisError(`${format.label} is not a compressed format`, 500);
+  }
+}
+
+/**
+ * Encodes mono samples to the given output format, at the format's sample
+ * rate. The samples go to ffmpeg as a temporary WAV file.
+ */
+export async function encodeSamples(samples: Float32Array, format: AudioFormat): Promise<Buffer> {
+  if (format.container === "wav" || format.container === "pcm") {
+    return encodePcm16(samples, format);
+  }
+
+  const wavFormat = getAudioFormat(`riff-${format.sampleRate / 1000}khz-16bit-mono-pcm`)!;
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "post-process-"));
+  const input = path.join(directory, "speech.wav");
+  try {
+    await fs.writeFile(input, encodePcm16(samples, wavFormat));
+    return await runFfmpeg(
+      input,
+      ["-ac", "1", "-ar", String(format.sampleRate), ...codecArgs(format)],
+      {
+        missing: `Encoding ${format.label} needs ffmpeg on the server; install it or set FFMPEG_PATH, or choose WAV output`,
+        timeout: `Encoding ${format.label} took too long`,
+        failed: `Could not encode ${format.label}`,
+        failedStatus: 500,
+      }
+    );
+  } catch (error) {
+    if (error instanceof AudioDecodingError) {
+      throw new SynthesisError(error.message, error.status, error.details);
+    }
+    throw error;
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
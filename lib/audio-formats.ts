@@ -0,0 +1,144 @@
+/**
+ * Audio Output Formats
+ *
+ * Whitelist of Azure Speech `X-Microsoft-OutputFormat` values the demo
+ * accepts, with the Content-Type and file extension each one maps to.
+ * Shared by the text-to-speech route and page.
+ */
+
+export type AudioContainer = "mp3" | "wav" | "pcm" | "ogg" | "webm";
+
+export interface AudioFormat {
+  id: string;
+  label: string;
+  container: AudioContainer;
+  contentType: string;
+  extension: string;
+  sampleRate: number;
+  bitsPerSample?: number;
+  bitrateKbps?: number;
+  channels: number;
+}
+
+export const DEFAULT_AUDIO_FORMAT = "audio-24khz-48kbitrate-mono-mp3";
+
+function mp3(sampleKhz: number, bitrateKbps: number): AudioFormat {
+  return {
+    id: `audio-${sampleKhz}khz-${bitrateKbps}kbitrate-mono-mp3`,
+    label: `MP3 ${sampleKhz} kHz, ${bitrateKbps} kbps`,
+    container: "mp3",
+    contentType: "audio/mpeg",
+    extension: "mp3",
+    sampleRate: sampleKhz * 1000,
+    bitrateKbps,
+    channels: 1,
+  };
+}
+
+function riff(sampleKhz: number): AudioFormat {
+  return {
+    id: `riff-${sampleKhz}khz-16bit-mono-pcm`,
+    label: `WAV (PCM) ${sampleKhz} kHz, 16-bit`,
+    container: "wav",
+    contentType: "audio/wav",
+    extension: "wav",
+    sampleRate: sampleKhz * 1000,
+    bitsPerSample: 16,
+    channels: 1,
+  };
+}
+
+function raw(sampleKhz: number): AudioFormat {
+  return {
+    id: `raw-${sampleKhz}khz-16bit-mono-pcm`,
+    label: `Raw PCM ${sampleKhz} kHz, 16-bit (headerless)`,
+    container: "pcm",
+    contentType: `audio/L16; rate=${sampleKhz * 1000}; channels=1`,
+    extension: "pcm",
+    sampleRate: sampleKhz * 1000,
+    bitsPerSample: 16,
+    channels: 1,
+  };
+}
+
+function opus(container: "ogg" | "webm", sampleKhz: number): AudioFormat {
+  return {
+    id: `${container}-${sampleKhz}khz-16bit-mono-opus`,
+    label: `${container === "ogg" ? "Ogg" : "WebM"} Opus ${sampleKhz} kHz`,
+    container,
+    contentType: container === "ogg" ? "audio/ogg" : "audio/webm",
+    extension: container === "ogg" ? "ogg" : "webm",
+    sampleRate: sampleKhz * 1000,
+    channels: 1,
+  };
+}
+
+/**
+ * Supported output formats, in the order they are offered in the UI
+ */
+export const AUDIO_FORMATS: AudioFormat[] = [
+  mp3(24, 48),
+  mp3(24, 96),
+  mp3(24, 160),
+  mp3(48, 96),
+  mp3(48, 192),
+  mp3(16, 32),
+  mp3(16, 128),
+  riff(8),
+  riff(16),
+  riff(24),
+  riff(48),
+  raw(16),
+  raw(24),
+  opus("ogg", 16),
+  opus("ogg", 24),
+  opus("ogg", 48),
+  opus("webm", 16),
+  opus("webm", 24),
+];
+
+const FORMATS_BY_ID = new Map(AUDIO_FORMATS.map((f) => [f.id, f]));
+
+/**
+ * Looks up a whitelisted output format by its Azure identifier
+ */
+export function getAudioFormat(id: string): AudioFormat | undefined {
+  return FORMATS_BY_ID.get(id);
+}
+
+/**
+ * Checks whether a value is one of the whitelisted output formats
+ */
+export function isSupportedAudioFormat(id: unknown): id is string {
+  return typeof id === "string" && FORMATS_BY_ID.has(id);
+}
+
+/**
+ * Builds a download file name with the extension matching the format
+ */
+export function buildAudioFileName(base: string, formatId: string): string {
+  const format = getAudioFormat(formatId) || getAudioFormat(DEFAULT_AUDIO_FORMAT)!;
+  const safeBase = (base || "speech").replace(/[^a-zA-Z0-9_-]+/g, "-").replace(/^-+|-+$/g, "");
+  return `${safeBase || "speech"}.${format.extension}`;
+}
+
+/**
+ * Playback length implied by a file's size, for formats where that is
+ * exact (PCM) or close (constant-bitrate MP3). Opus is variable bitrate, so
+ * its duration is unknown without decoding.
+ */
+export function estimateDurationMs(formatId: string, byteLength: number): number | null {
+  const format = getAudioFormat(formatId);
+  if (!format) return null;
+
+  if (format.bitsPerSample) {
+    // RIFF files start with a 44-byte header
+    const dataBytes = format.container === "wav" ? Math.max(0, byteLength - 44) : byteLength;
+    const bytesPerSecond = format.sampleRate * (format.bitsPerSample / 8) * format.channels;
+    return Math.round((dataBytes / bytesPerSecond) * 1000);
+  }
+  if (format.bitrateKbps) {
+    return Math.round((byteLength * 8) / format.bitrateKbps);
+  }
+  return null;
+}
@@ -0,0 +1,435 @@
+/**
+ * Audio Post-processing
+ *
+ * Optional processing of synthesized PCM before it is returned: silence
+ * trimming and padding, an optional background bed with ducking under the
+ * speech, loudness normalization to a target integrated loudness (ITU-R
+ * BS.1770 / EBU R 128 gating), and fades. Everything runs in-process on
+ * Float32 samples; compressed outputs are encoded afterwards by
+ * audio-encoding. Options and limits are shared by the post-processing
+ * route (server) and page (client).
+ */
+
+import type { AudioFormat } from "./audio-formats";
+import { buildWav, parseWav } from "./audio-stitching";
+
+export interface PostProcessingOptions {
+  trimSilence?: boolean;
+  silenceThresholdDb?: number;
+  padStartMs?: number;
+  padEndMs?: number;
+  normalizeLoudness?: boolean;
+  targetLufs?: number;
+  fadeInMs?: number;
+  fadeOutMs?: number;
+  backgroundGainDb?: number;
+  duckingDb?: number;
+  loopBackground?: boolean;
+}
+
+export interface PostProcessingReport {
+  inputLufs: number | null;
+  outputLufs: number | null;
+  gainDb: number;
+  trimmedStartMs: number;
+  trimmedEndMs: number;
+  peakLimited: boolean;
+  background: boolean;
+}
+
+export const POST_PROCESSING_LIMITS = {
+  silenceThresholdDb: { min: -80, max: -20, default: -50 },
+  padStartMs: { min: 0, max: 5000, default: 0 },
+  padEndMs: { min: 0, max: 5000, default: 0 },
+  targetLufs: { min: -36, max: -10, default: -16 },
+  fadeInMs: { min: 0, max: 10000, default: 0 },
+  fadeOutMs: { min: 0, max: 10000, default: 0 },
+  backgroundGainDb: { min: -40, max: 0, default: -18 },
+  duckingDb: { min: 0, max: 30, default: 12 },
+  backgroundBytes: 20 * 1024 * 1024,
+  // Beds are cut to this length when decoded; they only need to cover the speech
+  backgroundSeconds: 15 * 60,
+};
+
+type NumericOption = Exclude<keyof typeof POST_PROCESSING_LIMITS, "backgroundBytes" | "backgroundSeconds">;
+const NUMERIC_OPTIONS = Object.keys(POST_PROCESSING_LIMITS).filter(
+  (key) => key !== "backgroundBytes" && key !== "backgroundSeconds"
+) as NumericOption[];
+
+// Sample peak ceiling after normalization, leaving headroom for re-encoding
+const PEAK_CEILING_DB = -1;
+// Audio kept on either side of trimmed speech so onsets aren't clipped
+const TRIM_MARGIN_MS = 30;
+const FRAME_MS = 10;
+
+/**
+ * Fills in defaults for unset options
+ */
+export function resolvePostProcessingOptions(options: PostProcessingOptions = {}): Required<PostProcessingOptions> {
+  const resolved = {
+    trimSilence: options.trimSilence ?? true,
+    normalizeLoudness: options.normalizeLoudness ?? true,
+    loopBackground: options.loopBackground ?? true,
+  } as Required<PostProcessingOptions>;
+  for (const key of NUMERIC_OPTIONS) {
+    resolved[key] = Number(options[key] ?? POST_PROCESSING_LIMITS[key].default);
+  }
+  return resolved;
+}
+
+/**
+ * Checks options and returns a list of problems
+ */
+export function validatePostProcessingOptions(options: PostProcessingOptions = {}): string[] {
+  const errors: string[] = [];
+  const resolved = resolvePostProcessingOptions(options);
+
+  for (const key of NUMERIC_OPTIONS) {
+    const { min, max } = POST_PROCESSING_LIMITS[key];
+    const value = resolved[key];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`Invalid ${key} "${options[key]}": must be between ${min} and ${max}`);
+    }
+  }
+  for (const key of ["trimSilence", "normalizeLoudness", "loopBackground"] as const) {
+    if (options[key] !== undefined && typeof options[key] !== "boolean") {
+      errors.push(`${key} must be true or false`);
+    }
+  }
+  return errors;
+}
+
+function dbToGain(db: number): number {
+  return Math.pow(10, db / 20);
+}
+
+function gainToDb(gain: number): number {
+  return 20 * Math.log10(gain);
+}
+
+function roundDb(db: number | null): number | null {
+  return db === null ? null : Math.round(db * 10) / 10;
+}
+
+/**
+ * Decodes a WAV file to mono Float32 samples. Integer PCM of 8 to 32 bits and
+ * 32-bit float are supported; channels are averaged.
+ */
+export function decodeWav(buffer: Buffer): { samples: Float32Array; sampleRate: number } {
+  const { fmt, data } = parseWav(buffer);
+  let formatTag = fmt.readUInt16LE(0);
+  const channels = fmt.readUInt16LE(2);
+  const sampleRate = fmt.readUInt32LE(4);
+  const bits = fmt.readUInt16LE(14);
+  // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+  if (formatTag === 0xfffe && fmt.length >= 26) formatTag = fmt.readUInt16LE(24);
+
+  const isFloat = formatTag === 3 && bits === 32;
+  if (!channels || !(formatTag === 1 || isFloat) || ![8, 16, 24, 32].includes(bits)) {
+    throw new Error("Only uncompressed PCM or 32-bit float WAV files are supported");
+  }
+
+  const bytesPerSample = bits / 8;
+  const frames = Math.floor(data.length / (bytesPerSample * channels));
+  const samples = new Float32Array(frames);
+
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      const offset = (frame * channels + channel) * bytesPerSample;
+      if (isFloat) sum += data.readFloatLE(offset);
+      else if (bits === 8) sum += (data[offset] - 128) / 128;
+      else if (bits === 16) sum += data.readInt16LE(offset) / 32768;
+      else if (bits === 24) sum += data.readIntLE(offset, 3) / 8388608;
+      else sum += data.readInt32LE(offset) / 2147483648;
+    }
+    samples[frame] = sum / channels;
+  }
+  return { samples, sampleRate };
+}
+
+/**
+ * Decodes 16-bit mono PCM synthesized in the given format
+ */
+export function decodePcm16(buffer: Buffer, format: AudioFormat): Float32Array {
+  const data = format.container === "wav" ? parseWav(buffer).data : buffer;
+  const samples = new Float32Array(Math.floor(data.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = data.readInt16LE(i * 2) / 32768;
+  }
+  return samples;
+}
+
+/**
+ * Encodes mono samples as 16-bit PCM in the given WAV or raw PCM format
+ */
+export function encodePcm16(samples: Float32Array, format: AudioFormat): Buffer {
+  const data = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.max(-1, Math.min(1, samples[i]));
+    data.writeInt16LE(Math.round(value < 0 ? value * 32768 : value * 32767), i * 2);
+  }
+  if (format.container !== "wav") return data;
+
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(1, 0);
+  fmt.writeUInt16LE(1, 2);
+  fmt.writeUInt32LE(format.sampleRate, 4);
+  fmt.writeUInt32LE(format.sampleRate * 2, 8);
+  fmt.writeUInt16LE(2, 12);
+  fmt.writeUInt16LE(16, 14);
+  return buildWav(fmt, data);
+}
+
+/**
+ * Linear-interpolation resampler; adequate for a background bed
+ */
+export function resample(samples: Float32Array, fromRate: number, toRate: number): Float32Array {
+  if (fromRate === toRate) return samples;
+  const output = new Float32Array(Math.floor((samples.length * toRate) / fromRate));
+  const step = fromRate / toRate;
+  for (let i = 0; i < output.length; i++) {
+    const position = i * step;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    const fraction = position - index;
+    output[i] = samples[index] * (1 - fraction) + samples[next] * fraction;
+  }
+  return output;
+}
+
+interface Biquad {
+  b0: number;
+  b1: number;
+  b2: number;
+  a1: number;
+  a2: number;
+}
+
+/**
+ * The two K-weighting stages of BS.1770 (a high shelf modelling the head,
+ * then a high pass), derived for any sample rate so they match the
+ * published 48 kHz coefficients
+ */
+function kWeightingFilters(sampleRate: number): Biquad[] {
+  const shelf = (() => {
+    const q = 0.7071752369554196;
+    const k = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+    const vh = Math.pow(10, 3.999843853973347 / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    const a0 = 1 + k / q + k * k;
+    return {
+      b0: (vh + (vb * k) / q + k * k) / a0,
+      b1: (2 * (k * k - vh)) / a0,
+      b2: (vh - (vb * k) / q + k * k) / a0,
+      a1: (2 * (k * k - 1)) / a0,
+      a2: (1 - k / q + k * k) / a0,
+    };
+  })();
+
+  const highPass = (() => {
+    const q = 0.5003270373238773;
+    const k = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+    const a0 = 1 + k / q + k * k;
+    return {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: (2 * (k * k - 1)) / a0,
+      a2: (1 - k / q + k * k) / a0,
+    };
+  })();
+
+  return [shelf, highPass];
+}
+
+function applyBiquad(samples: Float32Array, { b0, b1, b2, a1, a2 }: Biquad): Float32Array {
+  const output = new Float32Array(samples.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    output[i] = y;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+  }
+  return output;
+}
+
+/**
+ * Integrated loudness in LUFS: K-weighted mean square over 400 ms blocks
+ * with 75% overlap, gated at -70 LUFS and then 10 LU below the ungated
+ * mean. Returns null for silence.
+ */
+export function measureLoudness(samples: Float32Array, sampleRate: number): number | null {
+  const weighted = kWeightingFilters(sampleRate).reduce(applyBiquad, samples);
+  const blockSize = Math.round(sampleRate * 0.4);
+  const step = Math.round(sampleRate * 0.1);
+
+  const powers: number[] = [];
+  const addBlock = (start: number, end: number) => {
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += weighted[i] * weighted[i];
+    powers.push(sum / (end - start));
+  };
+  if (weighted.length < blockSize) {
+    if (weighted.length) addBlock(0, weighted.length);
+  } else {
+    for (let start = 0; start + blockSize <= weighted.length; start += step) {
+      addBlock(start, start + blockSize);
+    }
+  }
+
+  const loudness = (power: number) => -0.691 + 10 * Math.log10(power);
+  const gated = (threshold: number) => powers.filter((power) => power > 0 && loudness(power) > threshold);
+  const mean = (values: number[]) => values.reduce((total, value) => total + value, 0) / values.length;
+
+  const absolute = gated(-70);
+  if (!absolute.length) return null;
+  const relative = gated(loudness(mean(absolute)) - 10);
+  return loudness(mean(relative.length ? relative : absolute));
+}
+
+function frameLevels(samples: Float32Array, frameSize: number): number[] {
+  const levels: number[] = [];
+  for (let start = 0; start < samples.length; start += frameSize) {
+    const end = Math.min(start + frameSize, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    levels.push(Math.sqrt(sum / (end - start)));
+  }
+  return levels;
+}
+
+/**
+ * Finds where the audio rises above the threshold at either end, keeping a
+ * short margin. Returns the sample range to keep.
+ */
+export function findSpeechBounds(
+  samples: Float32Array,
+  sampleRate: number,
+  thresholdDb: number
+): { start: number; end: number } {
+  const frameSize = Math.round((sampleRate * FRAME_MS) / 1000);
+  const threshold = dbToGain(thresholdDb);
+  const levels = frameLevels(samples, frameSize);
+  const first = levels.findIndex((level) => level > threshold);
+  if (first === -1) return { start: 0, end: 0 };
+
+  let last = levels.length - 1;
+  while (last > first && levels[last] <= threshold) last--;
+
+  const margin = Math.round((sampleRate * TRIM_MARGIN_MS) / 1000);
+  return {
+    start: Math.max(0, first * frameSize - margin),
+    end: Math.min(samples.length, (last + 1) * frameSize + margin),
+  };
+}
+
+/**
+ * Per-sample gain (linear) for the background: `gainDb`, lowered by
+ * `duckingDb` wherever the speech is active, with a fast attack and slow
+ * release so the bed doesn't pump between words
+ */
+function duckingEnvelope(speech: Float32Array, sampleRate: number, gainDb: number, duckingDb: number): Float32Array {
+  const frameSize = Math.round((sampleRate * FRAME_MS) / 1000);
+  const active = dbToGain(-45);
+  const attack = 1 - Math.exp(-FRAME_MS / 50);
+  const release = 1 - Math.exp(-FRAME_MS / 400);
+
+  let current = 0;
+  const frameGains = frameLevels(speech, frameSize).map((level) => {
+    const target = level > active ? -duckingDb : 0;
+    current += (target - current) * (target < current ? attack : release);
+    return current;
+  });
+
+  const envelope = new Float32Array(speech.length);
+  for (let i = 0; i < speech.length; i++) {
+    const position = i / frameSize;
+    const index = Math.min(Math.floor(position), frameGains.length - 1);
+    const next = Math.min(index + 1, frameGains.length - 1);
+    const db = frameGains[index] + (frameGains[next] - frameGains[index]) * (position - index);
+    envelope[i] = dbToGain(gainDb + db);
+  }
+  return envelope;
+}
+
+/**
+ * Runs the processing chain on mono speech: trim, pad, mix the background,
+ * normalize loudness (with a sample-peak ceiling), then fade
+ */
+export function processSpeech(
+  speech: Float32Array,
+  sampleRate: number,
+  options: Required<PostProcessingOptions>,
+  background?: Float32Array | null
+): { samples: Float32Array; report: PostProcessingReport } {
+  const msToSamples = (ms: number) => Math.round((sampleRate * ms) / 1000);
+  const inputLufs = measureLoudness(speech, sampleRate);
+
+  let trimmedStart = 0;
+  let trimmedEnd = 0;
+  let voice = speech;
+  if (options.trimSilence) {
+    const { start, end } = findSpeechBounds(speech, sampleRate, options.silenceThresholdDb);
+    voice = speech.subarray(start, end);
+    trimmedStart = start;
+    trimmedEnd = speech.length - end;
+  }
+
+  const padStart = msToSamples(options.padStartMs);
+  let output = new Float32Array(padStart + voice.length + msToSamples(options.padEndMs));
+  output.set(voice, padStart);
+
+  if (background?.length) {
+    const envelope = duckingEnvelope(output, sampleRate, options.backgroundGainDb, options.duckingDb);
+    const mixed = new Float32Array(output.length);
+    for (let i = 0; i < output.length; i++) {
+      const bed = options.loopBackground || i < background.length ? background[i % background.length] : 0;
+      mixed[i] = output[i] + bed * envelope[i];
+    }
+    output = mixed;
+  }
+
+  let gainDb = 0;
+  let peakLimited = false;
+  if (options.normalizeLoudness) {
+    const measured = measureLoudness(output, sampleRate);
+    if (measured !== null) gainDb = options.targetLufs - measured;
+  }
+  let peak = 0;
+  for (let i = 0; i < output.length; i++) peak = Math.max(peak, Math.abs(output[i]));
+  if (peak > 0 && gainToDb(peak) + gainDb > PEAK_CEILING_DB) {
+    // Rather than distort, stop short of the target
+    gainDb = PEAK_CEILING_DB - gainToDb(peak);
+    peakLimited = options.normalizeLoudness;
+  }
+  if (gainDb !== 0) {
+    const gain = dbToGain(gainDb);
+    for (let i = 0; i < output.length; i++) output[i] *= gain;
+  }
+
+  const fadeIn = Math.min(msToSamples(options.fadeInMs), output.length);
+  for (let i = 0; i < fadeIn; i++) output[i] *= i / fadeIn;
+  const fadeOut = Math.min(msToSamples(options.fadeOutMs), output.length);
+  for (let i = 0; i < fadeOut; i++) output[output.length - 1 - i] *= i / fadeOut;
+
+  return {
+    samples: output,
+    report: {
+      inputLufs: roundDb(inputLufs),
+      outputLufs: roundDb(measureLoudness(output, sampleRate)),
+      gainDb: roundDb(gainDb) as number,
+      trimmedStartMs: Math.round((trimmedStart / sampleRate) * 1000),
+      trimmedEndMs: Math.round((trimmedEnd / sampleRate) * 1000),
+      peakLimited,
+      background: !!background?.length,
+    },
+  };
+}
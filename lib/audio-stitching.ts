@@ -0,0 +1,205 @@
+/**
+ * Audio Stitching
+ *
+ * Joins separately synthesized audio chunks into one continuous file.
+ * WAV chunks are merged under a single rewritten RIFF header, MP3 chunks are
+ * concatenated frame by frame with tags and VBR info frames removed, and raw
+ * PCM is concatenated as-is. Opus containers cannot be joined byte-wise.
+ */
+
+import { getAudioFormat, type AudioContainer } from "./audio-formats";
+
+/**
+ * Containers whose chunks can be stitched into a single file
+ */
+export const STITCHABLE_CONTAINERS: AudioContainer[] = ["mp3", "wav", "pcm"];
+
+export function canStitchFormat(formatId: string): boolean {
+  const format = getAudioFormat(formatId);
+  return !!format && STITCHABLE_CONTAINERS.includes(format.container);
+}
+
+interface WavParts {
+  fmt: Buffer;
+  data: Buffer;
+}
+
+/**
+ * Extracts the `fmt ` and `data` chunks from a RIFF/WAVE buffer
+ */
+export function parseWav(buffer: Buffer): WavParts {
+  if (
+    buffer.length < 12 ||
+    buffer.toString("ascii", 0, 4) !== "RIFF" ||
+    buffer.toString("ascii", 8, 12) !== "WAVE"
+  ) {
+    throw new Error("Not a RIFF/WAVE buffer");
+  }
+
+  let fmt: Buffer | null = null;
+  let data: Buffer | null = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    let size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    // Streaming encoders may leave the data size unset (0 or 0xFFFFFFFF)
+    if (id === "data" && (size === 0 || start + size > buffer.length)) {
+      size = buffer.length - start;
+    }
+
+    if (id === "fmt ") fmt = buffer.subarray(start, start + size);
+    if (id === "data") data = buffer.subarray(start, start + size);
+
+    // Chunks are word-aligned
+    offset = start + size + (size % 2);
+  }
+
+  if (!fmt || !data) {
+    throw new Error("WAV buffer is missing fmt or data chunk");
+  }
+  return { fmt, data };
+}
+
+/**
+ * Writes a canonical RIFF/WAVE file from a fmt chunk and PCM data
+ */
+export function buildWav(fmt: Buffer, data: Buffer): Buffer {
+  const header = Buffer.alloc(12 + 8 + fmt.length + 8);
+  let offset = 0;
+
+  header.write("RIFF", offset, "ascii");
+  header.writeUInt32LE(4 + 8 + fmt.length + 8 + data.length, offset + 4);
+  header.write("WAVE", offset + 8, "ascii");
+  offset += 12;
+
+  header.write("fmt ", offset, "ascii");
+  header.writeUInt32LE(fmt.length, offset + 4);
+  fmt.copy(header, offset + 8);
+  offset += 8 + fmt.length;
+
+  header.write("data", offset, "ascii");
+  header.writeUInt32LE(data.length, offset + 4);
+
+  return Buffer.concat([header, data]);
+}
+
+function stitchWav(buffers: Buffer[]): Buffer {
+  const parts = buffers.map(parseWav);
+  const fmt = parts[0].fmt;
+
+  parts.forEach((part, i) => {
+    if (!part.fmt.equals(fmt)) {
+      throw new Error(`WAV chunk ${i} has a different sample format`);
+    }
+  });
+
+  return buildWav(fmt, Buffer.concat(parts.map((p) => p.data)));
+}
+
+// Bitrates in kbps for Layer III, indexed by the 4-bit header field
+const MP3_BITRATES_V1 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const MP3_BITRATES_V2 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+const MP3_SAMPLE_RATES: Record<number, number[]> = {
+  3: [44100, 48000, 32000], // MPEG 1
+  2: [22050, 24000, 16000], // MPEG 2
+  0: [11025, 12000, 8000], // MPEG 2.5
+};
+
+interface Mp3FrameHeader {
+  length: number;
+  sideInfoLength: number;
+}
+
+/**
+ * Parses a Layer III frame header at `offset`, or returns null if there is none
+ */
+function readMp3FrameHeader(buffer: Buffer, offset: number): Mp3FrameHeader | null {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const version = (buffer[offset + 1] >> 3) & 0x03;
+  const layer = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channelMode = (buffer[offset + 3] >> 6) & 0x03;
+
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const isV1 = version === 3;
+  const bitrate = (isV1 ? MP3_BITRATES_V1 : MP3_BITRATES_V2)[bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const mono = channelMode === 3;
+
+  return {
+    length: Math.floor(((isV1 ? 144 : 72) * bitrate) / sampleRate) + padding,
+    sideInfoLength: isV1 ? (mono ? 17 : 32) : mono ? 9 : 17,
+  };
+}
+
+/**
+ * Strips ID3 tags and a leading Xing/Info frame, returning only audio frames
+ */
+export function extractMp3Frames(buffer: Buffer): Buffer {
+  let start = 0;
+  let end = buffer.length;
+
+  // ID3v2 header: "ID3", version, flags, 4-byte syncsafe size
+  if (buffer.length >= 10 && buffer.toString("ascii", 0, 3) === "ID3") {
+    const size =
+      ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+    const hasFooter = (buffer[5] & 0x10) !== 0;
+    start = 10 + size + (hasFooter ? 10 : 0);
+  }
+
+  // ID3v1 trailer
+  if (end - start >= 128 && buffer.toString("ascii", end - 128, end - 125) === "TAG") {
+    end -= 128;
+  }
+
+  // Resync on the first valid frame header
+  while (start < end && !readMp3FrameHeader(buffer, start)) start++;
+
+  // A Xing/Info frame describes only its own chunk; drop it from the stitched stream
+  const first = readMp3FrameHeader(buffer, start);
+  if (first) {
+    const tagOffset = start + 4 + first.sideInfoLength;
+    const tag = buffer.toString("ascii", tagOffset, tagOffset + 4);
+    if (tag === "Xing" || tag === "Info") start += first.length;
+  }
+
+  return buffer.subarray(start, end);
+}
+
+function stitchMp3(buffers: Buffer[]): Buffer {
+  return Buffer.concat(buffers.map(extractMp3Frames));
+}
+
+/**
+ * Concatenates audio chunks of the given output format into one file
+ */
+export function stitchAudio(buffers: Buffer[], formatId: string): Buffer {
+  const format = getAudioFormat(formatId);
+  if (!format) {
+    throw new Error(`Unsupported output format: ${formatId}`);
+  }
+  if (buffers.length === 1) {
+    return buffers[0];
+  }
+
+  switch (format.container) {
+    case "wav":
+      return stitchWav(buffers);
+    case "mp3":
+      return stitchMp3(buffers);
+    case "pcm":
+      return Buffer.concat(buffers);
+    default:
+      throw new Error(`Cannot stitch ${format.container} audio`);
+  }
+}
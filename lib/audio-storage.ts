@@ -0,0 +1,91 @@
+/**
+ * Audio Storage
+ *
+ * Where saved audio files live. Callers address files by a relative key such
+ * as "<userId>/<recordId>.mp3" and never see paths, so the local-filesystem
+ * backend can later be swapped for object storage. The backend is chosen
+ * with AUDIO_STORAGE_BACKEND; "local" (default) writes under
+ * AUDIO_STORAGE_DIR.
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { HttpError } from "./http-error";
+
+export interface AudioStorage {
+  put(key: string, data: Buffer): Promise<void>;
+  get(key: string): Promise<Buffer | null>;
+  delete(key: string): Promise<void>;
+}
+
+const DEFAULT_STORAGE_DIR = ".data/audio";
+
+// Slash-separated segments of safe characters; no "..", no absolute paths
+const KEY_PATTERN = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-][A-Za-z0-9_.-]*)*$/;
+
+/**
+ * Error raised for storage keys that could escape the storage root. Keys are
+ * built by the server, so a bad one is a server error.
+ */
+export class AudioStorageError extends HttpError {
+  constructor(message: string) {
+    super(message, 500);
+    this.name = "AudioStorageError";
+  }
+}
+
+/**
+ * Files in a local directory, one per key
+ */
+export class LocalAudioStorage implements AudioStorage {
+  constructor(private root: string) {}
+
+  private filePath(key: string) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new AudioStorageError(`Invalid storage key: ${key}`);
+    }
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new AudioStorageError(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key: string, data: Buffer): Promise<void> {
+    const file = this.filePath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename so readers never see a partial file
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, data);
+    await fs.rename(temp, file);
+  }
+
+  async get(key: string): Promise<Buffer | null> {
+    try {
+      return await fs.readFile(this.filePath(key));
+    } catch (error: any) {
+      if (error?.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async delete(key: string): Promise<void> {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+}
+
+let _storage: AudioStorage | null = null;
+
+/**
+ * Returns the configured storage backend
+ */
+export function getAudioStorage(): AudioStorage {
+  if (_storage) return _storage;
+
+  const name = process.env.AUDIO_STORAGE_BACKEND || "local";
+  if (name !== "local") {
+    console.warn(`Unknown AUDIO_STORAGE_BACKEND "${name}", using local storage`);
+  }
+  _storage = new LocalAudioStorage(path.resolve(process.env.AUDIO_STORAGE_DIR || DEFAULT_STORAGE_DIR));
+  return _storage;
+}
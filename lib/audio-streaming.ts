@@ -0,0 +1,207 @@
+/**
+ * Progressive Audio Playback
+ *
+ * Plays a streamed synthesis response while it downloads. Compressed formats
+ * go through Media Source Extensions when the browser can demux them; WAV and
+ * raw PCM are decoded by hand and scheduled on the Web Audio clock. Anything
+ * else falls back to buffering the whole body. Browser only.
+ */
+
+import type { AudioFormat } from "./audio-formats";
+
+export type StreamPlayback = "media-source" | "web-audio" | "buffered";
+
+export interface StreamPlaybackOptions {
+  signal?: AbortSignal;
+  /** Receives the object URL to give an <audio> element on the MediaSource path */
+  onMediaSource?: (url: string) => void;
+  /** Called when the first samples are scheduled on the Web Audio path */
+  onFirstAudio?: () => void;
+}
+
+// Web Audio buffers shorter than this cause audible gaps between chunks
+const MIN_PCM_CHUNK_SECONDS = 0.1;
+// Head start on the Web Audio clock for the first buffer
+const SCHEDULE_AHEAD_SECONDS = 0.05;
+
+const MEDIA_SOURCE_TYPES: Partial<Record<AudioFormat["container"], string>> = {
+  mp3: "audio/mpeg",
+  webm: 'audio/webm; codecs="opus"',
+  ogg: 'audio/ogg; codecs="opus"',
+};
+
+/**
+ * Picks how a format can be played while it streams in this browser
+ */
+export function chooseStreamPlayback(format: AudioFormat): StreamPlayback {
+  if (typeof window === "undefined") return "buffered";
+
+  if (format.container === "wav" || format.container === "pcm") {
+    return "AudioContext" in window ? "web-audio" : "buffered";
+  }
+  const type = MEDIA_SOURCE_TYPES[format.container];
+  if (type && "MediaSource" in window && MediaSource.isTypeSupported(type)) {
+    return "media-source";
+  }
+  return "buffered";
+}
+
+async function readAll(
+  body: ReadableStream<Uint8Array>,
+  onChunk: (chunk: Uint8Array) => Promise<void> | void,
+  signal?: AbortSignal
+): Promise<Uint8Array[]> {
+  const reader = body.getReader();
+  const chunks: Uint8Array[] = [];
+  try {
+    for (;;) {
+      if (signal?.aborted) throw new DOMException("Playback aborted", "AbortError");
+      const { value, done } = await reader.read();
+      if (done) return chunks;
+      chunks.push(value);
+      await onChunk(value);
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+function waitForEvent(target: EventTarget, type: string): Promise<void> {
+  return new Promise((resolve) => target.addEventListener(type, () => resolve(), { once: true }));
+}
+
+async function playWithMediaSource(
+  body: ReadableStream<Uint8Array>,
+  format: AudioFormat,
+  options: StreamPlaybackOptions
+): Promise<Uint8Array[]> {
+  const mediaSource = new MediaSource();
+  const opened = waitForEvent(mediaSource, "sourceopen");
+  options.onMediaSource?.(URL.createObjectURL(mediaSource));
+  await opened;
+
+  const sourceBuffer = mediaSource.addSourceBuffer(MEDIA_SOURCE_TYPES[format.container]!);
+  // MP3 frames carry no timestamps; append them back to back
+  sourceBuffer.mode = "sequence";
+
+  const chunks = await readAll(
+    body,
+    async (chunk) => {
+      sourceBuffer.appendBuffer(chunk);
+      await waitForEvent(sourceBuffer, "updateend");
+    },
+    options.signal
+  );
+  if (mediaSource.readyState === "open") mediaSource.endOfStream();
+  return chunks;
+}
+
+/**
+ * Offset of the sample data in a WAV header, or -1 until enough has arrived
+ */
+export function findWavDataOffset(bytes: Uint8Array): number {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const id = String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    if (id === "data") return offset + 8;
+    offset += 8 + view.getUint32(offset + 4, true);
+  }
+  return -1;
+}
+
+function concatBytes(a: Uint8Array, b: Uint8Array): Uint8Array {
+  const result = new Uint8Array(a.length + b.length);
+  result.set(a, 0);
+  result.set(b, a.length);
+  return result;
+}
+
+async function playWithWebAudio(
+  body: ReadableStream<Uint8Array>,
+  format: AudioFormat,
+  options: StreamPlaybackOptions
+): Promise<Uint8Array[]> {
+  const context = new AudioContext();
+  const bytesPerSecond = format.sampleRate * 2;
+  const minChunkBytes = Math.ceil(bytesPerSecond * MIN_PCM_CHUNK_SECONDS) & ~1;
+  let pending: Uint8Array = new Uint8Array(0);
+  let headerDone = format.container === "pcm";
+  let playAt = 0;
+  let lastSource: AudioBufferSourceNode | null = null;
+
+  options.signal?.addEventListener("abort", () => context.close(), { once: true });
+
+  const schedule = (bytes: Uint8Array) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const samples = bytes.length / 2;
+    const buffer = context.createBuffer(1, samples, format.sampleRate);
+    const channel = buffer.getChannelData(0);
+    for (let i = 0; i < samples; i++) {
+      channel[i] = view.getInt16(i * 2, true) / 32768;
+    }
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    if (!lastSource) options.onFirstAudio?.();
+    playAt = Math.max(playAt, context.currentTime + SCHEDULE_AHEAD_SECONDS);
+    source.start(playAt);
+    playAt += buffer.duration;
+    lastSource = source;
+  };
+
+  // Schedules whole 16-bit samples, keeping an odd trailing byte for later
+  const flush = (force: boolean) => {
+    if (pending.length < (force ? 2 : minChunkBytes)) return;
+    const usable = pending.length & ~1;
+    schedule(pending.subarray(0, usable));
+    pending = pending.slice(usable);
+  };
+
+  await context.resume();
+  const chunks = await readAll(
+    body,
+    (chunk) => {
+      pending = concatBytes(pending, chunk);
+      if (!headerDone) {
+        const offset = findWavDataOffset(pending);
+        if (offset < 0) return;
+        pending = pending.slice(offset);
+        headerDone = true;
+      }
+      flush(false);
+    },
+    options.signal
+  );
+  flush(true);
+
+  if (lastSource) {
+    (lastSource as AudioBufferSourceNode).onended = () => context.close();
+  } else {
+    context.close();
+  }
+  return chunks;
+}
+
+/**
+ * Plays a streamed audio body as it arrives and resolves with the complete
+ * file once the stream ends, for replay and download
+ */
+export async function playAudioStream(
+  body: ReadableStream<Uint8Array>,
+  format: AudioFormat,
+  options: StreamPlaybackOptions = {}
+): Promise<{ blob: Blob; playback: StreamPlayback }> {
+  const playback = chooseStreamPlayback(format);
+  let chunks: Uint8Array[];
+
+  if (playback === "media-source") {
+    chunks = await playWithMediaSource(body, format, options);
+  } else if (playback === "web-audio") {
+    chunks = await playWithWebAudio(body, format, options);
+  } else {
+    chunks = await readAll(body, () => {}, options.signal);
+  }
+  return { blob: new Blob(chunks, { type: format.contentType }), playback };
+}
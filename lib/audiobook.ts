@@ -0,0 +1,379 @@
+/**
+ * Audiobook Rendering
+ *
+ * Reads an uploaded document into chapters and synthesizes each chapter
+ * with the long-form pipeline: blocks are grouped into chunks, chunks are
+ * synthesized with bounded concurrency, and each chapter's chunks are
+ * stitched into one file. The result is either a ZIP of per-chapter files
+ * with an M3U playlist, or a single file with embedded chapter markers
+ * (ID3v2 CHAP frames for MP3, cue points for WAV).
+ */
+
+import { estimateDurationMs, getAudioFormat, type AudioFormat } from "./audio-formats";
+import { buildWav, canStitchFormat, parseWav, stitchAudio } from "./audio-stitching";
+import {
+  AUDIOBOOK_LIMITS,
+  buildM3u,
+  detectDocumentKind,
+  parseDocumentText,
+  spokenText,
+  splitChapters,
+  type AudiobookOptions,
+  type DocumentBlock,
+  type ParsedDocument,
+} from "./document-import";
+import { EpubError, readEpub } from "./epub";
+import type { LexiconEntryInput } from "./lexicon";
+import { getLongFormConcurrency, mapWithConcurrency } from "./long-form";
+import { buildDocumentSsml } from "./ssml";
+import { synthesizeSsml, SynthesisError } from "./synthesis";
+import { chunkText, DEFAULT_CHUNK_CHARS, MAX_LONG_FORM_CHARS } from "./text-chunking";
+import type { NormalizationOptions } from "./text-normalization";
+import type { VoiceSettings } from "./voice-settings";
+import { createZip } from "./zip";
+
+export interface AudiobookRenderOptions {
+  document: ParsedDocument;
+  lang: string;
+  voice: string;
+  settings: VoiceSettings;
+  format: AudioFormat;
+  lexicon?: LexiconEntryInput[];
+  normalization?: NormalizationOptions;
+  options: AudiobookOptions;
+  concurrency?: number;
+  onProgress?: (completed: number, total: number) => void;
+}
+
+export interface AudiobookChapter {
+  title: string;
+  startMs: number | null;
+  durationMs: number | null;
+  file?: string;
+}
+
+interface PlannedChunk {
+  chapter: number;
+  blocks: DocumentBlock[];
+  startsChapter: boolean;
+}
+
+/**
+ * Reads an uploaded file into chapters. Plain text, Markdown and HTML are
+ * decoded as UTF-8; EPUBs are unpacked and read spine document by spine
+ * document.
+ */
+export function loadDocument(fileName: string, data: Buffer): ParsedDocument & { kind: string } {
+  const kind = detectDocumentKind(fileName);
+  if (!kind) {
+    throw new SynthesisError("Unsupported document type: upload a .txt, .md, .html or .epub file", 400);
+  }
+  if (data.byteLength > AUDIOBOOK_LIMITS.fileBytes) {
+    throw new SynthesisError("Document is larger than 10 MB", 413);
+  }
+
+  const fallbackTitle = fileName.replace(/\.[^.]+$/, "") || "Document";
+  if (kind === "epub") {
+    try {
+      const { title, chapters } = readEpub(data);
+      return { kind, title: title || fallbackTitle, chapters };
+    } catch (error) {
+      if (error instanceof EpubError) throw new SynthesisError(error.message, 400);
+      throw error;
+    }
+  }
+
+  const { title, blocks } = parseDocumentText(data.toString("utf8").replace(/^\uFEFF/, ""), kind);
+  const document = splitChapters(blocks, title || fallbackTitle);
+  return { kind, ...document };
+}
+
+/**
+ * Number of characters that will be spoken for a chapter's blocks
+ */
+export function countSpokenChars(blocks: DocumentBlock[], options: AudiobookOptions): number {
+  return blocks.reduce((total, block) => total + spokenText(block, options.codeBlocks).length, 0);
+}
+
+/**
+ * Splits a block so no piece is longer than `maxChars` of spoken text.
+ * Ordered lists are numbered before splitting so numbering carries across
+ * chunks.
+ */
+function splitBlock(block: DocumentBlock, maxChars: number): DocumentBlock[] {
+  if (block.type === "paragraph" || block.type === "code") {
+    if (block.text.length <= maxChars) return [block];
+    return chunkText(block.text, maxChars).map((text) => ({ ...block, text }));
+  }
+  if (block.type === "list") {
+    const items = block.ordered ? block.items.map((item, i) => `${i + 1}. ${item}`) : block.items;
+    const pieces: DocumentBlock[] = [];
+    let current: string[] = [];
+    let size = 0;
+    for (const item of items.flatMap((item) => chunkText(item, maxChars))) {
+      if (current.length && size + item.length > maxChars) {
+        pieces.push({ type: "list", ordered: false, items: current });
+        current = [];
+        size = 0;
+      }
+      current.push(item);
+      size += item.length;
+    }
+    if (current.length) pieces.push({ type: "list", ordered: false, items: current });
+    return block.ordered && pieces.length === 1 ? [block] : pieces;
+  }
+  return [block];
+}
+
+/**
+ * Validates a document for rendering and groups each chapter's blocks into
+ * synthesis chunks. Chapters with nothing to say are dropped.
+ */
+export function planAudiobook(
+  document: ParsedDocument,
+  formatId: string,
+  options: AudiobookOptions,
+  chunkChars = DEFAULT_CHUNK_CHARS
+) {
+  if (!canStitchFormat(formatId)) {
+    throw new SynthesisError("Audiobook synthesis supports MP3, WAV and raw PCM output only", 400);
+  }
+
+  const chapters = document.chapters.filter((chapter) => countSpokenChars(chapter.blocks, options) > 0);
+  if (!chapters.length) {
+    throw new SynthesisError("The document has no text to read", 400);
+  }
+  if (chapters.length > AUDIOBOOK_LIMITS.chapters) {
+    throw new SynthesisError(
+      `The document has ${chapters.length} chapters; at most ${AUDIOBOOK_LIMITS.chapters} are supported`,
+      413
+    );
+  }
+  const totalChars = chapters.reduce((total, chapter) => total + countSpokenChars(chapter.blocks, options), 0);
+  if (totalChars > MAX_LONG_FORM_CHARS) {
+    throw new SynthesisError(`Document exceeds the long-form limit of ${MAX_LONG_FORM_CHARS} characters`, 413);
+  }
+
+  const chunks: PlannedChunk[] = [];
+  chapters.forEach((chapter, index) => {
+    let current: DocumentBlock[] = [];
+    let size = 0;
+    const flush = () => {
+      if (!current.length) return;
+      const startsChapter = !chunks.some((chunk) => chunk.chapter === index);
+      chunks.push({ chapter: index, blocks: current, startsChapter });
+      current = [];
+      size = 0;
+    };
+
+    for (const block of chapter.blocks.flatMap((b) => splitBlock(b, chunkChars))) {
+      const length = spokenText(block, options.codeBlocks).length;
+      if (size + length > chunkChars) flush();
+      current.push(block);
+      size += length;
+    }
+    flush();
+  });
+
+  return { chapters, chunks, totalChars };
+}
+
+const UNSAFE_FILE_CHARS = new RegExp("[^\\p{L}\\p{N} _-]+", "gu");
+
+function chapterFileName(index: number, title: string, extension: string): string {
+  const safeTitle = title
+    .replace(UNSAFE_FILE_CHARS, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 60);
+  const number = String(index + 1).padStart(2, "0");
+  return `${number}${safeTitle ? ` - ${safeTitle}` : ""}.${extension}`;
+}
+
+function syncsafe(value: number): Buffer {
+  const bytes = Buffer.alloc(4);
+  bytes[0] = (value >> 21) & 0x7f;
+  bytes[1] = (value >> 14) & 0x7f;
+  bytes[2] = (value >> 7) & 0x7f;
+  bytes[3] = value & 0x7f;
+  return bytes;
+}
+
+function id3Frame(id: string, body: Buffer): Buffer {
+  return Buffer.concat([Buffer.from(id, "ascii"), syncsafe(body.length), Buffer.alloc(2), body]);
+}
+
+function id3Text(text: string): Buffer {
+  // Encoding 3 is UTF-8
+  return id3Frame("TIT2", Buffer.concat([Buffer.from([3]), Buffer.from(text, "utf8")]));
+}
+
+/**
+ * Prepends an ID3v2.4 tag with a title, a table of contents and one CHAP
+ * frame per chapter
+ */
+function addMp3Chapters(audio: Buffer, title: string, chapters: { title: string; startMs: number; endMs: number }[]) {
+  const ids = chapters.map((_, i) => `ch${i}`);
+  const chapterFrames = chapters.map((chapter, i) => {
+    const times = Buffer.alloc(16);
+    times.writeUInt32BE(chapter.startMs, 0);
+    times.writeUInt32BE(chapter.endMs, 4);
+    // Byte offsets are unused
+    times.writeUInt32BE(0xffffffff, 8);
+    times.writeUInt32BE(0xffffffff, 12);
+    return id3Frame("CHAP", Buffer.concat([Buffer.from(`${ids[i]}\0`, "ascii"), times, id3Text(chapter.title)]));
+  });
+  const toc = id3Frame(
+    "CTOC",
+    Buffer.concat([
+      Buffer.from("toc\0", "ascii"),
+      // Top-level, ordered
+      Buffer.from([0x03, ids.length]),
+      ...ids.map((id) => Buffer.from(`${id}\0`, "ascii")),
+    ])
+  );
+
+  const frames = Buffer.concat([id3Text(title), toc, ...chapterFrames]);
+  const header = Buffer.concat([Buffer.from("ID3", "ascii"), Buffer.from([4, 0, 0]), syncsafe(frames.length)]);
+  return Buffer.concat([header, frames, audio]);
+}
+
+/**
+ * Appends a `cue ` chunk and a LIST/adtl chunk labelling each cue point
+ */
+function addWavChapters(audio: Buffer, chapters: { title: string; sampleOffset: number }[]) {
+  const { fmt, data } = parseWav(audio);
+
+  const cue = Buffer.alloc(12 + chapters.length * 24);
+  cue.write("cue ", 0, "ascii");
+  cue.writeUInt32LE(4 + chapters.length * 24, 4);
+  cue.writeUInt32LE(chapters.length, 8);
+  chapters.forEach((chapter, i) => {
+    const offset = 12 + i * 24;
+    cue.writeUInt32LE(i + 1, offset);
+    cue.writeUInt32LE(chapter.sampleOffset, offset + 4);
+    cue.write("data", offset + 8, "ascii");
+    cue.writeUInt32LE(0, offset + 12);
+    cue.writeUInt32LE(0, offset + 16);
+    cue.writeUInt32LE(chapter.sampleOffset, offset + 20);
+  });
+
+  const labels = chapters.map((chapter, i) => {
+    const text = Buffer.from(`${chapter.title}\0`, "utf8");
+    const size = 4 + text.length;
+    // Chunks are word-aligned
+    const label = Buffer.alloc(8 + size + (size % 2));
+    label.write("labl", 0, "ascii");
+    label.writeUInt32LE(size, 4);
+    label.writeUInt32LE(i + 1, 8);
+    text.copy(label, 12);
+    return label;
+  });
+  const list = Buffer.concat([Buffer.from("LISTxxxxadtl", "ascii"), ...labels]);
+  list.writeUInt32LE(list.length - 8, 4);
+
+  const wav = Buffer.concat([buildWav(fmt, data), data.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0), cue, list]);
+  wav.writeUInt32LE(wav.length - 8, 4);
+  return wav;
+}
+
+/**
+ * Synthesizes a document and returns the audio (a single file or a ZIP)
+ * with a chapter list
+ */
+export async function renderAudiobook({
+  document,
+  lang,
+  voice,
+  settings,
+  format,
+  lexicon,
+  normalization,
+  options,
+  concurrency = getLongFormConcurrency(),
+  onProgress,
+}: AudiobookRenderOptions) {
+  const { chapters, chunks } = planAudiobook(document, format.id, options);
+  let completed = 0;
+
+  onProgress?.(0, chunks.length);
+
+  const buffers = await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+    const ssml = buildDocumentSsml({
+      blocks: chunk.blocks,
+      startsChapter: chunk.startsChapter,
+      lang,
+      voice,
+      lexicon,
+      normalization,
+      headingPauseMs: options.headingPauseMs,
+      headingEmphasis: options.headingEmphasis,
+      codeBlocks: options.codeBlocks,
+      ...settings,
+    });
+    const audio = await synthesizeSsml(ssml, format.id);
+    completed += 1;
+    onProgress?.(completed, chunks.length);
+    return audio;
+  });
+
+  const chapterAudio = chapters.map((_, index) =>
+    stitchAudio(
+      buffers.filter((_, i) => chunks[i].chapter === index),
+      format.id
+    )
+  );
+  const durations = chapterAudio.map((audio) => estimateDurationMs(format.id, audio.byteLength));
+
+  if (options.output === "playlist") {
+    const files = chapters.map((chapter, i) => chapterFileName(i, chapter.title, format.extension));
+    const playlist = buildM3u(
+      chapters.map((chapter, i) => ({ title: chapter.title, durationMs: durations[i], file: files[i] }))
+    );
+    const zip = createZip([
+      ...chapterAudio.map((audio, i) => ({ name: files[i], data: audio })),
+      { name: "playlist.m3u", data: playlist },
+    ]);
+    return {
+      audio: Buffer.from(zip),
+      contentType: "application/zip",
+      chapters: chapters.map((chapter, i) => ({
+        title: chapter.title,
+        startMs: null,
+        durationMs: durations[i],
+        file: files[i],
+      })) as AudiobookChapter[],
+    };
+  }
+
+  let startMs = 0;
+  const timeline = chapters.map((chapter, i) => {
+    const entry = { title: chapter.title, startMs, durationMs: durations[i] || 0 };
+    startMs += entry.durationMs;
+    return entry;
+  });
+
+  let audio = stitchAudio(chapterAudio, format.id);
+  const container = getAudioFormat(format.id)?.container;
+  if (container === "mp3") {
+    audio = addMp3Chapters(
+      audio,
+      document.title,
+      timeline.map((entry) => ({ title: entry.title, startMs: entry.startMs, endMs: entry.startMs + entry.durationMs }))
+    );
+  } else if (container === "wav") {
+    const blockAlign = parseWav(chapterAudio[0]).fmt.readUInt16LE(12);
+    let sampleOffset = 0;
+    audio = addWavChapters(
+      audio,
+      chapters.map((chapter, i) => {
+        const entry = { title: chapter.title, sampleOffset };
+        sampleOffset += parseWav(chapterAudio[i]).data.length / blockAlign;
+        return entry;
+      })
+    );
+  }
+  // Raw PCM has nowhere to store markers; the chapter list is returned alongside
+
+  return { audio, contentType: format.contentType, chapters: timeline as AudiobookChapter[] };
+}
@@ -0,0 +1,204 @@
+/**
+ * Batch Input Parsing
+ *
+ * Reads the rows of a batch synthesis upload. CSV files need a header row;
+ * JSONL files hold one JSON object per line. Each row has an id and text,
+ * and may override the voice, style and output format. Shared by the batch
+ * route (server) and page (client).
+ */
+
+import { DEFAULT_AUDIO_FORMAT, isSupportedAudioFormat } from "./audio-formats";
+import { MAX_SINGLE_REQUEST_CHARS } from "./text-chunking";
+import { DEFAULT_STYLE } from "./voices";
+
+export type BatchFileKind = "csv" | "jsonl";
+
+export interface BatchRow {
+  /** 1-based line the row starts on, for error messages */
+  line: number;
+  id: string;
+  text: string;
+  voice: string;
+  style: string;
+  format: string;
+}
+
+export interface BatchRowError {
+  line: number;
+  message: string;
+}
+
+export interface BatchDefaults {
+  voice: string;
+  style?: string;
+  format?: string;
+}
+
+export const MAX_BATCH_ROWS = 1000;
+
+// Row ids become file names inside the ZIP as they are, so only safe characters
+const ROW_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+/**
+ * Guesses the file kind from its name, falling back to the first character
+ */
+export function detectBatchFileKind(fileName: string, content: string): BatchFileKind {
+  if (/\.jsonl?$/i.test(fileName)) return "jsonl";
+  if (/\.csv$/i.test(fileName)) return "csv";
+  return content.trimStart().startsWith("{") ? "jsonl" : "csv";
+}
+
+/**
+ * Splits CSV into records of fields, following RFC 4180 quoting. Each record
+ * carries the 1-based line it starts on.
+ */
+export function parseCsv(content: string): { line: number; fields: string[] }[] {
+  const records: { line: number; fields: string[] }[] = [];
+  let fields: string[] = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim()) records.push({ line: recordLine, fields });
+    fields = [];
+    field = "";
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field || fields.length) endRecord();
+  return records;
+}
+
+function readRecords(content: string, kind: BatchFileKind, errors: BatchRowError[]) {
+  const records: { line: number; values: Record<string, unknown> }[] = [];
+
+  if (kind === "jsonl") {
+    content.split(/\r?\n/).forEach((text, i) => {
+      if (!text.trim()) return;
+      try {
+        const value = JSON.parse(text);
+        if (!value || typeof value !== "object" || Array.isArray(value)) {
+          errors.push({ line: i + 1, message: "Expected a JSON object" });
+        } else {
+          records.push({ line: i + 1, values: value });
+        }
+      } catch {
+        errors.push({ line: i + 1, message: "Invalid JSON" });
+      }
+    });
+    return records;
+  }
+
+  const [header, ...rows] = parseCsv(content);
+  if (!header) return records;
+
+  const columns = header.fields.map((name) => name.trim().toLowerCase());
+  for (const required of ["id", "text"]) {
+    if (!columns.includes(required)) {
+      errors.push({ line: header.line, message: `Missing "${required}" column` });
+    }
+  }
+  if (errors.length) return records;
+
+  for (const row of rows) {
+    const values: Record<string, unknown> = {};
+    columns.forEach((name, i) => {
+      if (row.fields[i] !== undefined && row.fields[i] !== "") values[name] = row.fields[i];
+    });
+    records.push({ line: row.line, values });
+  }
+  return records;
+}
+
+/**
+ * Parses and validates an upload. Rows fall back to `defaults` for any
+ * voice, style or format they leave out.
+ */
+export function parseBatchFile(
+  content: string,
+  kind: BatchFileKind,
+  defaults: BatchDefaults
+): { rows: BatchRow[]; errors: BatchRowError[] } {
+  const errors: BatchRowError[] = [];
+  const rows: BatchRow[] = [];
+  const seen = new Set<string>();
+
+  for (const { line, values } of readRecords(content, kind, errors)) {
+    const id = String(values.id ?? "").trim();
+    const text = String(values.text ?? "").trim();
+    const row: BatchRow = {
+      line,
+      id,
+      text,
+      voice: String(values.voice || defaults.voice).trim(),
+      style: String(values.style || defaults.style || DEFAULT_STYLE).trim(),
+      format: String(values.format || defaults.format || DEFAULT_AUDIO_FORMAT).trim(),
+    };
+
+    if (!ROW_ID_PATTERN.test(id)) {
+      errors.push({
+        line,
+        message: id
+          ? `Invalid id "${id}": use letters, digits, "-", "_" or "." (max 64)`
+          : "Missing id",
+      });
+    } else if (seen.has(id)) {
+      errors.push({ line, message: `Duplicate id "${id}"` });
+    }
+    seen.add(id);
+
+    if (!text) {
+      errors.push({ line, message: "Missing text" });
+    } else if (text.length > MAX_SINGLE_REQUEST_CHARS) {
+      errors.push({ line, message: `Text is longer than ${MAX_SINGLE_REQUEST_CHARS} characters` });
+    }
+    if (!isSupportedAudioFormat(row.format)) {
+      errors.push({ line, message: `Unsupported output format: ${row.format}` });
+    }
+    rows.push(row);
+  }
+
+  if (rows.length === 0 && errors.length === 0) {
+    errors.push({ line: 1, message: "The file has no rows" });
+  }
+  if (rows.length > MAX_BATCH_ROWS) {
+    errors.push({ line: 1, message: `The file has ${rows.length} rows; the limit is ${MAX_BATCH_ROWS}` });
+  }
+  return { rows, errors };
+}
+
+/**
+ * Locale prefix of a voice name, e.g. "ja-JP" for "ja-JP-NanamiNeural"
+ */
+export function localeOfVoice(voice: string): string | undefined {
+  const match = voice.match(/^([a-z]{2,3}-[A-Za-z]{2,4})-/);
+  return match ? match[1] : undefined;
+}
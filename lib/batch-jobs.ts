@@ -0,0 +1,184 @@
+/**
+ * Batch Jobs
+ *
+ * Prisma-backed storage for batch synthesis jobs and their rows, plus the
+ * ZIP export of finished audio. Every function takes the signed-in user's id
+ * and only touches jobs that user owns.
+ */
+
+import { DEFAULT_AUDIO_FORMAT, getAudioFormat } from "./audio-formats";
+import type { BatchRow } from "./batch-input";
+import { HttpError } from "./http-error";
+import { prisma } from "./prisma";
+import { createZip } from "./zip";
+
+export type JobStatus = "queued" | "running" | "completed" | "completed_with_errors" | "failed";
+export type JobItemStatus = "pending" | "running" | "done" | "failed";
+
+/**
+ * Error raised for batch job requests, carrying the HTTP status to reply with
+ */
+export class BatchJobError extends HttpError {
+  constructor(message: string, status = 400, details?: unknown) {
+    super(message, status, details);
+    this.name = "BatchJobError";
+  }
+}
+
+// Everything but the audio, which is only read for the download
+const ITEM_SUMMARY = {
+  id: true,
+  position: true,
+  rowId: true,
+  text: true,
+  voice: true,
+  style: true,
+  format: true,
+  status: true,
+  attempts: true,
+  error: true,
+};
+
+async function findOwnedJob(userId: string, id: string) {
+  const job = await prisma.job.findFirst({ where: { id, userId } });
+  if (!job) {
+    throw new BatchJobError("Job not found", 404);
+  }
+  return job;
+}
+
+export async function createBatchJob(userId: string, name: string, rows: BatchRow[]) {
+  return prisma.job.create({
+    data: {
+      userId,
+      name,
+      total: rows.length,
+      items: {
+        create: rows.map((row, position) => ({
+          position,
+          rowId: row.id,
+          text: row.text,
+          voice: row.voice,
+          style: row.style,
+          format: row.format,
+        })),
+      },
+    },
+  });
+}
+
+export async function listBatchJobs(userId: string) {
+  return prisma.job.findMany({
+    where: { userId },
+    orderBy: { submittedAt: "desc" },
+  });
+}
+
+export async function getBatchJob(userId: string, id: string) {
+  const job = await prisma.job.findFirst({
+    where: { id, userId },
+    include: { items: { select: ITEM_SUMMARY, orderBy: { position: "asc" } } },
+  });
+  if (!job) {
+    throw new BatchJobError("Job not found", 404);
+  }
+  return job;
+}
+
+export async function deleteBatchJob(userId: string, id: string) {
+  await findOwnedJob(userId, id);
+  await prisma.job.delete({ where: { id } });
+}
+
+/**
+ * Re-queues failed rows, or only the given ones, with a fresh attempt count
+ */
+export async function retryBatchItems(userId: string, jobId: string, itemIds?: string[]) {
+  await findOwnedJob(userId, jobId);
+  const { count } = await prisma.jobItem.updateMany({
+    where: {
+      jobId,
+      status: "failed",
+      ...(itemIds?.length ? { id: { in: itemIds } } : {}),
+    },
+    data: { status: "pending", attempts: 0, error: null },
+  });
+  if (count > 0) await refreshJobProgress(jobId);
+  return count;
+}
+
+/**
+ * Recomputes a job's counters and status from its rows
+ */
+export async function refreshJobProgress(jobId: string) {
+  const groups = await prisma.jobItem.groupBy({
+    by: ["status"],
+    where: { jobId },
+    _count: { _all: true },
+  });
+  const count = (status: JobItemStatus) =>
+    groups.find((g: any) => g.status === status)?._count._all || 0;
+
+  const completed = count("done");
+  const failed = count("failed");
+  const remaining = count("pending") + count("running");
+  const total = completed + failed + remaining;
+
+  let status: JobStatus;
+  if (remaining > 0) {
+    status = completed + failed > 0 || count("running") > 0 ? "running" : "queued";
+  } else if (failed === total) {
+    status = "failed";
+  } else {
+    status = failed > 0 ? "completed_with_errors" : "completed";
+  }
+
+  // updateMany, since the job may have been deleted meanwhile
+  await prisma.job.updateMany({
+    where: { id: jobId },
+    data: { completed, failed, status, finishedAt: remaining > 0 ? null : new Date() },
+  });
+}
+
+/**
+ * Builds a ZIP with one audio file per finished row, named by row id, and a
+ * manifest.json describing every row including failures
+ */
+export async function buildBatchArchive(userId: string, jobId: string) {
+  const job = await findOwnedJob(userId, jobId);
+  const items = await prisma.jobItem.findMany({
+    where: { jobId },
+    orderBy: { position: "asc" },
+  });
+
+  const files: { name: string; data: Uint8Array }[] = [];
+  const manifestItems = items.map((item: any) => {
+    // Row ids are unique within a job and already file-name safe, so they
+    // are used as-is; sanitizing could make two of them collide
+    const extension = (getAudioFormat(item.format) || getAudioFormat(DEFAULT_AUDIO_FORMAT)!).extension;
+    const file = item.status === "done" && item.audio ? `${item.rowId}.${extension}` : null;
+    if (file) files.push({ name: file, data: new Uint8Array(item.audio) });
+    return {
+      id: item.rowId,
+      status: item.status,
+      file,
+      bytes: item.audio ? item.audio.length : 0,
+      voice: item.voice,
+      style: item.style,
+      format: item.format,
+      attempts: item.attempts,
+      error: item.error,
+      text: item.text,
+    };
+  });
+
+  const manifest = {
+    job: { id: job.id, name: job.name, status: job.status, total: job.total },
+    items: manifestItems,
+  };
+
+  return {
+    fileName: `${job.name.replace(/[^a-zA-Z0-9_-]+/g, "-") || "batch"}.zip`,
+    archive: createZip([...files, { name: "manifest.json", data: JSON.stringify(manifest, null, 2) }]),
+  };
+}
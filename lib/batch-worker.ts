@@ -0,0 +1,106 @@
+/**
+ * Batch Worker
+ *
+ * Processes pending batch rows in the background of the server process,
+ * through the same request parsing and cached synthesis as the
+ * /api/text-to-speech route. Rate limits and upstream failures are retried
+ * with backoff; invalid rows fail immediately with the error recorded.
+ */
+
+import { localeOfVoice } from "./batch-input";
+import { refreshJobProgress } from "./batch-jobs";
+import { mapWithConcurrency } from "./long-form";
+import { prisma } from "./prisma";
+import { SynthesisError } from "./synthesis";
+import { synthesizeCached } from "./synthesis-cache";
+import { parseTextRequest } from "./synthesis-request";
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 2000;
+
+let _running: Promise<void> | null = null;
+let _recovered = false;
+
+function readPositiveInt(name: string, fallback: number): number {
+  const value = Number.parseInt(process.env[name] || "", 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function isRetryable(error: unknown): boolean {
+  if (!(error instanceof SynthesisError)) return true;
+  return error.status === 429 || error.status >= 502;
+}
+
+/**
+ * Updates a row, returning false when it no longer exists because its job
+ * was deleted while the row was being processed
+ */
+async function updateItem(id: string, data: Record<string, unknown>): Promise<boolean> {
+  const { count } = await prisma.jobItem.updateMany({ where: { id }, data });
+  return count > 0;
+}
+
+async function processItem(item: any, maxAttempts: number) {
+  const attempts = item.attempts + 1;
+  if (!(await updateItem(item.id, { status: "running", attempts }))) return;
+  await refreshJobProgress(item.jobId);
+
+  try {
+    const parsed = await parseTextRequest({
+      text: item.text,
+      voice: item.voice,
+      style: item.style,
+      format: item.format,
+      lang: localeOfVoice(item.voice),
+    });
+    const { audio } = await synthesizeCached(parsed.ssml, parsed.format.id);
+    if (!(await updateItem(item.id, { status: "done", audio, error: null }))) return;
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    if (isRetryable(error) && attempts < maxAttempts) {
+      await new Promise((resolve) => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)));
+      if (!(await updateItem(item.id, { status: "pending", error: message }))) return;
+    } else if (!(await updateItem(item.id, { status: "failed", error: message }))) {
+      return;
+    }
+  }
+
+  await refreshJobProgress(item.jobId);
+}
+
+async function run() {
+  // Rows left running by a previous process will never finish; queue them again
+  if (!_recovered) {
+    _recovered = true;
+    await prisma.jobItem.updateMany({ where: { status: "running" }, data: { status: "pending" } });
+  }
+
+  const concurrency = readPositiveInt("TTS_BATCH_CONCURRENCY", DEFAULT_CONCURRENCY);
+  const maxAttempts = readPositiveInt("TTS_BATCH_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS);
+
+  for (;;) {
+    const items = await prisma.jobItem.findMany({
+      where: { status: "pending" },
+      select: { id: true, jobId: true, text: true, voice: true, style: true, format: true, attempts: true },
+      orderBy: [{ jobId: "asc" }, { position: "asc" }],
+      take: concurrency * 5,
+    });
+    if (items.length === 0) return;
+    await mapWithConcurrency(items, concurrency, (item) => processItem(item, maxAttempts));
+  }
+}
+
+/**
+ * Starts the worker unless it is already running; resolves when the queue is empty
+ */
+export function kickBatchWorker(): Promise<void> {
+  if (!_running) {
+    _running = run()
+      .catch((error) => console.error("Batch worker stopped:", error))
+      .finally(() => {
+        _running = null;
+      });
+  }
+  return _running;
+}
@@ -0,0 +1,158 @@
+/**
+ * Synthesis with Boundary Events
+ *
+ * The REST endpoint only returns audio, so timed synthesis goes through the
+ * Speech SDK, which reports word and sentence boundaries with audio offsets
+ * while it synthesizes.
+ */
+
+import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
+import { getAudioFormat } from "./audio-formats";
+import { getSpeechCredentials, SynthesisError } from "./synthesis";
+
+export type BoundaryType = "word" | "punctuation" | "sentence";
+
+export interface Boundary {
+  type: BoundaryType;
+  text: string;
+  offsetMs: number;
+  durationMs: number;
+  // Character position of the boundary text in the plain input text, or -1
+  textOffset: number;
+}
+
+export interface Bookmark {
+  name: string;
+  offsetMs: number;
+}
+
+export interface TimedSynthesisResult {
+  audio: Buffer;
+  words: Boundary[];
+  sentences: Boundary[];
+  bookmarks: Bookmark[];
+}
+
+// SDK offsets and durations are in 100-nanosecond ticks
+const TICKS_PER_MS = 10000;
+
+const BOUNDARY_TYPES: Record<string, BoundaryType> = {
+  [SpeechSDK.SpeechSynthesisBoundaryType.Word]: "word",
+  [SpeechSDK.SpeechSynthesisBoundaryType.Punctuation]: "punctuation",
+  [SpeechSDK.SpeechSynthesisBoundaryType.Sentence]: "sentence",
+};
+
+/**
+ * Converts a REST output format id to the SDK enum name,
+ * e.g. "audio-24khz-48kbitrate-mono-mp3" -> "Audio24Khz48KBitRateMonoMp3"
+ */
+export function toSdkFormatName(formatId: string): string {
+  return formatId
+    .split("-")
+    .map((part) =>
+      part
+        .replace(/kbitrate$/, "KBitRate")
+        .replace(/khz$/, "Khz")
+        .replace(/bit$/, "Bit")
+        .replace(/^./, (c) => c.toUpperCase())
+    )
+    .join("");
+}
+
+/**
+ * Locates each boundary's text in the plain input, scanning forward so
+ * repeated words map to successive occurrences
+ */
+export function alignBoundaries(text: string, boundaries: Boundary[]): Boundary[] {
+  let cursor = 0;
+  return boundaries.map((boundary) => {
+    if (boundary.type === "sentence") {
+      return { ...boundary, textOffset: text.indexOf(boundary.text) };
+    }
+    const index = text.indexOf(boundary.text, cursor);
+    if (index === -1) return { ...boundary, textOffset: -1 };
+    cursor = index + boundary.text.length;
+    return { ...boundary, textOffset: index };
+  });
+}
+
+/**
+ * Synthesizes SSML through the Speech SDK and collects boundary and
+ * <bookmark> events.
+ * `text` is the plain input used to compute character positions.
+ */
+export function synthesizeWithBoundaries(
+  ssml: string,
+  formatId: string,
+  text: string
+): Promise<TimedSynthesisResult> {
+  const credentials = getSpeechCredentials();
+  if (!credentials) {
+    return Promise.reject(new SynthesisError("Azure Speech Service credentials not configured", 500));
+  }
+
+  const format = getAudioFormat(formatId);
+  const sdkFormat = format && SpeechSDK.SpeechSynthesisOutputFormat[toSdkFormatName(format.id)];
+  if (sdkFormat === undefined) {
+    return Promise.reject(new SynthesisError(`Unsupported output format: ${formatId}`, 400));
+  }
+
+  const speechConfig = SpeechSDK.SpeechConfig.fromSubscription(
+    credentials.subscriptionKey,
+    credentials.region
+  );
+  speechConfig.speechSynthesisOutputFormat = sdkFormat;
+  speechConfig.setProperty(
+    SpeechSDK.PropertyId.SpeechServiceResponse_RequestSentenceBoundary,
+    "true"
+  );
+
+  // A null audio config keeps the audio in the result instead of playing it
+  const synthesizer = new SpeechSDK.SpeechSynthesizer(speechConfig, null);
+  const boundaries: Boundary[] = [];
+  const bookmarks: Bookmark[] = [];
+
+  synthesizer.wordBoundary = (_sender, e) => {
+    boundaries.push({
+      type: BOUNDARY_TYPES[e.boundaryType] || "word",
+      text: e.text,
+      offsetMs: e.audioOffset / TICKS_PER_MS,
+      durationMs: e.duration / TICKS_PER_MS,
+      textOffset: -1,
+    });
+  };
+
+  synthesizer.bookmarkReached = (_sender, e) => {
+    bookmarks.push({ name: e.text, offsetMs: e.audioOffset / TICKS_PER_MS });
+  };
+
+  return new Promise((resolve, reject) => {
+    synthesizer.speakSsmlAsync(
+      ssml,
+      (result) => {
+        synthesizer.close();
+        if (result.reason !== SpeechSDK.ResultReason.SynthesizingAudioCompleted) {
+          reject(
+            new SynthesisError(
+              `Failed to convert text to speech${result.errorDetails ? `: ${result.errorDetails}` : ""}`,
+              502
+            )
+          );
+          return;
+        }
+
+        const aligned = alignBoundaries(text, boundaries);
+        resolve({
+          audio: Buffer.from(result.audioData),
+          words: aligned.filter((b) => b.type !== "sentence"),
+          sentences: aligned.filter((b) => b.type === "sentence"),
+          bookmarks,
+        });
+      },
+      (error) => {
+        synthesizer.close();
+        reject(new SynthesisError(`Failed to convert text to speech: ${error}`, 502));
+      }
+    );
+  });
+}
@@ -0,0 +1,225 @@
+/**
+ * Caption Generation
+ *
+ * Builds SRT and WebVTT cues from synthesis word boundaries. Cues never span
+ * two sentences and are split further to respect a maximum line length and
+ * cue duration. Shared by the timings route (server) and page (client).
+ */
+
+import type { Boundary } from "./boundary-synthesis";
+
+export interface CaptionOptions {
+  maxLineChars?: number;
+  maxDurationMs?: number;
+}
+
+export interface CaptionCue {
+  startMs: number;
+  endMs: number;
+  lines: string[];
+}
+
+/**
+ * Subtitle guidelines commonly allow two lines of about 42 characters
+ */
+export const MAX_CAPTION_LINES = 2;
+
+export const CAPTION_LIMITS = {
+  maxLineChars: { min: 16, max: 80, default: 42 },
+  maxDurationMs: { min: 1000, max: 10000, default: 7000 },
+};
+
+const SENTENCE_END = /[.!?。！？]["'”’)\]」』]*$/;
+
+/**
+ * Fills in defaults for unset caption options
+ */
+export function resolveCaptionOptions(options: CaptionOptions = {}): Required<CaptionOptions> {
+  return {
+    maxLineChars: Number(options.maxLineChars ?? CAPTION_LIMITS.maxLineChars.default),
+    maxDurationMs: Number(options.maxDurationMs ?? CAPTION_LIMITS.maxDurationMs.default),
+  };
+}
+
+/**
+ * Checks caption options and returns a list of problems
+ */
+export function validateCaptionOptions(options: CaptionOptions = {}): string[] {
+  const errors: string[] = [];
+  const resolved = resolveCaptionOptions(options);
+
+  for (const key of ["maxLineChars", "maxDurationMs"] as const) {
+    const { min, max } = CAPTION_LIMITS[key];
+    const value = resolved[key];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`Invalid ${key} "${options[key]}": must be between ${min} and ${max}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Greedy word wrap. Text without spaces (such as CJK) is cut at the limit.
+ */
+export function wrapCaptionText(text: string, maxLineChars: number): string[] {
+  const lines: string[] = [];
+  let line = "";
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    let rest = word;
+    while (rest.length > maxLineChars) {
+      if (line) {
+        lines.push(line);
+        line = "";
+      }
+      lines.push(rest.slice(0, maxLineChars));
+      rest = rest.slice(maxLineChars);
+    }
+    if (!rest) continue;
+    if (!line) {
+      line = rest;
+    } else if (line.length + 1 + rest.length <= maxLineChars) {
+      line += ` ${rest}`;
+    } else {
+      lines.push(line);
+      line = rest;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Text covered by a run of boundaries, taken from the input when positions are
+ * known so punctuation and spacing match what was typed
+ */
+function cueText(text: string, words: Boundary[]): string {
+  const first = words[0];
+  const last = words[words.length - 1];
+  if (words.every((w) => w.textOffset >= 0)) {
+    return text.slice(first.textOffset, last.textOffset + last.text.length).replace(/\s+/g, " ").trim();
+  }
+  return words
+    .map((w, i) => (i > 0 && w.type !== "punctuation" ? ` ${w.text}` : w.text))
+    .join("")
+    .trim();
+}
+
+/**
+ * Groups word and punctuation boundaries by sentence. Sentence boundaries are
+ * used when the service reported them, otherwise sentence-ending punctuation.
+ */
+function groupBySentence(words: Boundary[], sentences: Boundary[]): Boundary[][] {
+  const groups: Boundary[][] = [];
+  const starts = sentences.map((s) => s.offsetMs).sort((a, b) => a - b);
+  let current: Boundary[] = [];
+  let sentenceIndex = -1;
+
+  for (const word of words) {
+    let index = sentenceIndex;
+    while (index + 1 < starts.length && starts[index + 1] <= word.offsetMs) index++;
+
+    const startsSentence =
+      starts.length > 0
+        ? index !== sentenceIndex && word.type !== "punctuation"
+        : current.length > 0 && SENTENCE_END.test(current[current.length - 1].text) && word.type !== "punctuation";
+
+    if (startsSentence && current.length > 0) {
+      groups.push(current);
+      current = [];
+    }
+    if (word.type !== "punctuation") sentenceIndex = index;
+    current.push(word);
+  }
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+/**
+ * Builds caption cues from word and punctuation boundaries
+ */
+export function buildCaptionCues(
+  text: string,
+  words: Boundary[],
+  sentences: Boundary[] = [],
+  options: CaptionOptions = {}
+): CaptionCue[] {
+  const { maxLineChars, maxDurationMs } = resolveCaptionOptions(options);
+  const ordered = words
+    .filter((w) => w.type !== "sentence" && w.text.trim())
+    .sort((a, b) => a.offsetMs - b.offsetMs);
+  const cues: CaptionCue[] = [];
+
+  const flush = (run: Boundary[]) => {
+    const last = run[run.length - 1];
+    cues.push({
+      startMs: run[0].offsetMs,
+      endMs: last.offsetMs + last.durationMs,
+      lines: wrapCaptionText(cueText(text, run), maxLineChars),
+    });
+  };
+
+  for (const sentence of groupBySentence(ordered, sentences)) {
+    let run: Boundary[] = [];
+    for (const word of sentence) {
+      // Punctuation always stays with the word before it
+      if (run.length > 0 && word.type !== "punctuation") {
+        const candidate = [...run, word];
+        const tooLong =
+          wrapCaptionText(cueText(text, candidate), maxLineChars).length > MAX_CAPTION_LINES;
+        const tooSlow = word.offsetMs + word.durationMs - run[0].offsetMs > maxDurationMs;
+        if (tooLong || tooSlow) {
+          flush(run);
+          run = [];
+        }
+      }
+      run.push(word);
+    }
+    if (run.length > 0) flush(run);
+  }
+
+  // Keep cues from overlapping when boundary durations run into the next word
+  for (let i = 0; i < cues.length - 1; i++) {
+    cues[i].endMs = Math.max(cues[i].startMs, Math.min(cues[i].endMs, cues[i + 1].startMs));
+  }
+  return cues;
+}
+
+/**
+ * Formats milliseconds as HH:MM:SS followed by the separator and milliseconds
+ */
+export function formatTimestamp(ms: number, separator: string): string {
+  const total = Math.max(0, Math.round(ms));
+  const pad = (n: number, width = 2) => String(n).padStart(width, "0");
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Serializes cues as a SubRip (.srt) file
+ */
+export function formatSrt(cues: CaptionCue[]): string {
+  return cues
+    .map(
+      (cue, i) =>
+        `${i + 1}\n${formatTimestamp(cue.startMs, ",")} --> ${formatTimestamp(cue.endMs, ",")}\n${cue.lines.join("\n")}\n`
+    )
+    .join("\n");
+}
+
+/**
+ * Serializes cues as a WebVTT (.vtt) file
+ */
+export function formatWebVtt(cues: CaptionCue[]): string {
+  const escape = (line: string) =>
+    line.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const body = cues
+    .map(
+      (cue) =>
+        `${formatTimestamp(cue.startMs, ".")} --> ${formatTimestamp(cue.endMs, ".")}\n${cue.lines.map(escape).join("\n")}\n`
+    )
+    .join("\n");
+  return `WEBVTT\n\n${body}`;
+}
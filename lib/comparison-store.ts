@@ -0,0 +1,125 @@
+/**
+ * Comparison Store
+ *
+ * Prisma-backed persistence for saved voice comparison boards. Only the
+ * signed-in owner can list, open by id, change or delete a board, but anyone
+ * with its link can open it: the link carries a random share token, since
+ * ids are guessable.
+ */
+
+import { randomBytes } from "crypto";
+import { DEFAULT_AUDIO_FORMAT } from "./audio-formats";
+import { HttpError } from "./http-error";
+import { prisma } from "./prisma";
+import {
+  normalizeCombination,
+  validateComparison,
+  type ComparisonCombination,
+  type ComparisonInput,
+} from "./voice-comparison";
+
+/**
+ * Error raised for comparison requests, carrying the HTTP status to reply with
+ */
+export class ComparisonError extends HttpError {
+  constructor(message: string, status = 400, details?: unknown) {
+    super(message, status, details);
+    this.name = "ComparisonError";
+  }
+}
+
+const SHARE_TOKEN_PATTERN = /^[a-f0-9]{32}$/;
+
+function assertValid(errors: string[]) {
+  if (errors.length > 0) {
+    throw new ComparisonError(errors.join("; "), 400, errors);
+  }
+}
+
+function toComparison({ combinations, userId, ...comparison }: any, viewerId?: string | null) {
+  return {
+    ...comparison,
+    combinations: JSON.parse(combinations) as ComparisonCombination[],
+    owned: !!viewerId && viewerId === userId,
+  };
+}
+
+function normalizeTitle(title: unknown, text: string): string {
+  return String(title ?? "").trim() || text.trim().slice(0, 60) || "Untitled";
+}
+
+async function findOwnedComparison(userId: string, id: string) {
+  const comparison = await prisma.voiceComparison.findFirst({ where: { id, userId } });
+  if (!comparison) {
+    throw new ComparisonError("Comparison not found", 404);
+  }
+  return comparison;
+}
+
+export async function listComparisons(userId: string) {
+  const comparisons = await prisma.voiceComparison.findMany({
+    where: { userId },
+    orderBy: { updatedAt: "desc" },
+  });
+  return comparisons.map((comparison: any) => toComparison(comparison, userId));
+}
+
+export async function getComparison(userId: string, id: string) {
+  return toComparison(await findOwnedComparison(userId, id), userId);
+}
+
+/**
+ * Loads a board for anyone holding its share token; `owned` tells the viewer
+ * whether they may change it
+ */
+export async function getSharedComparison(shareToken: string, viewerId?: string | null) {
+  const comparison = SHARE_TOKEN_PATTERN.test(shareToken)
+    ? await prisma.voiceComparison.findUnique({ where: { shareToken } })
+    : null;
+  if (!comparison) {
+    throw new ComparisonError("Comparison not found", 404);
+  }
+  return toComparison(comparison, viewerId);
+}
+
+export async function createComparison(userId: string, input: ComparisonInput) {
+  assertValid(validateComparison(input));
+
+  const comparison = await prisma.voiceComparison.create({
+    data: {
+      userId,
+      shareToken: randomBytes(16).toString("hex"),
+      title: normalizeTitle(input.title, input.text),
+      text: input.text,
+      lang: input.lang,
+      format: input.format || DEFAULT_AUDIO_FORMAT,
+      combinations: JSON.stringify(input.combinations.map(normalizeCombination)),
+    },
+  });
+  return toComparison(comparison, userId);
+}
+
+/**
+ * Replaces a board's content; the text, voices and favorites are saved together
+ */
+export async function updateComparison(userId: string, id: string, input: ComparisonInput) {
+  await findOwnedComparison(userId, id);
+  assertValid(validateComparison(input));
+
+  const comparison = await prisma.voiceComparison.update({
+    where: { id },
+    data: {
+      title: normalizeTitle(input.title, input.text),
+      text: input.text,
+      lang: input.lang,
+      format: input.format || DEFAULT_AUDIO_FORMAT,
+      combinations: JSON.stringify(input.combinations.map(normalizeCombination)),
+    },
+  });
+  return toComparison(comparison, userId);
+}
+
+export async function deleteComparison(userId: string, id: string) {
+  await findOwnedComparison(userId, id);
+  await prisma.voiceComparison.delete({ where: { id } });
+}
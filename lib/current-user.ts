@@ -0,0 +1,23 @@
+/**
+ * Current User
+ *
+ * Resolves the signed-in user for API routes that read or write per-user
+ * records. Sessions use the JWT strategy, so the user id is read from the
+ * session token without a database round trip.
+ */
+
+import { getToken } from "next-auth/jwt";
+import type { NextRequest } from "next/server";
+
+/**
+ * Returns the id of the signed-in user, or null for anonymous requests
+ */
+export async function getCurrentUserId(request: NextRequest | Request): Promise<string | null> {
+  try {
+    const token = await getToken({ req: request as NextRequest });
+    return (token?.id as string | undefined) || token?.sub || null;
+  } catch (error) {
+    console.error("Failed to read session token:", error);
+    return null;
+  }
+}
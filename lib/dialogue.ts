@@ -0,0 +1,143 @@
+/**
+ * Dialogue Scripts
+ *
+ * Parses screenplay-style scripts ("ALICE: Hello.") into speaker turns and
+ * builds the per-turn timing manifest for the rendered audio. Shared by the
+ * dialogue route (server) and page (client).
+ */
+
+import type { VoiceSettings } from "./voice-settings";
+
+export interface DialogueTurn {
+  speaker: string;
+  text: string;
+  // 1-based line of the script where the turn starts
+  line: number;
+}
+
+export interface DialogueCastMember extends VoiceSettings {
+  voice: string;
+}
+
+export type DialogueCast = Record<string, DialogueCastMember>;
+
+export interface ParsedDialogue {
+  turns: DialogueTurn[];
+  speakers: string[];
+  errors: string[];
+}
+
+export interface DialogueManifestTurn {
+  index: number;
+  speaker: string;
+  voice: string;
+  text: string;
+  startMs: number;
+  endMs: number;
+}
+
+export interface DialogueManifest {
+  durationMs: number;
+  pauseMs: number;
+  turns: DialogueManifestTurn[];
+}
+
+/**
+ * Azure accepts at most 50 <voice> elements in one SSML document
+ */
+export const MAX_DIALOGUE_TURNS = 50;
+
+export const MAX_DIALOGUE_SPEAKERS = 6;
+
+export const DIALOGUE_PAUSE_LIMITS = { min: 0, max: 5000, default: 400 };
+
+// Speaker names start with a letter and are at most 32 characters
+const SPEAKER_LINE = /^\s*([A-Za-z][\w .'-]{0,31}?)\s*:\s*(.*)$/;
+
+// An all-caps tag ("ALICE", "DR. WHO") names a speaker on first use
+function isSpeakerTag(name: string): boolean {
+  return /[A-Z]/.test(name) && name === name.toUpperCase();
+}
+
+/**
+ * Speaker names are matched case-insensitively and reported upper-cased
+ */
+export function normalizeSpeaker(name: string): string {
+  return name.trim().replace(/\s+/g, " ").toUpperCase();
+}
+
+/**
+ * Splits a script into turns. A line starting with `NAME:` opens a turn when
+ * NAME is an all-caps tag, already spoke earlier, or is one of `castNames`;
+ * any other line, including prose such as "Note: ..." or "at 10:30",
+ * continues the current turn. Blank lines and lines starting with `#` are
+ * ignored.
+ */
+export function parseDialogueScript(script: string, castNames: string[] = []): ParsedDialogue {
+  const turns: DialogueTurn[] = [];
+  const speakers: string[] = [];
+  const errors: string[] = [];
+  const known = new Set(castNames.map(normalizeSpeaker));
+
+  (script || "").split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) return;
+
+    const match = line.match(SPEAKER_LINE);
+    const speaker = match ? normalizeSpeaker(match[1]) : "";
+    if (match && (isSpeakerTag(match[1]) || known.has(speaker) || speakers.includes(speaker))) {
+      if (!speakers.includes(speaker)) speakers.push(speaker);
+      turns.push({ speaker, text: match[2].trim(), line: i + 1 });
+    } else if (turns.length > 0) {
+      const last = turns[turns.length - 1];
+      last.text = last.text ? `${last.text} ${line}` : line;
+    } else {
+      errors.push(`Line ${i + 1}: expected "SPEAKER: text"`);
+    }
+  });
+
+  for (const turn of turns) {
+    if (!turn.text) errors.push(`Line ${turn.line}: ${turn.speaker} has no text`);
+  }
+  if (turns.length === 0 && errors.length === 0) {
+    errors.push("Script has no turns");
+  }
+  if (turns.length > MAX_DIALOGUE_TURNS) {
+    errors.push(`Script has ${turns.length} turns; the limit is ${MAX_DIALOGUE_TURNS}`);
+  }
+  if (speakers.length > MAX_DIALOGUE_SPEAKERS) {
+    errors.push(`Script has ${speakers.length} speakers; the limit is ${MAX_DIALOGUE_SPEAKERS}`);
+  }
+
+  return { turns, speakers, errors };
+}
+
+/**
+ * Computes when each turn starts and ends. `turnStartsMs` holds the audio
+ * offset of the bookmark placed before each turn; a turn ends with the last
+ * word boundary before the next turn starts.
+ */
+export function buildDialogueManifest(
+  turns: DialogueTurn[],
+  cast: DialogueCast,
+  turnStartsMs: number[],
+  wordEndsMs: number[],
+  pauseMs: number
+): DialogueManifest {
+  const manifestTurns = turns.map((turn, index) => {
+    const startMs = turnStartsMs[index] ?? 0;
+    const nextStart = turnStartsMs[index + 1] ?? Infinity;
+    const ends = wordEndsMs.filter((end) => end > startMs && end <= nextStart);
+    return {
+      index,
+      speaker: turn.speaker,
+      voice: cast[turn.speaker]?.voice,
+      text: turn.text,
+      startMs,
+      endMs: ends.length ? Math.max(...ends) : startMs,
+    };
+  });
+
+  const last = manifestTurns[manifestTurns.length - 1];
+  return { durationMs: last ? last.endMs : 0, pauseMs, turns: manifestTurns };
+}
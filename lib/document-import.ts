@@ -0,0 +1,484 @@
+/**
+ * Document Import
+ *
+ * Turns Markdown, HTML and plain-text documents into a flat list of blocks
+ * (headings, paragraphs, lists and code) and groups those blocks into
+ * chapters for audiobook rendering. Inline markup is stripped; structure is
+ * kept so headings, lists and code can be voiced differently. EPUB files are
+ * unpacked by ./epub and parsed here as HTML. Shared by the audiobook route
+ * (server) and page (client).
+ */
+
+import sax from "sax";
+
+export type DocumentKind = "txt" | "md" | "html" | "epub";
+
+export type DocumentBlock =
+  | { type: "heading"; level: number; text: string }
+  | { type: "paragraph"; text: string }
+  | { type: "list"; ordered: boolean; items: string[] }
+  | { type: "code"; text: string; language?: string };
+
+export interface DocumentChapter {
+  title: string;
+  blocks: DocumentBlock[];
+}
+
+export interface ParsedDocument {
+  title: string;
+  chapters: DocumentChapter[];
+}
+
+export type HeadingEmphasis = "none" | "reduced" | "moderate" | "strong";
+export type CodeBlockHandling = "announce" | "skip" | "read";
+export type AudiobookOutput = "playlist" | "single";
+
+export interface AudiobookOptions {
+  output: AudiobookOutput;
+  headingPauseMs: number;
+  headingEmphasis: HeadingEmphasis;
+  codeBlocks: CodeBlockHandling;
+}
+
+export const HEADING_EMPHASIS_LEVELS: HeadingEmphasis[] = ["none", "reduced", "moderate", "strong"];
+export const CODE_BLOCK_HANDLING: { value: CodeBlockHandling; label: string }[] = [
+  { value: "announce", label: "Announce that code was skipped" },
+  { value: "skip", label: "Skip silently" },
+  { value: "read", label: "Read verbatim" },
+];
+
+export const AUDIOBOOK_LIMITS = {
+  headingPauseMs: { min: 0, max: 5000, default: 800 },
+  chapters: 100,
+  fileBytes: 10 * 1024 * 1024,
+};
+
+export const DEFAULT_AUDIOBOOK_OPTIONS: AudiobookOptions = {
+  output: "playlist",
+  headingPauseMs: AUDIOBOOK_LIMITS.headingPauseMs.default,
+  headingEmphasis: "moderate",
+  codeBlocks: "announce",
+};
+
+const EXTENSION_KINDS: Record<string, DocumentKind> = {
+  txt: "txt",
+  text: "txt",
+  md: "md",
+  markdown: "md",
+  html: "html",
+  htm: "html",
+  xhtml: "html",
+  epub: "epub",
+};
+
+/**
+ * Picks the parser for a file by its extension
+ */
+export function detectDocumentKind(fileName: string): DocumentKind | null {
+  const extension = fileName.split(".").pop()?.toLowerCase() || "";
+  return EXTENSION_KINDS[extension] || null;
+}
+
+/**
+ * Validates audiobook options and returns a list of problems
+ */
+export function validateAudiobookOptions(options: Partial<AudiobookOptions>): string[] {
+  const errors: string[] = [];
+  const { min, max } = AUDIOBOOK_LIMITS.headingPauseMs;
+
+  if (options.output !== undefined && options.output !== "playlist" && options.output !== "single") {
+    errors.push(`Invalid output "${options.output}": use "playlist" or "single"`);
+  }
+  if (options.headingPauseMs !== undefined) {
+    const pause = Number(options.headingPauseMs);
+    if (!Number.isFinite(pause) || pause < min || pause > max) {
+      errors.push(`Invalid headingPauseMs "${options.headingPauseMs}": must be between ${min} and ${max}`);
+    }
+  }
+  if (options.headingEmphasis !== undefined && !HEADING_EMPHASIS_LEVELS.includes(options.headingEmphasis)) {
+    errors.push(`Invalid headingEmphasis "${options.headingEmphasis}"`);
+  }
+  if (options.codeBlocks !== undefined && !CODE_BLOCK_HANDLING.some((c) => c.value === options.codeBlocks)) {
+    errors.push(`Invalid codeBlocks "${options.codeBlocks}"`);
+  }
+  return errors;
+}
+
+function collapseWhitespace(text: string): string {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Removes inline Markdown (links, images, emphasis, code spans, HTML tags),
+ * keeping the words a listener should hear
+ */
+export function stripInlineMarkdown(text: string): string {
+  return collapseWhitespace(
+    text
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1")
+      .replace(/<(https?:\/\/[^>]+)>/g, "$1")
+      .replace(/<\/?[A-Za-z][^>]*>/g, "")
+      .replace(/`+([^`]+)`+/g, "$1")
+      .replace(/(\*\*|__)(.+?)\1/g, "$2")
+      .replace(/(\*|_)(\S(?:.*?\S)?)\1/g, "$2")
+      .replace(/~~(.+?)~~/g, "$1")
+      .replace(/\\([\\`*_{}[\]()#+\-.!])/g, "$1")
+  );
+}
+
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}/;
+
+/**
+ * Parses Markdown into blocks: ATX and setext headings, fenced code, lists
+ * (nested items are flattened), block quotes and tables read as paragraphs
+ */
+export function parseMarkdown(source: string): DocumentBlock[] {
+  const blocks: DocumentBlock[] = [];
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  let paragraph: string[] = [];
+  let list: { ordered: boolean; items: string[] } | null = null;
+
+  const endParagraph = () => {
+    const text = stripInlineMarkdown(paragraph.join(" "));
+    if (text) blocks.push({ type: "paragraph", text });
+    paragraph = [];
+  };
+  const endList = () => {
+    if (list) {
+      const items = list.items.map(stripInlineMarkdown).filter(Boolean);
+      if (items.length) blocks.push({ type: "list", ordered: list.ordered, items });
+    }
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      endParagraph();
+      endList();
+      const code: string[] = [];
+      while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+      }
+      blocks.push({ type: "code", text: code.join("\n"), language: fence[2] || undefined });
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      endParagraph();
+      endList();
+      const text = stripInlineMarkdown(heading[2]);
+      if (text) blocks.push({ type: "heading", level: heading[1].length, text });
+      continue;
+    }
+
+    // Setext headings underline a single paragraph line
+    const next = lines[i + 1] || "";
+    if (line.trim() && !list && paragraph.length === 0 && /^\s*(=+|-+)\s*$/.test(next)) {
+      const text = stripInlineMarkdown(line);
+      if (text) blocks.push({ type: "heading", level: next.trim().startsWith("=") ? 1 : 2, text });
+      i++;
+      continue;
+    }
+
+    if (!line.trim() || RULE.test(line)) {
+      endParagraph();
+      if (!line.trim() && list && !LIST_ITEM.test(next) && !/^\s{2,}\S/.test(next)) endList();
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      endParagraph();
+      const ordered = /\d/.test(item[1]);
+      // A nested item keeps the outer list; a top-level one of the other kind starts a new list
+      const nested = /^\s{2,}/.test(line);
+      if (list && !nested && list.ordered !== ordered) endList();
+      if (!list) list = { ordered, items: [] };
+      list.items.push(item[2]);
+      continue;
+    }
+
+    if (list && /^\s+\S/.test(line)) {
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+      continue;
+    }
+    endList();
+
+    if (/^\s*\|/.test(line)) {
+      endParagraph();
+      if (TABLE_SEPARATOR.test(line)) continue;
+      const cells = line.split("|").map((cell) => stripInlineMarkdown(cell)).filter(Boolean);
+      if (cells.length) blocks.push({ type: "paragraph", text: `${cells.join(", ")}.` });
+      continue;
+    }
+
+    paragraph.push(line.replace(/^\s*>\s?/, ""));
+  }
+  endParagraph();
+  endList();
+  return blocks;
+}
+
+// Lines like "Chapter 3", "PART TWO" or "Epilogue" in plain-text books
+const CHAPTER_LINE =
+  /^(chapter|part|book|section|prologue|epilogue|introduction|preface|foreword|afterword|appendix)\b[\w\s.:'-]{0,60}$/i;
+const TEXT_LIST_ITEM = /^\s*([-*•]|\d+[.)])\s+(.*)$/;
+
+function isShoutedTitle(line: string): boolean {
+  return line.length <= 60 && /[A-Z]/.test(line) && !/[a-z]/.test(line) && !/[.,;]$/.test(line);
+}
+
+/**
+ * Parses plain text: blank lines separate paragraphs, chapter-like and
+ * all-caps single lines become headings, and bulleted lines become lists
+ */
+export function parsePlainText(source: string): DocumentBlock[] {
+  const blocks: DocumentBlock[] = [];
+  const paragraphs = source.replace(/\r\n?/g, "\n").split(/\n\s*\n/);
+
+  for (const raw of paragraphs) {
+    const lines = raw.split("\n").filter((line) => line.trim());
+    if (!lines.length) continue;
+
+    if (lines.length <= 2 && /^\s*(=+|-+)\s*$/.test(lines[1] || "")) {
+      blocks.push({ type: "heading", level: lines[1].trim().startsWith("=") ? 1 : 2, text: lines[0].trim() });
+      continue;
+    }
+    if (lines.length === 1) {
+      const line = lines[0].trim();
+      if (CHAPTER_LINE.test(line)) {
+        blocks.push({ type: "heading", level: 1, text: line });
+        continue;
+      }
+      if (isShoutedTitle(line)) {
+        blocks.push({ type: "heading", level: 2, text: line });
+        continue;
+      }
+    }
+    if (lines.every((line) => TEXT_LIST_ITEM.test(line))) {
+      blocks.push({
+        type: "list",
+        ordered: /\d/.test(lines[0].match(TEXT_LIST_ITEM)![1]),
+        items: lines.map((line) => collapseWhitespace(line.match(TEXT_LIST_ITEM)![2])),
+      });
+      continue;
+    }
+    blocks.push({ type: "paragraph", text: collapseWhitespace(lines.join(" ")) });
+  }
+  return blocks;
+}
+
+const SKIPPED_TAGS = new Set(["script", "style", "noscript", "template", "svg", "nav", "button"]);
+const BREAKING_TAGS = new Set([
+  "p", "div", "section", "article", "main", "header", "footer", "aside", "blockquote",
+  "figure", "figcaption", "table", "tr", "td", "th", "dl", "dt", "dd", "body", "hr",
+]);
+
+/**
+ * Parses HTML or XHTML with a forgiving parser. Scripts, styles and
+ * navigation are dropped; the document <title> is returned separately.
+ */
+export function parseHtml(source: string): { title: string; blocks: DocumentBlock[] } {
+  const blocks: DocumentBlock[] = [];
+  const parser = sax.parser(false, { lowercase: true });
+  const lists: { ordered: boolean; items: string[] }[] = [];
+  let title = "";
+  let inTitle = false;
+  let skipDepth = 0;
+  let heading = 0;
+  let pre: { language?: string } | null = null;
+  let buffer = "";
+
+  const takeText = () => {
+    const text = pre ? buffer.replace(/^\n+|\s+$/g, "") : collapseWhitespace(buffer);
+    buffer = "";
+    return text;
+  };
+  const endParagraph = () => {
+    if (heading || pre) return;
+    if (lists.length) {
+      endItem();
+      return;
+    }
+    const text = takeText();
+    if (text) blocks.push({ type: "paragraph", text });
+  };
+  const endItem = () => {
+    const text = collapseWhitespace(buffer);
+    buffer = "";
+    if (text && lists.length) lists[lists.length - 1].items.push(text);
+  };
+
+  parser.onopentag = (node) => {
+    const name = node.name;
+    if (skipDepth > 0) {
+      skipDepth++;
+      return;
+    }
+    if (name === "title") {
+      inTitle = true;
+      return;
+    }
+    if (SKIPPED_TAGS.has(name)) {
+      skipDepth = 1;
+      return;
+    }
+
+    if (/^h[1-6]$/.test(name)) {
+      endParagraph();
+      heading = Number(name[1]);
+    } else if (name === "pre") {
+      endParagraph();
+      pre = {};
+    } else if (name === "code" && pre) {
+      const match = String(node.attributes.class || "").match(/language-([\w+-]+)/);
+      if (match) pre.language = match[1];
+    } else if (name === "ul" || name === "ol") {
+      endParagraph();
+      lists.push({ ordered: name === "ol", items: [] });
+    } else if (name === "li") {
+      endItem();
+    } else if (name === "br") {
+      buffer += pre ? "\n" : " ";
+    } else if (BREAKING_TAGS.has(name)) {
+      endParagraph();
+    }
+  };
+
+  parser.onclosetag = (name) => {
+    if (skipDepth > 0) {
+      skipDepth--;
+      return;
+    }
+    if (name === "title") {
+      inTitle = false;
+    } else if (/^h[1-6]$/.test(name) && heading) {
+      const text = takeText();
+      if (text) blocks.push({ type: "heading", level: heading, text });
+      heading = 0;
+    } else if (name === "pre" && pre) {
+      const language = pre.language;
+      const text = takeText();
+      pre = null;
+      if (text) blocks.push({ type: "code", text, language });
+    } else if (name === "li") {
+      endItem();
+    } else if (name === "ul" || name === "ol") {
+      endItem();
+      const list = lists.pop()!;
+      // Nested lists are read as part of the enclosing one
+      if (lists.length) {
+        lists[lists.length - 1].items.push(...list.items);
+      } else if (list.items.length) {
+        blocks.push({ type: "list", ordered: list.ordered, items: list.items });
+      }
+    } else if (BREAKING_TAGS.has(name)) {
+      endParagraph();
+    }
+  };
+
+  parser.ontext = parser.oncdata = (text) => {
+    if (inTitle) {
+      title += text;
+    } else if (skipDepth === 0) {
+      buffer += text;
+    }
+  };
+
+  // Malformed markup is read as far as possible rather than rejected
+  parser.onerror = () => {
+    parser.error = null;
+    parser.resume();
+  };
+
+  parser.write(source).close();
+  endParagraph();
+  return { title: collapseWhitespace(title), blocks };
+}
+
+/**
+ * Parses a text-based document of the given kind
+ */
+export function parseDocumentText(source: string, kind: Exclude<DocumentKind, "epub">) {
+  if (kind === "html") return parseHtml(source);
+  return { title: "", blocks: kind === "md" ? parseMarkdown(source) : parsePlainText(source) };
+}
+
+/**
+ * Groups blocks into chapters. Chapters start at the shallowest heading
+ * level that occurs more than once, so a lone top-level title (as in
+ * release notes with one "#" and a "##" per version) names the document
+ * instead of swallowing everything. Text before the first chapter heading
+ * becomes an introduction.
+ */
+export function splitChapters(blocks: DocumentBlock[], fallbackTitle: string): ParsedDocument {
+  const levels = blocks.filter((b) => b.type === "heading").map((b) => (b as { level: number }).level);
+  const counts = new Map<number, number>();
+  levels.forEach((level) => counts.set(level, (counts.get(level) || 0) + 1));
+  const sorted = Array.from(counts.keys()).sort((a, b) => a - b);
+  const chapterLevel = sorted.find((level) => counts.get(level)! > 1) ?? sorted[0];
+
+  if (chapterLevel === undefined) {
+    return {
+      title: fallbackTitle,
+      chapters: blocks.length ? [{ title: fallbackTitle, blocks }] : [],
+    };
+  }
+
+  // Shallower headings occur at most once; before the first chapter they
+  // title the document, after it they open a chapter of their own
+  const isChapterStart = (block: DocumentBlock) =>
+    block.type === "heading" && block.level <= chapterLevel;
+  const firstStart = blocks.findIndex((b) => b.type === "heading" && b.level === chapterLevel);
+  const preamble = blocks.slice(0, firstStart);
+  const firstHeading = preamble.find((b) => b.type === "heading") as { text: string } | undefined;
+  const title = firstHeading?.text || fallbackTitle;
+
+  const chapters: DocumentChapter[] = [];
+  if (preamble.some((b) => b.type !== "heading")) {
+    chapters.push({ title: firstHeading ? title : "Introduction", blocks: preamble });
+  }
+  for (const block of blocks.slice(firstStart)) {
+    if (isChapterStart(block)) {
+      chapters.push({ title: (block as { text: string }).text, blocks: [block] });
+    } else {
+      chapters[chapters.length - 1].blocks.push(block);
+    }
+  }
+  return { title, chapters };
+}
+
+/**
+ * The words a block contributes to the audio, used for length limits
+ */
+export function spokenText(block: DocumentBlock, codeBlocks: CodeBlockHandling): string {
+  switch (block.type) {
+    case "list":
+      return block.items.join("\n");
+    case "code":
+      return codeBlocks === "read" ? block.text : "";
+    default:
+      return block.text;
+  }
+}
+
+/**
+ * Writes an extended M3U playlist; durations are rounded to whole seconds
+ */
+export function buildM3u(entries: { title: string; durationMs: number | null; file: string }[]): string {
+  const lines = ["#EXTM3U"];
+  for (const entry of entries) {
+    const seconds = entry.durationMs === null ? -1 : Math.round(entry.durationMs / 1000);
+    lines.push(`#EXTINF:${seconds},${entry.title.replace(/[\r\n]+/g, " ")}`, entry.file);
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,122 @@
+/**
+ * Speech-to-Speech Dubbing
+ *
+ * Client side of the translation page's re-voicing pipeline: each translated
+ * phrase is synthesized as WAV, played back one phrase at a time, and the
+ * clips can be assembled into a single dubbed WAV. Browser only.
+ */
+
+import { getAudioFormat } from "./audio-formats";
+import { findWavDataOffset } from "./audio-streaming";
+
+/**
+ * Phrases are synthesized as WAV so they can be joined without re-encoding
+ */
+export const DUB_FORMAT = "riff-24khz-16bit-mono-pcm";
+
+// Silence between phrases in the exported track
+export const DUB_GAP_MS = 300;
+
+export interface DubClip {
+  audio: Uint8Array;
+  // Where the source phrase started, in ms from the start of recognition
+  sourceOffsetMs?: number;
+}
+
+export interface PlaybackQueue {
+  enqueue(clip: Promise<string | null>): void;
+  clear(): void;
+}
+
+/**
+ * Plays clips strictly one after another. Clips are queued as promises so a
+ * phrase still being synthesized holds its place in line; a clip that
+ * resolves to null (failed synthesis) is skipped.
+ */
+export function createPlaybackQueue(onPlaying?: (url: string | null) => void): PlaybackQueue {
+  let chain: Promise<void> = Promise.resolve();
+  let generation = 0;
+  // Pausing doesn't fire "ended", so clearing finishes the clip by hand
+  let stopCurrent: (() => void) | null = null;
+
+  const play = (url: string, queuedIn: number) =>
+    new Promise<void>((resolve) => {
+      if (queuedIn !== generation) return resolve();
+      const audio = new Audio(url);
+      const done = () => {
+        audio.pause();
+        stopCurrent = null;
+        onPlaying?.(null);
+        resolve();
+      };
+      stopCurrent = done;
+      audio.onended = done;
+      audio.onerror = done;
+      onPlaying?.(url);
+      audio.play().catch(done);
+    });
+
+  return {
+    enqueue(clip) {
+      const queuedIn = generation;
+      chain = chain.then(async () => {
+        const url = await clip.catch(() => null);
+        if (url) await play(url, queuedIn);
+      });
+    },
+    clear() {
+      generation++;
+      stopCurrent?.();
+    },
+  };
+}
+
+/**
+ * Joins synthesized WAV clips into one WAV. With `alignToSource`, each
+ * phrase starts where it was spoken in the source (or right after the
+ * previous phrase if that one runs long); otherwise phrases are separated
+ * by a short gap.
+ */
+export function buildDubTrack(clips: DubClip[], alignToSource = false): Uint8Array {
+  const format = getAudioFormat(DUB_FORMAT)!;
+  const bytesPerMs = (format.sampleRate * 2) / 1000;
+  // Keep offsets on a sample boundary
+  const toBytes = (ms: number) => Math.round(ms * bytesPerMs) & ~1;
+  const gap = toBytes(DUB_GAP_MS);
+
+  const placed: { data: Uint8Array; start: number }[] = [];
+  let end = 0;
+  for (const clip of clips) {
+    const offset = findWavDataOffset(clip.audio);
+    if (offset < 0) continue;
+    const data = clip.audio.subarray(offset);
+    const earliest = placed.length ? end + gap : 0;
+    const start =
+      alignToSource && clip.sourceOffsetMs !== undefined
+        ? Math.max(earliest, toBytes(clip.sourceOffsetMs))
+        : earliest;
+    placed.push({ data, start });
+    end = start + data.length;
+  }
+
+  const wav = new Uint8Array(44 + end);
+  const view = new DataView(wav.buffer);
+  const writeId = (offset: number, id: string) => {
+    for (let i = 0; i < 4; i++) wav[offset + i] = id.charCodeAt(i);
+  };
+  writeId(0, "RIFF");
+  view.setUint32(4, 36 + end, true);
+  writeId(8, "WAVE");
+  writeId(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, format.sampleRate, true);
+  view.setUint32(28, format.sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeId(36, "data");
+  view.setUint32(40, end, true);
+  for (const { data, start } of placed) wav.set(data, 44 + start);
+  return wav;
+}
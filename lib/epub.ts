@@ -0,0 +1,157 @@
+/**
+ * EPUB Reader
+ *
+ * Unpacks an EPUB (a ZIP archive), follows META-INF/container.xml to the
+ * package document and returns the spine's XHTML documents in reading
+ * order, each parsed into blocks. Server only: entries are inflated with
+ * zlib.
+ */
+
+import path from "path";
+import sax from "sax";
+import { inflateRawSync } from "zlib";
+import { parseHtml, type DocumentChapter } from "./document-import";
+
+interface ZipEntry {
+  name: string;
+  method: number;
+  compressedSize: number;
+  localOffset: number;
+}
+
+/**
+ * Error raised for archives that are not readable EPUBs
+ */
+export class EpubError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "EpubError";
+  }
+}
+
+// Keeps a malicious archive from inflating into gigabytes
+const MAX_ENTRY_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Lists entries from the ZIP central directory
+ */
+function readZipDirectory(buffer: Buffer): Map<string, ZipEntry> {
+  // The end-of-central-directory record sits in the last 64 KB + 22 bytes
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new EpubError("Not a ZIP archive");
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = new Map<string, ZipEntry>();
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new EpubError("Corrupt ZIP central directory");
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      name,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function readZipEntry(buffer: Buffer, entry: ZipEntry): Buffer {
+  const local = entry.localOffset;
+  if (local + 30 > buffer.length || buffer.readUInt32LE(local) !== 0x04034b50) {
+    throw new EpubError(`Corrupt ZIP entry: ${entry.name}`);
+  }
+  const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+  throw new EpubError(`Unsupported ZIP compression method ${entry.method} in ${entry.name}`);
+}
+
+/**
+ * Collects the attributes of every element with one of the given names
+ */
+function collectElements(xml: string, names: string[]): { name: string; attributes: Record<string, string> }[] {
+  const found: { name: string; attributes: Record<string, string> }[] = [];
+  const parser = sax.parser(false, { lowercase: true });
+  parser.onopentag = (node) => {
+    // Strip namespace prefixes such as "opf:item"
+    const name = node.name.replace(/^.*:/, "");
+    if (names.includes(name)) {
+      found.push({ name, attributes: node.attributes as Record<string, string> });
+    }
+  };
+  parser.onerror = () => {
+    parser.error = null;
+    parser.resume();
+  };
+  parser.write(xml).close();
+  return found;
+}
+
+/**
+ * Reads an EPUB into its title and one chapter per spine document. A
+ * document's first heading (or its <title>) names the chapter; documents
+ * with no readable text, such as covers, are dropped.
+ */
+export function readEpub(buffer: Buffer): { title: string; chapters: DocumentChapter[] } {
+  const entries = readZipDirectory(buffer);
+  const read = (name: string) => {
+    const entry = entries.get(name);
+    if (!entry) throw new EpubError(`Missing ${name} in EPUB`);
+    return readZipEntry(buffer, entry).toString("utf8");
+  };
+
+  const rootfile = collectElements(read("META-INF/container.xml"), ["rootfile"])[0];
+  if (!rootfile?.attributes["full-path"]) {
+    throw new EpubError("EPUB container does not name a package document");
+  }
+  const opfPath = rootfile.attributes["full-path"];
+  const opf = read(opfPath);
+  const baseDir = path.posix.dirname(opfPath);
+
+  const elements = collectElements(opf, ["item", "itemref", "title"]);
+  const manifest = new Map(
+    elements.filter((e) => e.name === "item").map((e) => [e.attributes.id, e.attributes])
+  );
+  const titleMatch = opf.match(/<(?:dc:)?title[^>]*>([^<]*)<\/(?:dc:)?title>/i);
+
+  const chapters: DocumentChapter[] = [];
+  for (const ref of elements.filter((e) => e.name === "itemref")) {
+    const item = manifest.get(ref.attributes.idref);
+    if (!item?.href || !/x?html/.test(item["media-type"] || "")) continue;
+
+    const href = path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(item.href)));
+    if (!entries.has(href)) continue;
+
+    const { title, blocks } = parseHtml(read(href));
+    if (!blocks.some((b) => b.type !== "heading")) continue;
+
+    const heading = blocks.find((b) => b.type === "heading") as { text: string } | undefined;
+    chapters.push({
+      title: heading?.text || title || `Section ${chapters.length + 1}`,
+      blocks,
+    });
+  }
+
+  if (!chapters.length) {
+    throw new EpubError("The EPUB has no readable chapters");
+  }
+  return { title: titleMatch ? titleMatch[1].trim() : "", chapters };
+}
@@ -0,0 +1,19 @@
+/**
+ * API Error Responses
+ *
+ * Shared catch-block reply for route handlers: an HttpError becomes
+ * `{ error, details }` with its own status, anything else gets the route's
+ * fallback message and status (500 unless the route knows better). Server
+ * only.
+ */
+
+import { NextResponse } from "next/server";
+import { HttpError } from "./http-error";
+
+export function errorResponse(error: unknown, fallback: string, fallbackStatus = 500): NextResponse {
+  console.error("Error:", error);
+  if (error instanceof HttpError) {
+    return NextResponse.json({ error: error.message, details: error.details }, { status: error.status });
+  }
+  return NextResponse.json({ error: fallback }, { status: fallbackStatus });
+}
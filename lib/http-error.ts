@@ -0,0 +1,20 @@
+/**
+ * HTTP Errors
+ *
+ * Base class for errors that carry the HTTP status (and optional details)
+ * an API route should reply with. Each feature module subclasses it so
+ * callers can still tell the errors apart; routes turn any of them into a
+ * response with errorResponse from ./error-response.
+ */
+
+export class HttpError extends Error {
+  status: number;
+  details?: unknown;
+
+  constructor(message: string, status = 400, details?: unknown) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Source Language Identification
+ *
+ * Shared setup for recognizing speech whose language isn't known up front:
+ * the service picks among up to four candidate locales, either once at the
+ * start of the audio or continuously, phrase by phrase. Used by the
+ * transcription API (server) and the recognition and translation pages
+ * (client).
+ */
+
+import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
+
+export type LanguageDetectionMode = "AtStart" | "Continuous";
+
+export const LANGUAGE_DETECTION_MODES: LanguageDetectionMode[] = ["AtStart", "Continuous"];
+
+export const LANGUAGE_DETECTION_LIMITS = {
+  // The service accepts at most four candidates
+  candidates: 4,
+};
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Checks candidate locales and the detection mode and returns a list of problems
+ */
+export function validateLanguageDetection(candidates: string[], mode: string): string[] {
+  const errors: string[] = [];
+  if (candidates.length === 0) {
+    errors.push("Pick at least one candidate language to detect");
+  }
+  if (candidates.length > LANGUAGE_DETECTION_LIMITS.candidates) {
+    errors.push(`At most ${LANGUAGE_DETECTION_LIMITS.candidates} candidate languages can be detected`);
+  }
+  for (const candidate of candidates) {
+    if (!LOCALE_PATTERN.test(candidate)) {
+      errors.push(`Invalid candidate language "${candidate}": use a locale such as en-US`);
+    }
+  }
+  if (new Set(candidates).size !== candidates.length) {
+    errors.push("Candidate languages must be different");
+  }
+  if (!LANGUAGE_DETECTION_MODES.includes(mode as LanguageDetectionMode)) {
+    errors.push(`Invalid language detection mode "${mode}": use ${LANGUAGE_DETECTION_MODES.join(" or ")}`);
+  }
+  return errors;
+}
+
+/**
+ * Builds the SDK config that passes the candidates to the recognizer
+ */
+export function createAutoDetectConfig(
+  candidates: string[],
+  mode: LanguageDetectionMode
+): SpeechSDK.AutoDetectSourceLanguageConfig {
+  const config = SpeechSDK.AutoDetectSourceLanguageConfig.fromLanguages(candidates);
+  config.mode = SpeechSDK.LanguageIdMode[mode];
+  return config;
+}
+
+/**
+ * Whether two locales share a language, so "en-GB" speech already reads as
+ * English to an "en-US" listener
+ */
+export function isSameLanguage(a: string | undefined, b: string | undefined): boolean {
+  if (!a || !b) return false;
+  return a.split("-")[0].toLowerCase() === b.split("-")[0].toLowerCase();
+}
+
+/**
+ * The locale the service identified for a result; the SDK reports an empty
+ * string when there was none
+ */
+export function detectedLanguage(result: SpeechSDK.RecognitionResult): string | undefined {
+  return result.language || undefined;
+}
@@ -0,0 +1,187 @@
+/**
+ * Lexicon Store
+ *
+ * Prisma-backed persistence for per-user pronunciation lexicons. Every
+ * function takes the signed-in user's id and only touches lexicons that user
+ * owns; anything else is reported as not found.
+ */
+
+import { HttpError } from "./http-error";
+import { prisma } from "./prisma";
+import {
+  LEXICON_LIMITS,
+  validateLexicon,
+  validateLexiconEntry,
+  type LexiconEntryInput,
+  type LexiconInput,
+} from "./lexicon";
+
+/**
+ * Error raised for lexicon requests, carrying the HTTP status to reply with
+ */
+export class LexiconError extends HttpError {
+  constructor(message: string, status = 400, details?: unknown) {
+    super(message, status, details);
+    this.name = "LexiconError";
+  }
+}
+
+function assertValid(errors: string[]) {
+  if (errors.length > 0) {
+    throw new LexiconError(errors.join("; "), 400, errors);
+  }
+}
+
+/**
+ * Trims an entry and drops the fields that don't apply to its kind
+ */
+function normalizeEntry(entry: LexiconEntryInput) {
+  const alias = entry.alias?.trim() || null;
+  return {
+    grapheme: entry.grapheme.trim(),
+    alias,
+    phoneme: alias ? null : entry.phoneme?.trim() || null,
+    alphabet: alias ? null : entry.alphabet || null,
+  };
+}
+
+function isUniqueViolation(error: any): boolean {
+  return error?.code === "P2002";
+}
+
+async function findOwnedLexicon(userId: string, id: string) {
+  const lexicon = await prisma.lexicon.findFirst({ where: { id, userId } });
+  if (!lexicon) {
+    throw new LexiconError("Lexicon not found", 404);
+  }
+  return lexicon;
+}
+
+export async function listLexicons(userId: string) {
+  const lexicons = await prisma.lexicon.findMany({
+    where: { userId },
+    orderBy: { name: "asc" },
+    include: { _count: { select: { entries: true } } },
+  });
+  return lexicons.map(({ _count, ...lexicon }: any) => ({ ...lexicon, entryCount: _count.entries }));
+}
+
+export async function getLexicon(userId: string, id: string) {
+  const lexicon = await prisma.lexicon.findFirst({
+    where: { id, userId },
+    include: { entries: { orderBy: { grapheme: "asc" } } },
+  });
+  if (!lexicon) {
+    throw new LexiconError("Lexicon not found", 404);
+  }
+  return lexicon;
+}
+
+export async function createLexicon(userId: string, input: LexiconInput & { entries?: LexiconEntryInput[] }) {
+  assertValid(validateLexicon(input));
+
+  const entries = input.entries ?? [];
+  if (!Array.isArray(entries)) {
+    throw new LexiconError("Entries must be an array");
+  }
+  if (entries.length > LEXICON_LIMITS.entries) {
+    throw new LexiconError(`A lexicon holds at most ${LEXICON_LIMITS.entries} entries`);
+  }
+  assertValid(
+    entries.flatMap((entry, i) =>
+      validateLexiconEntry(entry, input.locale).map((message) => `Entry ${i + 1}: ${message}`)
+    )
+  );
+
+  try {
+    return await prisma.lexicon.create({
+      data: {
+        userId,
+        name: input.name.trim(),
+        locale: input.locale,
+        entries: { create: entries.map(normalizeEntry) },
+      },
+      include: { entries: true },
+    });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      throw new LexiconError("Each grapheme may only appear once", 409);
+    }
+    throw error;
+  }
+}
+
+export async function updateLexicon(userId: string, id: string, input: LexiconInput) {
+  assertValid(validateLexicon(input));
+  const lexicon = await getLexicon(userId, id);
+
+  // A locale change can invalidate entries (SAPI is en-US only)
+  if (input.locale !== lexicon.locale) {
+    assertValid(
+      lexicon.entries.flatMap((entry: any) =>
+        validateLexiconEntry(entry, input.locale).map((message) => `${entry.grapheme}: ${message}`)
+      )
+    );
+  }
+
+  return prisma.lexicon.update({
+    where: { id },
+    data: { name: input.name.trim(), locale: input.locale },
+  });
+}
+
+export async function deleteLexicon(userId: string, id: string) {
+  await findOwnedLexicon(userId, id);
+  await prisma.lexicon.delete({ where: { id } });
+}
+
+export async function addLexiconEntry(userId: string, lexiconId: string, entry: LexiconEntryInput) {
+  const lexicon = await findOwnedLexicon(userId, lexiconId);
+  assertValid(validateLexiconEntry(entry, lexicon.locale));
+
+  const count = await prisma.lexiconEntry.count({ where: { lexiconId } });
+  if (count >= LEXICON_LIMITS.entries) {
+    throw new LexiconError(`A lexicon holds at most ${LEXICON_LIMITS.entries} entries`);
+  }
+
+  try {
+    return await prisma.lexiconEntry.create({ data: { lexiconId, ...normalizeEntry(entry) } });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      throw new LexiconError(`"${entry.grapheme.trim()}" is already in this lexicon`, 409);
+    }
+    throw error;
+  }
+}
+
+export async function updateLexiconEntry(
+  userId: string,
+  lexiconId: string,
+  entryId: string,
+  entry: LexiconEntryInput
+) {
+  const lexicon = await findOwnedLexicon(userId, lexiconId);
+  assertValid(validateLexiconEntry(entry, lexicon.locale));
+
+  const existing = await prisma.lexiconEntry.findFirst({ where: { id: entryId, lexiconId } });
+  if (!existing) {
+    throw new LexiconError("Entry not found", 404);
+  }
+
+  try {
+    return await prisma.lexiconEntry.update({ where: { id: entryId }, data: normalizeEntry(entry) });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      throw new LexiconError(`"${entry.grapheme.trim()}" is already in this lexicon`, 409);
+    }
+    throw error;
+  }
+}
+
+export async function deleteLexiconEntry(userId: string, lexiconId: string, entryId: string) {
+  await findOwnedLexicon(userId, lexiconId);
+  const { count } = await prisma.lexiconEntry.deleteMany({ where: { id: entryId, lexiconId } });
+  if (count === 0) {
+    throw new LexiconError("Entry not found", 404);
+  }
+}
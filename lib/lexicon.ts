@@ -0,0 +1,213 @@
+/**
+ * Pronunciation Lexicons
+ *
+ * Entry validation, text rewriting and PLS export for per-user lexicons.
+ * An entry maps a grapheme (the written form) either to a phoneme string in
+ * the IPA or SAPI alphabet or to an alias that is spoken instead. Shared by
+ * the lexicon routes (server) and pages (client).
+ */
+
+export type LexiconAlphabet = "ipa" | "sapi";
+
+export interface LexiconEntryInput {
+  grapheme: string;
+  alphabet?: LexiconAlphabet | null;
+  phoneme?: string | null;
+  alias?: string | null;
+}
+
+export interface LexiconInput {
+  name: string;
+  locale: string;
+}
+
+export const LEXICON_ALPHABETS: { value: LexiconAlphabet; label: string }[] = [
+  { value: "ipa", label: "IPA" },
+  { value: "sapi", label: "SAPI (en-US only)" },
+];
+
+export const LEXICON_LIMITS = {
+  nameChars: 100,
+  graphemeChars: 100,
+  phonemeChars: 255,
+  aliasChars: 200,
+  entries: 500,
+};
+
+// IPA letters, modifiers and diacritics, plus the Latin and Greek letters
+// the alphabet borrows, stress/length marks, tie bars and separators
+const IPA_PATTERN =
+  /^[a-z\u00e6\u00e7\u00f0\u00f8\u0127\u014b\u0153\u0250-\u02ff\u0300-\u036f\u03b2\u03b8\u03c7\u1d7b\u1d7f\u203f\u2191\u2193\u2016 .|-]+$/;
+
+/**
+ * The SAPI phone set for en-US; stress is written as a trailing 1 or 2
+ */
+export const SAPI_PHONES = [
+  "aa", "ae", "ah", "ao", "aw", "ax", "ay", "b", "ch", "d", "dh", "eh", "er", "ey",
+  "f", "g", "h", "ih", "iy", "jh", "k", "l", "m", "n", "ng", "ow", "oy", "p", "r",
+  "s", "sh", "t", "th", "uh", "uw", "v", "w", "y", "z", "zh",
+];
+
+const SAPI_SEPARATORS = ["-", "_", "1", "2"];
+
+function findInvalidIpa(phoneme: string): string | null {
+  if (IPA_PATTERN.test(phoneme)) return null;
+  for (const char of Array.from(phoneme)) {
+    if (!IPA_PATTERN.test(char)) return char;
+  }
+  return null;
+}
+
+function findInvalidSapi(phoneme: string): string | null {
+  for (const token of phoneme.trim().split(/\s+/)) {
+    const phone = token.replace(/[12]$/, "");
+    if (!SAPI_PHONES.includes(phone) && !SAPI_SEPARATORS.includes(token)) return token;
+  }
+  return null;
+}
+
+/**
+ * Checks a lexicon's name and locale and returns a list of problems
+ */
+export function validateLexicon({ name, locale }: Partial<LexiconInput>): string[] {
+  const errors: string[] = [];
+  if (typeof name !== "string" || !name.trim()) {
+    errors.push("Name is required");
+  } else if (name.length > LEXICON_LIMITS.nameChars) {
+    errors.push(`Name is longer than ${LEXICON_LIMITS.nameChars} characters`);
+  }
+  if (typeof locale !== "string" || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(locale)) {
+    errors.push(`Invalid locale "${locale}"`);
+  }
+  return errors;
+}
+
+/**
+ * Checks an entry against the lexicon's locale and returns a list of problems
+ */
+export function validateLexiconEntry(entry: Partial<LexiconEntryInput>, locale: string): string[] {
+  if (!entry || typeof entry !== "object") return ["Entry must be an object"];
+  const errors: string[] = [];
+  const grapheme = typeof entry.grapheme === "string" ? entry.grapheme.trim() : "";
+
+  if (!grapheme) {
+    errors.push("Grapheme is required");
+  } else if (grapheme.length > LEXICON_LIMITS.graphemeChars) {
+    errors.push(`Grapheme is longer than ${LEXICON_LIMITS.graphemeChars} characters`);
+  } else if (/[\r\n]/.test(grapheme)) {
+    errors.push("Grapheme must be a single line");
+  }
+
+  if (entry.phoneme != null && typeof entry.phoneme !== "string") {
+    errors.push("Phoneme must be a string");
+  }
+  if (entry.alias != null && typeof entry.alias !== "string") {
+    errors.push("Alias must be a string");
+  }
+  const phoneme = typeof entry.phoneme === "string" ? entry.phoneme.trim() : "";
+  const alias = typeof entry.alias === "string" ? entry.alias.trim() : "";
+
+  if (phoneme && alias) {
+    errors.push("An entry has either a phoneme or an alias, not both");
+  } else if (alias) {
+    if (alias.length > LEXICON_LIMITS.aliasChars) {
+      errors.push(`Alias is longer than ${LEXICON_LIMITS.aliasChars} characters`);
+    }
+  } else if (phoneme) {
+    if (phoneme.length > LEXICON_LIMITS.phonemeChars) {
+      errors.push(`Phoneme is longer than ${LEXICON_LIMITS.phonemeChars} characters`);
+    } else if (entry.alphabet === "ipa") {
+      const invalid = findInvalidIpa(phoneme);
+      if (invalid) errors.push(`"${invalid}" is not an IPA symbol`);
+    } else if (entry.alphabet === "sapi") {
+      if (locale !== "en-US") {
+        errors.push("The SAPI alphabet is only supported for en-US");
+      }
+      const invalid = findInvalidSapi(phoneme);
+      if (invalid) errors.push(`"${invalid}" is not a SAPI phone`);
+    } else {
+      errors.push(`Invalid alphabet "${entry.alphabet}": use ipa or sapi`);
+    }
+  } else {
+    errors.push("Either a phoneme or an alias is required");
+  }
+
+  return errors;
+}
+
+/**
+ * Escapes text for use in SSML content and attribute values
+ */
+export function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Letters and digits of scripts written with spaces between words; Han, kana
+// and Thai are left out so their graphemes still match inside running text
+const WORD_START = new RegExp("^(?![\\p{sc=Han}\\p{sc=Hiragana}\\p{sc=Katakana}\\p{sc=Thai}])[\\p{L}\\p{N}_]", "u");
+const WORD_END = new RegExp("[\\p{L}\\p{N}_](?<![\\p{sc=Han}\\p{sc=Hiragana}\\p{sc=Katakana}\\p{sc=Thai}])$", "u");
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Escapes text for SSML and wraps each whole-word grapheme match in a
+ * <phoneme> or <sub> element. Longer graphemes win over shorter ones, and
+ * word boundaries are only enforced at letter or digit edges of space-separated
+ * scripts (including accented and non-Latin letters) so CJK graphemes still
+ * match inside running text.
+ */
+export function applyLexicon(text: string, entries: LexiconEntryInput[]): string {
+  const usable = entries
+    .filter((e) => e.grapheme && (e.phoneme || e.alias))
+    .sort((a, b) => b.grapheme.length - a.grapheme.length);
+  if (!usable.length) return escapeXml(text);
+
+  const patterns = usable.map((e) => {
+    const start = WORD_START.test(e.grapheme) ? "(?<![\\p{L}\\p{N}_])" : "";
+    const end = WORD_END.test(e.grapheme) ? "(?![\\p{L}\\p{N}_])" : "";
+    return `${start}${escapeRegExp(e.grapheme)}${end}`;
+  });
+  const matcher = new RegExp(patterns.map((p) => `(${p})`).join("|"), "gu");
+
+  let output = "";
+  let last = 0;
+  for (const match of Array.from(text.matchAll(matcher))) {
+    const index = match.index ?? 0;
+    const entry = usable[match.slice(1).findIndex((group) => group !== undefined)];
+    output += escapeXml(text.slice(last, index));
+    output += entry.alias
+      ? `<sub alias="${escapeXml(entry.alias)}">${escapeXml(match[0])}</sub>`
+      : `<phoneme alphabet="${entry.alphabet}" ph="${escapeXml(entry.phoneme!)}">${escapeXml(match[0])}</phoneme>`;
+    last = index + match[0].length;
+  }
+  return output + escapeXml(text.slice(last));
+}
+
+/**
+ * Serializes a lexicon as a W3C Pronunciation Lexicon Specification document.
+ * The service only loads PLS files from public URLs, so synthesis applies
+ * entries inline with applyLexicon; this export is for use elsewhere.
+ */
+export function buildPls(locale: string, entries: LexiconEntryInput[]): string {
+  const defaultAlphabet = entries.find((e) => e.phoneme)?.alphabet || "ipa";
+  const lexemes = entries.map((e) => {
+    const body = e.alias
+      ? `<alias>${escapeXml(e.alias)}</alias>`
+      : `<phoneme${e.alphabet && e.alphabet !== defaultAlphabet ? ` alphabet="${e.alphabet}"` : ""}>${escapeXml(e.phoneme || "")}</phoneme>`;
+    return `  <lexeme>\n    <grapheme>${escapeXml(e.grapheme)}</grapheme>\n    ${body}\n  </lexeme>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<lexicon version="1.0" xmlns="http://www.w3.org/2005/01/pronunciation-lexicon" alphabet="${defaultAlphabet}" xml:lang="${escapeXml(locale)}">`,
+    ...lexemes,
+    "</lexicon>",
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,206 @@
+/**
+ * Library Store
+ *
+ * A user's saved generations: metadata in the SynthesisRecord table, audio
+ * bytes in audio storage. Every function takes the signed-in user's id and
+ * only touches records that user owns; anything else is reported as not
+ * found.
+ */
+
+import { estimateDurationMs, getAudioFormat } from "./audio-formats";
+import { getAudioStorage } from "./audio-storage";
+import { getEnvironmentConfig } from "./env-config";
+import { HttpError } from "./http-error";
+import { prisma } from "./prisma";
+import { DEFAULT_STYLE } from "./voices";
+
+export const LIBRARY_LIMITS = {
+  titleChars: 100,
+  textChars: 100000,
+  audioBytes: 50 * 1024 * 1024,
+  tags: 10,
+  tagChars: 30,
+};
+
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _-]*$/;
+
+export interface RecordInput {
+  title?: string;
+  text: string;
+  voice: string;
+  style?: string;
+  format: string;
+  tags?: unknown;
+}
+
+export interface RecordFilter {
+  query?: string;
+  tag?: string;
+}
+
+/**
+ * Error raised for library requests, carrying the HTTP status to reply with
+ */
+export class LibraryError extends HttpError {
+  constructor(message: string, status = 400, details?: unknown) {
+    super(message, status, details);
+    this.name = "LibraryError";
+  }
+}
+
+/**
+ * Lower-cases, trims and de-duplicates tags, rejecting any that are invalid
+ */
+export function normalizeTags(input: unknown): string[] {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) {
+    throw new LibraryError("Tags must be a list");
+  }
+
+  const tags = Array.from(new Set(input.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean)));
+  if (tags.length > LIBRARY_LIMITS.tags) {
+    throw new LibraryError(`At most ${LIBRARY_LIMITS.tags} tags are allowed`);
+  }
+  for (const tag of tags) {
+    if (tag.length > LIBRARY_LIMITS.tagChars || !TAG_PATTERN.test(tag)) {
+      throw new LibraryError(
+        `Invalid tag "${tag}": use letters, digits, spaces, "-" or "_" (max ${LIBRARY_LIMITS.tagChars})`
+      );
+    }
+  }
+  return tags;
+}
+
+// Tags are stored as ",a,b," so a single tag can be matched with `contains`
+function serializeTags(tags: string[]): string {
+  return tags.length ? `,${tags.join(",")},` : "";
+}
+
+function toRecord({ tags, storageKey, ...record }: any) {
+  return { ...record, tags: tags ? tags.split(",").filter(Boolean) : [] };
+}
+
+function normalizeTitle(title: unknown, fallback: string): string {
+  const value = String(title ?? "").trim() || fallback.trim().slice(0, 60) || "Untitled";
+  if (value.length > LIBRARY_LIMITS.titleChars) {
+    throw new LibraryError(`Title is longer than ${LIBRARY_LIMITS.titleChars} characters`);
+  }
+  return value;
+}
+
+async function findOwnedRecord(userId: string, id: string) {
+  const record = await prisma.synthesisRecord.findFirst({ where: { id, userId } });
+  if (!record) {
+    throw new LibraryError("Recording not found", 404);
+  }
+  return record;
+}
+
+export async function listRecords(userId: string, filter: RecordFilter = {}) {
+  // SQLite's LIKE is already case-insensitive; PostgreSQL needs the mode
+  const insensitive = getEnvironmentConfig().databaseProvider === "postgresql" ? { mode: "insensitive" } : {};
+  const query = filter.query?.trim();
+  const tag = filter.tag?.trim().toLowerCase();
+
+  const records = await prisma.synthesisRecord.findMany({
+    where: {
+      userId,
+      ...(tag ? { tags: { contains: `,${tag},` } } : {}),
+      ...(query
+        ? {
+            OR: [
+              { title: { contains: query, ...insensitive } },
+              { text: { contains: query, ...insensitive } },
+              { voice: { contains: query, ...insensitive } },
+            ],
+          }
+        : {}),
+    },
+    orderBy: { generatedAt: "desc" },
+  });
+  return records.map(toRecord);
+}
+
+export async function getRecord(userId: string, id: string) {
+  return toRecord(await findOwnedRecord(userId, id));
+}
+
+export async function createRecord(userId: string, input: RecordInput, audio: Buffer) {
+  const format = getAudioFormat(input.format);
+  if (!format) {
+    throw new LibraryError(`Unsupported output format: ${input.format}`);
+  }
+  const text = String(input.text ?? "");
+  if (!text.trim()) {
+    throw new LibraryError("Text is required");
+  }
+  if (text.length > LIBRARY_LIMITS.textChars) {
+    throw new LibraryError(`Text is longer than ${LIBRARY_LIMITS.textChars} characters`);
+  }
+  if (!input.voice) {
+    throw new LibraryError("Voice is required");
+  }
+  if (audio.byteLength === 0) {
+    throw new LibraryError("Audio is empty");
+  }
+  if (audio.byteLength > LIBRARY_LIMITS.audioBytes) {
+    throw new LibraryError("Audio is larger than 50 MB", 413);
+  }
+
+  const title = normalizeTitle(input.title, text);
+  const tags = normalizeTags(input.tags);
+
+  // The record id names the file, so create the row first and roll it back
+  // if the audio can't be written
+  const record = await prisma.synthesisRecord.create({
+    data: {
+      userId,
+      title,
+      text,
+      voice: input.voice,
+      style: input.style || DEFAULT_STYLE,
+      format: format.id,
+      durationMs: estimateDurationMs(format.id, audio.byteLength),
+      characters: text.length,
+      tags: serializeTags(tags),
+      storageKey: "",
+      size: audio.byteLength,
+    },
+  });
+
+  const storageKey = `${userId}/${record.id}.${format.extension}`;
+  try {
+    await getAudioStorage().put(storageKey, audio);
+  } catch (error) {
+    await prisma.synthesisRecord.delete({ where: { id: record.id } });
+    throw error;
+  }
+  return toRecord(await prisma.synthesisRecord.update({ where: { id: record.id }, data: { storageKey } }));
+}
+
+export async function updateRecord(userId: string, id: string, input: { title?: unknown; tags?: unknown }) {
+  const record = await findOwnedRecord(userId, id);
+  const data: { title?: string; tags?: string } = {};
+  if (input.title !== undefined) data.title = normalizeTitle(input.title, record.text);
+  if (input.tags !== undefined) data.tags = serializeTags(normalizeTags(input.tags));
+
+  return toRecord(await prisma.synthesisRecord.update({ where: { id }, data }));
+}
+
+export async function deleteRecord(userId: string, id: string) {
+  const record = await findOwnedRecord(userId, id);
+  await prisma.synthesisRecord.delete({ where: { id } });
+  if (record.storageKey) await getAudioStorage().delete(record.storageKey);
+}
+
+/**
+ * Loads a record's audio together with what's needed to serve it
+ */
+export async function readRecordAudio(userId: string, id: string) {
+  const record = await findOwnedRecord(userId, id);
+  const audio = record.storageKey ? await getAudioStorage().get(record.storageKey) : null;
+  if (!audio) {
+    throw new LibraryError("Audio file is missing", 404);
+  }
+  return { record: toRecord(record), audio, format: getAudioFormat(record.format) };
+}
@@ -0,0 +1,109 @@
+/**
+ * Long-form Synthesis
+ *
+ * Synthesizes text longer than a single request allows by chunking it,
+ * synthesizing the chunks with bounded concurrency and stitching the audio
+ * back into one file.
+ */
+
+import { buildSsml, type SsmlOptions } from "./ssml";
+import { synthesizeSsml, SynthesisError } from "./synthesis";
+import { chunkText, DEFAULT_CHUNK_CHARS, MAX_LONG_FORM_CHARS } from "./text-chunking";
+import { canStitchFormat, stitchAudio } from "./audio-stitching";
+
+export interface LongFormOptions extends SsmlOptions {
+  format: string;
+  chunkChars?: number;
+  concurrency?: number;
+  onProgress?: (completed: number, total: number) => void;
+}
+
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Reads the chunk concurrency limit from the environment
+ */
+export function getLongFormConcurrency(): number {
+  const value = Number(process.env.TTS_LONG_FORM_CONCURRENCY);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Runs an async task over items with at most `limit` tasks in flight,
+ * preserving result order. After the first failure no further items are
+ * started; tasks already in flight finish and the failure is rethrown.
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  task: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await task(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+/**
+ * Validates long-form input and splits it into synthesis chunks
+ */
+export function planLongForm(text: string, format: string, chunkChars = DEFAULT_CHUNK_CHARS): string[] {
+  if (!text || !text.trim()) {
+    throw new SynthesisError("Text is required", 400);
+  }
+  if (text.length > MAX_LONG_FORM_CHARS) {
+    throw new SynthesisError(
+      `Text exceeds the long-form limit of ${MAX_LONG_FORM_CHARS} characters`,
+      413
+    );
+  }
+  if (!canStitchFormat(format)) {
+    throw new SynthesisError(
+      "Long-form synthesis supports MP3, WAV and raw PCM output only",
+      400
+    );
+  }
+  return chunkText(text, chunkChars);
+}
+
+/**
+ * Synthesizes long text chunk by chunk and returns one stitched audio file
+ */
+export async function synthesizeLongForm({
+  text,
+  format,
+  chunkChars = DEFAULT_CHUNK_CHARS,
+  concurrency = getLongFormConcurrency(),
+  onProgress,
+  ...voiceOptions
+}: LongFormOptions): Promise<Buffer> {
+  const chunks = planLongForm(text, format, chunkChars);
+  let completed = 0;
+
+  onProgress?.(0, chunks.length);
+
+  const buffers = await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+    const audio = await synthesizeSsml(buildSsml({ ...voiceOptions, text: chunk }), format);
+    completed += 1;
+    onProgress?.(completed, chunks.length);
+    return audio;
+  });
+
+  return stitchAudio(buffers, format);
+}
@@ -0,0 +1,83 @@
+/**
+ * Pronunciation Attempt Store
+ *
+ * Prisma-backed history of a signed-in user's pronunciation assessments,
+ * used to chart their progress. Word and phoneme details are stored as JSON.
+ */
+
+import { HttpError } from "./http-error";
+import { prisma } from "./prisma";
+import {
+  normalizeWord,
+  PRONUNCIATION_LIMITS,
+  validateAttempt,
+  type PronunciationAttemptInput,
+  type WordAssessment,
+} from "./pronunciation";
+
+/**
+ * Error raised for pronunciation history requests, carrying the HTTP status to reply with
+ */
+export class PronunciationError extends HttpError {
+  constructor(message: string, status = 400, details?: unknown) {
+    super(message, status, details);
+    this.name = "PronunciationError";
+  }
+}
+
+function toAttempt(attempt: any) {
+  return {
+    id: attempt.id,
+    referenceText: attempt.referenceText,
+    lang: attempt.lang,
+    accuracy: attempt.accuracyScore,
+    fluency: attempt.fluencyScore,
+    completeness: attempt.completenessScore,
+    prosody: attempt.prosodyScore,
+    pronunciation: attempt.pronunciationScore,
+    words: JSON.parse(attempt.words) as WordAssessment[],
+    createdAt: attempt.createdAt,
+  };
+}
+
+/**
+ * The user's most recent attempts, oldest first so they chart left to right
+ */
+export async function listAttempts(userId: string) {
+  const attempts = await prisma.pronunciationAttempt.findMany({
+    where: { userId },
+    orderBy: { createdAt: "desc" },
+    take: PRONUNCIATION_LIMITS.historyItems,
+  });
+  return attempts.reverse().map(toAttempt);
+}
+
+export async function createAttempt(userId: string, input: PronunciationAttemptInput) {
+  const errors = validateAttempt(input);
+  if (errors.length > 0) {
+    throw new PronunciationError(errors.join("; "), 400, errors);
+  }
+
+  const attempt = await prisma.pronunciationAttempt.create({
+    data: {
+      userId,
+      referenceText: input.referenceText.trim(),
+      lang: input.lang,
+      accuracyScore: input.accuracy,
+      fluencyScore: input.fluency,
+      completenessScore: input.completeness,
+      prosodyScore: input.prosody ?? null,
+      pronunciationScore: input.pronunciation,
+      words: JSON.stringify(input.words.map(normalizeWord)),
+    },
+  });
+  return toAttempt(attempt);
+}
+
+export async function deleteAttempt(userId: string, id: string) {
+  const attempt = await prisma.pronunciationAttempt.findFirst({ where: { id, userId } });
+  if (!attempt) {
+    throw new PronunciationError("Attempt not found", 404);
+  }
+  await prisma.pronunciationAttempt.delete({ where: { id } });
+}
@@ -0,0 +1,215 @@
+/**
+ * Pronunciation Assessment
+ *
+ * Shared pieces of the pronunciation practice demo: a graded phrase bank,
+ * parsing of the Speech SDK's assessment JSON into scores and per-word and
+ * per-phoneme errors, and validation of attempts before they are saved to a
+ * user's history. Client safe.
+ */
+
+export type PhraseLevel = "beginner" | "intermediate" | "advanced";
+
+export interface BankPhrase {
+  level: PhraseLevel;
+  text: string;
+}
+
+/**
+ * Error types the service reports per word. "None" means the word was
+ * pronounced as expected.
+ */
+export type WordErrorType = "None" | "Omission" | "Insertion" | "Mispronunciation";
+
+export interface PhonemeAssessment {
+  phoneme: string;
+  accuracy: number | null;
+}
+
+export interface WordAssessment {
+  word: string;
+  accuracy: number | null;
+  errorType: WordErrorType;
+  phonemes: PhonemeAssessment[];
+}
+
+export interface PronunciationScores {
+  accuracy: number;
+  fluency: number;
+  completeness: number;
+  // Only scored for locales that support prosody assessment
+  prosody: number | null;
+  pronunciation: number;
+}
+
+export interface PronunciationAssessment {
+  recognizedText: string;
+  scores: PronunciationScores;
+  words: WordAssessment[];
+}
+
+export interface PronunciationAttemptInput extends PronunciationScores {
+  referenceText: string;
+  lang: string;
+  words: WordAssessment[];
+}
+
+export const PRONUNCIATION_LIMITS = {
+  // Assessed as one utterance, so roughly 30 seconds of reading
+  referenceChars: 400,
+  words: 200,
+  phonemesPerWord: 30,
+  historyItems: 100,
+};
+
+export const PHRASE_LEVELS: PhraseLevel[] = ["beginner", "intermediate", "advanced"];
+
+// Locales the service scores prosody for
+export const PROSODY_LOCALES = ["en-US"];
+
+export const WORD_ERROR_TYPES: WordErrorType[] = ["None", "Omission", "Insertion", "Mispronunciation"];
+
+export const PHRASE_BANK: Record<string, BankPhrase[]> = {
+  "en-US": [
+    { level: "beginner", text: "Good morning, how are you today?" },
+    { level: "beginner", text: "I would like a cup of coffee, please." },
+    { level: "beginner", text: "My favorite color is blue." },
+    { level: "intermediate", text: "The weather forecast says it will rain this weekend." },
+    { level: "intermediate", text: "Could you tell me the way to the nearest train station?" },
+    { level: "intermediate", text: "She sells seashells by the seashore." },
+    { level: "advanced", text: "The thirty-three thieves thought that they thrilled the throne throughout Thursday." },
+    { level: "advanced", text: "Particularly rural areas require comprehensive infrastructure investment." },
+    { level: "advanced", text: "Despite the unanticipated obstacles, the researchers' hypothesis was thoroughly vindicated." },
+  ],
+  "es-ES": [
+    { level: "beginner", text: "Buenos días, ¿cómo estás?" },
+    { level: "beginner", text: "Me gusta mucho la música." },
+    { level: "intermediate", text: "¿Podría decirme dónde está la estación de tren?" },
+    { level: "intermediate", text: "Mañana vamos a visitar a nuestros abuelos." },
+    { level: "advanced", text: "Erre con erre cigarro, erre con erre barril." },
+    { level: "advanced", text: "El desarrollo sostenible requiere una cooperación internacional." },
+  ],
+  "fr-FR": [
+    { level: "beginner", text: "Bonjour, je m'appelle Marie." },
+    { level: "beginner", text: "J'aime beaucoup le fromage." },
+    { level: "intermediate", text: "Pourriez-vous m'indiquer le chemin de la gare ?" },
+    { level: "intermediate", text: "Nous partons en vacances la semaine prochaine." },
+    { level: "advanced", text: "Les chaussettes de l'archiduchesse sont-elles sèches ?" },
+    { level: "advanced", text: "Un chasseur sachant chasser doit savoir chasser sans son chien." },
+  ],
+  "de-DE": [
+    { level: "beginner", text: "Guten Morgen, wie geht es dir?" },
+    { level: "intermediate", text: "Könnten Sie mir bitte den Weg zum Bahnhof zeigen?" },
+    { level: "advanced", text: "Fischers Fritz fischt frische Fische." },
+  ],
+};
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+const toScore = (value: unknown) => (typeof value === "number" ? value : null);
+
+function toErrorType(value: unknown): WordErrorType {
+  return WORD_ERROR_TYPES.includes(value as WordErrorType) ? (value as WordErrorType) : "None";
+}
+
+/**
+ * Parses the JSON of a recognition result that had pronunciation assessment
+ * applied. Returns null when the result carries no assessment.
+ */
+export function parseAssessmentResult(json: string | undefined): PronunciationAssessment | null {
+  let best: any;
+  try {
+    best = JSON.parse(json || "").NBest?.[0];
+  } catch {
+    return null;
+  }
+  const assessment = best?.PronunciationAssessment;
+  if (!assessment) return null;
+
+  return {
+    recognizedText: String(best.Display ?? ""),
+    scores: {
+      accuracy: toScore(assessment.AccuracyScore) ?? 0,
+      fluency: toScore(assessment.FluencyScore) ?? 0,
+      completeness: toScore(assessment.CompletenessScore) ?? 0,
+      prosody: toScore(assessment.ProsodyScore),
+      pronunciation: toScore(assessment.PronScore) ?? 0,
+    },
+    words: (Array.isArray(best.Words) ? best.Words : []).map((word: any) => ({
+      word: String(word.Word ?? ""),
+      accuracy: toScore(word.PronunciationAssessment?.AccuracyScore),
+      errorType: toErrorType(word.PronunciationAssessment?.ErrorType),
+      phonemes: (Array.isArray(word.Phonemes) ? word.Phonemes : []).map((phoneme: any) => ({
+        phoneme: String(phoneme.Phoneme ?? ""),
+        accuracy: toScore(phoneme.PronunciationAssessment?.AccuracyScore),
+      })),
+    })),
+  };
+}
+
+/**
+ * Counts words by error type
+ */
+export function countWordErrors(words: WordAssessment[]): Record<WordErrorType, number> {
+  const counts = { None: 0, Omission: 0, Insertion: 0, Mispronunciation: 0 };
+  for (const word of words) counts[word.errorType]++;
+  return counts;
+}
+
+/**
+ * Copies only the fields of a word that are saved, so extra client fields
+ * aren't stored
+ */
+export function normalizeWord(word: WordAssessment): WordAssessment {
+  const score = (value: unknown) =>
+    typeof value === "number" && Number.isFinite(value) ? Math.min(100, Math.max(0, value)) : null;
+  return {
+    word: word.word,
+    accuracy: score(word.accuracy),
+    errorType: word.errorType,
+    phonemes: (word.phonemes || []).map((phoneme) => ({
+      phoneme: String(phoneme.phoneme),
+      accuracy: score(phoneme.accuracy),
+    })),
+  };
+}
+
+/**
+ * Checks an attempt before it is saved and returns a list of problems
+ */
+export function validateAttempt(input: Partial<PronunciationAttemptInput>): string[] {
+  const errors: string[] = [];
+  const referenceText = typeof input.referenceText === "string" ? input.referenceText.trim() : "";
+
+  if (!referenceText) {
+    errors.push("Reference text is required");
+  } else if (referenceText.length > PRONUNCIATION_LIMITS.referenceChars) {
+    errors.push(`Reference text must be at most ${PRONUNCIATION_LIMITS.referenceChars} characters`);
+  }
+  if (typeof input.lang !== "string" || !LOCALE_PATTERN.test(input.lang)) {
+    errors.push(`Invalid lang "${input.lang}": use a locale such as en-US`);
+  }
+  for (const key of ["accuracy", "fluency", "completeness", "pronunciation", "prosody"] as const) {
+    const value = input[key];
+    if (key === "prosody" && (value === null || value === undefined)) continue;
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0 || value > 100) {
+      errors.push(`Invalid ${key} score "${value}": must be between 0 and 100`);
+    }
+  }
+  if (!Array.isArray(input.words)) {
+    errors.push("Words must be a list");
+  } else if (input.words.length > PRONUNCIATION_LIMITS.words) {
+    errors.push(`At most ${PRONUNCIATION_LIMITS.words} words can be saved`);
+  } else if (input.words.some((w) => typeof w?.word !== "string" || !WORD_ERROR_TYPES.includes(w.errorType))) {
+    errors.push("Each word needs its text and an error type");
+  } else if (
+    input.words.some(
+      (w) =>
+        (w.phonemes !== undefined && !Array.isArray(w.phonemes)) ||
+        (w.phonemes?.length ?? 0) > PRONUNCIATION_LIMITS.phonemesPerWord ||
+        w.phonemes?.some((p) => typeof p?.phoneme !== "string")
+    )
+  ) {
+    errors.push(`Each word can have at most ${PRONUNCIATION_LIMITS.phonemesPerWord} phonemes, each with its text`);
+  }
+  return errors;
+}
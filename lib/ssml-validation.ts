@@ -0,0 +1,197 @@
+/**
+ * SSML Validation and Sanitization
+ *
+ * Parses hand-written SSML, allows only a fixed set of elements and
+ * attributes, checks voice names against the catalog, and re-serializes the
+ * document so comments, processing instructions and DOCTYPEs never reach the
+ * service. Problems are reported with 1-based line and column positions.
+ */
+
+import sax from "sax";
+
+export interface SsmlIssue {
+  message: string;
+  line: number;
+  column: number;
+}
+
+export interface SsmlValidationResult {
+  valid: boolean;
+  ssml: string;
+  voices: string[];
+  errors: SsmlIssue[];
+}
+
+export interface SsmlValidationOptions {
+  isKnownVoice?: (name: string) => boolean;
+}
+
+/**
+ * Azure rejects SSML documents larger than 64 KB
+ */
+export const MAX_SSML_CHARS = 64 * 1024;
+
+/**
+ * Allowed elements and the attributes each may carry
+ */
+export const ALLOWED_ELEMENTS: Record<string, string[]> = {
+  speak: ["version", "xmlns", "xmlns:mstts", "xml:lang"],
+  voice: ["name", "effect"],
+  prosody: ["rate", "pitch", "volume", "contour", "range"],
+  break: ["time", "strength"],
+  emphasis: ["level"],
+  "say-as": ["interpret-as", "format", "detail"],
+  phoneme: ["alphabet", "ph"],
+  sub: ["alias"],
+  lang: ["xml:lang"],
+};
+
+/**
+ * Attributes allowed on any mstts:* element. Attributes that make the service
+ * fetch remote content (such as `src`) are deliberately absent.
+ */
+export const ALLOWED_MSTTS_ATTRIBUTES = ["style", "styledegree", "role", "type", "value", "xml:lang"];
+
+function isAllowedElement(name: string): boolean {
+  return name in ALLOWED_ELEMENTS || name.startsWith("mstts:");
+}
+
+function allowedAttributes(name: string): string[] {
+  return ALLOWED_ELEMENTS[name] || ALLOWED_MSTTS_ATTRIBUTES;
+}
+
+function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Maps a character offset to a 1-based line and column
+ */
+function positionAt(source: string, offset: number): { line: number; column: number } {
+  const before = source.slice(0, Math.max(0, offset));
+  const lines = before.split("\n");
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Validates and sanitizes an SSML document
+ */
+export function validateSsml(source: string, options: SsmlValidationOptions = {}): SsmlValidationResult {
+  const errors: SsmlIssue[] = [];
+  const voices: string[] = [];
+  const output: string[] = [];
+  const stack: { name: string; isSelfClosing: boolean }[] = [];
+  let rootSeen = false;
+
+  const fail = (message: string, offset?: number) => {
+    const position =
+      offset === undefined
+        ? { line: parser.line + 1, column: parser.column + 1 }
+        : positionAt(source, offset);
+    errors.push({ message, ...position });
+  };
+
+  if (source != null && typeof source !== "string") {
+    return { valid: false, ssml: "", voices, errors: [{ message: "SSML must be a string", line: 1, column: 1 }] };
+  }
+  if (!source || !source.trim()) {
+    return { valid: false, ssml: "", voices, errors: [{ message: "SSML is empty", line: 1, column: 1 }] };
+  }
+  if (source.length > MAX_SSML_CHARS) {
+    return {
+      valid: false,
+      ssml: "",
+      voices,
+      errors: [{ message: `SSML exceeds ${MAX_SSML_CHARS} characters`, line: 1, column: 1 }],
+    };
+  }
+
+  const parser = sax.parser(true, { position: true });
+
+  parser.ondoctype = () => {
+    fail("DOCTYPE declarations are not allowed");
+  };
+
+  parser.onopentag = (tag) => {
+    // startTagPosition points just past the "<"
+    const offset = parser.startTagPosition - 1;
+    const name = tag.name;
+    const attributes = tag.attributes as Record<string, string>;
+
+    if (!rootSeen) {
+      rootSeen = true;
+      if (name !== "speak") fail(`Root element must be <speak>, found <${name}>`, offset);
+    }
+
+    if (!isAllowedElement(name)) {
+      fail(`Element <${name}> is not allowed`, offset);
+    }
+
+    if (name === "voice") {
+      const voiceName = attributes.name;
+      if (!voiceName) {
+        fail("<voice> requires a name attribute", offset);
+      } else if (options.isKnownVoice && !options.isKnownVoice(voiceName)) {
+        fail(`Voice "${voiceName}" is not in the voice catalog`, offset);
+      } else if (!voices.includes(voiceName)) {
+        voices.push(voiceName);
+      }
+    }
+
+    const allowed = allowedAttributes(name);
+    const kept: string[] = [];
+    for (const [attr, value] of Object.entries(attributes)) {
+      if (allowed.includes(attr)) {
+        kept.push(` ${attr}="${escapeXml(value)}"`);
+      } else {
+        fail(`Attribute "${attr}" is not allowed on <${name}>`, offset);
+      }
+    }
+
+    stack.push({ name, isSelfClosing: tag.isSelfClosing });
+    output.push(`<${name}${kept.join("")}${tag.isSelfClosing ? "/>" : ">"}`);
+  };
+
+  parser.onclosetag = (name) => {
+    const tag = stack.pop();
+    if (tag && !tag.isSelfClosing) output.push(`</${name}>`);
+  };
+
+  const onText = (text: string) => {
+    if (!text.trim()) {
+      output.push(escapeXml(text));
+      return;
+    }
+    if (!stack.some((tag) => tag.name === "voice")) {
+      // Text is reported when the next tag starts; point back at its first character
+      const start = parser.startTagPosition - 1 - text.length + (text.length - text.trimStart().length);
+      fail("Text must be inside a <voice> element", start);
+    }
+    output.push(escapeXml(text));
+  };
+  parser.ontext = onText;
+  parser.oncdata = onText;
+
+  parser.onerror = (error) => {
+    fail(error.message.split("\n")[0]);
+    // Stop at the first well-formedness error; later positions would be noise
+    throw error;
+  };
+
+  try {
+    parser.write(source).close();
+  } catch {
+    // Already recorded by onerror
+  }
+
+  if (rootSeen && voices.length === 0 && errors.length === 0) {
+    errors.push({ message: "SSML must contain at least one <voice> element", line: 1, column: 1 });
+  }
+
+  const valid = errors.length === 0;
+  return { valid, ssml: valid ? output.join("") : "", voices, errors };
+}
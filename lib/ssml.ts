@@ -0,0 +1,220 @@
+/**
+ * SSML Builder
+ *
+ * Builds the SSML documents sent to Azure Speech Service from plain text
+ * and voice settings.
+ */
+
+import xmlbuilder from "xmlbuilder";
+import type { DialogueCast, DialogueTurn } from "./dialogue";
+import type { CodeBlockHandling, DocumentBlock, HeadingEmphasis } from "./document-import";
+import { applyLexicon, type LexiconEntryInput } from "./lexicon";
+import { normalizeText, renderNormalizedSsml, type NormalizationOptions } from "./text-normalization";
+import {
+  normalizeProsodyValue,
+  normalizeStyleDegree,
+  type VoiceSettings,
+} from "./voice-settings";
+
+export interface SsmlOptions extends VoiceSettings {
+  text: string;
+  lang?: string;
+  voice?: string;
+  lexicon?: LexiconEntryInput[];
+  normalization?: NormalizationOptions;
+}
+
+export interface DialogueSsmlOptions {
+  turns: DialogueTurn[];
+  cast: DialogueCast;
+  lang?: string;
+  pauseMs?: number;
+}
+
+export interface DocumentSsmlOptions extends VoiceSettings {
+  blocks: DocumentBlock[];
+  lang?: string;
+  voice?: string;
+  lexicon?: LexiconEntryInput[];
+  normalization?: NormalizationOptions;
+  headingPauseMs?: number;
+  headingEmphasis?: HeadingEmphasis;
+  codeBlocks?: CodeBlockHandling;
+  // Whether the blocks open a chapter, so a leading heading needs no pause before it
+  startsChapter?: boolean;
+}
+
+export const DEFAULT_LANG = "en-US";
+export const DEFAULT_VOICE = "en-US-JennyNeural";
+
+function createSpeak(lang: string) {
+  return xmlbuilder
+    .create("speak")
+    .att("version", "1.0")
+    .att("xmlns", "http://www.w3.org/2001/10/synthesis")
+    .att("xmlns:mstts", "https://www.w3.org/2001/mstts")
+    .att("xml:lang", lang);
+}
+
+/**
+ * Adds a <voice>/<mstts:express-as> element with optional <prosody> and
+ * returns the innermost element, ready for text
+ */
+function appendVoice(
+  parent: xmlbuilder.XMLElement,
+  voice: string,
+  { style = "neutral", styledegree, role, rate, pitch, volume }: VoiceSettings
+): xmlbuilder.XMLElement {
+  const expressAs = parent
+    .ele("voice")
+    .att("name", voice)
+    .ele("mstts:express-as")
+    .att("style", style);
+
+  const degree = normalizeStyleDegree(styledegree);
+  if (degree) expressAs.att("styledegree", String(degree));
+  if (role) expressAs.att("role", role);
+
+  const prosody = {
+    rate: normalizeProsodyValue("rate", rate),
+    pitch: normalizeProsodyValue("pitch", pitch),
+    volume: normalizeProsodyValue("volume", volume),
+  };
+
+  if (prosody.rate || prosody.pitch || prosody.volume) {
+    const element = expressAs.ele("prosody");
+    if (prosody.rate) element.att("rate", prosody.rate);
+    if (prosody.pitch) element.att("pitch", prosody.pitch);
+    if (prosody.volume) element.att("volume", prosody.volume);
+    return element;
+  }
+
+  return expressAs;
+}
+
+interface TextOptions {
+  lang: string;
+  lexicon?: LexiconEntryInput[];
+  normalization?: NormalizationOptions;
+}
+
+/**
+ * Adds text to an element, normalizing it first when requested and applying
+ * lexicon entries when there are any
+ */
+function appendText(element: xmlbuilder.XMLElement, text: string, { lang, lexicon, normalization }: TextOptions) {
+  if (normalization) {
+    element.raw(renderNormalizedSsml(normalizeText(text, normalization, lang), lexicon));
+  } else if (lexicon?.length) {
+    element.raw(applyLexicon(text, lexicon));
+  } else {
+    element.txt(text);
+  }
+}
+
+/**
+ * Wraps plain text in a <speak>/<voice>/<mstts:express-as> document, adding
+ * style degree and role attributes and a <prosody> element when requested.
+ * Settings are expected to have passed validateVoiceSettings. Lexicon entries
+ * are applied inline as <phoneme> and <sub> elements.
+ */
+export function buildSsml({
+  text,
+  lang = DEFAULT_LANG,
+  voice = DEFAULT_VOICE,
+  lexicon,
+  normalization,
+  ...settings
+}: SsmlOptions): string {
+  const speak = createSpeak(lang);
+  appendText(appendVoice(speak, voice, settings), text, { lang, lexicon, normalization });
+  return speak.end();
+}
+
+/**
+ * Builds one document with a <voice> element per dialogue turn. Each turn
+ * opens with a `turn-<index>` bookmark so its audio offset can be reported,
+ * and every turn but the last is followed by a pause.
+ */
+export function buildDialogueSsml({
+  turns,
+  cast,
+  lang = DEFAULT_LANG,
+  pauseMs = 0,
+}: DialogueSsmlOptions): string {
+  const speak = createSpeak(lang);
+
+  turns.forEach((turn, index) => {
+    const { voice, ...settings } = cast[turn.speaker];
+    const element = appendVoice(speak, voice, settings);
+    element.ele("bookmark").att("mark", `turn-${index}`);
+    element.txt(turn.text);
+    if (pauseMs > 0 && index < turns.length - 1) {
+      element.ele("break").att("time", `${pauseMs}ms`);
+    }
+  });
+
+  return speak.end();
+}
+
+/**
+ * Builds one document for a run of document blocks in a single voice.
+ * Headings are surrounded by pauses and optionally emphasized, paragraphs
+ * become <p>, list items become sentences (numbered when the list is
+ * ordered), and code blocks are announced, skipped or read as configured.
+ */
+export function buildDocumentSsml({
+  blocks,
+  lang = DEFAULT_LANG,
+  voice = DEFAULT_VOICE,
+  lexicon,
+  normalization,
+  headingPauseMs = 0,
+  headingEmphasis = "none",
+  codeBlocks = "announce",
+  startsChapter = false,
+  ...settings
+}: DocumentSsmlOptions): string {
+  const speak = createSpeak(lang);
+  const element = appendVoice(speak, voice, settings);
+  const textOptions = { lang, lexicon, normalization };
+  const pause = () => {
+    if (headingPauseMs > 0) element.ele("break").att("time", `${headingPauseMs}ms`);
+  };
+
+  blocks.forEach((block, index) => {
+    switch (block.type) {
+      case "heading": {
+        if (index > 0 || !startsChapter) pause();
+        // Only some voices support <emphasis>; the others ignore it
+        const paragraph = element.ele("p");
+        const target =
+          headingEmphasis === "none" ? paragraph : paragraph.ele("emphasis").att("level", headingEmphasis);
+        appendText(target, block.text, textOptions);
+        pause();
+        break;
+      }
+      case "paragraph":
+        appendText(element.ele("p"), block.text, textOptions);
+        break;
+      case "list": {
+        const list = element.ele("p");
+        block.items.forEach((item, i) => {
+          appendText(list.ele("s"), block.ordered ? `${i + 1}. ${item}` : item, textOptions);
+        });
+        break;
+      }
+      case "code":
+        if (codeBlocks === "read") {
+          appendText(element.ele("p"), block.text, textOptions);
+        } else if (codeBlocks === "announce") {
+          element
+            .ele("p")
+            .txt(block.language ? `Code sample in ${block.language} skipped.` : "Code sample skipped.");
+        }
+        break;
+    }
+  });
+
+  return speak.end();
+}
\ No newline at end of file
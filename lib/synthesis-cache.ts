@@ -0,0 +1,445 @@
+/**
+ * Synthesis Cache
+ *
+ * Content-addressed cache for synthesized audio. Entries are keyed by a hash
+ * of the normalized SSML plus output format, so identical requests are served
+ * without calling Azure again. The backend is chosen with TTS_CACHE_BACKEND:
+ * an in-memory LRU (default), a local directory, or a Prisma table. Every
+ * backend evicts by TTL and by total size, least recently used first.
+ */
+
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { streamSsml, synthesizeSsml } from "./synthesis";
+
+export type CacheStatus = "HIT" | "MISS" | "BYPASS";
+export type CacheBackendName = "memory" | "disk" | "prisma" | "off";
+
+export interface CacheStats {
+  backend: CacheBackendName;
+  entries: number;
+  bytes: number;
+  maxBytes: number;
+  ttlSeconds: number;
+}
+
+export interface SynthesisCacheBackend {
+  get(key: string): Promise<Buffer | null>;
+  set(key: string, audio: Buffer, formatId: string): Promise<void>;
+  purge(): Promise<number>;
+  stats(): Promise<{ entries: number; bytes: number }>;
+}
+
+export interface CacheLimits {
+  maxBytes: number;
+  ttlMs: number;
+}
+
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_CACHE_DIR = ".cache/tts";
+
+// Container elements whose indentation is never spoken
+const STRUCTURAL_TAG = /^<\/?(?:speak|voice|prosody|mstts:[\w-]+)\b/;
+// Elements that always start a new utterance, so even the gap between siblings is silent
+const UTTERANCE_TAG = /^<\/?(?:speak|voice)\b/;
+
+/**
+ * Whether whitespace between two adjacent tags can be dropped: both must be
+ * structural, and a gap between a closed element and the next one
+ * ("</prosody> <prosody>") separates words unless the elements are voices
+ */
+function isSilentGap(left: string, right: string): boolean {
+  if (!STRUCTURAL_TAG.test(left) || !STRUCTURAL_TAG.test(right)) return false;
+  const betweenSiblings = left.startsWith("</") && !right.startsWith("</");
+  return !betweenSiblings || (UTTERANCE_TAG.test(left) && UTTERANCE_TAG.test(right));
+}
+
+/**
+ * Canonical form of an SSML document: indentation between structural tags
+ * and runs of whitespace are insignificant to the service, so they do not
+ * split entries. Whitespace around inline elements ("<sub>a</sub>
+ * <sub>b</sub>") is spoken and is kept.
+ */
+export function normalizeSsml(ssml: string): string {
+  return ssml
+    .replace(/(<[^>]+>)\s+(?=(<[^>]+>))/g, (gap, left: string, right: string) =>
+      isSilentGap(left, right) ? left : gap
+    )
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function synthesisCacheKey(ssml: string, formatId: string): string {
+  return createHash("sha256").update(`${formatId}\n${normalizeSsml(ssml)}`).digest("hex");
+}
+
+/**
+ * In-process LRU; a Map keeps insertion order, so re-inserting on read moves
+ * an entry to the most recently used end
+ */
+export class MemoryCacheBackend implements SynthesisCacheBackend {
+  private entries = new Map<string, { audio: Buffer; createdAt: number }>();
+  private bytes = 0;
+
+  constructor(private limits: CacheLimits) {}
+
+  async get(key: string): Promise<Buffer | null> {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.createdAt > this.limits.ttlMs) {
+      this.delete(key);
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.audio;
+  }
+
+  async set(key: string, audio: Buffer): Promise<void> {
+    if (audio.byteLength > this.limits.maxBytes) return;
+    this.delete(key);
+    this.entries.set(key, { audio, createdAt: Date.now() });
+    this.bytes += audio.byteLength;
+
+    for (const oldest of Array.from(this.entries.keys())) {
+      if (this.bytes <= this.limits.maxBytes) break;
+      this.delete(oldest);
+    }
+  }
+
+  async purge(): Promise<number> {
+    const count = this.entries.size;
+    this.entries.clear();
+    this.bytes = 0;
+    return count;
+  }
+
+  async stats() {
+    return { entries: this.entries.size, bytes: this.bytes };
+  }
+
+  private delete(key: string) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.bytes -= entry.audio.byteLength;
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * One file per entry in a local directory. The file's modification time is
+ * its creation time (for TTL) and its access time is bumped on every hit.
+ */
+export class DiskCacheBackend implements SynthesisCacheBackend {
+  constructor(private directory: string, private limits: CacheLimits) {}
+
+  private filePath(key: string) {
+    return path.join(this.directory, `${key}.bin`);
+  }
+
+  async get(key: string): Promise<Buffer | null> {
+    const file = this.filePath(key);
+    try {
+      const stat = await fs.stat(file);
+      if (Date.now() - stat.mtimeMs > this.limits.ttlMs) {
+        await fs.rm(file, { force: true });
+        return null;
+      }
+      const audio = await fs.readFile(file);
+      await fs.utimes(file, new Date(), stat.mtime);
+      return audio;
+    } catch (error: any) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async set(key: string, audio: Buffer): Promise<void> {
+    if (audio.byteLength > this.limits.maxBytes) return;
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write then rename so concurrent readers never see a partial file
+    const file = this.filePath(key);
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, audio);
+    await fs.rename(temp, file);
+    await this.evict();
+  }
+
+  async purge(): Promise<number> {
+    const files = await this.list();
+    await Promise.all(files.map((f) => fs.rm(f.file, { force: true })));
+    return files.length;
+  }
+
+  async stats() {
+    const files = await this.list();
+    return { entries: files.length, bytes: files.reduce((sum, f) => sum + f.size, 0) };
+  }
+
+  private async list() {
+    let names: string[];
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error: any) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const name of names.filter((n) => n.endsWith(".bin"))) {
+      const file = path.join(this.directory, name);
+      try {
+        const stat = await fs.stat(file);
+        files.push({ file, size: stat.size, createdAt: stat.mtimeMs, usedAt: stat.atimeMs });
+      } catch {
+        // Removed by a concurrent eviction
+      }
+    }
+    return files;
+  }
+
+  private async evict() {
+    const now = Date.now();
+    const files = (await this.list()).sort((a, b) => a.usedAt - b.usedAt);
+    let bytes = files.reduce((sum, f) => sum + f.size, 0);
+
+    for (const f of files) {
+      if (now - f.createdAt > this.limits.ttlMs || bytes > this.limits.maxBytes) {
+        await fs.rm(f.file, { force: true });
+        bytes -= f.size;
+      }
+    }
+  }
+}
+
+/**
+ * Entries stored in the `synthesis_cache` table, shared by every instance
+ * that uses the same database
+ */
+export class PrismaCacheBackend implements SynthesisCacheBackend {
+  constructor(private limits: CacheLimits) {}
+
+  // Imported lazily so the other backends never open a database connection
+  private async client() {
+    const { prisma } = await import("./prisma");
+    return prisma;
+  }
+
+  async get(key: string): Promise<Buffer | null> {
+    const prisma = await this.client();
+    const entry = await prisma.synthesisCacheEntry.findUnique({ where: { key } });
+    if (!entry) return null;
+    if (Date.now() - entry.createdAt.getTime() > this.limits.ttlMs) {
+      await prisma.synthesisCacheEntry.deleteMany({ where: { key } });
+      return null;
+    }
+    await prisma.synthesisCacheEntry.update({
+      where: { key },
+      data: { lastAccessedAt: new Date() },
+    });
+    return Buffer.from(entry.audio);
+  }
+
+  async set(key: string, audio: Buffer, formatId: string): Promise<void> {
+    if (audio.byteLength > this.limits.maxBytes) return;
+    const prisma = await this.client();
+    const now = new Date();
+    await prisma.synthesisCacheEntry.upsert({
+      where: { key },
+      create: { key, format: formatId, audio, size: audio.byteLength, createdAt: now, lastAccessedAt: now },
+      update: { format: formatId, audio, size: audio.byteLength, createdAt: now, lastAccessedAt: now },
+    });
+    await this.evict();
+  }
+
+  async purge(): Promise<number> {
+    const prisma = await this.client();
+    const { count } = await prisma.synthesisCacheEntry.deleteMany({});
+    return count;
+  }
+
+  async stats() {
+    const prisma = await this.client();
+    const result = await prisma.synthesisCacheEntry.aggregate({
+      _count: { _all: true },
+      _sum: { size: true },
+    });
+    return { entries: result._count._all, bytes: result._sum.size || 0 };
+  }
+
+  private async evict() {
+    const prisma = await this.client();
+    await prisma.synthesisCacheEntry.deleteMany({
+      where: { createdAt: { lt: new Date(Date.now() - this.limits.ttlMs) } },
+    });
+
+    let { bytes } = await this.stats();
+    if (bytes <= this.limits.maxBytes) return;
+
+    const entries = await prisma.synthesisCacheEntry.findMany({
+      select: { key: true, size: true },
+      orderBy: { lastAccessedAt: "asc" },
+    });
+    const stale: string[] = [];
+    for (const entry of entries) {
+      if (bytes <= this.limits.maxBytes) break;
+      stale.push(entry.key);
+      bytes -= entry.size;
+    }
+    await prisma.synthesisCacheEntry.deleteMany({ where: { key: { in: stale } } });
+  }
+}
+
+function readPositiveNumber(name: string, fallback: number): number {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+let _cache: { name: CacheBackendName; backend: SynthesisCacheBackend | null; limits: CacheLimits } | null =
+  null;
+
+/**
+ * Returns the configured cache backend, or null when caching is off
+ */
+export function getSynthesisCache() {
+  if (_cache) return _cache;
+
+  const limits: CacheLimits = {
+    maxBytes: readPositiveNumber("TTS_CACHE_MAX_BYTES", DEFAULT_MAX_BYTES),
+    ttlMs: readPositiveNumber("TTS_CACHE_TTL_SECONDS", DEFAULT_TTL_SECONDS) * 1000,
+  };
+  const name = (process.env.TTS_CACHE_BACKEND || "memory") as CacheBackendName;
+
+  let backend: SynthesisCacheBackend | null;
+  switch (name) {
+    case "memory":
+      backend = new MemoryCacheBackend(limits);
+      break;
+    case "disk":
+      backend = new DiskCacheBackend(path.resolve(process.env.TTS_CACHE_DIR || DEFAULT_CACHE_DIR), limits);
+      break;
+    case "prisma":
+      backend = new PrismaCacheBackend(limits);
+      break;
+    case "off":
+      backend = null;
+      break;
+    default:
+      console.warn(`Unknown TTS_CACHE_BACKEND "${name}", caching disabled`);
+      backend = null;
+  }
+
+  _cache = { name, backend, limits };
+  return _cache;
+}
+
+/**
+ * Reports entry count and size for the admin endpoint
+ */
+export async function getCacheStats(): Promise<CacheStats> {
+  const { name, backend, limits } = getSynthesisCache();
+  const { entries, bytes } = backend ? await backend.stats() : { entries: 0, bytes: 0 };
+  return { backend: name, entries, bytes, maxBytes: limits.maxBytes, ttlSeconds: limits.ttlMs / 1000 };
+}
+
+/**
+ * Removes every cached entry and returns how many were removed
+ */
+export async function purgeSynthesisCache(): Promise<number> {
+  const { backend } = getSynthesisCache();
+  return backend ? backend.purge() : 0;
+}
+
+/**
+ * Synthesizes SSML, serving repeated requests from the cache. A failing cache
+ * backend is logged and skipped rather than failing the request.
+ */
+export async function synthesizeCached(
+  ssml: string,
+  formatId: string
+): Promise<{ audio: Buffer; cache: CacheStatus }> {
+  const { backend } = getSynthesisCache();
+  if (!backend) {
+    return { audio: await synthesizeSsml(ssml, formatId), cache: "BYPASS" };
+  }
+
+  const key = synthesisCacheKey(ssml, formatId);
+  try {
+    const cached = await backend.get(key);
+    if (cached) return { audio: cached, cache: "HIT" };
+  } catch (error) {
+    console.error("Synthesis cache read failed:", error);
+  }
+
+  const audio = await synthesizeSsml(ssml, formatId);
+  try {
+    await backend.set(key, audio, formatId);
+  } catch (error) {
+    console.error("Synthesis cache write failed:", error);
+  }
+  return { audio, cache: "MISS" };
+}
+
+/**
+ * Streaming counterpart of synthesizeCached: a hit is replayed as a single
+ * chunk, a miss is piped through from Azure and stored once it completes.
+ * Streams the client abandons part-way are not cached.
+ */
+export async function streamCached(
+  ssml: string,
+  formatId: string
+): Promise<{ stream: ReadableStream<Uint8Array>; cache: CacheStatus }> {
+  const { backend } = getSynthesisCache();
+  const key = backend ? synthesisCacheKey(ssml, formatId) : "";
+
+  if (backend) {
+    try {
+      const cached = await backend.get(key);
+      if (cached) {
+        return {
+          stream: new ReadableStream({
+            start(controller) {
+              controller.enqueue(new Uint8Array(cached));
+              controller.close();
+            },
+          }),
+          cache: "HIT",
+        };
+      }
+    } catch (error) {
+      console.error("Synthesis cache read failed:", error);
+    }
+  }
+
+  const upstream = (await streamSsml(ssml, formatId))[Symbol.asyncIterator]();
+  const chunks: Buffer[] = [];
+
+  const stream = new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      try {
+        const { value, done } = await upstream.next();
+        if (!done) {
+          chunks.push(value);
+          controller.enqueue(new Uint8Array(value));
+          return;
+        }
+        controller.close();
+        if (backend) {
+          backend
+            .set(key, Buffer.concat(chunks), formatId)
+            .catch((error) => console.error("Synthesis cache write failed:", error));
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await upstream.return?.();
+    },
+  });
+
+  return { stream, cache: backend ? "MISS" : "BYPASS" };
+}
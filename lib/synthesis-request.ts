@@ -0,0 +1,308 @@
+/**
+ * Synthesis Request Parsing
+ *
+ * Shared validation for the JSON bodies accepted by the text-to-speech
+ * routes. Invalid input is reported as a SynthesisError with a 4xx status.
+ */
+
+import {
+  DEFAULT_AUDIO_FORMAT,
+  getAudioFormat,
+  type AudioFormat,
+} from "./audio-formats";
+import {
+  resolvePostProcessingOptions,
+  validatePostProcessingOptions,
+  type PostProcessingOptions,
+} from "./audio-processing";
+import {
+  resolveCaptionOptions,
+  validateCaptionOptions,
+  type CaptionOptions,
+} from "./captions";
+import {
+  DIALOGUE_PAUSE_LIMITS,
+  normalizeSpeaker,
+  parseDialogueScript,
+  type DialogueCast,
+  type DialogueTurn,
+} from "./dialogue";
+import {
+  DEFAULT_AUDIOBOOK_OPTIONS,
+  validateAudiobookOptions,
+  type AudiobookOptions,
+} from "./document-import";
+import type { LexiconEntryInput } from "./lexicon";
+import { buildDialogueSsml, buildSsml, DEFAULT_LANG, DEFAULT_VOICE } from "./ssml";
+import { SynthesisError } from "./synthesis";
+import { MAX_SINGLE_REQUEST_CHARS } from "./text-chunking";
+import { validateNormalizationOptions, type NormalizationOptions } from "./text-normalization";
+import { validateAgainstCatalog } from "./voice-catalog";
+import type { VoiceSettings } from "./voice-settings";
+
+export interface TextSynthesisRequest {
+  text: string;
+  lang: string;
+  voice: string;
+  settings: VoiceSettings;
+  format: AudioFormat;
+  lexicon?: LexiconEntryInput[];
+  normalization?: NormalizationOptions;
+  ssml: string;
+}
+
+export interface DialogueSynthesisRequest {
+  turns: DialogueTurn[];
+  cast: DialogueCast;
+  pauseMs: number;
+  format: AudioFormat;
+  // Turn texts joined by newlines, used to align word boundaries
+  text: string;
+  ssml: string;
+}
+
+export interface AudiobookSynthesisRequest {
+  lang: string;
+  voice: string;
+  settings: VoiceSettings;
+  format: AudioFormat;
+  lexicon?: LexiconEntryInput[];
+  normalization?: NormalizationOptions;
+  options: AudiobookOptions;
+}
+
+/**
+ * Resolves an output format id, defaulting when it is not given
+ */
+export function parseAudioFormat(formatId: unknown = DEFAULT_AUDIO_FORMAT): AudioFormat {
+  const format = typeof formatId === "string" ? getAudioFormat(formatId) : undefined;
+  if (!format) {
+    throw new SynthesisError(`Unsupported output format: ${formatId}`, 400);
+  }
+  return format;
+}
+
+/**
+ * Validates caption options, returning null when captions were not requested
+ */
+export function parseCaptionOptions(input: unknown): Required<CaptionOptions> | null {
+  if (input === undefined || input === null || input === false) return null;
+  const options: CaptionOptions = typeof input === "object" ? (input as CaptionOptions) : {};
+
+  const errors = validateCaptionOptions(options);
+  if (errors.length > 0) {
+    throw new SynthesisError(errors.join("; "), 400, errors);
+  }
+  return resolveCaptionOptions(options);
+}
+
+/**
+ * Validates post-processing options, filling in defaults
+ */
+export function parsePostProcessingOptions(input: unknown): Required<PostProcessingOptions> {
+  const options: PostProcessingOptions = input && typeof input === "object" ? (input as PostProcessingOptions) : {};
+
+  const errors = validatePostProcessingOptions(options);
+  if (errors.length > 0) {
+    throw new SynthesisError(errors.join("; "), 400, errors);
+  }
+  return resolvePostProcessingOptions(options);
+}
+
+/**
+ * Validates normalization options, returning undefined when normalization
+ * was not requested
+ */
+export function parseNormalizationOptions(input: unknown, lang: string): NormalizationOptions | undefined {
+  if (input === undefined || input === null || input === false) return undefined;
+  const options: NormalizationOptions = typeof input === "object" ? (input as NormalizationOptions) : {};
+
+  const errors = validateNormalizationOptions(options, lang);
+  if (errors.length > 0) {
+    throw new SynthesisError(errors.join("; "), 400, errors);
+  }
+  return { rules: options.rules, acronyms: options.acronyms };
+}
+
+/**
+ * Loads the entries of a lexicon owned by the user
+ */
+async function loadLexicon(lexiconId: unknown, userId: string | null | undefined) {
+  if (!userId) {
+    throw new SynthesisError("Sign in to use a pronunciation lexicon", 401);
+  }
+  // Imported lazily so requests without a lexicon never touch the database
+  const { getLexicon, LexiconError } = await import("./lexicon-store");
+  try {
+    const lexicon = await getLexicon(userId, String(lexiconId));
+    return lexicon.entries as LexiconEntryInput[];
+  } catch (error) {
+    if (error instanceof LexiconError) {
+      throw new SynthesisError(error.message, error.status);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validates the voice, settings, format, lexicon and normalization shared
+ * by plain-text and document bodies
+ */
+async function parseVoiceOptions(body: Record<string, any>, userId: string | null | undefined) {
+  const {
+    lang = DEFAULT_LANG,
+    voice = DEFAULT_VOICE,
+    style = "neutral",
+    styledegree,
+    role,
+    rate,
+    pitch,
+    volume,
+    format: formatId,
+    lexiconId,
+    normalization: normalizationInput,
+  } = body || {};
+
+  const format = parseAudioFormat(formatId);
+  const normalization = parseNormalizationOptions(normalizationInput, lang);
+  const settings: VoiceSettings = { style, styledegree, role, rate, pitch, volume };
+
+  const settingsErrors = await validateAgainstCatalog(voice, settings);
+  if (settingsErrors.length > 0) {
+    throw new SynthesisError(settingsErrors.join("; "), 400, settingsErrors);
+  }
+
+  const lexicon = lexiconId ? await loadLexicon(lexiconId, userId) : undefined;
+
+  return { lang: lang as string, voice: voice as string, settings, format, lexicon, normalization };
+}
+
+/**
+ * Validates a plain-text synthesis body and builds its SSML. `userId` is the
+ * signed-in user, needed when the body selects a lexicon.
+ */
+export async function parseTextRequest(
+  body: Record<string, any>,
+  { maxChars = MAX_SINGLE_REQUEST_CHARS, userId }: { maxChars?: number; userId?: string | null } = {}
+): Promise<TextSynthesisRequest> {
+  const text = body?.text;
+
+  if (typeof text !== "string" || !text.trim()) {
+    throw new SynthesisError("Text is required", 400);
+  }
+  if (text.length > maxChars) {
+    throw new SynthesisError(
+      `Text is longer than ${maxChars} characters; use long-form mode instead`,
+      413
+    );
+  }
+
+  const { lang, voice, settings, format, lexicon, normalization } = await parseVoiceOptions(body, userId);
+
+  return {
+    text,
+    lang,
+    voice,
+    settings,
+    format,
+    lexicon,
+    normalization,
+    ssml: buildSsml({ text, lang, voice, lexicon, normalization, ...settings }),
+  };
+}
+
+/**
+ * Validates the options sent with a document for audiobook rendering: the
+ * same voice settings as plain text, plus output, heading and code handling
+ */
+export async function parseAudiobookRequest(
+  body: Record<string, any>,
+  { userId }: { userId?: string | null } = {}
+): Promise<AudiobookSynthesisRequest> {
+  const { output, headingPauseMs, headingEmphasis, codeBlocks } = body || {};
+  const requested = { output, headingPauseMs, headingEmphasis, codeBlocks };
+
+  const errors = validateAudiobookOptions(requested);
+  if (errors.length > 0) {
+    throw new SynthesisError(errors.join("; "), 400, errors);
+  }
+
+  const options: AudiobookOptions = { ...DEFAULT_AUDIOBOOK_OPTIONS };
+  if (output !== undefined) options.output = output;
+  if (headingPauseMs !== undefined) options.headingPauseMs = Number(headingPauseMs);
+  if (headingEmphasis !== undefined) options.headingEmphasis = headingEmphasis;
+  if (codeBlocks !== undefined) options.codeBlocks = codeBlocks;
+
+  return { ...(await parseVoiceOptions(body, userId)), options };
+}
+
+/**
+ * Validates a dialogue body: parses the script, checks that every speaker has
+ * a catalog voice with supported settings, and builds the multi-voice SSML
+ */
+export async function parseDialogueRequest(body: Record<string, any>): Promise<DialogueSynthesisRequest> {
+  const {
+    script,
+    cast: rawCast,
+    pauseMs = DIALOGUE_PAUSE_LIMITS.default,
+    lang = DEFAULT_LANG,
+    format: formatId,
+  } = body || {};
+
+  if (typeof script !== "string" || !script.trim()) {
+    throw new SynthesisError("Script is required", 400);
+  }
+
+  const { turns, speakers, errors } = parseDialogueScript(script, Object.keys(rawCast || {}));
+  if (errors.length > 0) {
+    throw new SynthesisError(errors.join("; "), 400, errors);
+  }
+
+  const text = turns.map((turn) => turn.text).join("\n");
+  if (text.length > MAX_SINGLE_REQUEST_CHARS) {
+    throw new SynthesisError(
+      `Dialogue text is longer than ${MAX_SINGLE_REQUEST_CHARS} characters`,
+      413
+    );
+  }
+
+  const pause = Number(pauseMs);
+  if (!Number.isFinite(pause) || pause < DIALOGUE_PAUSE_LIMITS.min || pause > DIALOGUE_PAUSE_LIMITS.max) {
+    throw new SynthesisError(
+      `Invalid pauseMs "${pauseMs}": must be between ${DIALOGUE_PAUSE_LIMITS.min} and ${DIALOGUE_PAUSE_LIMITS.max}`,
+      400
+    );
+  }
+
+  const format = parseAudioFormat(formatId);
+
+  const cast: DialogueCast = {};
+  for (const [name, member] of Object.entries(rawCast || {})) {
+    cast[normalizeSpeaker(name)] = member as DialogueCast[string];
+  }
+
+  const castErrors: string[] = [];
+  for (const speaker of speakers) {
+    const member = cast[speaker];
+    if (!member || !member.voice) {
+      castErrors.push(`No voice selected for ${speaker}`);
+      continue;
+    }
+    const { voice, ...settings } = member;
+    for (const message of await validateAgainstCatalog(voice, settings)) {
+      castErrors.push(`${speaker}: ${message}`);
+    }
+  }
+  if (castErrors.length > 0) {
+    throw new SynthesisError(castErrors.join("; "), 400, castErrors);
+  }
+
+  return {
+    turns,
+    cast,
+    pauseMs: pause,
+    format,
+    text,
+    ssml: buildDialogueSsml({ turns, cast, lang, pauseMs: pause }),
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * Azure Speech Synthesis Client
+ *
+ * Server-side helpers for calling the Azure text-to-speech REST API.
+ * Access tokens are cached for their lifetime so chunked and batched
+ * synthesis does not request a new token for every call.
+ */
+
+import fetch from "node-fetch";
+import { getAudioFormat, DEFAULT_AUDIO_FORMAT } from "./audio-formats";
+import { HttpError } from "./http-error";
+
+export interface SpeechCredentials {
+  subscriptionKey: string;
+  region: string;
+}
+
+/**
+ * Error raised for synthesis failures, carrying the HTTP status to reply with
+ */
+export class SynthesisError extends HttpError {
+  constructor(message: string, status = 500, details?: unknown) {
+    super(message, status, details);
+    this.name = "SynthesisError";
+  }
+}
+
+/**
+ * Azure access tokens are valid for 10 minutes; refresh a little early
+ */
+const TOKEN_LIFETIME_MS = 9 * 60 * 1000;
+
+let _token: { value: string; region: string; expiresAt: number } | null = null;
+
+/**
+ * Reads the Speech Service credentials from the environment
+ */
+export function getSpeechCredentials(): SpeechCredentials | null {
+  const subscriptionKey = process.env.SPEECH_SERVICE_SUBSCRIPTION_KEY;
+  const region = process.env.SPEECH_SERVICE_SUBSCRIPTION_REGION;
+
+  if (!subscriptionKey || !region) {
+    return null;
+  }
+  return { subscriptionKey, region };
+}
+
+/**
+ * Exchanges the subscription key for an access token, reusing a cached one
+ */
+export async function getAccessToken(credentials: SpeechCredentials): Promise<string> {
+  if (_token && _token.region === credentials.region && Date.now() < _token.expiresAt) {
+    return _token.value;
+  }
+
+  const tokenResponse = await fetch(
+    `https://${credentials.region}.api.cognitive.microsoft.com/sts/v1.0/issueToken`,
+    {
+      method: "POST",
+      headers: {
+        "Ocp-Apim-Subscription-Key": credentials.subscriptionKey,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    }
+  );
+
+  if (!tokenResponse.ok) {
+    throw new SynthesisError("Failed to get access token", 502);
+  }
+
+  const value = await tokenResponse.text();
+  _token = { value, region: credentials.region, expiresAt: Date.now() + TOKEN_LIFETIME_MS };
+  return value;
+}
+
+/**
+ * Sends an SSML document to Azure and returns the upstream response once its
+ * status is known, with the audio body still unread
+ */
+async function requestSynthesis(
+  ssml: string,
+  formatId: string,
+  credentials: SpeechCredentials | null
+) {
+  if (!credentials) {
+    throw new SynthesisError("Azure Speech Service credentials not configured", 500);
+  }
+
+  const format = getAudioFormat(formatId);
+  if (!format) {
+    throw new SynthesisError(`Unsupported output format: ${formatId}`, 400);
+  }
+
+  const accessToken = await getAccessToken(credentials);
+
+  const ttsResponse = await fetch(
+    `https://${credentials.region}.tts.speech.microsoft.com/cognitiveservices/v1`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/ssml+xml",
+        "X-Microsoft-OutputFormat": format.id,
+        "User-Agent": "AzureSpeechServiceSuite",
+      },
+      body: ssml,
+    }
+  );
+
+  if (!ttsResponse.ok) {
+    // A rejected token should not be reused for the next request
+    if (ttsResponse.status === 401) _token = null;
+
+    const status = [400, 429].includes(ttsResponse.status) ? ttsResponse.status : 502;
+    throw new SynthesisError(
+      `Failed to convert text to speech (upstream status ${ttsResponse.status})`,
+      status
+    );
+  }
+
+  return ttsResponse;
+}
+
+/**
+ * Sends an SSML document to Azure and returns the synthesized audio
+ */
+export async function synthesizeSsml(
+  ssml: string,
+  formatId: string = DEFAULT_AUDIO_FORMAT,
+  credentials: SpeechCredentials | null = getSpeechCredentials()
+): Promise<Buffer> {
+  const ttsResponse = await requestSynthesis(ssml, formatId, credentials);
+  return Buffer.from(await ttsResponse.arrayBuffer());
+}
+
+/**
+ * Sends an SSML document to Azure and yields the audio chunks as they
+ * arrive. Upstream errors are still thrown before the first chunk.
+ */
+export async function streamSsml(
+  ssml: string,
+  formatId: string = DEFAULT_AUDIO_FORMAT,
+  credentials: SpeechCredentials | null = getSpeechCredentials()
+): Promise<AsyncIterable<Buffer>> {
+  const ttsResponse = await requestSynthesis(ssml, formatId, credentials);
+  return ttsResponse.body as AsyncIterable<Buffer>;
+}
@@ -0,0 +1,225 @@
+/**
+ * Temporary Audio Store
+ *
+ * Short-lived synthesized files for clients that play audio from a URL
+ * instead of a response body. Files are written outside public/, each with
+ * a JSON sidecar naming its owner and expiry, and are only served through
+ * HMAC-signed URLs that expire with the file. A background sweeper removes
+ * expired files; ids are random hex, so anything else is rejected (and
+ * logged) before it gets near the filesystem.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { HttpError } from "./http-error";
+
+export interface TempAudioMeta {
+  owner: string;
+  contentType: string;
+  fileName: string;
+  expiresAt: number;
+}
+
+const DEFAULT_TEMP_DIR = ".data/tmp-audio";
+const DEFAULT_TTL_SECONDS = 15 * 60;
+const DEFAULT_SWEEP_SECONDS = 60;
+
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+let _secret: string | null = null;
+let _sweeper: ReturnType<typeof setInterval> | null = null;
+
+/**
+ * Error raised for temporary audio requests, carrying the HTTP status to reply with
+ */
+export class TempAudioError extends HttpError {
+  constructor(message: string, status = 400, details?: unknown) {
+    super(message, status, details);
+    this.name = "TempAudioError";
+  }
+}
+
+function readPositiveNumber(name: string, fallback: number): number {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function tempDirectory(): string {
+  return path.resolve(process.env.TEMP_AUDIO_DIR || DEFAULT_TEMP_DIR);
+}
+
+function signingSecret(): string {
+  if (_secret) return _secret;
+  _secret = process.env.TEMP_AUDIO_SIGNING_SECRET || process.env.NEXTAUTH_SECRET || null;
+  if (!_secret) {
+    // URLs signed with a per-process secret stop working after a restart
+    console.warn("TEMP_AUDIO_SIGNING_SECRET is not set; using a random secret");
+    _secret = randomBytes(32).toString("hex");
+  }
+  return _secret;
+}
+
+function sign(id: string, expires: number): string {
+  return createHmac("sha256", signingSecret()).update(`${id}.${expires}`).digest("base64url");
+}
+
+/**
+ * Rejects ids that are not ones this store issued. Anything path-like is
+ * logged, since no legitimate client sends it.
+ */
+export function assertTempAudioId(id: string, context: string) {
+  if (ID_PATTERN.test(id)) return;
+  if (/[./\\]|%2e|%2f|%5c/i.test(id)) {
+    console.warn(`Rejected path traversal attempt on temporary audio (${context}):`, JSON.stringify(id));
+  }
+  throw new TempAudioError("Invalid audio id", 400);
+}
+
+function resolveFiles(id: string, context: string) {
+  assertTempAudioId(id, context);
+  const base = path.join(tempDirectory(), id);
+  return { audio: `${base}.audio`, meta: `${base}.json` };
+}
+
+async function readMeta(file: string): Promise<TempAudioMeta | null> {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error: any) {
+    if (error?.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function removeFiles(files: { audio: string; meta: string }) {
+  await Promise.all([fs.rm(files.audio, { force: true }), fs.rm(files.meta, { force: true })]);
+}
+
+/**
+ * URL path for a file, valid until `expiresAt` (milliseconds)
+ */
+export function buildSignedAudioUrl(id: string, expiresAt: number): string {
+  const expires = Math.floor(expiresAt / 1000);
+  return `/api/text-to-speech/temp/${id}?expires=${expires}&sig=${sign(id, expires)}`;
+}
+
+/**
+ * Checks a signed URL's expiry and signature
+ */
+export function verifyAudioSignature(id: string, expires: string | null, signature: string | null): boolean {
+  const seconds = Number(expires);
+  if (!signature || !Number.isInteger(seconds) || seconds * 1000 < Date.now()) return false;
+
+  const provided = Buffer.from(signature);
+  const wanted = Buffer.from(sign(id, seconds));
+  return provided.length === wanted.length && timingSafeEqual(provided, wanted);
+}
+
+/**
+ * Stores audio for `owner` and returns its id and a signed URL
+ */
+export async function saveTempAudio(
+  owner: string,
+  audio: Buffer,
+  { contentType, fileName }: { contentType: string; fileName: string }
+) {
+  startTempAudioSweeper();
+
+  const id = randomBytes(16).toString("hex");
+  const files = resolveFiles(id, "save");
+  const expiresAt = Date.now() + readPositiveNumber("TEMP_AUDIO_TTL_SECONDS", DEFAULT_TTL_SECONDS) * 1000;
+  const meta: TempAudioMeta = { owner, contentType, fileName, expiresAt };
+
+  await fs.mkdir(tempDirectory(), { recursive: true });
+  // Audio without a sidecar is only swept once older than the TTL, so a
+  // sweep between these two writes is harmless
+  await fs.writeFile(files.audio, audio);
+  await fs.writeFile(files.meta, JSON.stringify(meta));
+
+  return { id, url: buildSignedAudioUrl(id, expiresAt), expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Loads a file for a request that already passed signature verification
+ */
+export async function readTempAudio(id: string) {
+  startTempAudioSweeper();
+  const files = resolveFiles(id, "read");
+  const meta = await readMeta(files.meta);
+  if (!meta || meta.expiresAt < Date.now()) {
+    throw new TempAudioError("Audio has expired", 410);
+  }
+  try {
+    return { meta, audio: await fs.readFile(files.audio) };
+  } catch (error: any) {
+    if (error?.code === "ENOENT") throw new TempAudioError("Audio has expired", 410);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a file; only its owner may do so
+ */
+export async function deleteTempAudio(owner: string, id: string) {
+  startTempAudioSweeper();
+  const files = resolveFiles(id, "delete");
+  const meta = await readMeta(files.meta);
+  if (!meta) {
+    throw new TempAudioError("Audio not found", 404);
+  }
+  if (meta.owner !== owner) {
+    console.warn(`Rejected delete of temporary audio ${id} by a user who does not own it`);
+    throw new TempAudioError("Audio not found", 404);
+  }
+  await removeFiles(files);
+}
+
+/**
+ * Removes expired files, and audio whose sidecar is missing once it is
+ * older than the TTL. Returns how many files were removed.
+ */
+export async function sweepTempAudio(now = Date.now()): Promise<number> {
+  let names: string[];
+  try {
+    names = await fs.readdir(tempDirectory());
+  } catch (error: any) {
+    if (error?.code === "ENOENT") return 0;
+    throw error;
+  }
+
+  const ttlMs = readPositiveNumber("TEMP_AUDIO_TTL_SECONDS", DEFAULT_TTL_SECONDS) * 1000;
+  let removed = 0;
+  for (const name of names) {
+    const match = name.match(/^([a-f0-9]{32})\.(audio|json)$/);
+    if (!match) continue;
+    const files = resolveFiles(match[1], "sweep");
+
+    if (match[2] === "json") {
+      const meta = await readMeta(files.meta).catch(() => null);
+      if (!meta || meta.expiresAt < now) {
+        await removeFiles(files);
+        removed++;
+      }
+    } else if (!names.includes(`${match[1]}.json`)) {
+      const stat = await fs.stat(files.audio).catch(() => null);
+      if (stat && now - stat.mtimeMs > ttlMs) {
+        await removeFiles(files);
+        removed++;
+      }
+    }
+  }
+  return removed;
+}
+
+/**
+ * Starts the periodic sweep once per process; the timer does not keep the
+ * process alive
+ */
+export function startTempAudioSweeper() {
+  if (_sweeper) return;
+  const intervalMs = readPositiveNumber("TEMP_AUDIO_SWEEP_SECONDS", DEFAULT_SWEEP_SECONDS) * 1000;
+  _sweeper = setInterval(() => {
+    sweepTempAudio().catch((error) => console.error("Temporary audio sweep failed:", error));
+  }, intervalMs);
+  _sweeper.unref?.();
+}
@@ -0,0 +1,113 @@
+/**
+ * Text Chunking for Long-form Synthesis
+ *
+ * Splits long input into chunks that each fit in a single synthesis request,
+ * breaking at paragraph boundaries first, then sentences, then words.
+ */
+
+/**
+ * Longest text accepted by a single (non long-form) synthesis request
+ */
+export const MAX_SINGLE_REQUEST_CHARS = 5000;
+
+/**
+ * Default chunk size for long-form synthesis, well under the per-request limit
+ * so SSML markup and multi-byte text stay within service bounds
+ */
+export const DEFAULT_CHUNK_CHARS = 2500;
+
+/**
+ * Upper bound on total long-form input
+ */
+export const MAX_LONG_FORM_CHARS = 200000;
+
+// Sentence-ending punctuation, including CJK full-width forms, followed by
+// optional closing quotes or brackets. A "." before a digit is a decimal
+// point ("2.5"), not a sentence end.
+const SENTENCE_PATTERN = /(?:[^.!?。！？]|\.(?=\d))+(?:[.!?。！？]+["'”’)\]」』]*|$)\s*/g;
+
+/**
+ * Splits a paragraph into sentences, keeping trailing punctuation and the
+ * whitespace that followed, so joining them back restores the paragraph
+ */
+export function splitSentences(paragraph: string): string[] {
+  const matches = paragraph.match(SENTENCE_PATTERN) || [];
+  return matches.filter((s) => s.trim());
+}
+
+/**
+ * Hard-splits text that has no usable sentence boundary, preferring to cut
+ * after a space. Pieces keep their whitespace, like sentences.
+ */
+function splitByLength(text: string, maxChars: number): string[] {
+  const pieces: string[] = [];
+  let rest = text;
+
+  while (rest.trimEnd().length > maxChars) {
+    const space = rest.lastIndexOf(" ", maxChars - 1);
+    const cut = space > 0 ? space + 1 : maxChars;
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  if (rest.trim()) pieces.push(rest);
+
+  return pieces;
+}
+
+/**
+ * Splits text into chunks of at most `maxChars` characters.
+ * Paragraphs are kept together when they fit; otherwise they are split into
+ * sentences, and over-long sentences are split at word boundaries.
+ */
+export function chunkText(text: string, maxChars: number = DEFAULT_CHUNK_CHARS): string[] {
+  const paragraphs = text
+    .replace(/\r\n/g, "\n")
+    .split(/\n\s*\n/)
+    .map((p) => p.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const chunks: string[] = [];
+  let current = "";
+
+  const flush = () => {
+    current = current.trim();
+    if (current) chunks.push(current);
+    current = "";
+  };
+
+  const append = (piece: string, separator: string) => {
+    if (!current) {
+      current = piece;
+    } else if (current.length + separator.length + piece.trimEnd().length <= maxChars) {
+      current += separator + piece;
+    } else {
+      flush();
+      current = piece;
+    }
+  };
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.length <= maxChars) {
+      append(paragraph, "\n\n");
+      continue;
+    }
+
+    // Start long paragraphs in a fresh chunk so breaks land on sentences.
+    // Sentences carry their own trailing whitespace, so none is added
+    // between them (CJK text has none).
+    flush();
+    for (const sentence of splitSentences(paragraph)) {
+      if (sentence.trimEnd().length <= maxChars) {
+        append(sentence, "");
+      } else {
+        for (const piece of splitByLength(sentence, maxChars)) {
+          append(piece, "");
+        }
+      }
+    }
+    flush();
+  }
+  flush();
+
+  return chunks;
+}
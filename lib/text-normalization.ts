@@ -0,0 +1,447 @@
+/**
+ * Text Normalization
+ *
+ * Optional rewriting of plain text before it is wrapped in SSML. Dates and
+ * phone numbers are tagged with <say-as>; currency, units, URLs and email
+ * addresses are expanded with <sub> aliases; whitespace and runs of emoji
+ * are collapsed; and listed acronyms are spelled out. Rules can be toggled
+ * individually, and some only exist for the languages whose words or
+ * number formats they know. Shared by the text-to-speech routes (server)
+ * and page (client).
+ */
+
+import { applyLexicon, escapeXml, type LexiconEntryInput } from "./lexicon";
+
+export type NormalizationRuleId =
+  | "whitespace"
+  | "emoji"
+  | "emails"
+  | "urls"
+  | "phones"
+  | "dates"
+  | "currency"
+  | "units"
+  | "acronyms";
+
+export interface NormalizationRule {
+  id: NormalizationRuleId;
+  label: string;
+  description: string;
+  defaultEnabled: boolean;
+  // Language codes the rule supports; every language when omitted
+  languages?: string[];
+}
+
+export interface NormalizationOptions {
+  rules?: Partial<Record<NormalizationRuleId, boolean>>;
+  acronyms?: string[];
+}
+
+/**
+ * A run of the normalized text: either plain text, or the original text of
+ * a match together with the SSML that replaces it
+ */
+export interface NormalizedSegment {
+  text: string;
+  ssml?: string;
+  rule?: NormalizationRuleId;
+}
+
+export const NORMALIZATION_LIMITS = {
+  acronyms: 50,
+  acronymChars: 10,
+};
+
+// Words for the symbols read out in URLs and email addresses
+const SPOKEN_SYMBOLS: Record<string, Record<string, string>> = {
+  en: { ".": "dot", "/": "slash", "-": "dash", _: "underscore", "@": "at" },
+  de: { ".": "Punkt", "/": "Schrägstrich", "-": "Bindestrich", _: "Unterstrich", "@": "at" },
+  fr: { ".": "point", "/": "barre oblique", "-": "tiret", _: "tiret bas", "@": "arobase" },
+  es: { ".": "punto", "/": "barra", "-": "guion", _: "guion bajo", "@": "arroba" },
+};
+
+export const NORMALIZATION_RULES: NormalizationRule[] = [
+  {
+    id: "whitespace",
+    label: "Collapse whitespace",
+    description: "Runs of spaces and blank lines become a single space or paragraph break",
+    defaultEnabled: true,
+  },
+  {
+    id: "emoji",
+    label: "Collapse emoji",
+    description: "A run of emoji is read once instead of emoji by emoji",
+    defaultEnabled: true,
+  },
+  {
+    id: "emails",
+    label: "Email addresses",
+    description: "jane.doe@example.com is read as “jane dot doe at example dot com”",
+    defaultEnabled: true,
+    languages: Object.keys(SPOKEN_SYMBOLS),
+  },
+  {
+    id: "urls",
+    label: "URLs",
+    description: "https://example.com/docs is read as “example dot com slash docs”",
+    defaultEnabled: true,
+    languages: Object.keys(SPOKEN_SYMBOLS),
+  },
+  {
+    id: "phones",
+    label: "Phone numbers",
+    description: "International (+44 20 7946 0958) and North American numbers are read digit by digit",
+    defaultEnabled: true,
+  },
+  {
+    id: "dates",
+    label: "Dates",
+    description: "2024-03-05 and numeric dates in the locale's order are read as dates",
+    defaultEnabled: true,
+  },
+  {
+    id: "currency",
+    label: "Currency",
+    description: "$12.50 is read as “12 dollars and 50 cents”",
+    defaultEnabled: true,
+    languages: ["en"],
+  },
+  {
+    id: "units",
+    label: "Units",
+    description: "5km and 20 °C are read as “5 kilometers” and “20 degrees Celsius”",
+    defaultEnabled: true,
+    languages: ["en"],
+  },
+  {
+    id: "acronyms",
+    label: "Spell out acronyms",
+    description: "Listed acronyms are read letter by letter",
+    defaultEnabled: false,
+  },
+];
+
+const RULES_BY_ID = new Map(NORMALIZATION_RULES.map((rule) => [rule.id, rule]));
+
+// Locales that write numeric dates month first, and those that write them year first
+const MONTH_FIRST_LOCALES = ["en-US", "en-PH", "es-US"];
+const YEAR_FIRST_LANGUAGES = ["zh", "ja", "ko", "hu", "lt"];
+// Locales that use North American (country code 1) phone numbers
+const NANP_LOCALES = ["en-US", "en-CA", "es-US", "fr-CA"];
+
+const ACRONYM_PATTERN = /^[A-Za-z0-9]+$/;
+
+function languageOf(locale: string): string {
+  return locale.split("-")[0].toLowerCase();
+}
+
+/**
+ * Whether a rule can be used for the given locale
+ */
+export function isRuleAvailable(rule: NormalizationRule, locale: string): boolean {
+  return !rule.languages || rule.languages.includes(languageOf(locale));
+}
+
+/**
+ * The rules offered for a locale
+ */
+export function listNormalizationRules(locale: string): NormalizationRule[] {
+  return NORMALIZATION_RULES.filter((rule) => isRuleAvailable(rule, locale));
+}
+
+/**
+ * Default options for a locale: every available rule at its default, no acronyms
+ */
+export function defaultNormalizationOptions(locale: string): Required<NormalizationOptions> {
+  const rules: Partial<Record<NormalizationRuleId, boolean>> = {};
+  for (const rule of listNormalizationRules(locale)) {
+    rules[rule.id] = rule.defaultEnabled;
+  }
+  return { rules, acronyms: [] };
+}
+
+/**
+ * Validates normalization options for a locale and returns a list of problems
+ */
+export function validateNormalizationOptions(options: NormalizationOptions, locale: string): string[] {
+  const errors: string[] = [];
+
+  for (const [id, enabled] of Object.entries(options.rules || {})) {
+    const rule = RULES_BY_ID.get(id as NormalizationRuleId);
+    if (!rule) {
+      errors.push(`Unknown normalization rule "${id}"`);
+    } else if (typeof enabled !== "boolean") {
+      errors.push(`Normalization rule "${id}" must be true or false`);
+    } else if (enabled && !isRuleAvailable(rule, locale)) {
+      errors.push(`Normalization rule "${id}" is not available for ${locale}`);
+    }
+  }
+
+  if (options.acronyms !== undefined) {
+    if (!Array.isArray(options.acronyms)) {
+      errors.push("Acronyms must be a list");
+    } else {
+      if (options.acronyms.length > NORMALIZATION_LIMITS.acronyms) {
+        errors.push(`At most ${NORMALIZATION_LIMITS.acronyms} acronyms are allowed`);
+      }
+      for (const acronym of options.acronyms) {
+        if (
+          typeof acronym !== "string" ||
+          acronym.length > NORMALIZATION_LIMITS.acronymChars ||
+          !ACRONYM_PATTERN.test(acronym)
+        ) {
+          errors.push(
+            `Invalid acronym "${acronym}": use letters and digits only (max ${NORMALIZATION_LIMITS.acronymChars})`
+          );
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+function isEnabled(id: NormalizationRuleId, options: NormalizationOptions, locale: string): boolean {
+  const rule = RULES_BY_ID.get(id)!;
+  if (!isRuleAvailable(rule, locale)) return false;
+  return options.rules?.[id] ?? rule.defaultEnabled;
+}
+
+function sub(alias: string, text: string): string {
+  return `<sub alias="${escapeXml(alias)}">${escapeXml(text)}</sub>`;
+}
+
+function sayAs(interpretAs: string, text: string, format?: string): string {
+  const formatAttribute = format ? ` format="${format}"` : "";
+  return `<say-as interpret-as="${interpretAs}"${formatAttribute}>${escapeXml(text)}</say-as>`;
+}
+
+const NON_WORD = new RegExp("[^\\p{L}\\p{N}]+", "gu");
+
+function spellSymbols(value: string, language: string): string {
+  const words = SPOKEN_SYMBOLS[language];
+  return value
+    .split(/([./@_-])/)
+    .map((part) => words[part] || part.replace(NON_WORD, " "))
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Rewrites one match as SSML, or returns null to leave it as text
+ */
+type Rewrite = (match: RegExpExecArray, locale: string) => string | null;
+
+const EMAIL = new RegExp("[\\p{L}\\p{N}._%+-]+@[\\p{L}\\p{N}-]+(?:\\.[\\p{L}\\p{N}-]+)*\\.\\p{L}{2,}", "gu");
+const URL_PATTERN = new RegExp("\\b(?:https?://|www\\.)[^\\s<>\"]*[^\\s<>\".,;:!?)\\]'”’]", "giu");
+const NANP_PHONE = new RegExp("(?<![\\p{N}+])(?:\\+?1[-.\\s]?)?(?:\\(\\d{3}\\)\\s?|\\d{3}[-.\\s])\\d{3}[-.\\s]\\d{4}(?!\\p{N})", "gu");
+const INTERNATIONAL_PHONE = new RegExp("(?<![\\p{N}+])\\+\\d{1,3}(?:[-.\\s]?\\(?\\d{1,4}\\)?){2,5}(?!\\p{N})", "gu");
+const ISO_DATE = new RegExp("(?<![\\p{N}-])(\\d{4})(-)(\\d{2})\\2(\\d{2})(?![\\p{N}-])", "gu");
+// Not directly after a letter, so version strings such as "v1.2.10" are left alone
+const NUMERIC_DATE = new RegExp("(?<![\\p{L}\\p{N}/.])(\\d{1,4})([/.])(\\d{1,2})\\2(\\d{1,4})(?![\\p{N}/]|\\.\\d)", "gu");
+const CURRENCY = new RegExp(
+  "([$€£¥])\\s?(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d{1,2}))?(?:\\s?(thousand|million|billion|trillion)\\b)?(?![\\p{N},.]\\d)",
+  "gu"
+);
+
+const CURRENCY_NAMES: Record<string, { one: string; many: string; minorOne?: string; minorMany?: string }> = {
+  $: { one: "dollar", many: "dollars", minorOne: "cent", minorMany: "cents" },
+  "€": { one: "euro", many: "euros", minorOne: "cent", minorMany: "cents" },
+  "£": { one: "pound", many: "pounds", minorOne: "penny", minorMany: "pence" },
+  "¥": { one: "yen", many: "yen" },
+};
+
+// Unit symbols and their spoken names. Symbols that are also common words or
+// letters are only expanded when written directly after the number.
+const UNITS: { symbol: string; one: string; many: string; attachedOnly?: boolean }[] = [
+  { symbol: "km/h", one: "kilometer per hour", many: "kilometers per hour" },
+  { symbol: "mph", one: "mile per hour", many: "miles per hour" },
+  { symbol: "km", one: "kilometer", many: "kilometers" },
+  { symbol: "cm", one: "centimeter", many: "centimeters" },
+  { symbol: "mm", one: "millimeter", many: "millimeters" },
+  { symbol: "m", one: "meter", many: "meters", attachedOnly: true },
+  { symbol: "mi", one: "mile", many: "miles", attachedOnly: true },
+  { symbol: "ft", one: "foot", many: "feet" },
+  { symbol: "kg", one: "kilogram", many: "kilograms" },
+  { symbol: "mg", one: "milligram", many: "milligrams" },
+  { symbol: "g", one: "gram", many: "grams", attachedOnly: true },
+  { symbol: "lbs", one: "pound", many: "pounds" },
+  { symbol: "lb", one: "pound", many: "pounds" },
+  { symbol: "oz", one: "ounce", many: "ounces" },
+  { symbol: "ml", one: "milliliter", many: "milliliters" },
+  { symbol: "L", one: "liter", many: "liters", attachedOnly: true },
+  { symbol: "°C", one: "degree Celsius", many: "degrees Celsius" },
+  { symbol: "°F", one: "degree Fahrenheit", many: "degrees Fahrenheit" },
+  { symbol: "kWh", one: "kilowatt hour", many: "kilowatt hours" },
+  { symbol: "kW", one: "kilowatt", many: "kilowatts" },
+  { symbol: "TB", one: "terabyte", many: "terabytes" },
+  { symbol: "GB", one: "gigabyte", many: "gigabytes" },
+  { symbol: "MB", one: "megabyte", many: "megabytes" },
+  { symbol: "KB", one: "kilobyte", many: "kilobytes" },
+  { symbol: "GHz", one: "gigahertz", many: "gigahertz" },
+  { symbol: "MHz", one: "megahertz", many: "megahertz" },
+  { symbol: "kHz", one: "kilohertz", many: "kilohertz" },
+  { symbol: "Hz", one: "hertz", many: "hertz" },
+  { symbol: "ms", one: "millisecond", many: "milliseconds" },
+  { symbol: "hrs", one: "hour", many: "hours" },
+  { symbol: "min", one: "minute", many: "minutes", attachedOnly: true },
+];
+const UNITS_BY_SYMBOL = new Map(UNITS.map((unit) => [unit.symbol, unit]));
+const UNIT = new RegExp(
+  `(?<![\\p{L}\\p{N}.,])(\\d+(?:\\.\\d+)?)(\\s?)(${UNITS.map((u) => u.symbol.replace("/", "\\/")).join("|")})(?![\\p{L}\\p{N}])`,
+  "gu"
+);
+
+const EMOJI = "\\p{Extended_Pictographic}(?:\\uFE0F|\\u200D\\p{Extended_Pictographic}|[\\u{1F3FB}-\\u{1F3FF}])*";
+const EMOJI_RUN = new RegExp(`(${EMOJI})(?:\\s*${EMOJI})+`, "gu");
+
+function isValidDate(year: number, month: number, day: number): boolean {
+  return month >= 1 && month <= 12 && day >= 1 && day <= 31 && year > 0;
+}
+
+const rewriteDate: Rewrite = (match, locale) => {
+  const [text, first, separator, second, third] = match;
+  // Dotted numbers are only dates with a four-digit year; "1.2.10" is a version
+  if (separator === "." && first.length !== 4 && third.length !== 4) return null;
+  if (first.length === 4) {
+    return isValidDate(+first, +second, +third) && third.length <= 2 ? sayAs("date", text, "ymd") : null;
+  }
+  if (third.length !== 4 && third.length !== 2) return null;
+  if (YEAR_FIRST_LANGUAGES.includes(languageOf(locale))) return null;
+  const monthFirst = MONTH_FIRST_LOCALES.includes(locale);
+  const [month, day] = monthFirst ? [+first, +second] : [+second, +first];
+  return isValidDate(+third, month, day) ? sayAs("date", text, monthFirst ? "mdy" : "dmy") : null;
+};
+
+const rewriteCurrency: Rewrite = (match) => {
+  const [text, symbol, whole, fraction, scale] = match;
+  const names = CURRENCY_NAMES[symbol];
+  if (scale) {
+    return sub(`${whole}${fraction ? `.${fraction}` : ""} ${scale} ${names.many}`, text);
+  }
+  const amount = Number(whole.replace(/,/g, ""));
+  let alias = `${whole} ${amount === 1 ? names.one : names.many}`;
+  const minor = fraction ? Number(fraction.padEnd(2, "0")) : 0;
+  if (minor && names.minorMany) {
+    alias += ` and ${minor} ${minor === 1 ? names.minorOne : names.minorMany}`;
+  }
+  return sub(alias, text);
+};
+
+const rewriteUnit: Rewrite = (match) => {
+  const [text, number, space, symbol] = match;
+  const unit = UNITS_BY_SYMBOL.get(symbol)!;
+  if (space && unit.attachedOnly) return null;
+  return sub(`${number} ${Number(number) === 1 ? unit.one : unit.many}`, text);
+};
+
+/**
+ * Splits the plain-text segments on a pattern, replacing matches that the
+ * rewrite accepts with tagged segments
+ */
+function applyPattern(
+  segments: NormalizedSegment[],
+  pattern: RegExp,
+  rule: NormalizationRuleId,
+  rewrite: Rewrite,
+  locale: string
+): NormalizedSegment[] {
+  const output: NormalizedSegment[] = [];
+  for (const segment of segments) {
+    if (segment.ssml !== undefined) {
+      output.push(segment);
+      continue;
+    }
+    const matcher = new RegExp(pattern.source, pattern.flags);
+    let last = 0;
+    let match: RegExpExecArray | null;
+    while ((match = matcher.exec(segment.text))) {
+      const ssml = rewrite(match, locale);
+      if (ssml === null) continue;
+      if (match.index > last) output.push({ text: segment.text.slice(last, match.index) });
+      output.push({ text: match[0], ssml, rule });
+      last = match.index + match[0].length;
+    }
+    if (last < segment.text.length) output.push({ text: segment.text.slice(last) });
+  }
+  return output;
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Applies the enabled rules to text and returns it as segments. Rules run
+ * in a fixed order (emails before URLs, currency before units) and never
+ * rewrite text an earlier rule already tagged.
+ */
+export function normalizeText(text: string, options: NormalizationOptions, locale: string): NormalizedSegment[] {
+  const enabled = (id: NormalizationRuleId) => isEnabled(id, options, locale);
+  const language = languageOf(locale);
+  let value = text;
+
+  if (enabled("whitespace")) {
+    value = value
+      .replace(/[\u200B\u2060\uFEFF]/g, "")
+      .replace(/[^\S\n]+/g, " ")
+      .replace(/ ?\n ?/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+  if (enabled("emoji")) {
+    value = value.replace(EMOJI_RUN, "$1");
+  }
+
+  let segments: NormalizedSegment[] = [{ text: value }];
+  if (enabled("emails")) {
+    segments = applyPattern(segments, EMAIL, "emails", (m) => sub(spellSymbols(m[0], language), m[0]), locale);
+  }
+  if (enabled("urls")) {
+    segments = applyPattern(
+      segments,
+      URL_PATTERN,
+      "urls",
+      (m) => sub(spellSymbols(m[0].replace(/^https?:\/\//i, "").replace(/\/$/, ""), language), m[0]),
+      locale
+    );
+  }
+  if (enabled("phones")) {
+    if (NANP_LOCALES.includes(locale)) {
+      segments = applyPattern(segments, NANP_PHONE, "phones", (m) => sayAs("telephone", m[0], "1"), locale);
+    }
+    segments = applyPattern(segments, INTERNATIONAL_PHONE, "phones", (m) => sayAs("telephone", m[0]), locale);
+  }
+  if (enabled("dates")) {
+    segments = applyPattern(segments, ISO_DATE, "dates", rewriteDate, locale);
+    segments = applyPattern(segments, NUMERIC_DATE, "dates", rewriteDate, locale);
+  }
+  if (enabled("currency")) {
+    segments = applyPattern(segments, CURRENCY, "currency", rewriteCurrency, locale);
+  }
+  if (enabled("units")) {
+    segments = applyPattern(segments, UNIT, "units", rewriteUnit, locale);
+  }
+  const acronyms = options.acronyms?.filter((a) => ACRONYM_PATTERN.test(a)) || [];
+  if (enabled("acronyms") && acronyms.length) {
+    const pattern = new RegExp(
+      `(?<![\\p{L}\\p{N}])(?:${acronyms.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}])`,
+      "gu"
+    );
+    segments = applyPattern(segments, pattern, "acronyms", (m) => sayAs("characters", m[0]), locale);
+  }
+  return segments;
+}
+
+/**
+ * Renders segments as SSML content, applying lexicon entries to the plain
+ * text between tagged matches
+ */
+export function renderNormalizedSsml(segments: NormalizedSegment[], lexicon?: LexiconEntryInput[]): string {
+  return segments
+    .map((segment) => {
+      if (segment.ssml !== undefined) return segment.ssml;
+      return lexicon?.length ? applyLexicon(segment.text, lexicon) : escapeXml(segment.text);
+    })
+    .join("");
+}
@@ -0,0 +1,180 @@
+/**
+ * Transcript Export
+ *
+ * The segment schema shared by the transcription API and the recognition
+ * page, and its serialization as SRT, WebVTT, timestamped text and JSON.
+ * Diarized segments carry a speaker id; names given to speakers are written
+ * into every format. Segments from detailed recognition output also carry
+ * word timings and the N-best alternatives. Client safe.
+ */
+
+import { formatSrt, formatTimestamp, formatWebVtt, wrapCaptionText, type CaptionCue } from "./captions";
+
+export interface TranscriptionWord {
+  word: string;
+  offsetMs: number;
+  durationMs: number;
+  confidence: number | null;
+}
+
+export interface TranscriptionAlternative {
+  text: string;
+  confidence: number | null;
+}
+
+export interface TranscriptionSegment {
+  index: number;
+  text: string;
+  offsetMs: number;
+  durationMs: number;
+  confidence: number | null;
+  // Set by conversation transcription, e.g. "Guest-1"
+  speakerId?: string;
+  // Display name for the speaker, set on export
+  speaker?: string;
+  // Detected locale when the language was identified automatically
+  language?: string;
+  // Present when word-level timestamps were requested
+  words?: TranscriptionWord[];
+  // N-best list, best first; the first entry matches `text`
+  alternatives?: TranscriptionAlternative[];
+}
+
+export interface DetailedRecognition {
+  confidence: number | null;
+  words: TranscriptionWord[];
+  alternatives: TranscriptionAlternative[];
+}
+
+export interface TranscriptionResult {
+  language: string;
+  durationMs: number;
+  text: string;
+  segments: TranscriptionSegment[];
+}
+
+export type TranscriptFormat = "srt" | "vtt" | "txt" | "json";
+
+export const TRANSCRIPT_FORMATS: Record<TranscriptFormat, { label: string; extension: string; mimeType: string }> = {
+  srt: { label: "SRT", extension: "srt", mimeType: "application/x-subrip" },
+  vtt: { label: "WebVTT", extension: "vtt", mimeType: "text/vtt" },
+  txt: { label: "Text", extension: "txt", mimeType: "text/plain" },
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+};
+
+// Line length used when segments are turned into caption cues
+const CUE_LINE_CHARS = 42;
+
+const TICKS_PER_MS = 10000;
+
+const toConfidence = (value: unknown) => (typeof value === "number" ? value : null);
+
+/**
+ * Parses a detailed recognition result's JSON: the top N-best entry's
+ * confidence and words, and every entry as an alternative. Word offsets are
+ * on the same timeline as the result's offset.
+ */
+export function parseDetailedResult(json: string | undefined): DetailedRecognition {
+  let nBest: Record<string, unknown>[] = [];
+  try {
+    const parsed = JSON.parse(json || "").NBest;
+    if (Array.isArray(parsed)) nBest = parsed;
+  } catch {
+    // Simple output has no N-best list
+  }
+  const words = Array.isArray(nBest[0]?.Words) ? (nBest[0].Words as Record<string, unknown>[]) : [];
+  return {
+    confidence: toConfidence(nBest[0]?.Confidence),
+    words: words.map((w) => ({
+      word: String(w.Word ?? ""),
+      offsetMs: Math.round(Number(w.Offset) / TICKS_PER_MS) || 0,
+      durationMs: Math.round(Number(w.Duration) / TICKS_PER_MS) || 0,
+      confidence: toConfidence(w.Confidence),
+    })),
+    alternatives: nBest.map((entry) => ({
+      text: String(entry.Display ?? entry.Lexical ?? ""),
+      confidence: toConfidence(entry.Confidence),
+    })),
+  };
+}
+
+/**
+ * Drops empty segments, orders the rest by start time and renumbers them
+ */
+export function normalizeSegments(segments: TranscriptionSegment[]): TranscriptionSegment[] {
+  return segments
+    .map((segment) => ({ ...segment, text: segment.text.trim() }))
+    .filter((segment) => segment.text)
+    .sort((a, b) => a.offsetMs - b.offsetMs)
+    .map((segment, index) => ({ ...segment, index }));
+}
+
+/**
+ * Builds the result object returned by the transcription API. The duration
+ * defaults to the end of the last segment; `language` may be "auto".
+ */
+export function buildTranscriptionResult(
+  language: string,
+  segments: TranscriptionSegment[],
+  durationMs?: number,
+  speakerNames: Record<string, string> = {}
+): TranscriptionResult {
+  const ordered = normalizeSegments(segments).map((segment) =>
+    segment.speakerId
+      ? { ...segment, speaker: speakerNames[segment.speakerId]?.trim() || segment.speakerId }
+      : segment
+  );
+  const lastEnd = ordered.reduce((end, s) => Math.max(end, s.offsetMs + s.durationMs), 0);
+  return {
+    // A detected transcript reports the language it started in
+    language: language === "auto" ? ordered.find((s) => s.language)?.language || language : language,
+    durationMs: Math.max(durationMs ?? 0, lastEnd),
+    text: ordered.map((s) => s.text).join(" "),
+    segments: ordered,
+  };
+}
+
+/**
+ * Lists speaker ids in order of first appearance
+ */
+export function listSpeakers(segments: TranscriptionSegment[]): string[] {
+  const speakers: string[] = [];
+  for (const { speakerId } of segments) {
+    if (speakerId && !speakers.includes(speakerId)) speakers.push(speakerId);
+  }
+  return speakers;
+}
+
+function labelled(segment: TranscriptionSegment): string {
+  const speaker = segment.speaker || segment.speakerId;
+  return speaker ? `${speaker}: ${segment.text}` : segment.text;
+}
+
+function toCues(segments: TranscriptionSegment[]): CaptionCue[] {
+  return normalizeSegments(segments).map((segment) => ({
+    startMs: segment.offsetMs,
+    endMs: segment.offsetMs + segment.durationMs,
+    lines: wrapCaptionText(labelled(segment), CUE_LINE_CHARS),
+  }));
+}
+
+/**
+ * Serializes a transcript in one of the export formats
+ */
+export function formatTranscript(result: TranscriptionResult, format: TranscriptFormat): string {
+  switch (format) {
+    case "srt":
+      return formatSrt(toCues(result.segments));
+    case "vtt":
+      return formatWebVtt(toCues(result.segments));
+    case "txt":
+      return normalizeSegments(result.segments)
+        .map(
+          (s) =>
+            `[${formatTimestamp(s.offsetMs, ".")} --> ${formatTimestamp(s.offsetMs + s.durationMs, ".")}] ${labelled(s)}\n`
+        )
+        .join("");
+    case "json":
+      return `${JSON.stringify(result, null, 2)}\n`;
+  }
+}
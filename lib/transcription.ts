@@ -0,0 +1,364 @@
+/**
+ * File Transcription
+ *
+ * Server-side recognition of decoded 16 kHz PCM through the Speech SDK:
+ * audio is written to a push stream and recognized continuously, and every
+ * recognized phrase becomes a segment with its offset, duration and
+ * confidence. With `diarize`, a conversation transcriber is used instead and
+ * each segment is labelled with the speaker id. With candidate languages,
+ * the language is identified automatically and noted on each segment.
+ * Recordings longer than a threshold run as background jobs
+ * held in memory, so their results are lost on restart and expire after a
+ * while; only TRANSCRIBE_MAX_ACTIVE_JOBS of them may be queued or running.
+ */
+
+import { randomBytes } from "crypto";
+import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
+import { RECOGNITION_BYTES_PER_SECOND, RECOGNITION_SAMPLE_RATE } from "./audio-decoding";
+import { HttpError } from "./http-error";
+import {
+  createAutoDetectConfig,
+  detectedLanguage,
+  validateLanguageDetection,
+  type LanguageDetectionMode,
+} from "./language-detection";
+import { getSpeechCredentials } from "./synthesis";
+import { parseDetailedResult, type TranscriptionResult, type TranscriptionSegment } from "./transcript-export";
+
+export type { TranscriptionResult, TranscriptionSegment };
+
+export interface TranscriptionOptions {
+  // "auto" when the language is detected among `candidates`
+  language: string;
+  // Words and names the recognizer should favour
+  phrases?: string[];
+  // Label segments with speaker ids
+  diarize?: boolean;
+  candidates?: string[];
+  languageDetection?: LanguageDetectionMode;
+  // Include word timings and N-best alternatives in each segment
+  details?: boolean;
+}
+
+export type TranscriptionJobStatus = "queued" | "running" | "succeeded" | "failed";
+
+export interface TranscriptionJob {
+  id: string;
+  owner: string;
+  status: TranscriptionJobStatus;
+  language: string;
+  durationMs: number;
+  processedMs: number;
+  createdAt: number;
+  finishedAt: number | null;
+  result: TranscriptionResult | null;
+  error: string | null;
+}
+
+export const TRANSCRIPTION_LIMITS = {
+  uploadBytes: 100 * 1024 * 1024,
+  phrases: 500,
+  // Longer recordings are transcribed as background jobs
+  syncSeconds: 60,
+  jobTtlSeconds: 60 * 60,
+  // Background jobs queued or running at once; each holds its decoded audio
+  activeJobs: 4,
+  // Recognition is given twice the audio's length plus this margin
+  timeoutMarginSeconds: 60,
+};
+
+const TICKS_PER_MS = 10000;
+// Audio is pushed in slices so the recognizer can start before it has it all
+const PUSH_CHUNK_BYTES = RECOGNITION_BYTES_PER_SECOND;
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Kept on globalThis so the upload and status routes see the same jobs
+const globalForJobs = globalThis as unknown as {
+  transcriptionJobs: Map<string, TranscriptionJob> | undefined;
+};
+const _jobs = (globalForJobs.transcriptionJobs ??= new Map<string, TranscriptionJob>());
+
+/**
+ * Error raised for transcription requests, carrying the HTTP status to reply with
+ */
+export class TranscriptionError extends HttpError {
+  constructor(message: string, status = 400, details?: unknown) {
+    super(message, status, details);
+    this.name = "TranscriptionError";
+  }
+}
+
+function readPositiveNumber(name: string, fallback: number): number {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Recordings longer than this many milliseconds are transcribed asynchronously
+ */
+export function syncThresholdMs(): number {
+  return readPositiveNumber("TRANSCRIBE_SYNC_MAX_SECONDS", TRANSCRIPTION_LIMITS.syncSeconds) * 1000;
+}
+
+function splitList(value: unknown, separator: string): string[] {
+  return String(value ?? "")
+    .split(separator)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Checks the form fields of a transcription request. `phrases` is
+ * ";"-separated and `candidates` (used when `language` is "auto") is
+ * ","-separated.
+ */
+export function parseTranscriptionOptions(fields: {
+  language?: unknown;
+  phrases?: unknown;
+  diarize?: unknown;
+  details?: unknown;
+  candidates?: unknown;
+  languageDetection?: unknown;
+}): TranscriptionOptions {
+  const { language = "en-US" } = fields;
+  const errors: string[] = [];
+  const options: TranscriptionOptions = {
+    language: String(language),
+    phrases: splitList(fields.phrases, ";"),
+    diarize: fields.diarize === true || fields.diarize === "true",
+    details: fields.details === true || fields.details === "true",
+  };
+
+  if (language === "auto") {
+    options.candidates = splitList(fields.candidates, ",");
+    options.languageDetection = (fields.languageDetection || "AtStart") as LanguageDetectionMode;
+    errors.push(...validateLanguageDetection(options.candidates, options.languageDetection));
+  } else if (typeof language !== "string" || !LOCALE_PATTERN.test(language)) {
+    errors.push(`Invalid language "${language}": use a locale such as en-US or "auto"`);
+  }
+  if (options.phrases!.length > TRANSCRIPTION_LIMITS.phrases) {
+    errors.push(`At most ${TRANSCRIPTION_LIMITS.phrases} phrases are allowed`);
+  }
+  if (errors.length) {
+    throw new TranscriptionError(errors.join("; "), 400, errors);
+  }
+  return options;
+}
+
+/**
+ * Recognizes 16 kHz 16-bit mono PCM with continuous recognition, or
+ * continuous conversation transcription when diarizing.
+ * `onProgress` receives how many milliseconds of audio have been recognized.
+ * A session that hasn't ended after TRANSCRIBE_TIMEOUT_SECONDS (by default
+ * twice the audio's length plus a minute) is stopped and fails with 504.
+ */
+export function transcribePcm(
+  pcm: Buffer,
+  { language, phrases = [], diarize = false, candidates = [], languageDetection = "AtStart", details = false }: TranscriptionOptions,
+  onProgress?: (processedMs: number) => void
+): Promise<TranscriptionResult> {
+  const credentials = getSpeechCredentials();
+  if (!credentials) {
+    return Promise.reject(new TranscriptionError("Azure Speech Service credentials not configured", 500));
+  }
+
+  const speechConfig = SpeechSDK.SpeechConfig.fromSubscription(credentials.subscriptionKey, credentials.region);
+  const autoDetect = candidates.length ? createAutoDetectConfig(candidates, languageDetection) : null;
+  if (!autoDetect) speechConfig.speechRecognitionLanguage = language;
+  speechConfig.outputFormat = SpeechSDK.OutputFormat.Detailed;
+  if (details) speechConfig.requestWordLevelTimestamps();
+
+  const stream = SpeechSDK.AudioInputStream.createPushStream(
+    SpeechSDK.AudioStreamFormat.getWaveFormatPCM(RECOGNITION_SAMPLE_RATE, 16, 1)
+  );
+  const audioConfig = SpeechSDK.AudioConfig.fromStreamInput(stream);
+  let recognizer: SpeechSDK.ConversationTranscriber | SpeechSDK.SpeechRecognizer;
+  if (diarize) {
+    recognizer = autoDetect
+      ? SpeechSDK.ConversationTranscriber.FromConfig(speechConfig, autoDetect, audioConfig)
+      : new SpeechSDK.ConversationTranscriber(speechConfig, audioConfig);
+  } else {
+    recognizer = autoDetect
+      ? SpeechSDK.SpeechRecognizer.FromConfig(speechConfig, autoDetect, audioConfig)
+      : new SpeechSDK.SpeechRecognizer(speechConfig, audioConfig);
+  }
+  if (phrases.length) {
+    const grammar = SpeechSDK.PhraseListGrammar.fromRecognizer(recognizer);
+    phrases.forEach((phrase) => grammar.addPhrase(phrase));
+  }
+  const segments: TranscriptionSegment[] = [];
+  const durationMs = Math.round((pcm.length / RECOGNITION_BYTES_PER_SECOND) * 1000);
+  // Only this reference is kept by the callbacks, and it is dropped once the
+  // audio is pushed so a long recording isn't held for the whole session
+  let audio: Buffer | null = pcm;
+  const timeoutMs =
+    readPositiveNumber("TRANSCRIBE_TIMEOUT_SECONDS", 0) * 1000 ||
+    durationMs * 2 + TRANSCRIPTION_LIMITS.timeoutMarginSeconds * 1000;
+
+  return new Promise((resolve, reject) => {
+    let failure: Error | null = null;
+    let settled = false;
+
+    // End of stream fires both `canceled` and `sessionStopped`
+    const finish = () => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      stop(
+        () => recognizer.close(),
+        () => recognizer.close()
+      );
+      if (failure) {
+        reject(failure);
+        return;
+      }
+      onProgress?.(durationMs);
+      resolve({
+        // With detection, report the language the audio started in
+        language: segments.find((s) => s.language)?.language || language,
+        durationMs,
+        text: segments.map((s) => s.text).join(" "),
+        segments,
+      });
+    };
+
+    const onResult = (result: SpeechSDK.RecognitionResult, speakerId?: string) => {
+      if (result.reason !== SpeechSDK.ResultReason.RecognizedSpeech || !result.text) return;
+      const offsetMs = Math.round(result.offset / TICKS_PER_MS);
+      const segmentDurationMs = Math.round(result.duration / TICKS_PER_MS);
+      const detailed = parseDetailedResult(result.json);
+      segments.push({
+        index: segments.length,
+        text: result.text,
+        offsetMs,
+        durationMs: segmentDurationMs,
+        confidence: detailed.confidence,
+        ...(diarize && { speakerId: speakerId || "Unknown" }),
+        ...(autoDetect && { language: detectedLanguage(result) }),
+        ...(details && { words: detailed.words, alternatives: detailed.alternatives }),
+      });
+      onProgress?.(Math.min(durationMs, offsetMs + segmentDurationMs));
+    };
+
+    const onCanceled = (reason: SpeechSDK.CancellationReason, errorDetails: string) => {
+      if (reason === SpeechSDK.CancellationReason.Error) {
+        failure = new TranscriptionError(`Recognition failed: ${errorDetails}`, 502);
+      }
+      finish();
+    };
+
+    // The two recognizers share events but name their result event and
+    // start/stop methods differently
+    let start: (cb: () => void, err: (error: string) => void) => void;
+    let stop: (cb: () => void, err: (error: string) => void) => void;
+    if (recognizer instanceof SpeechSDK.ConversationTranscriber) {
+      recognizer.transcribed = (_sender, e) => onResult(e.result, e.result.speakerId);
+      recognizer.canceled = (_sender, e) => onCanceled(e.reason, e.errorDetails);
+      start = (cb, err) => recognizer.startTranscribingAsync(cb, err);
+      stop = (cb, err) => recognizer.stopTranscribingAsync(cb, err);
+    } else {
+      recognizer.recognized = (_sender, e) => onResult(e.result);
+      recognizer.canceled = (_sender, e) => onCanceled(e.reason, e.errorDetails);
+      start = (cb, err) => recognizer.startContinuousRecognitionAsync(cb, err);
+      stop = (cb, err) => recognizer.stopContinuousRecognitionAsync(cb, err);
+    }
+
+    recognizer.sessionStopped = () => finish();
+
+    const timer = setTimeout(() => {
+      failure = new TranscriptionError("Recognition took too long", 504);
+      finish();
+    }, timeoutMs);
+
+    start(
+      () => {
+        const input = audio!;
+        audio = null;
+        for (let offset = 0; offset < input.length; offset += PUSH_CHUNK_BYTES) {
+          const chunk = input.subarray(offset, offset + PUSH_CHUNK_BYTES);
+          stream.write(chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.length) as ArrayBuffer);
+        }
+        // Closing the stream ends the session once the audio is recognized
+        stream.close();
+      },
+      (error) => {
+        settled = true;
+        audio = null;
+        clearTimeout(timer);
+        recognizer.close();
+        reject(new TranscriptionError(`Recognition failed: ${error}`, 502));
+      }
+    );
+  });
+}
+
+function sweepJobs() {
+  const cutoff = Date.now() - readPositiveNumber("TRANSCRIBE_JOB_TTL_SECONDS", TRANSCRIPTION_LIMITS.jobTtlSeconds) * 1000;
+  for (const [id, job] of Array.from(_jobs.entries())) {
+    if (job.finishedAt !== null && job.finishedAt < cutoff) _jobs.delete(id);
+  }
+}
+
+/**
+ * Starts transcribing in the background and returns the job to poll. Fails
+ * with 429 while TRANSCRIBE_MAX_ACTIVE_JOBS jobs are queued or running.
+ */
+export function startTranscriptionJob(owner: string, pcm: Buffer, options: TranscriptionOptions): TranscriptionJob {
+  sweepJobs();
+  const active = Array.from(_jobs.values()).filter((j) => j.status === "queued" || j.status === "running").length;
+  if (active >= readPositiveNumber("TRANSCRIBE_MAX_ACTIVE_JOBS", TRANSCRIPTION_LIMITS.activeJobs)) {
+    throw new TranscriptionError("Too many transcriptions are running; try again in a few minutes", 429);
+  }
+
+  const job: TranscriptionJob = {
+    id: randomBytes(16).toString("hex"),
+    owner,
+    status: "queued",
+    language: options.language,
+    durationMs: Math.round((pcm.length / RECOGNITION_BYTES_PER_SECOND) * 1000),
+    processedMs: 0,
+    createdAt: Date.now(),
+    finishedAt: null,
+    result: null,
+    error: null,
+  };
+  _jobs.set(job.id, job);
+
+  // Handed over through a variable the job lets go of, not the parameter,
+  // so the audio can be freed while the job is still tracked
+  let audio: Buffer | null = pcm;
+  setImmediate(() => {
+    job.status = "running";
+    const input = audio!;
+    audio = null;
+    transcribePcm(input, options, (processedMs) => {
+      job.processedMs = processedMs;
+    })
+      .then((result) => {
+        job.status = "succeeded";
+        job.result = result;
+      })
+      .catch((error) => {
+        console.error("Transcription job failed:", error);
+        job.status = "failed";
+        job.error = error instanceof TranscriptionError ? error.message : "Transcription failed";
+      })
+      .finally(() => {
+        job.finishedAt = Date.now();
+      });
+  });
+  return job;
+}
+
+/**
+ * Looks up a job for its owner; anyone else is told it doesn't exist
+ */
+export function getTranscriptionJob(owner: string, id: string): TranscriptionJob {
+  sweepJobs();
+  const job = ID_PATTERN.test(id) ? _jobs.get(id) : undefined;
+  if (!job || job.owner !== owner) {
+    throw new TranscriptionError("Transcription job not found", 404);
+  }
+  return job;
+}
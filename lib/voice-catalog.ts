@@ -0,0 +1,165 @@
+/**
+ * Voice Catalog Service
+ *
+ * Fetches the regional voices list from Azure Speech Service, keeps it in a
+ * server-side cache with a TTL, and falls back to a bundled fixture when the
+ * service is unreachable or credentials are not configured.
+ */
+
+import fetch from "node-fetch";
+import fixtureVoices from "./fixtures/voices.json";
+import { findVoice, normalizeVoices, type RawVoice, type Voice } from "./voices";
+import { validateVoiceSettings, type VoiceSettings } from "./voice-settings";
+import { validateSsml, type SsmlValidationResult } from "./ssml-validation";
+
+export type VoiceCatalogSource = "live" | "cache" | "fixture";
+
+export interface VoiceCatalog {
+  voices: Voice[];
+  source: VoiceCatalogSource;
+  region: string | null;
+  fetchedAt: string;
+}
+
+/**
+ * Default cache lifetime: the voices list changes a few times a year at most
+ */
+const DEFAULT_TTL_SECONDS = 6 * 60 * 60;
+
+let _cache: { voices: Voice[]; region: string; fetchedAt: number } | null = null;
+let _inflight: Promise<Voice[]> | null = null;
+
+function getTtlMs(): number {
+  const ttl = Number(process.env.VOICE_CATALOG_TTL_SECONDS);
+  return (Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL_SECONDS) * 1000;
+}
+
+/**
+ * Loads the bundled voices fixture used when the live list is unavailable
+ */
+export function getFixtureVoices(): Voice[] {
+  return normalizeVoices(fixtureVoices as RawVoice[]);
+}
+
+async function fetchLiveVoices(region: string, subscriptionKey: string): Promise<Voice[]> {
+  const response = await fetch(
+    `https://${region}.tts.speech.microsoft.com/cognitiveservices/voices/list`,
+    {
+      method: "GET",
+      headers: {
+        "Ocp-Apim-Subscription-Key": subscriptionKey,
+      },
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Voices list request failed with status ${response.status}`);
+  }
+
+  const raw = (await response.json()) as RawVoice[];
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error("Voices list response was empty");
+  }
+
+  return normalizeVoices(raw);
+}
+
+/**
+ * Returns the voice catalog for the configured region.
+ * Serves from cache while fresh, refreshes when expired, and falls back to the
+ * stale cache or the bundled fixture if the refresh fails.
+ */
+export async function getVoiceCatalog(
+  options: { forceRefresh?: boolean } = {}
+): Promise<VoiceCatalog> {
+  const subscriptionKey = process.env.SPEECH_SERVICE_SUBSCRIPTION_KEY;
+  const region = process.env.SPEECH_SERVICE_SUBSCRIPTION_REGION;
+
+  if (!subscriptionKey || !region) {
+    return {
+      voices: getFixtureVoices(),
+      source: "fixture",
+      region: region || null,
+      fetchedAt: new Date().toISOString(),
+    };
+  }
+
+  const now = Date.now();
+  if (
+    !options.forceRefresh &&
+    _cache &&
+    _cache.region === region &&
+    now - _cache.fetchedAt < getTtlMs()
+  ) {
+    return {
+      voices: _cache.voices,
+      source: "cache",
+      region,
+      fetchedAt: new Date(_cache.fetchedAt).toISOString(),
+    };
+  }
+
+  try {
+    // Share a single upstream request between concurrent callers
+    if (!_inflight) {
+      _inflight = fetchLiveVoices(region, subscriptionKey).finally(() => {
+        _inflight = null;
+      });
+    }
+    const voices = await _inflight;
+    _cache = { voices, region, fetchedAt: Date.now() };
+    return {
+      voices,
+      source: "live",
+      region,
+      fetchedAt: new Date(_cache.fetchedAt).toISOString(),
+    };
+  } catch (error) {
+    console.warn(
+      "⚠️  Failed to refresh voice catalog:",
+      error instanceof Error ? error.message : error
+    );
+
+    if (_cache && _cache.region === region) {
+      return {
+        voices: _cache.voices,
+        source: "cache",
+        region,
+        fetchedAt: new Date(_cache.fetchedAt).toISOString(),
+      };
+    }
+
+    return {
+      voices: getFixtureVoices(),
+      source: "fixture",
+      region,
+      fetchedAt: new Date().toISOString(),
+    };
+  }
+}
+
+/**
+ * Validates voice settings against the catalog entry for the selected voice.
+ * Returns a list of problems; an unknown voice is reported as one.
+ */
+export async function validateAgainstCatalog(
+  voiceName: string,
+  settings: VoiceSettings
+): Promise<string[]> {
+  const { voices } = await getVoiceCatalog();
+  const voice = findVoice(voices, voiceName);
+
+  if (!voice) {
+    return [`Unknown voice: ${voiceName}`];
+  }
+  return validateVoiceSettings(settings, voice);
+}
+
+/**
+ * Validates and sanitizes hand-written SSML, rejecting voices outside the catalog
+ */
+export async function validateSsmlAgainstCatalog(source: string): Promise<SsmlValidationResult> {
+  const { voices } = await getVoiceCatalog();
+  const known = new Set(voices.map((v) => v.name));
+  return validateSsml(source, { isKnownVoice: (name) => known.has(name) });
+}
@@ -0,0 +1,114 @@
+/**
+ * Voice Comparison
+ *
+ * A comparison board renders one text with several voice/style/prosody
+ * combinations side by side. This module holds the shape of a saved board
+ * and its validation, shared by the comparison routes (server) and page
+ * (client).
+ */
+
+import { getAudioFormat } from "./audio-formats";
+import { MAX_SINGLE_REQUEST_CHARS } from "./text-chunking";
+import { validateVoiceSettings, type VoiceSettings } from "./voice-settings";
+import { DEFAULT_STYLE } from "./voices";
+
+export interface ComparisonCombination extends VoiceSettings {
+  voice: string;
+  starred?: boolean;
+}
+
+export interface ComparisonInput {
+  title?: string;
+  text: string;
+  lang: string;
+  format?: string;
+  combinations: ComparisonCombination[];
+}
+
+export const COMPARISON_LIMITS = {
+  combinations: 6,
+  titleChars: 100,
+  textChars: MAX_SINGLE_REQUEST_CHARS,
+};
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Checks a board before it is saved and returns a list of problems. Voices
+ * are checked for style and role support when they are synthesized, not here.
+ */
+export function validateComparison(input: ComparisonInput): string[] {
+  const errors: string[] = [];
+
+  if (typeof input.text !== "string" || !input.text.trim()) {
+    errors.push("Text is required");
+  } else if (input.text.length > COMPARISON_LIMITS.textChars) {
+    errors.push(`Text is longer than ${COMPARISON_LIMITS.textChars} characters`);
+  }
+  if (String(input.title ?? "").trim().length > COMPARISON_LIMITS.titleChars) {
+    errors.push(`Title is longer than ${COMPARISON_LIMITS.titleChars} characters`);
+  }
+  if (!LOCALE_PATTERN.test(String(input.lang ?? ""))) {
+    errors.push(`Invalid language "${input.lang}"`);
+  }
+  if (input.format !== undefined && !getAudioFormat(input.format)) {
+    errors.push(`Unsupported output format: ${input.format}`);
+  }
+
+  if (!Array.isArray(input.combinations) || input.combinations.length === 0) {
+    errors.push("At least one voice combination is required");
+    return errors;
+  }
+  if (input.combinations.length > COMPARISON_LIMITS.combinations) {
+    errors.push(`At most ${COMPARISON_LIMITS.combinations} combinations can be compared`);
+  }
+  input.combinations.forEach((combination, i) => {
+    if (!combination || typeof combination.voice !== "string" || !combination.voice) {
+      errors.push(`Combination ${i + 1}: a voice is required`);
+      return;
+    }
+    for (const message of validateVoiceSettings(combination, undefined)) {
+      errors.push(`Combination ${i + 1}: ${message}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Keeps only the fields a combination is made of, so saved boards don't
+ * carry whatever else the client sent
+ */
+export function normalizeCombination(combination: ComparisonCombination): ComparisonCombination {
+  const style = combination.style || DEFAULT_STYLE;
+  return {
+    voice: combination.voice,
+    style,
+    styledegree: style === DEFAULT_STYLE ? undefined : combination.styledegree,
+    role: combination.role || undefined,
+    rate: combination.rate,
+    pitch: combination.pitch,
+    volume: combination.volume,
+    starred: !!combination.starred,
+  };
+}
+
+/**
+ * Short label for a combination, e.g. "JennyNeural · cheerful · rate +10%"
+ */
+export function describeCombination(combination: ComparisonCombination): string {
+  const parts = [combination.voice.replace(/^[a-z]{2,3}-[A-Z]{2}-/, "")];
+  if (combination.style && combination.style !== DEFAULT_STYLE) {
+    parts.push(
+      combination.styledegree !== undefined && Number(combination.styledegree) !== 1
+        ? `${combination.style} ×${combination.styledegree}`
+        : combination.style
+    );
+  }
+  if (combination.role) parts.push(combination.role);
+  for (const kind of ["rate", "pitch", "volume"] as const) {
+    const value = combination[kind];
+    if (value === undefined || value === null || value === "" || value === 0) continue;
+    parts.push(typeof value === "number" ? `${kind} ${value > 0 ? "+" : ""}${value}%` : `${kind} ${value}`);
+  }
+  return parts.join(" · ");
+}
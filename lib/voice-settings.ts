@@ -0,0 +1,135 @@
+/**
+ * Voice Settings
+ *
+ * Prosody, style degree and role settings for synthesis, with validation
+ * against what the selected voice supports. Shared by the text-to-speech
+ * routes (server) and page (client).
+ */
+
+import { DEFAULT_STYLE, type Voice } from "./voices";
+
+export type ProsodyKind = "rate" | "pitch" | "volume";
+export type ProsodyValue = number | string;
+
+export interface VoiceSettings {
+  style?: string;
+  styledegree?: number | string;
+  role?: string;
+  rate?: ProsodyValue;
+  pitch?: ProsodyValue;
+  volume?: ProsodyValue;
+}
+
+/**
+ * Relative adjustment limits, in percent, offered by the UI and accepted by the API
+ */
+export const PROSODY_LIMITS: Record<ProsodyKind, { min: number; max: number }> = {
+  rate: { min: -50, max: 100 },
+  pitch: { min: -50, max: 50 },
+  volume: { min: -100, max: 100 },
+};
+
+export const STYLE_DEGREE_LIMITS = { min: 0.01, max: 2 };
+
+const PROSODY_KEYWORDS: Record<ProsodyKind, string[]> = {
+  rate: ["x-slow", "slow", "medium", "fast", "x-fast", "default"],
+  pitch: ["x-low", "low", "medium", "high", "x-high", "default"],
+  volume: ["silent", "x-soft", "soft", "medium", "loud", "x-loud", "default"],
+};
+
+/**
+ * Converts a prosody value to its SSML attribute form.
+ * Numbers are relative percentages (10 -> "+10%"); strings may be keywords,
+ * signed percentages, or units Azure accepts ("1.2" rate, "+2st"/"-20Hz" pitch).
+ * Returns undefined for "no change" and null for values outside the limits.
+ */
+export function normalizeProsodyValue(kind: ProsodyKind, value: unknown): string | undefined | null {
+  if (value === undefined || value === null || value === "") return undefined;
+
+  const { min, max } = PROSODY_LIMITS[kind];
+  const percent = (n: number) => {
+    if (!Number.isFinite(n) || n < min || n > max) return null;
+    if (n === 0) return undefined;
+    return `${n > 0 ? "+" : ""}${n}%`;
+  };
+
+  if (typeof value === "number") return percent(value);
+  if (typeof value !== "string") return null;
+
+  const text = value.trim().toLowerCase();
+  if (PROSODY_KEYWORDS[kind].includes(text)) return text === "default" ? undefined : text;
+
+  const percentMatch = text.match(/^([+-]?\d+(?:\.\d+)?)%$/);
+  if (percentMatch) return percent(Number(percentMatch[1]));
+
+  if (kind === "rate" && /^\d+(\.\d+)?$/.test(text)) {
+    const multiplier = Number(text);
+    return multiplier >= 0.5 && multiplier <= 2 ? text : null;
+  }
+
+  if (kind === "pitch") {
+    const st = text.match(/^([+-]?\d+(?:\.\d+)?)st$/);
+    if (st) return Math.abs(Number(st[1])) <= 12 ? text : null;
+    const hz = text.match(/^([+-]\d+(?:\.\d+)?)hz$/);
+    if (hz) return Math.abs(Number(hz[1])) <= 200 ? text.replace(/hz$/, "Hz") : null;
+  }
+
+  return null;
+}
+
+/**
+ * Parses a style degree, returning undefined when unset and null when invalid
+ */
+export function normalizeStyleDegree(value: unknown): number | undefined | null {
+  if (value === undefined || value === null || value === "") return undefined;
+  const degree = Number(value);
+  if (!Number.isFinite(degree) || degree < STYLE_DEGREE_LIMITS.min || degree > STYLE_DEGREE_LIMITS.max) {
+    return null;
+  }
+  return degree;
+}
+
+/**
+ * Checks settings against the selected voice and returns a list of problems.
+ * An empty list means the settings can be sent to the service.
+ */
+export function validateVoiceSettings(settings: VoiceSettings, voice: Voice | undefined): string[] {
+  const errors: string[] = [];
+  const style = settings.style || DEFAULT_STYLE;
+
+  for (const kind of ["rate", "pitch", "volume"] as ProsodyKind[]) {
+    if (normalizeProsodyValue(kind, settings[kind]) === null) {
+      const { min, max } = PROSODY_LIMITS[kind];
+      errors.push(`Invalid ${kind} "${settings[kind]}": use a keyword or a percentage between ${min}% and +${max}%`);
+    }
+  }
+
+  const degree = normalizeStyleDegree(settings.styledegree);
+  if (degree === null) {
+    errors.push(
+      `Invalid styledegree "${settings.styledegree}": must be between ${STYLE_DEGREE_LIMITS.min} and ${STYLE_DEGREE_LIMITS.max}`
+    );
+  }
+
+  if (!voice) {
+    return errors;
+  }
+
+  if (!voice.styles.includes(style)) {
+    errors.push(`Voice ${voice.name} does not support the "${style}" style`);
+  }
+
+  if (degree !== undefined && degree !== null && style === DEFAULT_STYLE) {
+    errors.push("styledegree requires a speaking style other than neutral");
+  }
+
+  if (settings.role && !voice.roles.includes(settings.role)) {
+    errors.push(
+      voice.roles.length
+        ? `Voice ${voice.name} does not support the "${settings.role}" role`
+        : `Voice ${voice.name} does not support role-play`
+    );
+  }
+
+  return errors;
+}
@@ -0,0 +1,157 @@
+/**
+ * Voice Catalog Helpers
+ *
+ * Pure helpers for working with the Azure Speech voices list. Shared by the
+ * /api/voices route (server) and the text-to-speech demo page (client), so
+ * this module must not import anything Node-specific.
+ */
+
+export type VoiceGender = "Female" | "Male" | "Neutral";
+export type VoiceType = "neural" | "standard";
+
+/**
+ * Shape of a single entry returned by the Azure `voices/list` endpoint
+ */
+export interface RawVoice {
+  Name: string;
+  DisplayName: string;
+  LocalName?: string;
+  ShortName: string;
+  Gender: string;
+  Locale: string;
+  LocaleName?: string;
+  SampleRateHertz?: string;
+  VoiceType?: string;
+  Status?: string;
+  StyleList?: string[];
+  RolePlayList?: string[];
+  SecondaryLocaleList?: string[];
+  WordsPerMinute?: string;
+}
+
+export interface Voice {
+  name: string;
+  displayName: string;
+  localName: string;
+  locale: string;
+  localeName: string;
+  gender: VoiceGender;
+  type: VoiceType;
+  styles: string[];
+  roles: string[];
+  secondaryLocales: string[];
+  sampleRateHertz: number;
+  status: string;
+}
+
+export interface VoiceFilter {
+  locale?: string;
+  gender?: string;
+  style?: string;
+  type?: string;
+}
+
+export interface LocaleOption {
+  value: string;
+  label: string;
+}
+
+/**
+ * Style every voice accepts, whether or not it advertises a StyleList
+ */
+export const DEFAULT_STYLE = "neutral";
+
+function normalizeGender(gender: string): VoiceGender {
+  switch ((gender || "").toLowerCase()) {
+    case "female":
+      return "Female";
+    case "male":
+      return "Male";
+    default:
+      return "Neutral";
+  }
+}
+
+/**
+ * Converts one raw Azure voice entry to the shape served by /api/voices
+ */
+export function normalizeVoice(raw: RawVoice): Voice {
+  const type: VoiceType =
+    (raw.VoiceType || "").toLowerCase() === "neural" ||
+    raw.ShortName.endsWith("Neural")
+      ? "neural"
+      : "standard";
+
+  return {
+    name: raw.ShortName,
+    displayName: raw.DisplayName || raw.ShortName,
+    localName: raw.LocalName || raw.DisplayName || raw.ShortName,
+    locale: raw.Locale,
+    localeName: raw.LocaleName || raw.Locale,
+    gender: normalizeGender(raw.Gender),
+    type,
+    styles: [DEFAULT_STYLE, ...(raw.StyleList || []).filter((s) => s !== DEFAULT_STYLE)],
+    roles: raw.RolePlayList || [],
+    secondaryLocales: raw.SecondaryLocaleList || [],
+    sampleRateHertz: Number(raw.SampleRateHertz) || 0,
+    status: raw.Status || "GA",
+  };
+}
+
+/**
+ * Normalizes a raw voices list and sorts it by locale, then voice name
+ */
+export function normalizeVoices(raw: RawVoice[]): Voice[] {
+  return raw
+    .filter((v) => v && v.ShortName && v.Locale)
+    .map(normalizeVoice)
+    .sort((a, b) => a.locale.localeCompare(b.locale) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Filters voices by locale, gender, style and type.
+ * Empty criteria match everything; comparisons are case-insensitive.
+ */
+export function filterVoices(voices: Voice[], filter: VoiceFilter = {}): Voice[] {
+  const locale = filter.locale?.toLowerCase();
+  const gender = filter.gender?.toLowerCase();
+  const style = filter.style?.toLowerCase();
+  const type = filter.type?.toLowerCase();
+
+  return voices.filter(
+    (v) =>
+      (!locale || v.locale.toLowerCase() === locale) &&
+      (!gender || v.gender.toLowerCase() === gender) &&
+      (!style || v.styles.includes(style)) &&
+      (!type || v.type === type)
+  );
+}
+
+/**
+ * Lists the distinct locales present in a voices list, for language pickers
+ */
+export function listLocales(voices: Voice[]): LocaleOption[] {
+  const seen = new Map<string, string>();
+  for (const v of voices) {
+    if (!seen.has(v.locale)) seen.set(v.locale, v.localeName);
+  }
+  return Array.from(seen, ([value, label]) => ({ value, label })).sort((a, b) =>
+    a.label.localeCompare(b.label)
+  );
+}
+
+/**
+ * Lists the distinct styles offered by a set of voices
+ */
+export function listStyles(voices: Voice[]): string[] {
+  const styles = new Set<string>();
+  voices.forEach((v) => v.styles.forEach((s) => styles.add(s)));
+  return [DEFAULT_STYLE, ...Array.from(styles).filter((s) => s !== DEFAULT_STYLE).sort()];
+}
+
+/**
+ * Finds a voice by its short name, e.g. "en-US-JennyNeural"
+ */
+export function findVoice(voices: Voice[], name: string): Voice | undefined {
+  return voices.find((v) => v.name === name);
+}
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "synthesis_cache" (
+    "key" TEXT NOT NULL,
+    "format" TEXT NOT NULL,
+    "audio" BYTEA NOT NULL,
+    "size" INTEGER NOT NULL,
+    "createdAt" TIMESTAMPTZ(6) NOT NULL,
+    "lastAccessedAt" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "synthesis_cache_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "synthesis_cache_lastAccessedAt_idx" ON "synthesis_cache"("lastAccessedAt");
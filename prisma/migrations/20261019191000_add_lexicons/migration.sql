@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "lexicons" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "locale" TEXT NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "lexicons_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "lexicon_entries" (
+    "id" TEXT NOT NULL,
+    "lexiconId" TEXT NOT NULL,
+    "grapheme" TEXT NOT NULL,
+    "alphabet" TEXT,
+    "phoneme" TEXT,
+    "alias" TEXT,
+
+    CONSTRAINT "lexicon_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "lexicons_userId_idx" ON "lexicons"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "lexicon_entries_lexiconId_grapheme_key" ON "lexicon_entries"("lexiconId", "grapheme");
+
+-- AddForeignKey
+ALTER TABLE "lexicons" ADD CONSTRAINT "lexicons_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "lexicon_entries" ADD CONSTRAINT "lexicon_entries_lexiconId_fkey" FOREIGN KEY ("lexiconId") REFERENCES "lexicons"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "synthesis_records" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "voice" TEXT NOT NULL,
+    "style" TEXT NOT NULL,
+    "format" TEXT NOT NULL,
+    "durationMs" INTEGER,
+    "characters" INTEGER NOT NULL,
+    "tags" TEXT NOT NULL DEFAULT '',
+    "storageKey" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "generatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "synthesis_records_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "synthesis_records_userId_idx" ON "synthesis_records"("userId");
+
+-- AddForeignKey
+ALTER TABLE "synthesis_records" ADD CONSTRAINT "synthesis_records_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "voice_comparisons" (
+    "id" TEXT NOT NULL,
+    "shareToken" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "lang" TEXT NOT NULL,
+    "format" TEXT NOT NULL,
+    "combinations" TEXT NOT NULL,
+    "createdAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "voice_comparisons_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "voice_comparisons_shareToken_key" ON "voice_comparisons"("shareToken");
+
+-- CreateIndex
+CREATE INDEX "voice_comparisons_userId_idx" ON "voice_comparisons"("userId");
+
+-- AddForeignKey
+ALTER TABLE "voice_comparisons" ADD CONSTRAINT "voice_comparisons_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
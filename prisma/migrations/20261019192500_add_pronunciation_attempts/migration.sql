@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "pronunciation_attempts" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "referenceText" TEXT NOT NULL,
+    "lang" TEXT NOT NULL,
+    "accuracyScore" DOUBLE PRECISION NOT NULL,
+    "fluencyScore" DOUBLE PRECISION NOT NULL,
+    "completenessScore" DOUBLE PRECISION NOT NULL,
+    "prosodyScore" DOUBLE PRECISION,
+    "pronunciationScore" DOUBLE PRECISION NOT NULL,
+    "words" TEXT NOT NULL,
+    "createdAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "pronunciation_attempts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "pronunciation_attempts_userId_idx" ON "pronunciation_attempts"("userId");
+
+-- AddForeignKey
+ALTER TABLE "pronunciation_attempts" ADD CONSTRAINT "pronunciation_attempts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -1,9 +1,9 @@
 'use strict';
 
-import { getToken } from './utils.js';
+import { getVoices } from './utils.js';
 
-let token;
-getToken().then((data) => token = data);
+let voices = [];
+getVoices().then((data) => voices = data);
 
 let synthLangOptions = document.getElementById('synthLanguageOptions');
 let speakingStylesOptions = document.getElementById('speakingStylesOptions');
@@ -30,6 +30,14 @@ synthLangOptions.addEventListener('change', () => {
     }
 });
 
+// Pick a neural voice from the catalog for the language, preferring one that offers the style
+let findVoice = function (lang, style) {
+    let locale = lang.toLowerCase();
+    let candidates = voices.filter((v) => v.type === "neural" && v.locale.toLowerCase() === locale);
+    let match = candidates.find((v) => v.styles.includes(style)) || candidates[0];
+    return match ? match.name : undefined;
+}
+
 // Execute a function when the user releases a key on the keyboard
 synthInput.addEventListener("keyup", function(event) {
   // Number 13 is the "Enter" key on the keyboard
@@ -43,41 +51,42 @@ synthInput.addEventListener("keyup", function(event) {
 
 // Generate voice output based on custom options when clicking this button.
 synthBtn.addEventListener('click', async () => {
-    // For full language and voice support visit: https://docs.microsoft.com/en-us/azure/cognitive-services/speech-service/language-support
-    let languageMapping = {
-        'en-US': 'en-US-AriaNeural',
-        'zh-CN': 'zh-CN-XiaoxiaoNeural',
-        'ja-JP': 'ja-JP-Ayumi-Apollo',
-        'ko-KR': 'ko-KR-HeamiRUS',
-        'es-ES': 'es-ES-Laura-Apollo',
-        'fr-FR': 'fr-FR-Julie-Apollo',
-    }
+    // Voices come from /api/voices, so only those offered in the region are requested
     let lang = synthLangOptions.value;
-    let voice = languageMapping[`${lang}`];
-    let style = speakingStylesOptions.value;
+    let style = speakingStylesOptions.value || 'neutral';
+    let voice = findVoice(lang, style);
+    if (!voice) {
+        console.log('response err', `No voice available for ${lang}`);
+        return;
+    }
     let params = {
-        token: token,
         lang: lang,
         voice: voice,
         text: synthInput.value,
         style: style
     }
 
-    let queryString = Object.keys(params).map(key => key + '=' + params[key]).join('&');
-
-    let res = await fetch(`/text-to-speech/synthesize?${queryString}`);
-    res = await res.json();
-    if (res.status === 'success') audioPlayer.setAttribute('src', res.path);
-    else console.log('response err');
+    // The server keeps the audio in a temporary store and returns a signed, expiring URL
+    let res = await fetch('/api/text-to-speech/temp', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params)
+    });
+    let data = await res.json();
+    if (res.ok) {
+        audioPlayer.dataset.audioId = data.id;
+        audioPlayer.setAttribute('src', data.url);
+    }
+    else console.log('response err', data.error);
 });
 
-audioPlayer.addEventListener('ended', (event) => {
-    let url = new URL(audioPlayer.src); // Contruct url to URL object.
-    let path = url.pathname; // Only pathname is needed.
-
-    deleteFile(`/text-to-speech/file?path=${path}`).then((res) => {
-        console.log(res);
+// Nothing is kept once playback ends; the store's TTL sweep covers abandoned files.
+audioPlayer.addEventListener('ended', () => {
+    let id = audioPlayer.dataset.audioId;
+    if (!id) return;
 
+    deleteFile(`/api/text-to-speech/temp/${id}`).then(() => {
+        delete audioPlayer.dataset.audioId;
         audioPlayer.setAttribute('src', '');
     });
 });
@@ -87,5 +96,5 @@ const deleteFile = async (url) => {
         method: 'delete'
     });
 
-    return await res.json();
-}
\ No newline at end of file
+    return res.ok;
+}
@@ -1,10 +1,11 @@
 'use strict';
 
-import { getToken, getRegion } from './utils.js';
+import { getToken, getRegion, getVoices } from './utils.js';
 
-let token, subRegion;
+let token, subRegion, voices = [];
 getToken().then((data) => token = data);
 getRegion().then((data) => subRegion = data);
+getVoices().then((data) => voices = data);
 
 let SpeechSDK
 let inputSource2 = document.getElementById('inputSource2');
@@ -22,12 +23,17 @@ let phraseDiv2 = document.getElementById("phraseDiv2");
 let statusDiv2 = document.getElementById("statusDiv2");
 let reco
 
-// Map from ouput language to ouput voice name
-let voiceMapping = {
-    "en": "en-US-ZiraRUS",
-    "zh-Hant": "zh-TW-Yating-Apollo",
-    "ja": "ja-JP-Ayumi-Apollo",
-    "ko": "ko-KR-HeamiRUS"
+// Translation target codes that don't map to a locale prefix on their own
+let targetLocales = {
+    "zh-Hans": "zh-CN",
+    "zh-Hant": "zh-TW"
+}
+
+// Pick the first neural voice from the catalog for the output language
+let findTargetVoice = function (target) {
+    let locale = (targetLocales[target] || target).toLowerCase();
+    let match = voices.find((v) => v.type === "neural" && (v.locale.toLowerCase() === locale || v.locale.toLowerCase().startsWith(locale + "-")));
+    return match ? match.name : undefined;
 }
 
 if (!!window.SpeechSDK) SpeechSDK = window.SpeechSDK;
@@ -207,8 +213,8 @@ sdkStartContinousTranslationBtn.addEventListener("click", function () {
     // If voice output is requested, set the target voice.
     // If multiple text translations were requested, only the first one added will have audio synthesised for it.
     if (voiceOutput.checked) {
-        voiceTargetName = voiceMapping[languageTargetOptions.value];
-        speechConfig.setProperty(SpeechSDK.PropertyId.SpeechServiceConnection_TranslationVoice, voiceTargetName);
+        voiceTargetName = findTargetVoice(languageTargetOptions.value);
+        if (voiceTargetName) speechConfig.setProperty(SpeechSDK.PropertyId.SpeechServiceConnection_TranslationVoice, voiceTargetName);
     }
 
     reco = new SpeechSDK.TranslationRecognizer(speechConfig, audioConfig);
@@ -16,4 +16,12 @@ const getRegion = async () => {
     return subRegion;
 }
 
-export { getToken, getRegion };
\ No newline at end of file
+// Get the voice catalog for the subscription region
+const getVoices = async () => {
+    let res = await fetch('/api/voices')
+    let catalog = await res.json();
+
+    return catalog.voices;
+}
+
+export { getToken, getRegion, getVoices };
\ No newline at end of file
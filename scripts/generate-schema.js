@@ -64,6 +64,8 @@ try {
     generatedSchema = generatedSchema
       .replace(/createdAt DateTime @default\(now\(\)\)/g, 'created_at DateTime @default(now()) @db.Timestamptz(6)')
       .replace(/updatedAt DateTime @updatedAt/g, 'updated_at DateTime @updatedAt @db.Timestamptz(6)')
+      // Every other timestamp column is timestamptz too, as the migrations create them
+      .replace(/^(\s+\w+\s+DateTime\??(?:[ \t]+@(?!db\.)[^\s]+)*)[ \t]*$/gm, '$1 @db.Timestamptz(6)')
       // Add directUrl for Supabase connection pooling
       .replace(/url\s+= env\("DATABASE_URL"\)/g, 'url       = env("DATABASE_URL")\n  directUrl = env("DIRECT_URL")');
   }